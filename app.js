@@ -0,0 +1,180 @@
+const express = require('express');
+const path = require('path');
+const bodyParser = require('body-parser');
+const swaggerUi = require('swagger-ui-express');
+const swaggerJsdoc = require('swagger-jsdoc');
+const crypto = require('crypto');
+const { createAuth } = require('./auth'); // API key authentication and roles
+const { createAudit } = require('./audit'); // Change history of customers, agents and companies
+const { createRepositories } = require('./repositories'); // Data access, one repository per table
+const { notFoundHandler, errorHandler } = require('./problem'); // problem+json error responses
+const { createValidation, swaggerSchemas } = require('./validation'); // Request validation built from schema.js
+const { patchTypes } = require('./patch'); // Media types of PATCH bodies
+const { createPreconditions } = require('./preconditions'); // ETags and If-Match
+const { createLogger } = require('./logger'); // Structured JSON logs
+const { createAppMetrics } = require('./metrics'); // Prometheus metrics
+const { createCache } = require('./cache'); // Read-through cache of customers, agents and companies
+const { publishChange } = require('./webhooks'); // Events sent to the webhooks
+const { createPoolGuard, DEFAULT_BODY_LIMITS, DEFAULT_MAX_QUEUE } = require('./limits'); // Rate, body size and database queue limits
+
+// Each module registers its routes with routes(app, { repositories, auth, audit, validation, preconditions, metrics, cache })
+const routes = [
+  require('./routes/customers'),
+  require('./routes/agents'),
+  require('./routes/reports'),
+  require('./routes/companies'),
+  require('./routes/foods'),
+  require('./routes/items'),
+  require('./routes/students'),
+  require('./routes/orders'),
+  require('./routes/daysOrders'),
+  require('./routes/despatches'),
+  require('./routes/graphql'),
+  require('./routes/audit'),
+  require('./routes/webhooks')
+];
+const metricsRoutes = require('./routes/metrics'); // Mounted before authentication
+
+// Swagger setup
+const options = {
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'Customer API',
+      version: '1.0.0',
+      description: 'Every route but /metrics requires an API key sent as a bearer token. Read-only users can only read, ' +
+        'agents can only read and modify their own customers and only admins can delete. ' +
+        'Errors are answered with an RFC 7807 application/problem+json body (see the Problem schema) ' +
+        'carrying the request id, which is also sent as X-Request-Id. Clients are rate limited per API key, ' +
+        'with separate limits for reads and writes: every answer has RateLimit headers, and requests over ' +
+        'the limit are answered 429 with Retry-After. Requests are answered 503 with Retry-After while the ' +
+        'database is overloaded.',
+    },
+    components: {
+      // The tables' schemas come from schema.js, like the validation of request bodies
+      schemas: swaggerSchemas(),
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'API key issued with scripts/create-user.js',
+        },
+      },
+    },
+    security: [{ bearerAuth: [] }],
+  },
+  // Paths to files for swagger docs
+  apis: [path.join(__dirname, '*.js'), path.join(__dirname, 'routes', '*.js')],
+};
+
+const swaggerSpec = swaggerJsdoc(options);
+
+// The route a request was answered by, as the path it was registered with,
+// so that metrics have one series per route rather than one per URL
+function routeOf(req) {
+  return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+}
+
+/**
+ * Creates the Express app. pool is the database the repositories use, anything
+ * with the getConnection() of the pools created by db.js. With requireIfMatch,
+ * writes to customers, agents and companies need an If-Match header. logger
+ * is the logger of logger.js requests are logged to. cache is the cache of
+ * cache.js that GET reads single customers, agents and companies through,
+ * in memory by default. rateLimiter is the rate limiter of limits.js, none by
+ * default. metricsToken is the token scrapes of /metrics must send, none by
+ * default. bodyLimits are the largest request bodies of the customer import
+ * and of the other routes ({ import, default }), and requests are answered
+ * 503 while more than maxQueue requests wait for a connection of the pool.
+ * Creating the app has no side effects: it doesn't connect or listen, so
+ * tests can pass a stand-in pool.
+ */
+function createApp({
+  pool,
+  requireIfMatch = false,
+  logger = createLogger(),
+  cache = createCache(),
+  rateLimiter = null,
+  metricsToken = null,
+  bodyLimits = DEFAULT_BODY_LIMITS,
+  maxQueue = DEFAULT_MAX_QUEUE
+}) {
+  const app = express();
+  const metrics = createAppMetrics(pool);
+
+  // Every request gets an id, taken from X-Request-Id when the caller sends a
+  // usable one, and a logger that adds it to every entry. Each request is
+  // logged and counted in the metrics once answered.
+  app.use((req, res, next) => {
+    const requestId = req.get('X-Request-Id');
+    req.id = requestId && /^[\w.:-]{1,64}$/.test(requestId) ? requestId : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      const route = routeOf(req);
+      metrics.observeRequest({ method: req.method, route, status: res.statusCode }, seconds);
+      // The path without the query, whose filters can hold customer data
+      req.log.info({
+        method: req.method, path: req.path, route, status: res.statusCode, durationMs: Math.round(seconds * 1000)
+      }, 'Request answered');
+    });
+    next();
+  });
+
+  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+  metricsRoutes(app, { metrics, metricsToken });
+
+  // Addresses that failed authentication too often, and every request while
+  // the database is overloaded, are turned away before their API key is
+  // looked up
+  if (rateLimiter) {
+    app.use(rateLimiter.limitUnauthenticated);
+  }
+  app.use(createPoolGuard(pool, { maxQueue }));
+
+  // Statements are logged without their values, which hold customer data
+  const repositories = createRepositories(pool, {
+    observeQuery(sql, seconds, err) {
+      metrics.observeQuery(sql, seconds, err);
+      logger.debug({ sql, durationMs: Math.round(seconds * 1000), failed: Boolean(err) }, 'Query');
+    }
+  });
+  const auth = createAuth(repositories);
+
+  const validation = createValidation(repositories);
+
+  const audit = createAudit({
+    customer: { repository: 'customers' },
+    agent: { repository: 'agents' },
+    company: { repository: 'companies' }
+  }, { onChange: cache.invalidate, onRecord: publishChange });
+  const preconditions = createPreconditions(repositories, audit, { strict: requireIfMatch });
+
+  // Everything below requires an authenticated user
+  app.use(auth.authenticate, auth.restrictByRole);
+
+  // Users over their rate are turned away before their body is read
+  if (rateLimiter) {
+    app.use(rateLimiter.limit);
+  }
+
+  // The customer import accepts larger bodies than the other routes, as JSON or CSV
+  const { import: importLimit, default: defaultLimit } = { ...DEFAULT_BODY_LIMITS, ...bodyLimits };
+  app.use('/customer/import', bodyParser.json({ limit: importLimit }), bodyParser.text({ type: 'text/csv', limit: importLimit }));
+  // PATCH bodies are JSON too, as merge patches or JSON Patches
+  app.use(bodyParser.json({ type: patchTypes, limit: defaultLimit }));
+
+  for (const register of routes) {
+    register(app, { repositories, auth, audit, validation, preconditions, metrics, cache });
+  }
+
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,119 @@
+const { tables } = require('./schema');
+
+// Columns whose values differ between two versions of a record, as
+// { COLUMN: { old, new } }. A missing version counts as all NULL.
+function diff(before, after, columns) {
+  const changes = {};
+  for (const column of columns) {
+    const oldValue = before ? before[column] : null;
+    const newValue = after ? after[column] : null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[column] = { old: oldValue, new: newValue };
+    }
+  }
+  return changes;
+}
+
+function parseJson(text) {
+  return text === null || text === undefined ? null : JSON.parse(text);
+}
+
+// Snapshots taken before a column existed don't have it
+function snapshotValue(snapshot, column) {
+  return snapshot[column] === undefined ? null : snapshot[column];
+}
+
+/**
+ * Creates the audit trail for the given entities, each described as
+ * { repository }, the name of its repository (see repositories/index.js).
+ * Every change made through track() is written to the audit_log table with
+ * the old and new value of each changed column, a snapshot of the record
+ * afterwards, the user and the request id.
+ *
+ * The functions take the repositories to work with as their first argument,
+ * so that changes made in a transaction are recorded in the same transaction.
+ * onChange(req, entity, key) is called after every write made through
+ * track(), like the cache does to drop the record (see cache.js), and
+ * onRecord(repositories, req, { entity, key, action, before, after, changes })
+ * after every change is recorded, in the same transaction, like the webhooks
+ * do to publish their events (see webhooks.js).
+ */
+function createAudit(entities, { onChange = async () => {}, onRecord = async () => {} } = {}) {
+  const repositoryOf = (repositories, entity) => repositories[entities[entity].repository];
+
+  function loadRecord(repositories, entity, key) {
+    return repositoryOf(repositories, entity).find(key, { includeDeleted: true });
+  }
+
+  async function record(repositories, req, entity, key, before, after, action) {
+    const changes = diff(before, after, repositoryOf(repositories, entity).allColumns);
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+
+    const ACTION = action || (!before ? 'create' : !after ? 'delete' : 'update');
+    await repositories.auditLog.insert({
+      ENTITY: entity,
+      ENTITY_KEY: key,
+      ACTION,
+      CHANGES: JSON.stringify(changes),
+      SNAPSHOT: after ? JSON.stringify(after) : null,
+      ACTOR: req.user ? req.user.USERNAME : null,
+      REQUEST_ID: req.id
+    });
+    await onRecord(repositories, req, { entity, key, action: ACTION, before, after, changes });
+  }
+
+  // Runs write(repositories), which changes the record of the given entity
+  // and key, and records what it changed, all in one transaction: write()
+  // gets the repositories of the transaction. Resolves with the result of
+  // write().
+  function track(repositories, req, entity, key, write, action) {
+    return repositories.transaction(async (tx) => {
+      const before = await loadRecord(tx, entity, key);
+      const result = await write(tx);
+      await onChange(req, entity, key);
+      const after = await loadRecord(tx, entity, key);
+      await record(tx, req, entity, key, before, after, action);
+      return result;
+    });
+  }
+
+  // Audit entries of one record, newest first
+  async function history(repositories, entity, key, { limit, offset }) {
+    const { total, rows } = await repositories.auditLog.history(entity, key, { limit, offset });
+    return { total, data: rows.map((row) => ({ ...row, CHANGES: parseJson(row.CHANGES) })) };
+  }
+
+  async function findEntry(repositories, auditId) {
+    const entry = await repositories.auditLog.find(auditId);
+    if (!entry) {
+      return null;
+    }
+    return { ...entry, CHANGES: parseJson(entry.CHANGES), SNAPSHOT: parseJson(entry.SNAPSHOT) };
+  }
+
+  // Puts the record back in the state it had after the given audit entry,
+  // recreating it if it has been deleted since. Records that still exist
+  // keep their createOnly columns, like the balances the ledger keeps.
+  async function revert(repositories, req, entry) {
+    const repository = repositoryOf(repositories, entry.ENTITY);
+    const snapshot = Object.fromEntries(repository.allColumns.map((column) => [column, snapshotValue(entry.SNAPSHOT, column)]));
+
+    return track(repositories, req, entry.ENTITY, entry.ENTITY_KEY, async (tx) => {
+      const target = repositoryOf(tx, entry.ENTITY);
+      if (await target.exists(entry.ENTITY_KEY, { includeDeleted: true })) {
+        const specs = tables[entities[entry.ENTITY].repository].columns;
+        const columns = Object.fromEntries(Object.entries(snapshot)
+          .filter(([column]) => column !== repository.key && !(specs[column] && specs[column].createOnly)));
+        await target.update(entry.ENTITY_KEY, columns, { includeDeleted: true });
+      } else {
+        await target.insert(snapshot);
+      }
+    }, 'revert');
+  }
+
+  return { entities, track, history, findEntry, revert };
+}
+
+module.exports = { createAudit, diff };
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { problem } = require('./problem');
+
+// Roles a user can have, from least to most privileged
+const ROLES = ['readonly', 'agent', 'admin'];
+
+// API keys are only stored as a SHA-256 hash in the users table
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function generateApiKey() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Agent codes in the sample data are padded with spaces ('A003  ')
+function sameAgent(a, b) {
+  return String(a || '').trim() === String(b || '').trim();
+}
+
+// Creates the authentication and authorization middleware. Users are looked
+// up through the given repositories.
+function createAuth(repositories) {
+  // Reads the API key from "Authorization: Bearer <key>" (or X-API-Key) and
+  // attaches the matching user to req.user
+  async function authenticate(req, res, next) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    const apiKey = match ? match[1] : req.get('X-API-Key');
+
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return problem(res, 401, 'Authentication required');
+    }
+
+    try {
+      const user = await repositories.users.findByApiKeyHash(hashApiKey(apiKey));
+
+      if (!user) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return problem(res, 401, 'Invalid API key');
+      }
+
+      req.user = user;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  // Rules that hold for every route: read-only users may only read and only
+  // admins may delete. GraphQL queries are POSTed too, so /graphql checks the
+  // role of mutations itself.
+  function restrictByRole(req, res, next) {
+    const { ROLE } = req.user;
+
+    if (ROLE === 'readonly' && !['GET', 'HEAD', 'OPTIONS'].includes(req.method) && req.path !== '/graphql') {
+      return problem(res, 403, 'Read-only users cannot modify data');
+    }
+    if (req.method === 'DELETE' && ROLE !== 'admin') {
+      return problem(res, 403, 'Only admins can delete');
+    }
+    next();
+  }
+
+  // Only lets the given roles through
+  function allow(...roles) {
+    return (req, res, next) => {
+      if (!roles.includes(req.user.ROLE)) {
+        return problem(res, 403, 'Forbidden');
+      }
+      next();
+    };
+  }
+
+  // Agents may only read and modify their own customers: the customer in
+  // :id must belong to them, and a customer they create or replace must
+  // keep their AGENT_CODE (which is filled in when left out).
+  async function customerAccess(req, res, next) {
+    const { ROLE, AGENT_CODE } = req.user;
+
+    if (ROLE !== 'agent') {
+      return next();
+    }
+
+    const replacesCustomer = (req.method === 'POST' && !req.params.id) || req.method === 'PUT';
+    if (replacesCustomer && req.body.AGENT_CODE === undefined) {
+      req.body.AGENT_CODE = AGENT_CODE;
+    }
+    if (req.body && req.body.AGENT_CODE !== undefined && !sameAgent(req.body.AGENT_CODE, AGENT_CODE)) {
+      return problem(res, 403, 'Agents can only assign customers to themselves');
+    }
+
+    if (!req.params.id) {
+      return next();
+    }
+
+    try {
+      const customer = await repositories.customers.find(req.params.id, { includeDeleted: true, columns: ['AGENT_CODE'] });
+
+      // Unknown customers are left to the route to answer with a 404
+      if (customer && !sameAgent(customer.AGENT_CODE, AGENT_CODE)) {
+        return problem(res, 403, 'Customer belongs to another agent');
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  return { authenticate, restrictByRole, allow, customerAccess };
+}
+
+// Extra condition for customer lists so agents only see their own customers
+function customerScope(req) {
+  if (req.user && req.user.ROLE === 'agent') {
+    return { where: 'AGENT_CODE = ?', values: [req.user.AGENT_CODE] };
+  }
+  return null;
+}
+
+module.exports = { ROLES, hashApiKey, generateApiKey, createAuth, customerScope, sameAgent };
@@ -0,0 +1,159 @@
+// Seconds a record stays cached when no TTL is configured for its entity.
+// Customers change with every ledger posting, so they expire sooner.
+const DEFAULT_TTLS = {
+  customer: 30,
+  agent: 300,
+  company: 300
+};
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Keys are compared the way the database does: padded codes ('A003  ')
+// match unpadded ones, and case doesn't matter
+const cacheKey = (entity, key) => `${entity}:${String(key).trimEnd().toUpperCase()}`;
+
+/**
+ * Creates an in-memory store of at most maxEntries values, evicting the least
+ * recently used one when full. Stores hold strings under string keys and
+ * their functions resolve, so a client of a Redis-compatible server can be
+ * used instead:
+ *
+ * - get(key) resolves with the value, or undefined when missing or expired
+ * - set(key, value, ttlSeconds) stores the value for ttlSeconds (SET EX)
+ * - delete(key) removes the value (DEL)
+ */
+function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES, now = Date.now } = {}) {
+  // Map iterates in insertion order, so the first entry is the least recently used
+  const entries = new Map();
+
+  async function get(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    entries.delete(key);
+    if (entry.expiresAt <= now()) {
+      return undefined;
+    }
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  async function set(key, value, ttlSeconds) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now() + ttlSeconds * 1000 });
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  async function remove(key) {
+    entries.delete(key);
+  }
+
+  return { get, set, delete: remove, size: () => entries.size };
+}
+
+// Requests sent with Cache-Control: no-cache or no-store read the database
+const bypasses = (req) => /(^|,)\s*no-(cache|store)\s*(,|$)/i.test(req.get('Cache-Control') || '');
+
+/**
+ * Creates the read-through cache of single records of the entities in ttls
+ * (customer, agent and company), kept in store for the TTL of their entity.
+ * A TTL of 0 turns caching off for the entity.
+ *
+ * read() answers from the cache, and the audit trail calls invalidate() for
+ * every change to a record (see audit.js), so that routes don't have to. A
+ * store that fails only costs the cache: the record is read from the
+ * database and the failure logged.
+ */
+function createCache({ store = createMemoryStore(), ttls = {} } = {}) {
+  const ttlOf = (entity) => (ttls[entity] === undefined ? DEFAULT_TTLS[entity] : ttls[entity]);
+
+  /**
+   * Resolves with the record of the given entity and key, from the cache or
+   * else from load(), which resolves with the record or null. Records that
+   * don't exist aren't cached. Sets X-Cache on the response to HIT, MISS, or
+   * BYPASS when the request asked for the database with Cache-Control.
+   */
+  async function read(req, res, entity, key, load) {
+    const ttl = ttlOf(entity);
+    if (!ttl) {
+      return load();
+    }
+
+    const name = cacheKey(entity, key);
+    const bypass = bypasses(req);
+    if (!bypass) {
+      try {
+        const cached = await store.get(name);
+        if (cached !== undefined && cached !== null) {
+          res.set('X-Cache', 'HIT');
+          return JSON.parse(cached);
+        }
+      } catch (err) {
+        req.log.warn({ err, key: name }, 'Cache read failed');
+      }
+    }
+
+    const record = await load();
+    res.set('X-Cache', bypass ? 'BYPASS' : 'MISS');
+    if (record) {
+      try {
+        await store.set(name, JSON.stringify(record), ttl);
+      } catch (err) {
+        req.log.warn({ err, key: name }, 'Cache write failed');
+      }
+    }
+    return record;
+  }
+
+  async function remove(req, name) {
+    try {
+      await store.delete(name);
+    } catch (err) {
+      req.log.error({ err, key: name }, 'Cache invalidation failed');
+    }
+  }
+
+  // Drops the cached record of the given entity and key, now and again once
+  // the response is sent: a write made in a transaction is only committed
+  // after invalidate() runs, and a read in between would cache the old record
+  function invalidate(req, entity, key) {
+    if (!ttlOf(entity)) {
+      return Promise.resolve();
+    }
+    const name = cacheKey(entity, key);
+    if (req.res) {
+      req.res.once('finish', () => remove(req, name));
+    }
+    return remove(req, name);
+  }
+
+  return { read, invalidate };
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     cacheControl:
+ *       in: header
+ *       name: Cache-Control
+ *       description: |
+ *         no-cache (or no-store) reads the record from the database rather than the cache. The response then
+ *         has X-Cache BYPASS, and the record read replaces the cached one.
+ *       schema:
+ *         type: string
+ *   headers:
+ *     X-Cache:
+ *       description: |
+ *         HIT when the record came from the cache, MISS when it was read from the database and cached,
+ *         BYPASS when the request asked for the database. Records are cached for a few minutes at most and
+ *         dropped from the cache by every change made through the API.
+ *       schema:
+ *         type: string
+ *         enum: [HIT, MISS, BYPASS]
+ */
+
+module.exports = { createCache, createMemoryStore, DEFAULT_TTLS, DEFAULT_MAX_ENTRIES };
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const { LEVELS } = require('./logger');
+const { DEFAULT_TTLS, DEFAULT_MAX_ENTRIES } = require('./cache');
+const { DEFAULT_MAX_ATTEMPTS, DEFAULT_RETRY_DELAY } = require('./webhooks');
+const { DEFAULT_RATES, DEFAULT_BODY_LIMITS, DEFAULT_MAX_QUEUE } = require('./limits');
+
+// Settings used when neither the config file nor the environment sets them
+const defaults = {
+  server: {
+    port: 3000,
+    requireIfMatch: false,
+    logLevel: 'info',
+    metricsToken: null,
+    bodyLimit: DEFAULT_BODY_LIMITS.default,
+    importBodyLimit: DEFAULT_BODY_LIMITS.import
+  },
+  db: {
+    driver: 'mariadb',
+    host: 'localhost',
+    port: 3306,
+    user: 'root',
+    password: 'root',
+    database: 'sample',
+    connectionLimit: 5,
+    maxQueue: DEFAULT_MAX_QUEUE,
+    ssl: {
+      enabled: false,
+      ca: null,
+      cert: null,
+      key: null,
+      rejectUnauthorized: true
+    }
+  },
+  cache: {
+    maxEntries: DEFAULT_MAX_ENTRIES,
+    ttl: { ...DEFAULT_TTLS }
+  },
+  rateLimit: {
+    enabled: true,
+    read: { ...DEFAULT_RATES.read },
+    write: { ...DEFAULT_RATES.write }
+  },
+  webhooks: {
+    pollInterval: 5,
+    maxAttempts: DEFAULT_MAX_ATTEMPTS,
+    retryDelay: DEFAULT_RETRY_DELAY
+  }
+};
+
+// Environment variables and the setting each one overrides
+const environment = {
+  PORT: 'server.port',
+  REQUIRE_IF_MATCH: 'server.requireIfMatch',
+  LOG_LEVEL: 'server.logLevel',
+  METRICS_TOKEN: 'server.metricsToken',
+  BODY_LIMIT: 'server.bodyLimit',
+  IMPORT_BODY_LIMIT: 'server.importBodyLimit',
+  DB_DRIVER: 'db.driver',
+  DB_HOST: 'db.host',
+  DB_PORT: 'db.port',
+  DB_USER: 'db.user',
+  DB_PASSWORD: 'db.password',
+  DB_NAME: 'db.database',
+  DB_CONNECTION_LIMIT: 'db.connectionLimit',
+  DB_MAX_QUEUE: 'db.maxQueue',
+  DB_SSL: 'db.ssl.enabled',
+  DB_SSL_CA: 'db.ssl.ca',
+  DB_SSL_CERT: 'db.ssl.cert',
+  DB_SSL_KEY: 'db.ssl.key',
+  DB_SSL_REJECT_UNAUTHORIZED: 'db.ssl.rejectUnauthorized',
+  CACHE_MAX_ENTRIES: 'cache.maxEntries',
+  CACHE_TTL_CUSTOMER: 'cache.ttl.customer',
+  CACHE_TTL_AGENT: 'cache.ttl.agent',
+  CACHE_TTL_COMPANY: 'cache.ttl.company',
+  RATE_LIMIT: 'rateLimit.enabled',
+  RATE_LIMIT_READ_CAPACITY: 'rateLimit.read.capacity',
+  RATE_LIMIT_READ_PER_MINUTE: 'rateLimit.read.perMinute',
+  RATE_LIMIT_WRITE_CAPACITY: 'rateLimit.write.capacity',
+  RATE_LIMIT_WRITE_PER_MINUTE: 'rateLimit.write.perMinute',
+  WEBHOOK_POLL_INTERVAL: 'webhooks.pollInterval',
+  WEBHOOK_MAX_ATTEMPTS: 'webhooks.maxAttempts',
+  WEBHOOK_RETRY_DELAY: 'webhooks.retryDelay'
+};
+
+const DRIVERS = ['mariadb', 'mysql2'];
+
+// Thrown when the configuration is invalid. problems lists every invalid setting.
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node[key], target);
+  parent[last] = value;
+}
+
+// Deep-merges the plain objects in source into target
+function merge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      target[key] !== null && typeof target[key] === 'object') {
+      merge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+function readConfigFile(file, problems) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    problems.push(`Cannot read config file ${file}: ${err.message}`);
+    return {};
+  }
+}
+
+// Environment variables are strings, file values may already be typed
+function toInteger(value, name, { min, max }, problems) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(number) || number < min || number > max) {
+    problems.push(`${name} must be an integer between ${min} and ${max}, got "${value}"`);
+  }
+  return number;
+}
+
+// A size as body-parser takes it, like 100kb or 5mb
+function toSize(value, name, problems) {
+  const size = String(value).trim().toLowerCase();
+  if (!/^\d+(b|kb|mb)$/.test(size)) {
+    problems.push(`${name} must be a size like 100kb or 5mb, got "${value}"`);
+  }
+  return size;
+}
+
+function toBoolean(value, name, problems) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) {
+    return true;
+  }
+  if (['false', '0', 'no', ''].includes(text)) {
+    return false;
+  }
+  problems.push(`${name} must be true or false, got "${value}"`);
+  return false;
+}
+
+// The TLS settings name PEM files, which are read here so that a missing
+// file shows up at startup rather than on the first connection
+function readPem(file, name, problems) {
+  if (!file) {
+    return undefined;
+  }
+  try {
+    return fs.readFileSync(path.resolve(file), 'utf8');
+  } catch (err) {
+    problems.push(`${name}: cannot read ${file}: ${err.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Loads the configuration from the defaults, an optional JSON config file and
+ * the environment, in increasing order of precedence. The config file is the
+ * one named by CONFIG_FILE, or config.json in the project root when present.
+ *
+ * Returns { server: { port, requireIfMatch, logLevel, metricsToken, bodyLimits }, db: { driver, host, port, user,
+ * password, database, connectionLimit, maxQueue, ssl }, cache: { maxEntries, ttls }, rateLimit,
+ * webhooks: { pollInterval, maxAttempts, retryDelay } } where
+ * server.metricsToken is null or the bearer token scrapes of /metrics must
+ * send (see routes/metrics.js), db.ssl is false
+ * or the TLS options for the driver, cache.ttls the seconds the records of
+ * each entity are cached (see cache.js), rateLimit false or the { read,
+ * write } rates of the rate limiter (see limits.js), and
+ * webhooks.pollInterval the seconds between two runs of the webhook
+ * dispatcher, 0 for none (see webhooks.js). Throws a ConfigError listing
+ * every invalid setting.
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  const settings = merge({}, defaults);
+
+  const configFile = env.CONFIG_FILE || path.join(__dirname, 'config.json');
+  if (env.CONFIG_FILE || fs.existsSync(configFile)) {
+    merge(settings, readConfigFile(configFile, problems));
+  }
+
+  for (const [name, keyPath] of Object.entries(environment)) {
+    if (env[name] !== undefined) {
+      setPath(settings, keyPath, env[name]);
+    }
+  }
+
+  const { server, db, cache, rateLimit, webhooks } = settings;
+
+  if (!Object.keys(LEVELS).includes(server.logLevel)) {
+    problems.push(`server.logLevel (LOG_LEVEL) must be one of ${Object.keys(LEVELS).join(', ')}, got "${server.logLevel}"`);
+  }
+  if (!DRIVERS.includes(db.driver)) {
+    problems.push(`db.driver (DB_DRIVER) must be one of ${DRIVERS.join(', ')}, got "${db.driver}"`);
+  }
+  for (const [key, name] of [['host', 'DB_HOST'], ['user', 'DB_USER'], ['database', 'DB_NAME']]) {
+    if (typeof db[key] !== 'string' || db[key].trim() === '') {
+      problems.push(`db.${key} (${name}) is required`);
+    }
+  }
+  // An empty METRICS_TOKEN is no token, like an unset one
+  if (server.metricsToken && typeof server.metricsToken !== 'string') {
+    problems.push('server.metricsToken (METRICS_TOKEN) must be a string or null');
+  }
+  if (typeof db.password !== 'string') {
+    problems.push('db.password (DB_PASSWORD) must be a string');
+  }
+
+  const config = {
+    server: {
+      port: toInteger(server.port, 'server.port (PORT)', { min: 1, max: 65535 }, problems),
+      requireIfMatch: toBoolean(server.requireIfMatch, 'server.requireIfMatch (REQUIRE_IF_MATCH)', problems),
+      logLevel: server.logLevel,
+      metricsToken: server.metricsToken || null,
+      bodyLimits: {
+        default: toSize(server.bodyLimit, 'server.bodyLimit (BODY_LIMIT)', problems),
+        import: toSize(server.importBodyLimit, 'server.importBodyLimit (IMPORT_BODY_LIMIT)', problems)
+      }
+    },
+    db: {
+      driver: db.driver,
+      host: db.host,
+      port: toInteger(db.port, 'db.port (DB_PORT)', { min: 1, max: 65535 }, problems),
+      user: db.user,
+      password: db.password,
+      database: db.database,
+      connectionLimit: toInteger(db.connectionLimit, 'db.connectionLimit (DB_CONNECTION_LIMIT)', { min: 1, max: 1000 }, problems),
+      maxQueue: toInteger(db.maxQueue, 'db.maxQueue (DB_MAX_QUEUE)', { min: 0, max: 100000 }, problems),
+      ssl: false
+    },
+    cache: {
+      maxEntries: toInteger(cache.maxEntries, 'cache.maxEntries (CACHE_MAX_ENTRIES)', { min: 1, max: 1000000 }, problems),
+      ttls: Object.fromEntries(Object.keys(DEFAULT_TTLS).map((entity) => [entity, toInteger(cache.ttl[entity],
+        `cache.ttl.${entity} (CACHE_TTL_${entity.toUpperCase()})`, { min: 0, max: 86400 }, problems)]))
+    },
+    rateLimit: false,
+    webhooks: {
+      pollInterval: toInteger(webhooks.pollInterval, 'webhooks.pollInterval (WEBHOOK_POLL_INTERVAL)', { min: 0, max: 3600 }, problems),
+      maxAttempts: toInteger(webhooks.maxAttempts, 'webhooks.maxAttempts (WEBHOOK_MAX_ATTEMPTS)', { min: 1, max: 100 }, problems),
+      retryDelay: toInteger(webhooks.retryDelay, 'webhooks.retryDelay (WEBHOOK_RETRY_DELAY)', { min: 1, max: 86400 }, problems)
+    }
+  };
+
+  if (toBoolean(rateLimit.enabled, 'rateLimit.enabled (RATE_LIMIT)', problems)) {
+    config.rateLimit = Object.fromEntries(['read', 'write'].map((kind) => {
+      const variable = `RATE_LIMIT_${kind.toUpperCase()}`;
+      return [kind, {
+        capacity: toInteger(rateLimit[kind].capacity, `rateLimit.${kind}.capacity (${variable}_CAPACITY)`, { min: 1, max: 1000000 }, problems),
+        perMinute: toInteger(rateLimit[kind].perMinute, `rateLimit.${kind}.perMinute (${variable}_PER_MINUTE)`, { min: 1, max: 1000000 }, problems)
+      }];
+    }));
+  }
+
+  if (toBoolean(db.ssl.enabled, 'db.ssl.enabled (DB_SSL)', problems)) {
+    config.db.ssl = {
+      ca: readPem(db.ssl.ca, 'db.ssl.ca (DB_SSL_CA)', problems),
+      cert: readPem(db.ssl.cert, 'db.ssl.cert (DB_SSL_CERT)', problems),
+      key: readPem(db.ssl.key, 'db.ssl.key (DB_SSL_KEY)', problems),
+      rejectUnauthorized: toBoolean(db.ssl.rejectUnauthorized, 'db.ssl.rejectUnauthorized (DB_SSL_REJECT_UNAUTHORIZED)', problems)
+    };
+    if (Boolean(config.db.ssl.cert) !== Boolean(config.db.ssl.key)) {
+      problems.push('db.ssl.cert (DB_SSL_CERT) and db.ssl.key (DB_SSL_KEY) must be set together');
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return config;
+}
+
+module.exports = { loadConfig, ConfigError };
@@ -0,0 +1,21 @@
+const { toCents, fromCents } = require('./money');
+
+// Checks what the validators of a single field can't: that the balances of a
+// new customer add up the way ledger postings keep them, OUTSTANDING_AMT =
+// OPENING_AMT + RECEIVE_AMT - PAYMENT_AMT. Returns the problems, like
+// validation.checkValues(). Customers created through POST /customer, the
+// import and GraphQL are checked the same way.
+function checkBalances(customer) {
+  const { OPENING_AMT, RECEIVE_AMT, PAYMENT_AMT, OUTSTANDING_AMT } = customer;
+  const outstanding = toCents(OPENING_AMT) + toCents(RECEIVE_AMT) - toCents(PAYMENT_AMT);
+  if (toCents(OUTSTANDING_AMT) !== outstanding) {
+    return [{
+      path: 'OUTSTANDING_AMT',
+      msg: `must be OPENING_AMT + RECEIVE_AMT - PAYMENT_AMT, ${fromCents(outstanding)}`,
+      value: OUTSTANDING_AMT
+    }];
+  }
+  return [];
+}
+
+module.exports = { checkBalances };
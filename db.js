@@ -0,0 +1,79 @@
+const mariadb = require('mariadb'); // MariaDB library
+const mysql = require('mysql2/promise'); // MySQL library
+
+// mysql2 resolves query() with [rows, fields] where mariadb resolves with the
+// rows (or the OkPacket of a write). This wraps a mysql2 connection so the
+// route handlers can use either driver the same way. onRelease is called
+// when the connection is first released.
+function wrapMysqlConnection(conn, onRelease) {
+  let released = false;
+  return {
+    query: async (sql, values) => {
+      const [result] = await conn.query(sql, values);
+      return result;
+    },
+    queryStream: (sql, values) => conn.connection.query(sql, values).stream(),
+    beginTransaction: () => conn.beginTransaction(),
+    commit: () => conn.commit(),
+    rollback: () => conn.rollback(),
+    release: () => {
+      if (!released) {
+        released = true;
+        onRelease();
+      }
+      return conn.release();
+    }
+  };
+}
+
+/**
+ * Creates the connection pool for the configured driver. The pool has
+ * getConnection(), end(), activeConnections(), idleConnections() and
+ * taskQueueSize() (requests waiting for a connection); connections have
+ * query(sql, values), queryStream(sql, values), beginTransaction(), commit(),
+ * rollback() and release() with the semantics of the mariadb driver.
+ */
+function createPool(dbConfig) {
+  // maxQueue is the app's limit, see limits.js
+  const { driver, ssl, maxQueue, ...options } = dbConfig;
+
+  // DATE and DATETIME values are passed through as the strings MariaDB
+  // stores ('2008-01-08'), not converted to Dates in the server's timezone
+  options.dateStrings = true;
+  if (ssl) {
+    options.ssl = ssl;
+  }
+
+  if (driver === 'mysql2') {
+    const pool = mysql.createPool(options);
+    // mysql2 has no API for the state of the pool, so the requests waiting
+    // for a connection and the connections handed out are counted here
+    let waiting = 0;
+    let active = 0;
+    return {
+      getConnection: async () => {
+        waiting += 1;
+        let conn;
+        try {
+          conn = await pool.getConnection();
+        } finally {
+          waiting -= 1;
+        }
+        active += 1;
+        return wrapMysqlConnection(conn, () => {
+          active -= 1;
+        });
+      },
+      activeConnections: () => active,
+      // Only the private queue of mysql2 knows which connections are still
+      // open, test/db.test.js fails when it goes
+      idleConnections: () => pool.pool._freeConnections.length,
+      taskQueueSize: () => waiting,
+      end: () => pool.end()
+    };
+  }
+
+  return mariadb.createPool(options);
+}
+
+module.exports = { createPool };
@@ -0,0 +1,349 @@
+const {
+  GraphQLSchema, GraphQLObjectType, GraphQLInputObjectType, GraphQLNonNull, GraphQLList,
+  GraphQLString, GraphQLInt, GraphQLError
+} = require('graphql');
+const { tables } = require('./schema');
+const { parseListQuery, restrictList, DEFAULT_LIMIT, MAX_LIMIT } = require('./list');
+const { customerScope, sameAgent } = require('./auth');
+const { etagOf } = require('./preconditions');
+const { checkOrder, checkDespatched } = require('./orderChecks');
+const { checkBalances } = require('./customerChecks');
+const { trackOrder } = require('./webhooks');
+
+// The types of the API and the table each mirrors. single and plural name
+// the queries of one record and of a page of them; loader is the loader of
+// loaders.js that finds a record by its key. Records of audited entities are
+// written through the audit trail, with their ETag, and only the writers
+// roles can create and update records. check is the check of a whole record
+// the validation of single fields can't make, checkCreate the same for new
+// records only, and track writes the records of entities that aren't audited
+// when their changes are published to the webhooks (see webhooks.js).
+// checkLocked(repositories, key, changes) checks updates against other tables
+// in the transaction of track, with the record locked.
+const entities = {
+  Customer: { repository: 'customers', single: 'customer', plural: 'customers', loader: 'customer', audited: 'customer', writers: ['admin', 'agent'], checkCreate: checkBalances },
+  Agent: { repository: 'agents', single: 'agent', plural: 'agents', loader: 'agent', audited: 'agent', writers: ['admin'] },
+  Company: { repository: 'companies', single: 'company', plural: 'companies', loader: 'company', audited: 'company', writers: ['admin'] },
+  Food: { repository: 'foods', single: 'food', plural: 'foods', loader: 'food', writers: ['admin'] },
+  Order: { repository: 'orders', single: 'order', plural: 'orders', loader: 'order', writers: ['admin'], check: checkOrder, track: trackOrder, checkLocked: checkDespatched }
+};
+
+// Errors the client can act on carry a code in their extensions, like the
+// status of the REST routes
+function clientError(message, code, extensions = {}) {
+  return new GraphQLError(message, { extensions: { code, ...extensions } });
+}
+
+// Whole numbers are Ints; DECIMAL amounts are Strings, as the REST API sends
+// them, so they keep their exact value
+function scalarOf(spec) {
+  return spec.type === 'int' || (spec.type === 'decimal' && spec.scale === 0) ? GraphQLInt : GraphQLString;
+}
+
+function checkPage(limit, offset) {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw clientError(`limit must be between 1 and ${MAX_LIMIT}`, 'BAD_USER_INPUT');
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw clientError('offset cannot be negative', 'BAD_USER_INPUT');
+  }
+}
+
+// The arguments of the fields that answer a page of records
+const pageArgs = {
+  limit: { type: GraphQLInt, defaultValue: DEFAULT_LIMIT },
+  offset: { type: GraphQLInt, defaultValue: 0 }
+};
+
+// A page of the records of a relation, all of which the loader found
+function pageOf(records, { limit, offset }) {
+  checkPage(limit, offset);
+  return { total: records.length, limit, offset, data: records.slice(offset, offset + limit) };
+}
+
+// Agents only see their own customers, like in the REST API
+function visibleCustomer(req, customer) {
+  if (customer && req.user.ROLE === 'agent' && !sameAgent(customer.AGENT_CODE, req.user.AGENT_CODE)) {
+    return null;
+  }
+  return customer;
+}
+
+/**
+ * Creates the GraphQL schema of customers, agents, companies, food items and
+ * orders. Records are read through the loaders of the request (see
+ * loaders.js), which batch the lookups of nested relations into one query
+ * per relation and level. Mutations are checked with the given validation,
+ * the same rules as the REST routes, and customers, agents and companies
+ * are written through the given audit and preconditions.
+ *
+ * Resolvers get the context { req, loaders } of the request.
+ */
+function createGraphqlSchema({ repositories, validation, audit, preconditions }) {
+  const types = {};
+  const page = (name) => types[`${name}Page`];
+
+  // The columns of a table as fields of its type, output or input
+  function columnFields(name, { input = false, update = false, except = [] } = {}) {
+    return Object.fromEntries(Object.entries(tables[entities[name].repository].columns)
+      .filter(([column, spec]) => !except.includes(column) && !(input && spec.generated) && !(update && spec.createOnly))
+      .map(([column, spec]) => {
+        const type = input || spec.nullable ? scalarOf(spec) : new GraphQLNonNull(scalarOf(spec));
+        return [column, { type, description: spec.description }];
+      }));
+  }
+
+  // The relations between the types, by type
+  const relations = {
+    Customer: {
+      agent: {
+        type: () => types.Agent,
+        resolve: (customer, args, { loaders }) => (customer.AGENT_CODE ? loaders.agent.load(customer.AGENT_CODE) : null)
+      },
+      orders: {
+        type: () => new GraphQLNonNull(page('Order')),
+        args: pageArgs,
+        resolve: async (customer, args, { loaders }) => pageOf(await loaders.ordersOfCustomer.load(customer.CUST_CODE), args)
+      }
+    },
+    Agent: {
+      customers: {
+        type: () => new GraphQLNonNull(page('Customer')),
+        args: pageArgs,
+        resolve: async (agent, args, { req, loaders }) => {
+          const customers = await loaders.customersOfAgent.load(agent.AGENT_CODE);
+          return pageOf(customers.filter((customer) => visibleCustomer(req, customer)), args);
+        }
+      },
+      orders: {
+        type: () => new GraphQLNonNull(page('Order')),
+        args: pageArgs,
+        resolve: async (agent, args, { loaders }) => pageOf(await loaders.ordersOfAgent.load(agent.AGENT_CODE), args)
+      }
+    },
+    Company: {
+      foods: {
+        type: () => new GraphQLNonNull(page('Food')),
+        args: pageArgs,
+        resolve: async (company, args, { loaders }) => pageOf(await loaders.foodsOfCompany.load(company.COMPANY_ID), args)
+      }
+    },
+    Food: {
+      company: {
+        type: () => types.Company,
+        resolve: (food, args, { loaders }) => (food.COMPANY_ID ? loaders.company.load(food.COMPANY_ID) : null)
+      }
+    },
+    Order: {
+      customer: {
+        type: () => types.Customer,
+        resolve: async (order, args, { req, loaders }) => visibleCustomer(req, await loaders.customer.load(order.CUST_CODE))
+      },
+      agent: {
+        type: () => types.Agent,
+        resolve: (order, args, { loaders }) => loaders.agent.load(order.AGENT_CODE)
+      }
+    }
+  };
+
+  for (const [name, entity] of Object.entries(entities)) {
+    const { component } = tables[entity.repository];
+    const keyColumn = repositories[entity.repository].key;
+
+    types[name] = new GraphQLObjectType({
+      name,
+      description: `A row of ${tables[entity.repository].table}, see the ${component} schema of the REST API`,
+      fields: () => ({
+        ...columnFields(name),
+        ...(entity.audited ? {
+          etag: {
+            type: new GraphQLNonNull(GraphQLString),
+            description: `The ETag GET /${entity.audited}/{id} answers with, for the ifMatch argument of update${name}`,
+            resolve: (record) => etagOf(record)
+          }
+        } : {}),
+        ...Object.fromEntries(Object.entries(relations[name]).map(([field, relation]) => [field, { ...relation, type: relation.type() }]))
+      })
+    });
+
+    types[`${name}Page`] = new GraphQLObjectType({
+      name: `${name}Page`,
+      fields: () => ({
+        total: { type: new GraphQLNonNull(GraphQLInt) },
+        limit: { type: new GraphQLNonNull(GraphQLInt) },
+        offset: { type: new GraphQLNonNull(GraphQLInt) },
+        data: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(types[name]))) }
+      })
+    });
+
+    types[`${name}Filter`] = new GraphQLInputObjectType({
+      name: `${name}Filter`,
+      description: 'Only records whose columns equal these values',
+      fields: Object.fromEntries(Object.keys(tables[entity.repository].columns).map((column) => [column, { type: GraphQLString }]))
+    });
+
+    types[`${name}Input`] = new GraphQLInputObjectType({
+      name: `${name}Input`,
+      description: `A new ${name.toLowerCase()}, checked like the body of POST /${entity.single}`,
+      fields: columnFields(name, { input: true })
+    });
+
+    types[`${name}Patch`] = new GraphQLInputObjectType({
+      name: `${name}Patch`,
+      description: 'The fields to change, checked like a merge patch; null clears a field',
+      fields: columnFields(name, { input: true, update: true, except: [keyColumn] })
+    });
+  }
+
+  function checkWriter(name, req) {
+    if (!entities[name].writers.includes(req.user.ROLE)) {
+      throw clientError('Forbidden', 'FORBIDDEN');
+    }
+  }
+
+  // Customers are the only records agents may write, and only their own
+  function checkCustomerAccess(name, req, values, existing) {
+    const { ROLE, AGENT_CODE } = req.user;
+    if (name !== 'Customer' || ROLE !== 'agent') {
+      return;
+    }
+    if (existing && !sameAgent(existing.AGENT_CODE, AGENT_CODE)) {
+      throw clientError('Customer belongs to another agent', 'FORBIDDEN');
+    }
+    if (values.AGENT_CODE !== undefined && !sameAgent(values.AGENT_CODE, AGENT_CODE)) {
+      throw clientError('Agents can only assign customers to themselves', 'FORBIDDEN');
+    }
+  }
+
+  async function checkValues(name, values, options) {
+    const { repository, check } = entities[name];
+    const problems = await validation.checkValues(repository, values, options);
+    if (problems.length === 0 && check) {
+      problems.push(...check(values));
+    }
+    if (problems.length > 0) {
+      throw clientError('The input is invalid, see errors', 'BAD_USER_INPUT', { errors: problems });
+    }
+  }
+
+  const queryFields = {};
+  const mutationFields = {};
+
+  for (const [name, entity] of Object.entries(entities)) {
+    const repository = repositories[entity.repository];
+    const keyColumn = repository.key;
+    const keyType = scalarOf(tables[entity.repository].columns[keyColumn]);
+    const visible = name === 'Customer' ? visibleCustomer : (req, record) => record;
+
+    queryFields[entity.single] = {
+      type: types[name],
+      args: { [keyColumn]: { type: new GraphQLNonNull(keyType) } },
+      resolve: async (root, args, { req, loaders }) => visible(req, await loaders[entity.loader].load(args[keyColumn]))
+    };
+
+    queryFields[entity.plural] = {
+      type: new GraphQLNonNull(page(name)),
+      description: `A page of ${entity.plural}, sorted like the sort parameter of GET /${entity.single} (e.g. -${keyColumn})`,
+      args: { ...pageArgs, sort: { type: GraphQLString }, filter: { type: types[`${name}Filter`] } },
+      resolve: async (root, { limit, offset, sort, filter }, { req }) => {
+        checkPage(limit, offset);
+        // Every column is read, so that records are the same as GET answers
+        // and have the same ETag
+        const list = parseListQuery(
+          { ...filter, sort, limit, offset, fields: repository.allColumns.join(',') },
+          repository.allColumns,
+          keyColumn
+        );
+        if (list.errors) {
+          throw clientError('The arguments are invalid, see errors', 'BAD_USER_INPUT', { errors: list.errors });
+        }
+        if (name === 'Customer') {
+          restrictList(list, customerScope(req));
+        }
+        if (tables[entity.repository].softDelete) {
+          restrictList(list, { where: 'DELETED_AT IS NULL', values: [] });
+        }
+
+        const { total, rows } = await repository.list(list);
+        return { total, limit, offset, data: rows };
+      }
+    };
+
+    mutationFields[`create${name}`] = {
+      type: new GraphQLNonNull(types[name]),
+      args: { input: { type: new GraphQLNonNull(types[`${name}Input`]) } },
+      resolve: async (root, { input }, { req }) => {
+        checkWriter(name, req);
+        const values = { ...input };
+        if (name === 'Customer' && req.user.ROLE === 'agent' && values.AGENT_CODE === undefined) {
+          values.AGENT_CODE = req.user.AGENT_CODE;
+        }
+        checkCustomerAccess(name, req, values);
+        await checkValues(name, values);
+        const problems = entity.checkCreate ? entity.checkCreate(values) : [];
+        if (problems.length > 0) {
+          throw clientError('The input is invalid, see errors', 'BAD_USER_INPUT', { errors: problems });
+        }
+
+        const key = values[keyColumn];
+        if (await repository.exists(key)) {
+          throw clientError(`${name} already exists`, 'CONFLICT');
+        }
+
+        if (entity.audited) {
+          await audit.track(repositories, req, entity.audited, key, (tx) => tx[entity.repository].insert(values));
+        } else if (entity.track) {
+          await entity.track(repositories, req, key, (tx) => tx[entity.repository].insert(values));
+        } else {
+          await repository.insert(values);
+        }
+        return repository.find(key);
+      }
+    };
+
+    mutationFields[`update${name}`] = {
+      type: new GraphQLNonNull(types[name]),
+      args: {
+        [keyColumn]: { type: new GraphQLNonNull(keyType) },
+        input: { type: new GraphQLNonNull(types[`${name}Patch`]) },
+        ...(entity.audited ? { ifMatch: { type: GraphQLString, description: `The etag of the ${name.toLowerCase()} as last read` } } : {})
+      },
+      resolve: async (root, { [keyColumn]: key, input, ifMatch }, { req }) => {
+        checkWriter(name, req);
+        const existing = await repository.find(key);
+        if (!existing) {
+          throw clientError(`${name} not found`, 'NOT_FOUND');
+        }
+        const changes = { ...input };
+        checkCustomerAccess(name, req, changes, existing);
+        await checkValues(name, entity.check ? { ...existing, ...changes } : changes, { only: Object.keys(changes), partial: true });
+
+        if (Object.keys(changes).length > 0) {
+          if (entity.audited) {
+            await preconditions.track(req, entity.audited, key, (tx) => tx[entity.repository].update(key, changes), {
+              ifMatch: ifMatch === null ? undefined : ifMatch
+            });
+          } else if (entity.track) {
+            await entity.track(repositories, req, key, async (tx) => {
+              const problems = entity.checkLocked ? await entity.checkLocked(tx, key, changes) : [];
+              if (problems.length > 0) {
+                throw clientError('The input is invalid, see errors', 'BAD_USER_INPUT', { errors: problems });
+              }
+              return tx[entity.repository].update(key, changes);
+            });
+          } else {
+            await repository.update(key, changes);
+          }
+        }
+        return repository.find(key);
+      }
+    };
+  }
+
+  return new GraphQLSchema({
+    query: new GraphQLObjectType({ name: 'Query', fields: queryFields }),
+    mutation: new GraphQLObjectType({ name: 'Mutation', fields: mutationFields })
+  });
+}
+
+module.exports = { createGraphqlSchema };
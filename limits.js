@@ -0,0 +1,196 @@
+const { problem } = require('./problem');
+
+// Requests per client when no rates are configured: capacity is the burst a
+// client can send at once, perMinute the rate its bucket refills at
+const DEFAULT_RATES = {
+  read: { capacity: 120, perMinute: 1200 },
+  write: { capacity: 30, perMinute: 300 }
+};
+
+// Buckets kept at most, the least recently used one is dropped beyond that
+const DEFAULT_MAX_CLIENTS = 10000;
+
+// Largest request body of each route, the default one for the others
+const DEFAULT_BODY_LIMITS = {
+  default: '100kb',
+  import: '5mb'
+};
+
+// Requests are turned away while more than this many wait for a connection
+const DEFAULT_MAX_QUEUE = 20;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const kindOf = (req) => (READ_METHODS.includes(req.method) ? 'read' : 'write');
+
+/**
+ * Creates the rate limiter of the app: every client has a token bucket for
+ * reads (GET, HEAD and OPTIONS) and one for writes (the other methods), of
+ * the given { capacity, perMinute }. A request takes a token from its bucket,
+ * or is answered 429 with Retry-After when the bucket is empty, and buckets
+ * refill continuously at perMinute tokens a minute up to capacity.
+ *
+ * Authenticated requests are counted against their user by limit(), which
+ * runs after authentication. Requests that fail authentication, or send no
+ * API key, are counted against their address by limitUnauthenticated(),
+ * which runs before it: once the address has no tokens left, its requests
+ * are refused before their key is looked up, so made-up keys can't keep the
+ * users table busy or get a fresh bucket each. Only the requests answered
+ * 401 take a token of the address, so clients sharing one behind NAT or a
+ * proxy aren't limited by each other's authenticated requests.
+ *
+ * Buckets are kept in memory, so every server of the API counts on its own.
+ */
+function createRateLimiter({ read = DEFAULT_RATES.read, write = DEFAULT_RATES.write, maxClients = DEFAULT_MAX_CLIENTS, now = Date.now } = {}) {
+  const rates = { read, write };
+  // Map iterates in insertion order, so the first bucket is the least recently used
+  const buckets = new Map();
+
+  // The bucket of the key refilled up to now, as the most recently used one
+  function refill(key, { capacity, perMinute }) {
+    const time = now();
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: time };
+    buckets.delete(key);
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (time - bucket.updatedAt) * perMinute / 60000);
+    bucket.updatedAt = time;
+
+    buckets.set(key, bucket);
+    if (buckets.size > maxClients) {
+      buckets.delete(buckets.keys().next().value);
+    }
+    return bucket;
+  }
+
+  // Takes a token from the bucket of the key, if it has one, or only looks
+  // with peek. Returns whether it had one, the tokens left, and the seconds
+  // until the bucket has a token again and until it is full.
+  function take(key, rate, { peek = false } = {}) {
+    const bucket = refill(key, rate);
+    const allowed = bucket.tokens >= 1;
+    if (allowed && !peek) {
+      bucket.tokens -= 1;
+    }
+
+    const perSecond = rate.perMinute / 60;
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      retryAfter: Math.ceil((1 - bucket.tokens) / perSecond),
+      reset: Math.ceil((rate.capacity - bucket.tokens) / perSecond)
+    };
+  }
+
+  // Sets the RateLimit headers of the bucket, answering 429 when it was empty
+  function answer(req, res, next, kind, { allowed, remaining, retryAfter, reset }) {
+    const rate = rates[kind];
+    res.set({
+      'RateLimit-Limit': String(rate.capacity),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(reset),
+      'RateLimit-Policy': `${rate.capacity};w=${Math.ceil(rate.capacity / rate.perMinute * 60)}`
+    });
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfter));
+      return problem(res, 429, `Too many ${kind} requests, retry in ${retryAfter} seconds`);
+    }
+    next();
+  }
+
+  // Middleware counting an authenticated request against its user
+  function limit(req, res, next) {
+    const kind = kindOf(req);
+    answer(req, res, next, kind, take(`${kind}:user:${req.user.USER_ID}`, rates[kind]));
+  }
+
+  // Middleware refusing the requests of an address that has no tokens left.
+  // A token is only taken once the request is answered 401, so that requests
+  // failing authentication use them up and authenticated ones don't.
+  function limitUnauthenticated(req, res, next) {
+    const kind = kindOf(req);
+    const key = `${kind}:ip:${req.ip}`;
+    const state = take(key, rates[kind], { peek: true });
+    if (!state.allowed) {
+      return answer(req, res, next, kind, state);
+    }
+
+    res.once('finish', () => {
+      if (res.statusCode === 401) {
+        take(key, rates[kind]);
+      }
+    });
+    next();
+  }
+
+  return { limit, limitUnauthenticated, size: () => buckets.size };
+}
+
+// Middleware answering 503 while more than maxQueue requests wait for a
+// connection of the pool, rather than adding to the queue
+function createPoolGuard(pool, { maxQueue = DEFAULT_MAX_QUEUE } = {}) {
+  return (req, res, next) => {
+    if (pool.taskQueueSize() > maxQueue) {
+      req.log.warn({ queued: pool.taskQueueSize(), maxQueue }, 'Database busy, request refused');
+      res.set('Retry-After', '1');
+      return problem(res, 503, 'The database is busy, retry in a moment');
+    }
+    next();
+  };
+}
+
+/**
+ * @swagger
+ * components:
+ *   headers:
+ *     RateLimit-Limit:
+ *       description: Requests the client can make at once, per kind (reads, or writes)
+ *       schema:
+ *         type: integer
+ *     RateLimit-Remaining:
+ *       description: Requests of this kind the client can still make right now
+ *       schema:
+ *         type: integer
+ *     RateLimit-Reset:
+ *       description: Seconds until the client can make RateLimit-Limit requests again
+ *       schema:
+ *         type: integer
+ *     RateLimit-Policy:
+ *       description: The limit and, as w, the seconds its requests are refilled in (e.g. 30;w=6)
+ *       schema:
+ *         type: string
+ *     Retry-After:
+ *       description: Seconds to wait before retrying
+ *       schema:
+ *         type: integer
+ *   responses:
+ *     TooManyRequests:
+ *       description: |
+ *         The client, as identified by its API key, made too many requests, or too many requests that
+ *         failed authentication came from its address. Reads (GET, HEAD and OPTIONS) and writes are
+ *         limited separately; every authenticated answer carries the RateLimit headers of its kind.
+ *       headers:
+ *         Retry-After:
+ *           $ref: '#/components/headers/Retry-After'
+ *       content:
+ *         application/problem+json:
+ *           schema:
+ *             $ref: '#/components/schemas/Problem'
+ *     ServiceUnavailable:
+ *       description: Too many requests are waiting for the database, retry after Retry-After
+ *       headers:
+ *         Retry-After:
+ *           $ref: '#/components/headers/Retry-After'
+ *       content:
+ *         application/problem+json:
+ *           schema:
+ *             $ref: '#/components/schemas/Problem'
+ */
+
+module.exports = {
+  createRateLimiter,
+  createPoolGuard,
+  DEFAULT_RATES,
+  DEFAULT_MAX_CLIENTS,
+  DEFAULT_BODY_LIMITS,
+  DEFAULT_MAX_QUEUE
+};
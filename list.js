@@ -0,0 +1,231 @@
+const { query, validationResult } = require('express-validator'); // Validation
+const { validationProblem } = require('./problem');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Operators accepted as COLUMN[op]=value
+const filterOperators = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE' };
+
+// Turns one query string entry into a filter. Besides COLUMN=value and
+// COLUMN[op]=value, this accepts the shorthand COLUMN>=value, COLUMN<=value
+// and COLUMN!=value, which the query parser hands over as a key ending in
+// '>', '<' or '!', and COLUMN>value / COLUMN<value, which arrive as a key
+// with an empty value.
+function parseFilter(key, value) {
+  let match = /^([A-Z_]+)([<>])([^=]+)$/.exec(key);
+  if (match && value === '') {
+    return { column: match[1], operator: match[2], value: match[3] };
+  }
+
+  match = /^([A-Z_]+)([<>!]?)$/.exec(key);
+  if (!match) {
+    return null;
+  }
+
+  const [, column, suffix] = match;
+  if (suffix) {
+    return { column, operator: { '>': '>=', '<': '<=', '!': '<>' }[suffix], value };
+  }
+  if (Array.isArray(value)) {
+    return { column, operator: 'IN', value };
+  }
+  if (value !== null && typeof value === 'object') {
+    const [name] = Object.keys(value);
+    return { column, operator: filterOperators[name], value: value[name] };
+  }
+  return { column, operator: '=', value };
+}
+
+// Builds the WHERE, ORDER BY, column list and paging of a list query from
+// req.query. Only the given columns may be used. Returns { errors } when the
+// query string asks for something that is not allowed.
+function parseListQuery(reqQuery, columns, defaultSort) {
+  const errors = [];
+  const where = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(reqQuery)) {
+    const filter = parseFilter(key, value);
+    if (!filter) {
+      continue;
+    }
+    if (!columns.includes(filter.column)) {
+      errors.push(`Cannot filter on ${filter.column}`);
+    } else if (!filter.operator || (typeof filter.value !== 'string' && filter.operator !== 'IN')) {
+      errors.push(`Invalid filter for ${filter.column}`);
+    } else if (filter.operator === 'IN') {
+      where.push(`${filter.column} IN (${filter.value.map(() => '?').join(', ')})`);
+      values.push(...filter.value);
+    } else {
+      where.push(`${filter.column} ${filter.operator} ?`);
+      values.push(filter.value);
+    }
+  }
+
+  const order = [];
+  for (const entry of String(reqQuery.sort || defaultSort).split(',')) {
+    const column = entry.replace(/^[-+]/, '');
+    if (!columns.includes(column)) {
+      errors.push(`Cannot sort on ${column}`);
+    } else {
+      order.push(`${column} ${entry.startsWith('-') ? 'DESC' : 'ASC'}`);
+    }
+  }
+
+  const fields = reqQuery.fields ? String(reqQuery.fields).split(',') : columns;
+  for (const field of fields) {
+    if (!columns.includes(field)) {
+      errors.push(`Unknown field ${field}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    where: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '',
+    values,
+    order: `ORDER BY ${order.join(', ')}`,
+    fields: fields.join(', '),
+    columns: fields,
+    limit: reqQuery.limit ? parseInt(reqQuery.limit, 10) : DEFAULT_LIMIT,
+    offset: reqQuery.offset ? parseInt(reqQuery.offset, 10) : 0
+  };
+}
+
+// Adds a { where, values } condition from a scope function to a parsed list query
+function restrictList(list, restriction) {
+  if (restriction) {
+    list.where = list.where ? `${list.where} AND ${restriction.where}` : `WHERE ${restriction.where}`;
+    list.values.push(...restriction.values);
+  }
+}
+
+// Builds the next/prev links of a list response by rewriting the offset of
+// the current URL
+function pageLinks(req, total, limit, offset) {
+  const link = (newOffset) => {
+    const url = new URL(req.originalUrl, 'http://localhost');
+    url.searchParams.set('limit', limit);
+    url.searchParams.set('offset', newOffset);
+    return `${url.pathname}${url.search}`;
+  };
+
+  return {
+    self: link(offset),
+    next: offset + limit < total ? link(offset + limit) : null,
+    prev: offset > 0 ? link(Math.max(offset - limit, 0)) : null
+  };
+}
+
+// Validators shared by the list endpoints
+const listValidators = [
+  query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }),
+  query('offset').optional().isInt({ min: 0 }),
+  query('sort').optional().isString(),
+  query('fields').optional().isString()
+];
+
+// Creates the handler of a list endpoint for the table of the given
+// repository, whose columns can be filtered, sorted and selected. Each
+// scope(req) returns an extra { where, values } condition (or null) the
+// caller can't lift.
+function listHandler(repository, defaultSort, ...scopes) {
+  return async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    const list = parseListQuery(req.query, repository.columns, defaultSort);
+    if (list.errors) {
+      return validationProblem(res, list.errors);
+    }
+
+    for (const scope of scopes) {
+      restrictList(list, scope(req));
+    }
+
+    try {
+      const { total, rows } = await repository.list(list);
+
+      res.json({
+        total,
+        limit: list.limit,
+        offset: list.offset,
+        data: rows,
+        links: pageLinks(req, total, list.limit, list.offset)
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     limit:
+ *       in: query
+ *       name: limit
+ *       description: Number of records to return (1-100, default 20)
+ *       schema:
+ *         type: integer
+ *     offset:
+ *       in: query
+ *       name: offset
+ *       description: Number of records to skip
+ *       schema:
+ *         type: integer
+ *     sort:
+ *       in: query
+ *       name: sort
+ *       description: Comma separated columns to sort by, prefix a column with - for descending order (e.g. CUST_COUNTRY,-GRADE)
+ *       schema:
+ *         type: string
+ *     fields:
+ *       in: query
+ *       name: fields
+ *       description: Comma separated columns to return
+ *       schema:
+ *         type: string
+ *   schemas:
+ *     ListResponse:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *           description: Number of records matching the filters
+ *         limit:
+ *           type: integer
+ *         offset:
+ *           type: integer
+ *         data:
+ *           type: array
+ *           items:
+ *             type: object
+ *         links:
+ *           type: object
+ *           properties:
+ *             self:
+ *               type: string
+ *             next:
+ *               type: string
+ *               nullable: true
+ *             prev:
+ *               type: string
+ *               nullable: true
+ */
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  restrictList,
+  pageLinks,
+  listValidators,
+  listHandler
+};
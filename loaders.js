@@ -0,0 +1,82 @@
+// Codes are compared the way the database does: padded codes ('A003  ')
+// match unpadded ones, and case doesn't matter
+const codeKey = (value) => String(value).trimEnd().toUpperCase();
+
+/**
+ * Creates a loader that batches lookups: every load(key) made in the same
+ * tick is answered by a single call of batch(keys), which resolves with a
+ * Map from codeKey(key) to the value of each key. Keys it has no value for
+ * load as missing. Values are cached, so each key is looked up once for as
+ * long as the loader lives, which is one request.
+ */
+function createLoader(batch, missing = null) {
+  const cache = new Map();
+  let pending = null;
+
+  function dispatch() {
+    const { keys, callbacks } = pending;
+    pending = null;
+    batch(keys).then(
+      (values) => callbacks.forEach(({ key, resolve }) => resolve(values.has(key) ? values.get(key) : missing)),
+      (err) => callbacks.forEach(({ reject }) => reject(err))
+    );
+  }
+
+  function load(key) {
+    const normalized = codeKey(key);
+    if (!cache.has(normalized)) {
+      if (!pending) {
+        pending = { keys: [], callbacks: [] };
+        process.nextTick(dispatch);
+      }
+      pending.keys.push(normalized);
+      cache.set(normalized, new Promise((resolve, reject) => {
+        pending.callbacks.push({ key: normalized, resolve, reject });
+      }));
+    }
+    return cache.get(normalized);
+  }
+
+  return { load };
+}
+
+// A loader of the rows of a repository by the given column, one row per key
+function rowLoader(repository, column) {
+  return createLoader(async (keys) => {
+    const rows = await repository.findAll({ [column]: keys });
+    return new Map(rows.map((row) => [codeKey(row[column]), row]));
+  });
+}
+
+// A loader of the rows of a repository by the given column, every row with
+// the key, in order
+function rowsLoader(repository, column, order) {
+  return createLoader(async (keys) => {
+    const groups = new Map();
+    for (const row of await repository.findAll({ [column]: keys }, { order })) {
+      const key = codeKey(row[column]);
+      groups.set(key, [...(groups.get(key) || []), row]);
+    }
+    return groups;
+  }, []);
+}
+
+/**
+ * Creates the loaders of one GraphQL request, which read through the given
+ * repositories: a record by its key, and the records that refer to one.
+ */
+function createLoaders(repositories) {
+  return {
+    customer: rowLoader(repositories.customers, 'CUST_CODE'),
+    agent: rowLoader(repositories.agents, 'AGENT_CODE'),
+    company: rowLoader(repositories.companies, 'COMPANY_ID'),
+    food: rowLoader(repositories.foods, 'ITEM_ID'),
+    order: rowLoader(repositories.orders, 'ORD_NUM'),
+    customersOfAgent: rowsLoader(repositories.customers, 'AGENT_CODE', ['CUST_CODE']),
+    ordersOfCustomer: rowsLoader(repositories.orders, 'CUST_CODE', ['ORD_NUM']),
+    ordersOfAgent: rowsLoader(repositories.orders, 'AGENT_CODE', ['ORD_NUM']),
+    foodsOfCompany: rowsLoader(repositories.foods, 'COMPANY_ID', ['ITEM_ID'])
+  };
+}
+
+module.exports = { createLoader, createLoaders };
@@ -0,0 +1,101 @@
+// Levels in increasing order of severity; a logger writes the entries of its
+// level and above. silent writes nothing.
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+// Fields that never reach the log, whatever object they are in: customers'
+// phone numbers and balances, credentials, the secrets webhooks are signed
+// with and the headers that carry them. Names are compared case-insensitively,
+// so SECRET covers secret too.
+const REDACTED_FIELDS = [
+  'PHONE_NO', 'OPENING_AMT', 'RECEIVE_AMT', 'PAYMENT_AMT', 'OUTSTANDING_AMT',
+  'API_KEY', 'API_KEY_HASH', 'SECRET', 'password', 'authorization', 'cookie'
+];
+
+const REDACTED = '[REDACTED]';
+
+// Nesting deeper than this is cut off, which also stops at cycles
+const MAX_DEPTH = 6;
+
+// Errors are logged with their name, message and stack, plus the code and
+// status the drivers and repositories/errors.js give them
+function serializeError(err) {
+  const serialized = { name: err.name, message: err.message, stack: err.stack };
+  for (const key of ['code', 'status', 'sqlMessage']) {
+    if (err[key] !== undefined) {
+      serialized[key] = err[key];
+    }
+  }
+  return serialized;
+}
+
+// A copy of value that is safe to log: sensitive fields replaced, errors
+// serialized and BigInts turned into strings
+function redact(value, redacted, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, redacted, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    redacted.has(key.toLowerCase()) ? REDACTED : redact(item, redacted, depth + 1)
+  ]));
+}
+
+/**
+ * Creates a logger that writes one JSON object per line to stream (stdout by
+ * default): { time, level, msg } with the logger's bindings and the fields
+ * of the entry. Entries are written as log.info('message') or
+ * log.info({ field: value }, 'message'); an err field is logged as an error.
+ * child(bindings) returns a logger that adds the bindings to every entry,
+ * like the request id of the per-request loggers app.js creates.
+ *
+ * Options:
+ *   level   the lowest level written, one of debug, info, warn, error, silent
+ *   stream  where lines are written, anything with write(string)
+ *   redact  fields to leave out besides REDACTED_FIELDS
+ */
+function createLogger({ level = 'info', stream = process.stdout, redact: extra = [] } = {}) {
+  if (LEVELS[level] === undefined) {
+    throw new Error(`Unknown log level ${level}, use one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+  const threshold = LEVELS[level];
+  const redacted = new Set([...REDACTED_FIELDS, ...extra].map((field) => field.toLowerCase()));
+
+  function loggerWith(bindings) {
+    function write(entryLevel, fields, msg) {
+      if (LEVELS[entryLevel] < threshold) {
+        return;
+      }
+      if (typeof fields === 'string') {
+        [fields, msg] = [{}, fields];
+      }
+      const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...bindings, ...redact(fields, redacted) };
+      stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    return {
+      level,
+      isLevelEnabled: (entryLevel) => LEVELS[entryLevel] >= threshold,
+      debug: (fields, msg) => write('debug', fields, msg),
+      info: (fields, msg) => write('info', fields, msg),
+      warn: (fields, msg) => write('warn', fields, msg),
+      error: (fields, msg) => write('error', fields, msg),
+      child: (more) => loggerWith({ ...bindings, ...redact(more, redacted) })
+    };
+  }
+
+  return loggerWith({});
+}
+
+module.exports = { LEVELS, createLogger };
@@ -0,0 +1,146 @@
+// Upper bounds of the histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Label values are quoted, with backslashes, quotes and newlines escaped
+function labelString(labels) {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are kept per distinct set of label values
+const seriesKey = (names, labels) => JSON.stringify(names.map((name) => labels[name]));
+
+function pickLabels(names, labels) {
+  return Object.fromEntries(names.map((name) => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+/**
+ * Creates the metrics of the app and renders them in the Prometheus text
+ * exposition format (version 0.0.4). Metrics are counters and histograms
+ * with labels, and gauges whose values are read when the metrics are
+ * rendered.
+ */
+function createMetrics() {
+  const metrics = [];
+
+  // inc(labels, amount) adds to the series of the labels
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    metrics.push({
+      name, help, type: 'counter',
+      lines: () => [...series.values()].map(({ labels, value }) => `${name}${labelString(labels)} ${value}`)
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { labels: pickLabels(labelNames, labels), value: 0 });
+        }
+        series.get(key).value += amount;
+      }
+    };
+  }
+
+  // observe(labels, value) counts the value in its buckets
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    metrics.push({
+      name, help, type: 'histogram',
+      lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, i) => `${name}_bucket${labelString({ ...labels, le: bound })} ${counts[i]}`),
+        `${name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${labelString(labels)} ${sum}`,
+        `${name}_count${labelString(labels)} ${count}`
+      ])
+    });
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        buckets.forEach((bound, i) => {
+          if (value <= bound) {
+            entry.counts[i] += 1;
+          }
+        });
+        entry.sum += value;
+        entry.count += 1;
+      }
+    };
+  }
+
+  // collect() returns the current values as [{ labels, value }]
+  function gauge(name, help, collect) {
+    metrics.push({
+      name, help, type: 'gauge',
+      lines: () => collect().map(({ labels = {}, value }) => `${name}${labelString(labels)} ${value}`)
+    });
+  }
+
+  function render() {
+    return metrics.map(({ name, help, type, lines }) => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} ${type}`,
+      ...lines()
+    ].join('\n')).join('\n').concat('\n');
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+// The kind of statement, the label of the query metrics; anything but the
+// four plain ones counts as other
+function statementOf(sql) {
+  const [keyword] = sql.trimStart().split(/\s/, 1);
+  const statement = keyword.toUpperCase();
+  return ['SELECT', 'INSERT', 'UPDATE', 'DELETE'].includes(statement) ? statement : 'OTHER';
+}
+
+/**
+ * Creates the metrics the app exposes on /metrics:
+ *   http_requests_total and http_request_duration_seconds, by method, route
+ *     (the path of the route, not the URL) and status
+ *   db_query_duration_seconds, by statement, and db_query_errors_total
+ *   db_pool_connections, active and idle, and db_pool_waiting_requests, read
+ *     from the pool when it tells (the pools of db.js do)
+ * Returns { observeRequest, observeQuery, render }.
+ */
+function createAppMetrics(pool) {
+  const metrics = createMetrics();
+
+  const requests = metrics.counter('http_requests_total', 'Requests answered, by method, route and status', ['method', 'route', 'status']);
+  const requestDuration = metrics.histogram('http_request_duration_seconds',
+    'Time to answer a request, by method, route and status', ['method', 'route', 'status']);
+  const queryDuration = metrics.histogram('db_query_duration_seconds', 'Time a database statement took, by statement', ['statement']);
+  const queryErrors = metrics.counter('db_query_errors_total', 'Database statements that failed, by statement', ['statement']);
+
+  if (typeof pool.activeConnections === 'function') {
+    metrics.gauge('db_pool_connections', 'Connections of the database pool, by state', () => [
+      { labels: { state: 'active' }, value: pool.activeConnections() },
+      { labels: { state: 'idle' }, value: pool.idleConnections() }
+    ]);
+    metrics.gauge('db_pool_waiting_requests', 'Requests waiting for a connection of the database pool', () => [
+      { value: pool.taskQueueSize() }
+    ]);
+  }
+
+  return {
+    observeRequest({ method, route, status }, seconds) {
+      requests.inc({ method, route, status });
+      requestDuration.observe({ method, route, status }, seconds);
+    },
+    observeQuery(sql, seconds, err) {
+      const statement = statementOf(sql);
+      queryDuration.observe({ statement }, seconds);
+      if (err) {
+        queryErrors.inc({ statement });
+      }
+    },
+    render: metrics.render
+  };
+}
+
+module.exports = { createMetrics, createAppMetrics };
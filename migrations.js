@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { translateError } = require('./repositories/errors');
+
+const MIGRATIONS_DIRECTORY = path.join(__dirname, 'migrations');
+const SEEDS_DIRECTORY = path.join(__dirname, 'seeds');
+
+// Migration files are <version>_<name>.up.sql and <version>_<name>.down.sql,
+// applied in the numeric order of their versions
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Named lock held while migrating, so two runners can't migrate at once
+const LOCK = 'schema_migrations';
+const LOCK_TIMEOUT = 10;
+
+// Thrown when the migrations can't be read or run, or the database doesn't
+// match them
+class MigrationError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'MigrationError';
+  }
+}
+
+const checksumOf = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Splits a file of SQL into its statements, without the comments. Semicolons
+ * in quoted strings, quoted names and comments don't end a statement.
+ */
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if ((char === '-' && next === '-' && /\s/.test(sql[i + 2] || '\n')) || char === '#') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+    } else if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      if (end === -1) {
+        throw new MigrationError('Unterminated comment');
+      }
+      current += ' ';
+      i = end + 2;
+    } else if (char === "'" || char === '"' || char === '`') {
+      let end = i + 1;
+      for (;;) {
+        if (end >= sql.length) {
+          throw new MigrationError(`Unterminated ${char} in: ${sql.slice(i, i + 40)}`);
+        }
+        if (sql[end] === '\\' && char !== '`') {
+          end += 2;
+        } else if (sql[end] === char && sql[end + 1] === char) {
+          end += 2;
+        } else if (sql[end] === char) {
+          break;
+        } else {
+          end += 1;
+        }
+      }
+      current += sql.slice(i, end + 1);
+      i = end + 1;
+    } else if (char === ';') {
+      statements.push(current);
+      current = '';
+      i += 1;
+    } else {
+      current += char;
+      i += 1;
+    }
+  }
+  statements.push(current);
+
+  return statements.map((statement) => statement.trim()).filter((statement) => statement !== '');
+}
+
+/**
+ * Reads the migrations of a directory, in order, as
+ * [{ version, name, up, down, checksum }] where up and down are the SQL of
+ * the files (down is null when the migration has no down file) and checksum
+ * is the SHA-256 of up. Throws a MigrationError for files that don't follow
+ * the naming scheme and versions used twice.
+ */
+function readMigrations(directory) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(directory).filter((name) => name.endsWith('.sql')).sort()) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) {
+      throw new MigrationError(`${file} isn't named <version>_<name>.up.sql or <version>_<name>.down.sql`);
+    }
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name, up: null, down: null };
+    if (migration.name !== name || migration[direction] !== null) {
+      throw new MigrationError(`Version ${version} is used by more than one migration`);
+    }
+    migration[direction] = fs.readFileSync(path.join(directory, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (migration.up === null) {
+        throw new MigrationError(`Migration ${migration.version}_${migration.name} has no up file`);
+      }
+      return { ...migration, checksum: checksumOf(migration.up) };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+const label = ({ version, name }) => `${version}_${name}`;
+
+/**
+ * Creates the migration runner of the database the pool connects to. The
+ * migrations applied are recorded in the schema_migrations table, created on
+ * first use, with the checksum of their up file.
+ *
+ * - status() resolves with every migration as { version, name, applied,
+ *   appliedAt, changed, missing }: changed when its up file differs from
+ *   the one applied, missing when it was applied but has no file anymore.
+ * - up({ to }) applies the pending migrations, up to version to if given.
+ * - down({ steps = 1, to }) reverts the last steps migrations applied, or
+ *   every one after version to.
+ * - seed() loads the .sql files of the seeds directory in one transaction,
+ *   once every migration is applied and only into empty tables.
+ *
+ * up() and down() resolve with the migrations they ran, seed() with the files
+ * it loaded. log(message) is called before each one runs.
+ */
+function createMigrator(pool, { directory = MIGRATIONS_DIRECTORY, seedsDirectory = SEEDS_DIRECTORY, log = () => {} } = {}) {
+  // Runs fn(run) on one connection, holding the migration lock. run(sql,
+  // values) resolves with the rows or OkPacket of the statement.
+  async function withLock(fn) {
+    const conn = await pool.getConnection().catch((err) => { throw translateError(err); });
+    const run = (sql, values = []) => conn.query(sql, values).catch((err) => { throw translateError(err); });
+    try {
+      const [{ locked }] = await run('SELECT GET_LOCK(?, ?) AS locked', [LOCK, LOCK_TIMEOUT]);
+      if (Number(locked) !== 1) {
+        throw new MigrationError(`Another migration is running (lock ${LOCK} is held)`);
+      }
+      try {
+        await run(
+          'CREATE TABLE IF NOT EXISTS schema_migrations (' +
+          'VERSION varchar(14) NOT NULL, NAME varchar(100) NOT NULL, CHECKSUM char(64) NOT NULL, ' +
+          'APPLIED_AT timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP, PRIMARY KEY (VERSION)' +
+          ') ENGINE=InnoDB DEFAULT CHARSET=latin1'
+        );
+        return await fn(run);
+      } finally {
+        await run('SELECT RELEASE_LOCK(?)', [LOCK]).catch(() => {});
+      }
+    } finally {
+      conn.release();
+    }
+  }
+
+  async function statusWith(run) {
+    const migrations = readMigrations(directory);
+    const applied = new Map((await run('SELECT VERSION, NAME, CHECKSUM, APPLIED_AT FROM schema_migrations'))
+      .map((row) => [String(row.VERSION), row]));
+
+    const status = migrations.map(({ version, name, checksum }) => {
+      const row = applied.get(version);
+      return {
+        version,
+        name,
+        applied: Boolean(row),
+        appliedAt: row ? row.APPLIED_AT : null,
+        changed: Boolean(row) && row.CHECKSUM !== checksum,
+        missing: false
+      };
+    });
+    for (const [version, row] of applied) {
+      if (!migrations.some((migration) => migration.version === version)) {
+        status.push({ version, name: row.NAME, applied: true, appliedAt: row.APPLIED_AT, changed: false, missing: true });
+      }
+    }
+    return status.sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  // Applied migrations whose files changed or are gone: the schema is no
+  // longer the one the files describe, so nothing more is run until that's fixed
+  function checkInSync(status) {
+    const problems = status.filter((migration) => migration.changed || migration.missing);
+    if (problems.length > 0) {
+      throw new MigrationError(`Applied migrations don't match their files: ${problems
+        .map((migration) => `${label(migration)} (${migration.missing ? 'file missing' : 'changed since applied'})`)
+        .join(', ')}`);
+    }
+  }
+
+  async function runStatements(run, sql, description) {
+    const statements = splitStatements(sql);
+    for (const [index, statement] of statements.entries()) {
+      try {
+        await run(statement);
+      } catch (err) {
+        throw new MigrationError(`${description} failed at statement ${index + 1} of ${statements.length}: ${err.sqlMessage || err.message}`, { cause: err });
+      }
+    }
+  }
+
+  function status() {
+    return withLock(statusWith);
+  }
+
+  function up({ to } = {}) {
+    return withLock(async (run) => {
+      const current = await statusWith(run);
+      checkInSync(current);
+      const applied = new Set(current.filter((migration) => migration.applied).map((migration) => migration.version));
+      const pending = readMigrations(directory).filter((migration) => (
+        !applied.has(migration.version) && (to === undefined || Number(migration.version) <= Number(to))
+      ));
+
+      for (const migration of pending) {
+        log(`Applying ${label(migration)}`);
+        await runStatements(run, migration.up, `Migration ${label(migration)}`);
+        await run(
+          'INSERT INTO schema_migrations (VERSION, NAME, CHECKSUM) VALUES (?, ?, ?)',
+          [migration.version, migration.name, migration.checksum]
+        );
+      }
+      return pending.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  function down({ steps = 1, to } = {}) {
+    return withLock(async (run) => {
+      const current = await statusWith(run);
+      checkInSync(current);
+      const files = new Map(readMigrations(directory).map((migration) => [migration.version, migration]));
+      const applied = current.filter((migration) => migration.applied).reverse();
+      const reverted = to === undefined
+        ? applied.slice(0, steps)
+        : applied.filter((migration) => Number(migration.version) > Number(to));
+
+      for (const { version } of reverted) {
+        const migration = files.get(version);
+        if (migration.down === null) {
+          throw new MigrationError(`Migration ${label(migration)} has no down file and can't be reverted`);
+        }
+        log(`Reverting ${label(migration)}`);
+        await runStatements(run, migration.down, `Revert of ${label(migration)}`);
+        await run('DELETE FROM schema_migrations WHERE VERSION = ?', [version]);
+      }
+      return reverted.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  function seed() {
+    return withLock(async (run) => {
+      const pending = (await statusWith(run)).filter((migration) => !migration.applied);
+      if (pending.length > 0) {
+        throw new MigrationError(`Apply the pending migrations before seeding: ${pending.map(label).join(', ')}`);
+      }
+
+      const files = fs.readdirSync(seedsDirectory).filter((name) => name.endsWith('.sql')).sort();
+      const seeds = files.map((file) => ({ file, sql: fs.readFileSync(path.join(seedsDirectory, file), 'utf8') }));
+
+      const tables = new Set(seeds.flatMap(({ sql }) => splitStatements(sql)
+        .map((statement) => /^INSERT\s+INTO\s+`?(\w+)`?/i.exec(statement))
+        .filter(Boolean)
+        .map((match) => match[1])));
+      const filled = [];
+      for (const table of tables) {
+        const [{ total }] = await run(`SELECT COUNT(*) AS total FROM \`${table}\``);
+        if (Number(total) > 0) {
+          filled.push(table);
+        }
+      }
+      if (filled.length > 0) {
+        throw new MigrationError(`Seeds are only loaded into empty tables; ${filled.join(', ')} already have rows`);
+      }
+
+      await run('START TRANSACTION');
+      try {
+        for (const { file, sql } of seeds) {
+          log(`Loading ${file}`);
+          await runStatements(run, sql, `Seed ${file}`);
+        }
+        await run('COMMIT');
+      } catch (err) {
+        await run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+      return files;
+    });
+  }
+
+  return { status, up, down, seed };
+}
+
+module.exports = { createMigrator, readMigrations, splitStatements, MigrationError };
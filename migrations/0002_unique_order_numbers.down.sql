@@ -0,0 +1,2 @@
+ALTER TABLE `daysorder` DROP KEY `ORD_NUM`;
+ALTER TABLE `orders` DROP KEY `ORD_NUM`;
@@ -0,0 +1,6 @@
+-- An ORD_NUM identifies one order. The unique keys refuse a taken number even
+-- when two requests add it at the same time, which the driver reports as
+-- ER_DUP_ENTRY and the API answers with 409.
+
+ALTER TABLE `orders` ADD UNIQUE KEY `ORD_NUM` (`ORD_NUM`);
+ALTER TABLE `daysorder` ADD UNIQUE KEY `ORD_NUM` (`ORD_NUM`);
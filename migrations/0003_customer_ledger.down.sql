@@ -0,0 +1,3 @@
+ALTER TABLE `customer` ENGINE=MyISAM;
+
+DROP TABLE IF EXISTS `ledger`;
@@ -0,0 +1,22 @@
+--
+-- Table structure for table `ledger`
+--
+-- Receipts and payments posted against a customer. Each row is written in the
+-- same transaction that updates the customer's RECEIVE_AMT/PAYMENT_AMT and
+-- OUTSTANDING_AMT, so `customer` and `ledger` use InnoDB.
+--
+
+CREATE TABLE IF NOT EXISTS `ledger` (
+  `TXN_ID` int(11) NOT NULL AUTO_INCREMENT,
+  `CUST_CODE` varchar(6) NOT NULL,
+  `TXN_TYPE` enum('RECEIPT','PAYMENT') NOT NULL,
+  `TXN_AMOUNT` decimal(12,2) NOT NULL,
+  `TXN_DATE` date NOT NULL,
+  `TXN_DESCRIPTION` varchar(60) DEFAULT NULL,
+  `CREATED_AT` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`TXN_ID`),
+  KEY `CUST_DATE` (`CUST_CODE`,`TXN_DATE`)
+) ENGINE=InnoDB DEFAULT CHARSET=latin1;
+
+
+ALTER TABLE `customer` ENGINE=InnoDB;
@@ -0,0 +1,18 @@
+--
+-- Table structure for table `users`
+--
+-- API users. Only the SHA-256 hash of each API key is stored; create users
+-- with `npm run create-user`. Agents are tied to their row in `agents`.
+--
+
+CREATE TABLE IF NOT EXISTS `users` (
+  `USER_ID` int(11) NOT NULL AUTO_INCREMENT,
+  `USERNAME` varchar(40) NOT NULL,
+  `API_KEY_HASH` char(64) NOT NULL,
+  `ROLE` enum('readonly','agent','admin') NOT NULL DEFAULT 'readonly',
+  `AGENT_CODE` varchar(6) DEFAULT NULL,
+  `CREATED_AT` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`USER_ID`),
+  UNIQUE KEY `USERNAME` (`USERNAME`),
+  UNIQUE KEY `API_KEY_HASH` (`API_KEY_HASH`)
+) ENGINE=InnoDB DEFAULT CHARSET=latin1;
@@ -0,0 +1,4 @@
+ALTER TABLE `company` ENGINE=MyISAM;
+ALTER TABLE `agents` ENGINE=MyISAM;
+
+DROP TABLE IF EXISTS `audit_log`;
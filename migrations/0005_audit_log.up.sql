@@ -0,0 +1,29 @@
+--
+-- Table structure for table `audit_log`
+--
+-- One row per change made through the API to a customer, agent or company.
+-- CHANGES holds {"COLUMN": {"old": ..., "new": ...}} for the changed columns
+-- and SNAPSHOT the whole record after the change (NULL after a delete).
+--
+
+CREATE TABLE IF NOT EXISTS `audit_log` (
+  `AUDIT_ID` int(11) NOT NULL AUTO_INCREMENT,
+  `ENTITY` varchar(20) NOT NULL,
+  `ENTITY_KEY` varchar(20) NOT NULL,
+  `ACTION` enum('create','update','delete','restore','purge','revert') NOT NULL,
+  `CHANGES` longtext NOT NULL,
+  `SNAPSHOT` longtext DEFAULT NULL,
+  `ACTOR` varchar(40) DEFAULT NULL,
+  `REQUEST_ID` varchar(64) DEFAULT NULL,
+  `CREATED_AT` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`AUDIT_ID`),
+  KEY `ENTITY_KEY` (`ENTITY`,`ENTITY_KEY`)
+) ENGINE=InnoDB DEFAULT CHARSET=latin1;
+
+-- Agents and companies are written in one transaction with their audit
+-- entries (see audit.js), and If-Match locks them with SELECT ... FOR UPDATE
+-- (see preconditions.js). MyISAM has neither transactions nor row locks, so
+-- they use InnoDB like `customer`.
+
+ALTER TABLE `agents` ENGINE=InnoDB;
+ALTER TABLE `company` ENGINE=InnoDB;
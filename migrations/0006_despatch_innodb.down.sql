@@ -0,0 +1 @@
+ALTER TABLE `despatch` ENGINE=MyISAM;
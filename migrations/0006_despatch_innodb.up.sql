@@ -0,0 +1,7 @@
+-- A despatch is checked against what is left to despatch on its order and
+-- written in one transaction, with the order locked (see routes/despatches.js),
+-- so that concurrent despatches can't add up to more than the order amount.
+-- MyISAM would write the despatch outside the transaction, so `despatch`
+-- uses InnoDB like `orders`.
+
+ALTER TABLE `despatch` ENGINE=InnoDB;
@@ -0,0 +1,7 @@
+ALTER TABLE `agents`
+  DROP COLUMN `DELETED_BY`,
+  DROP COLUMN `DELETED_AT`;
+
+ALTER TABLE `customer`
+  DROP COLUMN `DELETED_BY`,
+  DROP COLUMN `DELETED_AT`;
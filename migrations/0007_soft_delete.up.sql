@@ -0,0 +1,10 @@
+-- Deleted customers and agents are kept, with the time of the delete and the
+-- user who made it, until they are restored or purged (see schema.js).
+
+ALTER TABLE `customer`
+  ADD COLUMN `DELETED_AT` datetime DEFAULT NULL,
+  ADD COLUMN `DELETED_BY` varchar(40) DEFAULT NULL;
+
+ALTER TABLE `agents`
+  ADD COLUMN `DELETED_AT` datetime DEFAULT NULL,
+  ADD COLUMN `DELETED_BY` varchar(40) DEFAULT NULL;
@@ -0,0 +1,5 @@
+ALTER TABLE `foods`
+  DROP FOREIGN KEY `foods_company`,
+  DROP KEY `COMPANY_ID`;
+
+ALTER TABLE `foods` ENGINE=MyISAM;
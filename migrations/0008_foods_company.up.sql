@@ -0,0 +1,9 @@
+-- Food items belong to a company. A company can't be deleted while it has
+-- food items, unless they are deleted with it in one transaction, so `foods`
+-- uses InnoDB like `company` and food items refer to their company.
+
+ALTER TABLE `foods` ENGINE=InnoDB;
+
+ALTER TABLE `foods`
+  ADD KEY `COMPANY_ID` (`COMPANY_ID`),
+  ADD CONSTRAINT `foods_company` FOREIGN KEY (`COMPANY_ID`) REFERENCES `company` (`COMPANY_ID`);
@@ -0,0 +1,2 @@
+ALTER TABLE `orders` ENGINE=MyISAM;
+ALTER TABLE `daysorder` ENGINE=MyISAM;
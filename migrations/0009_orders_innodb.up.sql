@@ -0,0 +1,5 @@
+-- Today's orders are moved to `orders` at the end of the day in one
+-- transaction (POST /daysorder/close), so `daysorder` and `orders` use InnoDB.
+
+ALTER TABLE `daysorder` ENGINE=InnoDB;
+ALTER TABLE `orders` ENGINE=InnoDB;
@@ -0,0 +1,6 @@
+ALTER TABLE `studentreport`
+  DROP FOREIGN KEY `studentreport_student`,
+  DROP KEY `SEMISTER`;
+
+ALTER TABLE `studentreport` ENGINE=MyISAM;
+ALTER TABLE `student` ENGINE=MyISAM;
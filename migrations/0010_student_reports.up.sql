@@ -0,0 +1,11 @@
+-- A student has one report per semester. A student can't be deleted while
+-- they have reports, unless the reports are deleted with them in one
+-- transaction, so `student` and `studentreport` use InnoDB and reports refer
+-- to their student.
+
+ALTER TABLE `student` ENGINE=InnoDB;
+ALTER TABLE `studentreport` ENGINE=InnoDB;
+
+ALTER TABLE `studentreport`
+  ADD UNIQUE KEY `SEMISTER` (`CLASS`,`SECTION`,`ROLLID`,`SEMISTER`),
+  ADD CONSTRAINT `studentreport_student` FOREIGN KEY (`CLASS`,`SECTION`,`ROLLID`) REFERENCES `student` (`CLASS`,`SECTION`,`ROLLID`);
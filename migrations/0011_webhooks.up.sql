@@ -0,0 +1,46 @@
+--
+-- Table structure for table `webhooks`
+--
+-- Subscriptions of other systems to the events of the API (see webhooks.js).
+-- EVENTS is a comma-separated list of events, or * for all of them. SECRET
+-- signs every delivery, so the receiver can check it came from the API.
+--
+
+CREATE TABLE IF NOT EXISTS `webhooks` (
+  `WEBHOOK_ID` int(11) NOT NULL AUTO_INCREMENT,
+  `URL` varchar(500) NOT NULL,
+  `EVENTS` varchar(255) NOT NULL,
+  `SECRET` varchar(64) NOT NULL,
+  `CREATED_BY` varchar(40) DEFAULT NULL,
+  `CREATED_AT` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`WEBHOOK_ID`)
+) ENGINE=InnoDB DEFAULT CHARSET=latin1;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `webhook_outbox`
+--
+-- One row per event and subscription, written in the transaction of the
+-- change the event is about, so that an event is sent if and only if the
+-- change was committed. Deliveries that keep failing end up dead, the
+-- dead-letter list, until they are replayed.
+--
+
+CREATE TABLE IF NOT EXISTS `webhook_outbox` (
+  `DELIVERY_ID` int(11) NOT NULL AUTO_INCREMENT,
+  `WEBHOOK_ID` int(11) NOT NULL,
+  `EVENT_ID` char(36) NOT NULL,
+  `EVENT` varchar(40) NOT NULL,
+  `PAYLOAD` longtext NOT NULL,
+  `STATUS` enum('pending','delivered','dead') NOT NULL DEFAULT 'pending',
+  `ATTEMPTS` int(11) NOT NULL DEFAULT 0,
+  `NEXT_ATTEMPT_AT` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `LAST_STATUS` int(11) DEFAULT NULL,
+  `LAST_ERROR` varchar(255) DEFAULT NULL,
+  `CREATED_AT` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `DELIVERED_AT` datetime DEFAULT NULL,
+  PRIMARY KEY (`DELIVERY_ID`),
+  KEY `STATUS_NEXT_ATTEMPT` (`STATUS`,`NEXT_ATTEMPT_AT`),
+  CONSTRAINT `webhook_outbox_webhook` FOREIGN KEY (`WEBHOOK_ID`) REFERENCES `webhooks` (`WEBHOOK_ID`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=latin1;
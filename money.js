@@ -0,0 +1,6 @@
+// Amounts come back from DECIMAL columns as strings. Money is added up in
+// cents so that totals and running balances don't pick up floating point errors.
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+module.exports = { toCents, fromCents };
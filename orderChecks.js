@@ -0,0 +1,41 @@
+const { toCents, fromCents } = require('./money');
+
+// Checks what the validators of a single field can't: that the advance does
+// not exceed the order amount. Returns a list of error messages. Orders and
+// today's orders (daysorder) are checked the same way.
+function checkOrder(order) {
+  if (parseFloat(order.ADVANCE_AMOUNT) > parseFloat(order.ORD_AMOUNT)) {
+    return ['ADVANCE_AMOUNT cannot be greater than ORD_AMOUNT'];
+  }
+  return [];
+}
+
+// Checks that the changes to an order don't take ORD_AMOUNT below what was
+// already despatched on it. Returns a list of error messages. Run it in the
+// transaction of the change, once the order is locked (trackOrder() locks
+// it), as despatches lock the order too before they are checked.
+async function checkDespatched(repositories, ordNum, changes) {
+  if (changes.ORD_AMOUNT === undefined) {
+    return [];
+  }
+
+  const despatched = toCents(await repositories.despatches.despatchedTotal(ordNum));
+  if (toCents(changes.ORD_AMOUNT) < despatched) {
+    return [`ORD_AMOUNT cannot be less than the ${fromCents(despatched)} already despatched`];
+  }
+  return [];
+}
+
+// Checks that nothing was despatched on an order, before it is deleted: its
+// despatches would be left referring to no order. Returns a list of error
+// messages. Run it in the transaction of the delete, once the order is
+// locked, like checkDespatched().
+async function checkUndespatched(repositories, ordNum) {
+  const despatched = toCents(await repositories.despatches.despatchedTotal(ordNum));
+  if (despatched > 0) {
+    return [`Order has ${fromCents(despatched)} despatched, its despatches must be deleted first`];
+  }
+  return [];
+}
+
+module.exports = { checkOrder, checkDespatched, checkUndespatched };
@@ -0,0 +1,242 @@
+const { param, validationResult } = require('express-validator'); // Validation
+const { tables } = require('./schema');
+const { problem, validationProblem } = require('./problem');
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+// The media types PATCH accepts. Plain JSON is read as a merge patch, which
+// is what PATCH did before it knew the other two.
+const patchTypes = [MERGE_PATCH, JSON_PATCH, 'application/json'];
+
+// A patch that can't be applied, answered with its status
+class PatchError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'PatchError';
+    this.status = status;
+  }
+}
+
+// Records are flat and only some of their fields can be patched
+function patchableColumn(column, columns) {
+  if (!columns.includes(column)) {
+    throw new PatchError(422, `${column} is not a field that can be patched`);
+  }
+  return column;
+}
+
+// The column a JSON Pointer (RFC 6901) like /CUST_CITY names
+function pointerColumn(pointer, columns, member) {
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new PatchError(400, `${member} must be a JSON Pointer like /CUST_CITY`);
+  }
+  return patchableColumn(pointer.slice(1).replace(/~1/g, '/').replace(/~0/g, '~'), columns);
+}
+
+// Values the database returns and values clients send compare equal when they
+// mean the same: DECIMAL columns come back as strings and CHAR codes padded
+function sameValue(spec, a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (spec.type === 'decimal' || spec.type === 'int') {
+    return Number(a) === Number(b);
+  }
+  return String(a).trimEnd() === String(b).trimEnd();
+}
+
+// RFC 7386: every member of the patch replaces the field, null clears it.
+// Returns the changed fields.
+function applyMergePatch(patch, columns) {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new PatchError(400, 'A merge patch must be a JSON object');
+  }
+
+  for (const member of Object.keys(patch)) {
+    patchableColumn(member, columns);
+  }
+  return { ...patch };
+}
+
+// RFC 6902: the operations are applied in order to a copy of the record, and
+// if any of them fails nothing is changed. Removing a field sets it to NULL.
+// Returns the fields the operations wrote to.
+function applyJsonPatch(operations, record, columns, specs) {
+  if (!Array.isArray(operations)) {
+    throw new PatchError(400, 'A JSON Patch must be an array of operations');
+  }
+
+  const patched = { ...record };
+  const touched = new Set();
+
+  operations.forEach((operation, index) => {
+    const at = `Operation ${index}`;
+    if (operation === null || typeof operation !== 'object') {
+      throw new PatchError(400, `${at} must be an object`);
+    }
+    const { op, value } = operation;
+    const needsValue = ['add', 'replace', 'test'].includes(op);
+    if (needsValue && value === undefined) {
+      throw new PatchError(400, `${at} (${op}) needs a value`);
+    }
+
+    switch (op) {
+      case 'add':
+      case 'replace': {
+        const column = pointerColumn(operation.path, columns, `${at} path`);
+        patched[column] = value;
+        touched.add(column);
+        break;
+      }
+      case 'remove': {
+        const column = pointerColumn(operation.path, columns, `${at} path`);
+        patched[column] = null;
+        touched.add(column);
+        break;
+      }
+      case 'move':
+      case 'copy': {
+        const from = pointerColumn(operation.from, columns, `${at} from`);
+        const column = pointerColumn(operation.path, columns, `${at} path`);
+        const moved = patched[from];
+        if (op === 'move' && from !== column) {
+          patched[from] = null;
+          touched.add(from);
+        }
+        patched[column] = moved;
+        touched.add(column);
+        break;
+      }
+      case 'test': {
+        const column = pointerColumn(operation.path, columns, `${at} path`);
+        if (!sameValue(specs[column], patched[column], value)) {
+          throw new PatchError(409, `${at} failed: ${column} is not ${JSON.stringify(value)}`);
+        }
+        break;
+      }
+      default:
+        throw new PatchError(400, `${at} has an unknown op ${JSON.stringify(op)}`);
+    }
+  });
+
+  return Object.fromEntries([...touched].map((column) => [column, patched[column]]));
+}
+
+/**
+ * Creates the PATCH handlers, which read records through the given
+ * repositories, check the result with the given validation and write it
+ * through the given preconditions, which honor If-Match and record the
+ * change in the audit trail of the entity.
+ *
+ * A PATCH body is either a JSON Merge Patch (RFC 7386) or a JSON Patch
+ * (RFC 6902), told apart by its Content-Type. Only the fields the patch
+ * touches are written, and the response is the record as it is afterwards.
+ */
+function createPatch(repositories, audit, validation, preconditions) {
+  /**
+   * The handler of PATCH /<entity>/:id for the entity of the audit trail
+   * (customer, agent or company). Options:
+   *   label      how errors name the record, e.g. Customer
+   *   forbidden  function (req, changes) returning why the user may not make
+   *              these changes, if they may not
+   */
+  function patchHandler(entity, { label, forbidden = () => null }) {
+    const name = audit.entities[entity].repository;
+    const repository = repositories[name];
+    const specs = tables[name].columns;
+    // The key can't be patched, and neither can what the database fills in
+    // or what only the API changes once the record exists
+    const columns = Object.keys(specs)
+      .filter((column) => column !== repository.key && !specs[column].generated && !specs[column].createOnly);
+
+    return async (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return validationProblem(res, errors.array());
+      }
+
+      if (!req.is(patchTypes)) {
+        return problem(res, 415, `PATCH takes ${MERGE_PATCH} or ${JSON_PATCH}`);
+      }
+
+      try {
+        // The patch is applied to the record as it is locked in the
+        // transaction of the write, so that its test operations compare with
+        // what the changes are written over
+        const outcome = await preconditions.track(req, entity, req.params.id, async (tx) => {
+          const existing = await tx[name].find(req.params.id, { forUpdate: true });
+          if (!existing) {
+            return { status: 404, detail: `${label} not found` };
+          }
+
+          const changes = req.is(JSON_PATCH)
+            ? applyJsonPatch(req.body, existing, columns, specs)
+            : applyMergePatch(req.body, columns);
+
+          const problems = await validation.checkValues(name, changes, { only: Object.keys(changes), partial: true });
+          if (problems.length > 0) {
+            return { problems };
+          }
+
+          const reason = forbidden(req, changes);
+          if (reason) {
+            return { status: 403, detail: reason };
+          }
+
+          if (Object.keys(changes).length > 0) {
+            await tx[name].update(req.params.id, changes);
+          }
+          return {};
+        });
+
+        if (outcome.problems) {
+          return validationProblem(res, outcome.problems);
+        }
+        if (outcome.status) {
+          return problem(res, outcome.status, outcome.detail);
+        }
+
+        preconditions.sendRecord(res, await repository.find(req.params.id));
+      } catch (err) {
+        // PatchErrors are answered with their status like any other error
+        next(err);
+      }
+    };
+  }
+
+  return { patchHandler };
+}
+
+// Validators of the PATCH routes; the body is checked by the handler
+const patchValidators = [
+  param('id').isString()
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JsonPatch:
+ *       type: array
+ *       description: RFC 6902 operations on the fields of the record, applied all or nothing. remove sets a field to NULL.
+ *       items:
+ *         type: object
+ *         required:
+ *           - op
+ *           - path
+ *         properties:
+ *           op:
+ *             type: string
+ *             enum: [add, remove, replace, move, copy, test]
+ *           path:
+ *             type: string
+ *             example: /CUST_CITY
+ *           from:
+ *             type: string
+ *             description: The source of move and copy
+ *           value:
+ *             description: The value of add, replace and test
+ */
+
+module.exports = { patchTypes, patchValidators, createPatch };
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// If-Match didn't match the record as it is now: someone else changed it
+// since the client read it
+class PreconditionFailedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PreconditionFailedError';
+    this.status = 412;
+  }
+}
+
+// In strict mode, writes without If-Match are refused
+class PreconditionRequiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PreconditionRequiredError';
+    this.status = 428;
+  }
+}
+
+// Strong ETag of a record, as GET returns it. Any change to any column,
+// including the soft delete columns, gives another ETag.
+function etagOf(record) {
+  return `"${crypto.createHash('sha256').update(JSON.stringify(record)).digest('base64url').slice(0, 27)}"`;
+}
+
+// Whether an If-Match header (* or a list of ETags) matches the ETag.
+// If-Match compares strongly, so weak ETags (W/"...") never match.
+function ifMatch(header, etag) {
+  return header.trim() === '*' || header.split(',').some((tag) => tag.trim() === etag);
+}
+
+/**
+ * Creates the optimistic concurrency control of the entities of the given
+ * audit trail (customer, agent and company). GET answers with the ETag of
+ * the record, and writes made through track() only happen when the record
+ * still has the ETag the client sent in If-Match. With strict, writes
+ * without If-Match are refused with a 428.
+ */
+function createPreconditions(repositories, audit, { strict = false } = {}) {
+  const repositoryOf = (entity) => audit.entities[entity].repository;
+
+  // Answers with the record and its ETag. Express answers If-None-Match
+  // requests whose ETag still matches with a 304 itself.
+  function sendRecord(res, record) {
+    res.set('ETag', etagOf(record)).json(record);
+  }
+
+  /**
+   * Like audit.track(), but checks If-Match first: write(repositories)
+   * changes the record of the given entity and key, through the repositories
+   * of the transaction it runs in. With If-Match, the record is locked and
+   * compared in the same transaction so that no other write can come in
+   * between. Records that don't exist are left to the route to answer with a
+   * 404.
+   *
+   * Options: action, the audit action (see audit.track()), and ifMatch, the
+   * ETags to compare with when they don't come from the If-Match header, like
+   * the ifMatch argument of the GraphQL mutations.
+   */
+  async function track(req, entity, key, write, { action, ...options } = {}) {
+    const header = 'ifMatch' in options ? options.ifMatch : req.get('If-Match');
+
+    if (header === undefined) {
+      if (strict) {
+        throw new PreconditionRequiredError('If-Match is required, send the ETag of the record you read');
+      }
+      return audit.track(repositories, req, entity, key, write, action);
+    }
+
+    return repositories.transaction(async (tx) => {
+      const current = await tx[repositoryOf(entity)].find(key, { includeDeleted: true, forUpdate: true });
+      if (current && !ifMatch(header, etagOf(current))) {
+        throw new PreconditionFailedError(`The ${entity} has changed, read it again to get its current ETag`);
+      }
+      return audit.track(tx, req, entity, key, write, action);
+    });
+  }
+
+  return { sendRecord, track };
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ifMatch:
+ *       in: header
+ *       name: If-Match
+ *       description: |
+ *         The ETag of the record as the client last read it. The write fails with a 412 when the record has
+ *         changed since. Required (428 without it) when the server runs with REQUIRE_IF_MATCH.
+ *       schema:
+ *         type: string
+ *     ifNoneMatch:
+ *       in: header
+ *       name: If-None-Match
+ *       description: The ETag of the record the client has; answered with a 304 when it is still current
+ *       schema:
+ *         type: string
+ */
+
+module.exports = { createPreconditions, etagOf };
@@ -0,0 +1,95 @@
+const { STATUS_CODES } = require('http');
+
+// Detail of errors the client can't do anything about. The message of the
+// error itself, and the driver's for database errors, only go to the log.
+const UNEXPECTED_ERROR = 'An unexpected error occurred, quote the request id when reporting it';
+
+// An RFC 7807 problem details object for the given request. extensions are
+// extra members, like the list of invalid fields of a validation problem.
+function problemDetails(req, status, detail, extensions = {}) {
+  return {
+    type: 'about:blank',
+    title: STATUS_CODES[status] || 'Error',
+    status,
+    detail,
+    instance: req.originalUrl,
+    requestId: req.id,
+    ...extensions
+  };
+}
+
+// Answers the request with an application/problem+json error
+function problem(res, status, detail, extensions) {
+  return res.status(status).type('application/problem+json').json(problemDetails(res.req, status, detail, extensions));
+}
+
+// Answers with a 400 listing the invalid fields, as returned by
+// validationResult().array() or as plain messages
+function validationProblem(res, errors) {
+  return problem(res, 400, 'The request is invalid, see errors', { errors });
+}
+
+// Answers requests that no route handled
+function notFoundHandler(req, res) {
+  problem(res, 404, `No route for ${req.method} ${req.path}`);
+}
+
+// Answers every error passed to next(err) with a problem. Errors carry their
+// status in err.status: the errors of repositories/errors.js, and the 4xx
+// errors of body-parser. Anything else is a 500. Every error is logged to the
+// request's logger, with the request id the client gets in the response and
+// X-Request-Id.
+function errorHandler(err, req, res, next) {
+  const status = err.status >= 400 && err.status < 600 ? err.status : 500;
+
+  if (status >= 500) {
+    req.log.error({ err, method: req.method, path: req.path }, 'Request failed');
+  } else {
+    req.log.warn({ status, method: req.method, path: req.path, detail: err.message, sqlMessage: err.sqlMessage }, 'Request refused');
+  }
+
+  // A response that is already on its way can only be broken off, which
+  // Express's own handler does
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  problem(res, status, status >= 500 ? UNEXPECTED_ERROR : err.message);
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Problem:
+ *       type: object
+ *       description: Every error is answered with an RFC 7807 application/problem+json body
+ *       properties:
+ *         type:
+ *           type: string
+ *           example: about:blank
+ *         title:
+ *           type: string
+ *           description: The HTTP status text
+ *           example: Conflict
+ *         status:
+ *           type: integer
+ *           example: 409
+ *         detail:
+ *           type: string
+ *           example: A record with this key already exists
+ *         instance:
+ *           type: string
+ *           description: The path of the request
+ *           example: /customer
+ *         requestId:
+ *           type: string
+ *           description: Correlation id of the request, also sent as X-Request-Id and written to the server log
+ *         errors:
+ *           type: array
+ *           description: The invalid fields, for validation problems
+ *           items:
+ *             type: object
+ */
+
+module.exports = { UNEXPECTED_ERROR, problem, validationProblem, notFoundHandler, errorHandler };
@@ -0,0 +1,63 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('agents');
+
+// Order sources the performance reports can read from
+const orderSources = {
+  orders: 'orders',
+  daysorder: 'daysorder',
+  all: '(SELECT * FROM orders UNION ALL SELECT * FROM daysorder)'
+};
+
+// Columns each report grouping adds in front of the order figures
+const reportGroupings = {
+  agent: ['a.AGENT_CODE', 'a.AGENT_NAME', 'a.WORKING_AREA', 'a.COMMISSION'],
+  month: ['a.AGENT_CODE', 'a.AGENT_NAME', 'a.WORKING_AREA', 'a.COMMISSION', "DATE_FORMAT(o.ORD_DATE, '%Y-%m')"],
+  area: ['a.WORKING_AREA']
+};
+
+function createAgentRepository(db) {
+  const agents = createTable(db, definition);
+
+  // Runs the sales performance query. Commission earned is ORD_AMOUNT x the
+  // agent's COMMISSION, summed over the orders in the date range. Deleted
+  // agents are left out unless includeDeleted.
+  async function performance({ agentCode, groupBy = 'agent', from, to, source = 'orders', includeDeleted = false }) {
+    const groupColumns = reportGroupings[groupBy];
+    const orderSource = orderSources[source];
+    if (!groupColumns || !orderSource) {
+      throw new Error(`Unknown report grouping ${groupBy} or source ${source}`);
+    }
+    const selectColumns = groupColumns.map((column) => (column.startsWith('DATE_FORMAT') ? `${column} AS MONTH` : column));
+
+    const where = includeDeleted ? [] : ['a.DELETED_AT IS NULL'];
+    const values = [from || '1000-01-01', to || '9999-12-31'];
+    if (agentCode) {
+      where.push('a.AGENT_CODE = ?');
+      values.push(agentCode);
+    }
+
+    // Agents without orders still show up with zeros, except in the monthly
+    // breakdown where there is no month to put them in
+    const join = groupBy === 'month' ? 'JOIN' : 'LEFT JOIN';
+
+    return db.query(`
+      SELECT ${selectColumns.join(', ')},
+        ${groupBy === 'area' ? 'COUNT(DISTINCT a.AGENT_CODE) AS AGENT_COUNT,' : ''}
+        COUNT(o.ORD_NUM) AS ORDER_COUNT,
+        COALESCE(SUM(o.ORD_AMOUNT), 0) AS ORDER_TOTAL,
+        COALESCE(SUM(o.ADVANCE_AMOUNT), 0) AS ADVANCE_TOTAL,
+        COALESCE(ROUND(SUM(o.ORD_AMOUNT * a.COMMISSION), 2), 0) AS COMMISSION_EARNED,
+        COUNT(DISTINCT o.CUST_CODE) AS CUSTOMER_COUNT
+      FROM agents a
+      ${join} ${orderSource} o ON o.AGENT_CODE = a.AGENT_CODE AND o.ORD_DATE BETWEEN ? AND ?
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      GROUP BY ${groupColumns.join(', ')}
+      ORDER BY ${groupColumns.join(', ')}`, values);
+  }
+
+  return { ...agents, performance };
+}
+
+module.exports = { createAgentRepository, definition, orderSources, reportGroupings };
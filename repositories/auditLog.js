@@ -0,0 +1,22 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('auditLog');
+
+function createAuditLogRepository(db) {
+  const auditLog = createTable(db, definition);
+
+  // A page of the entries of one record, newest first: { total, rows }
+  async function history(entity, entityKey, { limit, offset }) {
+    const total = await auditLog.count({ ENTITY: entity, ENTITY_KEY: entityKey });
+    const rows = await db.query(`
+      SELECT AUDIT_ID, ENTITY, ENTITY_KEY, ACTION, CHANGES, ACTOR, REQUEST_ID, CREATED_AT
+      FROM audit_log WHERE ENTITY = ? AND ENTITY_KEY = ?
+      ORDER BY AUDIT_ID DESC LIMIT ? OFFSET ?`, [entity, entityKey, limit, offset]);
+    return { total, rows };
+  }
+
+  return { ...auditLog, history };
+}
+
+module.exports = { createAuditLogRepository, definition };
@@ -0,0 +1,10 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('companies');
+
+function createCompanyRepository(db) {
+  return createTable(db, definition);
+}
+
+module.exports = { createCompanyRepository, definition };
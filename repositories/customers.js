@@ -0,0 +1,22 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('customers');
+
+function createCustomerRepository(db) {
+  const customers = createTable(db, definition);
+
+  // Adds a ledger receipt to RECEIVE_AMT or a payment to PAYMENT_AMT and
+  // recomputes OUTSTANDING_AMT as OPENING_AMT + RECEIVE_AMT - PAYMENT_AMT
+  async function applyTransaction(code, txnType, amount) {
+    const totalColumn = txnType === 'RECEIPT' ? 'RECEIVE_AMT' : 'PAYMENT_AMT';
+    await db.query(`UPDATE customer SET ${totalColumn} = ${totalColumn} + ? WHERE CUST_CODE = ?`, [amount, code]);
+    await db.query(
+      "UPDATE customer SET OUTSTANDING_AMT = OPENING_AMT + RECEIVE_AMT - PAYMENT_AMT WHERE CUST_CODE = ?", [code]
+    );
+  }
+
+  return { ...customers, applyTransaction };
+}
+
+module.exports = { createCustomerRepository, definition };
@@ -0,0 +1,124 @@
+const { Readable } = require('stream');
+const { translateError } = require('./errors');
+
+// BigInt values (COUNT(), SUM() of integers, insertId) can't be sent as JSON.
+// They become numbers, or strings when too large to be exact as a number.
+function serializeValue(value) {
+  if (typeof value !== 'bigint') {
+    return value;
+  }
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : value.toString();
+}
+
+// DECIMAL columns are left as the strings both drivers return, so amounts
+// keep their exact value; dates are strings already (see db.js).
+function serializeRow(row) {
+  return Object.fromEntries(Object.entries(row).map(([column, value]) => [column, serializeValue(value)]));
+}
+
+// Rows of a SELECT, or { affectedRows, insertId } of a write
+function serializeResult(result) {
+  if (Array.isArray(result)) {
+    return result.map(serializeRow);
+  }
+  return {
+    affectedRows: serializeValue(result.affectedRows),
+    insertId: serializeValue(result.insertId || 0),
+    warningStatus: result.warningStatus || 0
+  };
+}
+
+/**
+ * Wraps the pool of db.js for the repositories. query() and stream() run on a
+ * connection taken from the pool for that one statement, except inside
+ * transaction(fn), where fn gets a database whose statements all run on the
+ * transaction's connection. Results are serialized and driver errors
+ * translated (see errors.js) here, so no repository has to.
+ *
+ * observeQuery(sql, seconds, err) is called after every query(), with the
+ * driver's error when it failed, for the metrics and the query log.
+ */
+function createDatabase(pool, { observeQuery = () => {} } = {}) {
+  return databaseOn(pool, null, observeQuery);
+}
+
+// The database of createDatabase() whose statements all run on conn, or each
+// on a connection of its own when conn is null
+function databaseOn(pool, conn, observeQuery) {
+  async function withConnection(fn) {
+    if (conn) {
+      return fn(conn);
+    }
+    const own = await pool.getConnection();
+    try {
+      return await fn(own);
+    } finally {
+      own.release();
+    }
+  }
+
+  async function query(sql, values = []) {
+    const start = process.hrtime.bigint();
+    const seconds = () => Number(process.hrtime.bigint() - start) / 1e9;
+    try {
+      const result = serializeResult(await withConnection((c) => c.query(sql, values)));
+      observeQuery(sql, seconds());
+      return result;
+    } catch (err) {
+      observeQuery(sql, seconds(), err);
+      throw translateError(err);
+    }
+  }
+
+  // Resolves with a stream of the rows, read as the consumer asks for them.
+  // The connection goes back to the pool when the stream ends or is destroyed.
+  async function stream(sql, values = []) {
+    let own;
+    try {
+      own = conn ? null : await pool.getConnection();
+    } catch (err) {
+      throw translateError(err);
+    }
+
+    const source = (conn || own).queryStream(sql, values);
+    return Readable.from((async function* rows() {
+      try {
+        for await (const row of source) {
+          yield serializeRow(row);
+        }
+      } catch (err) {
+        throw translateError(err);
+      } finally {
+        if (own) own.release();
+      }
+    })());
+  }
+
+  // Runs fn(database) in a transaction, committed when fn resolves and rolled
+  // back when it throws. A transaction started inside another one joins it.
+  async function transaction(fn) {
+    if (conn) {
+      return fn(database);
+    }
+
+    let own;
+    try {
+      own = await pool.getConnection();
+      await own.beginTransaction();
+      const result = await fn(databaseOn(pool, own, observeQuery));
+      await own.commit();
+      return result;
+    } catch (err) {
+      if (own) await own.rollback().catch(() => {});
+      throw translateError(err);
+    } finally {
+      if (own) own.release();
+    }
+  }
+
+  const database = { query, stream, transaction };
+  return database;
+}
+
+module.exports = { createDatabase };
@@ -0,0 +1,10 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('daysOrders');
+
+function createDaysOrderRepository(db) {
+  return createTable(db, definition);
+}
+
+module.exports = { createDaysOrderRepository, definition };
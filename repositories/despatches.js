@@ -0,0 +1,21 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('despatches');
+
+function createDespatchRepository(db) {
+  const despatches = createTable(db, definition);
+
+  // Amount despatched so far on an order, leaving out the despatch exceptDesNum
+  async function despatchedTotal(ordNum, exceptDesNum = '') {
+    const [row] = await db.query(
+      "SELECT COALESCE(SUM(DES_AMOUNT), 0) AS total FROM despatch WHERE ORD_NUM = ? AND DES_NUM <> ?",
+      [ordNum, exceptDesNum]
+    );
+    return row.total;
+  }
+
+  return { ...despatches, despatchedTotal };
+}
+
+module.exports = { createDespatchRepository, definition };
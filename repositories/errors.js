@@ -0,0 +1,102 @@
+// Errors the repositories throw instead of the driver's own. status is the
+// HTTP status a route answers with and the message is what the client is
+// told. sqlMessage is the driver's description of the problem, which names
+// the tables, columns, keys and constraints involved: it only goes to the log.
+class DatabaseError extends Error {
+  constructor(message, { status = 500, code = null, sqlMessage, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.sqlMessage = sqlMessage;
+  }
+}
+
+// A primary or unique key value that is already taken
+class DuplicateKeyError extends DatabaseError {
+  constructor(message, options) {
+    super(message, { status: 409, ...options });
+  }
+}
+
+// A reference to a row that doesn't exist, or a delete of a row still referred to
+class ForeignKeyError extends DatabaseError {
+  constructor(message, options) {
+    super(message, { status: 422, ...options });
+  }
+}
+
+// A value that doesn't fit its column: too long, out of range, not a valid
+// date or number, or NULL in a NOT NULL column
+class InvalidDataError extends DatabaseError {
+  constructor(message, options) {
+    super(message, { status: 400, ...options });
+  }
+}
+
+// A row that an operation needs doesn't exist, thrown to roll a transaction back
+class NotFoundError extends DatabaseError {
+  constructor(message, options) {
+    super(message, { status: 404, ...options });
+  }
+}
+
+// The database can't be reached or has no connection to spare
+class DatabaseUnavailableError extends DatabaseError {
+  constructor(message, options) {
+    super(message, { status: 503, ...options });
+  }
+}
+
+// Driver error codes (the same for mariadb and mysql2) and the error each becomes
+const translations = {
+  ER_DUP_ENTRY: DuplicateKeyError,
+  ER_NO_REFERENCED_ROW: ForeignKeyError,
+  ER_NO_REFERENCED_ROW_2: ForeignKeyError,
+  ER_ROW_IS_REFERENCED: ForeignKeyError,
+  ER_ROW_IS_REFERENCED_2: ForeignKeyError,
+  ER_DATA_TOO_LONG: InvalidDataError,
+  ER_WARN_DATA_OUT_OF_RANGE: InvalidDataError,
+  ER_TRUNCATED_WRONG_VALUE: InvalidDataError,
+  ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: InvalidDataError,
+  ER_BAD_NULL_ERROR: InvalidDataError,
+  ER_CON_COUNT_ERROR: DatabaseUnavailableError,
+  ER_GET_CONNECTION_TIMEOUT: DatabaseUnavailableError,
+  ER_POOL_ALREADY_CLOSED: DatabaseUnavailableError,
+  ECONNREFUSED: DatabaseUnavailableError,
+  ETIMEDOUT: DatabaseUnavailableError
+};
+
+// The message of each error the driver's errors become
+const details = new Map([
+  [DuplicateKeyError, 'A record with this key already exists'],
+  [ForeignKeyError, 'The record refers to a record that does not exist, or is still referred to by other records'],
+  [InvalidDataError, 'A value does not fit its field: too long, out of range, of the wrong type or missing'],
+  [DatabaseUnavailableError, 'The database is unavailable'],
+  [DatabaseError, 'The database failed']
+]);
+
+// Turns an error thrown by the driver into one of the errors above. Errors
+// that don't come from the driver are left alone.
+function translateError(err) {
+  if (err instanceof DatabaseError) {
+    return err;
+  }
+  if (err.errno === undefined && err.sqlState === undefined && !translations[err.code]) {
+    return err;
+  }
+  const ErrorClass = translations[err.code] || DatabaseError;
+  return new ErrorClass(details.get(ErrorClass), {
+    code: err.code || null, sqlMessage: err.sqlMessage || err.message, cause: err
+  });
+}
+
+module.exports = {
+  DatabaseError,
+  DuplicateKeyError,
+  ForeignKeyError,
+  InvalidDataError,
+  NotFoundError,
+  DatabaseUnavailableError,
+  translateError
+};
@@ -0,0 +1,17 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('foods');
+
+function createFoodRepository(db) {
+  const foods = createTable(db, definition);
+
+  // Deletes every food item of a company, for a company deleted with its foods
+  function removeByCompany(companyId) {
+    return db.query('DELETE FROM foods WHERE COMPANY_ID = ?', [companyId]);
+  }
+
+  return { ...foods, removeByCompany };
+}
+
+module.exports = { createFoodRepository, definition };
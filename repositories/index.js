@@ -0,0 +1,52 @@
+const { createDatabase } = require('./database');
+const { createCustomerRepository } = require('./customers');
+const { createAgentRepository } = require('./agents');
+const { createCompanyRepository } = require('./companies');
+const { createOrderRepository } = require('./orders');
+const { createDaysOrderRepository } = require('./daysOrders');
+const { createDespatchRepository } = require('./despatches');
+const { createFoodRepository } = require('./foods');
+const { createItemRepository } = require('./items');
+const { createStudentRepository } = require('./students');
+const { createStudentReportRepository } = require('./studentReports');
+const { createLedgerRepository } = require('./ledger');
+const { createAuditLogRepository } = require('./auditLog');
+const { createUserRepository } = require('./users');
+const { createWebhookRepository } = require('./webhooks');
+const { createWebhookOutboxRepository } = require('./webhookOutbox');
+
+function repositoriesOf(db) {
+  return {
+    customers: createCustomerRepository(db),
+    agents: createAgentRepository(db),
+    companies: createCompanyRepository(db),
+    orders: createOrderRepository(db),
+    daysOrders: createDaysOrderRepository(db),
+    despatches: createDespatchRepository(db),
+    foods: createFoodRepository(db),
+    items: createItemRepository(db),
+    students: createStudentRepository(db),
+    studentReports: createStudentReportRepository(db),
+    ledger: createLedgerRepository(db),
+    auditLog: createAuditLogRepository(db),
+    users: createUserRepository(db),
+    webhooks: createWebhookRepository(db),
+    webhookOutbox: createWebhookOutboxRepository(db),
+
+    // Runs fn(repositories) in a database transaction: the repositories fn
+    // gets work on the transaction's connection. Resolves with the result of
+    // fn after committing, and rolls back when fn throws.
+    transaction: (fn) => db.transaction((transactionDb) => fn(repositoriesOf(transactionDb)))
+  };
+}
+
+/**
+ * Creates the repositories, one per table, on the given pool (see db.js).
+ * Route handlers read and write the database only through these. options
+ * are those of createDatabase(), see database.js.
+ */
+function createRepositories(pool, options) {
+  return repositoriesOf(createDatabase(pool, options));
+}
+
+module.exports = { createRepositories };
@@ -0,0 +1,10 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('items');
+
+function createItemRepository(db) {
+  return createTable(db, definition);
+}
+
+module.exports = { createItemRepository, definition };
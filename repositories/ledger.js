@@ -0,0 +1,34 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('ledger');
+
+function createLedgerRepository(db) {
+  const ledger = createTable(db, definition);
+
+  // Net effect of a customer's ledger on OUTSTANDING_AMT, overall (total) and
+  // before the given date (before)
+  async function netTotals(custCode, before) {
+    const [row] = await db.query(`
+      SELECT
+        COALESCE(SUM(CASE WHEN TXN_TYPE = 'RECEIPT' THEN TXN_AMOUNT ELSE -TXN_AMOUNT END), 0) AS total,
+        COALESCE(SUM(CASE WHEN TXN_DATE < ? THEN
+          CASE WHEN TXN_TYPE = 'RECEIPT' THEN TXN_AMOUNT ELSE -TXN_AMOUNT END
+        ELSE 0 END), 0) AS before_period
+      FROM ledger WHERE CUST_CODE = ?`, [before, custCode]);
+    return { total: row.total, before: row.before_period };
+  }
+
+  // A customer's transactions dated between from and to, oldest first
+  async function transactions(custCode, from, to) {
+    return db.query(`
+      SELECT TXN_ID, TXN_DATE, TXN_TYPE, TXN_AMOUNT, TXN_DESCRIPTION
+      FROM ledger
+      WHERE CUST_CODE = ? AND TXN_DATE BETWEEN ? AND ?
+      ORDER BY TXN_DATE, TXN_ID`, [custCode, from, to]);
+  }
+
+  return { ...ledger, netTotals, transactions };
+}
+
+module.exports = { createLedgerRepository, definition };
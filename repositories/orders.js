@@ -0,0 +1,50 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('orders');
+
+// Total despatched per order, to join onto orders as d
+const despatchedTotals = `
+  LEFT JOIN (
+    SELECT ORD_NUM, SUM(DES_AMOUNT) AS DESPATCHED_AMOUNT FROM despatch GROUP BY ORD_NUM
+  ) d ON d.ORD_NUM = o.ORD_NUM`;
+
+function createOrderRepository(db) {
+  const orders = createTable(db, definition);
+
+  // Counts the orders of a customer or agent (column is CUST_CODE or
+  // AGENT_CODE) that aren't fully despatched yet
+  async function countUndespatched(column, code) {
+    if (!['CUST_CODE', 'AGENT_CODE'].includes(column)) {
+      throw new Error(`Cannot count orders by ${column}`);
+    }
+    const [row] = await db.query(`
+      SELECT COUNT(*) AS total
+      FROM orders o ${despatchedTotals}
+      WHERE o.${column} = ? AND COALESCE(d.DESPATCHED_AMOUNT, 0) < o.ORD_AMOUNT`, [code]);
+    return row.total;
+  }
+
+  // Orders dated between from and to that still have something to despatch,
+  // optionally of one agent only
+  async function undespatched({ agentCode, from, to }) {
+    const where = ['o.ORD_DATE BETWEEN ? AND ?'];
+    const values = [from || '1000-01-01', to || '9999-12-31'];
+    if (agentCode) {
+      where.push('o.AGENT_CODE = ?');
+      values.push(agentCode);
+    }
+
+    return db.query(`
+      SELECT o.ORD_NUM, o.ORD_DATE, o.CUST_CODE, o.AGENT_CODE, o.ORD_AMOUNT,
+        COALESCE(d.DESPATCHED_AMOUNT, 0) AS DESPATCHED_AMOUNT,
+        o.ORD_AMOUNT - COALESCE(d.DESPATCHED_AMOUNT, 0) AS REMAINING_AMOUNT
+      FROM orders o ${despatchedTotals}
+      WHERE ${where.join(' AND ')} AND COALESCE(d.DESPATCHED_AMOUNT, 0) < o.ORD_AMOUNT
+      ORDER BY o.ORD_DATE, o.ORD_NUM`, values);
+  }
+
+  return { ...orders, countUndespatched, undespatched };
+}
+
+module.exports = { createOrderRepository, definition };
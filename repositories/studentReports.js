@@ -0,0 +1,20 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+// studentreport has no primary key; a report is the one of a student
+// in a semester, which the SEMISTER unique key enforces
+const definition = definitionOf('studentReports');
+
+function createStudentReportRepository(db) {
+  const reports = createTable(db, definition);
+
+  // Deletes every report of the student with the given [CLASS, SECTION,
+  // ROLLID], for a student deleted with their reports
+  function removeByStudent([studentClass, section, rollId]) {
+    return db.query('DELETE FROM studentreport WHERE CLASS = ? AND SECTION = ? AND ROLLID = ?', [studentClass, section, rollId]);
+  }
+
+  return { ...reports, removeByStudent };
+}
+
+module.exports = { createStudentReportRepository, definition };
@@ -0,0 +1,10 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('students');
+
+function createStudentRepository(db) {
+  return createTable(db, definition);
+}
+
+module.exports = { createStudentRepository, definition };
@@ -0,0 +1,176 @@
+const schema = require('../schema');
+
+// Columns soft-deletable tables have on top of their own
+const softDeleteColumns = Object.keys(schema.softDeleteColumns);
+
+/**
+ * Creates the repository of one table, described as { table, key, columns,
+ * softDelete }. key is the column that identifies a row, or an array of
+ * columns for a composite key, in which case ids are arrays of the key values
+ * in the same order. columns are the table's columns, the only ones the
+ * repository reads or writes; soft-deletable tables also have DELETED_AT and
+ * DELETED_BY, and hide deleted rows unless asked for them with includeDeleted.
+ *
+ * The repository has find(), exists(), findAll(), count(), list(), stream(),
+ * insert(), update() and remove(), and softDelete(), restore() and purge()
+ * for soft-deletable tables. Statements run on the given database (see
+ * database.js).
+ */
+function createTable(db, { table, key, columns, softDelete = false }) {
+  const keyColumns = Array.isArray(key) ? key : [key];
+  const allColumns = softDelete ? [...columns, ...softDeleteColumns] : columns;
+
+  // Column names end up in the SQL, so only the table's own are let through
+  function checkColumns(names) {
+    for (const name of names) {
+      if (!allColumns.includes(name)) {
+        throw new Error(`Unknown column ${name} in ${table}`);
+      }
+    }
+    return names;
+  }
+
+  function keyValues(id) {
+    const values = Array.isArray(key) ? id : [id];
+    if (!Array.isArray(values) || values.length !== keyColumns.length) {
+      throw new Error(`${table} rows are identified by ${keyColumns.join(', ')}`);
+    }
+    return values;
+  }
+
+  const keyCondition = keyColumns.map((column) => `${column} = ?`).join(' AND ');
+
+  function liveCondition(includeDeleted) {
+    return softDelete && !includeDeleted ? ' AND DELETED_AT IS NULL' : '';
+  }
+
+  // { COLUMN: value } to a WHERE clause; an array value matches any of its values
+  function whereClause(conditions, includeDeleted) {
+    const where = [];
+    const values = [];
+    for (const [column, value] of Object.entries(conditions)) {
+      checkColumns([column]);
+      if (Array.isArray(value)) {
+        where.push(value.length === 0 ? 'FALSE' : `${column} IN (${value.map(() => '?').join(', ')})`);
+        values.push(...value);
+      } else if (value === null) {
+        where.push(`${column} IS NULL`);
+      } else {
+        where.push(`${column} = ?`);
+        values.push(value);
+      }
+    }
+    if (softDelete && !includeDeleted) {
+      where.push('DELETED_AT IS NULL');
+    }
+    return { where: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '', values };
+  }
+
+  // ['COLUMN', '-COLUMN'] to an ORDER BY clause, - meaning descending
+  function orderClause(order) {
+    if (!order || order.length === 0) {
+      return '';
+    }
+    return `ORDER BY ${order.map((entry) => {
+      const column = entry.replace(/^-/, '');
+      checkColumns([column]);
+      return `${column} ${entry.startsWith('-') ? 'DESC' : 'ASC'}`;
+    }).join(', ')}`;
+  }
+
+  // The row with the given id, or null. forUpdate locks it until the end of
+  // the transaction.
+  async function find(id, { includeDeleted = false, columns: fields = allColumns, forUpdate = false } = {}) {
+    const rows = await db.query(
+      `SELECT ${checkColumns(fields).join(', ')} FROM ${table} WHERE ${keyCondition}${liveCondition(includeDeleted)}${forUpdate ? ' FOR UPDATE' : ''}`,
+      keyValues(id)
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  async function exists(id, options = {}) {
+    return (await find(id, { ...options, columns: keyColumns })) !== null;
+  }
+
+  // Rows matching every condition, see whereClause(). forUpdate locks them
+  // until the end of the transaction.
+  async function findAll(conditions = {}, { includeDeleted = false, columns: fields = allColumns, order, forUpdate = false } = {}) {
+    const { where, values } = whereClause(conditions, includeDeleted);
+    return db.query(
+      `SELECT ${checkColumns(fields).join(', ')} FROM ${table} ${where} ${orderClause(order)}${forUpdate ? ' FOR UPDATE' : ''}`,
+      values
+    );
+  }
+
+  async function count(conditions = {}, { includeDeleted = false } = {}) {
+    const { where, values } = whereClause(conditions, includeDeleted);
+    const [row] = await db.query(`SELECT COUNT(*) AS total FROM ${table} ${where}`, values);
+    return row.total;
+  }
+
+  // A page of a list query as built by parseListQuery() in list.js, whose
+  // columns are checked there: { total, rows }
+  async function list({ where, values, order, fields, limit, offset }) {
+    const [row] = await db.query(`SELECT COUNT(*) AS total FROM ${table} ${where}`, values);
+    const rows = await db.query(
+      `SELECT ${fields} FROM ${table} ${where} ${order} LIMIT ? OFFSET ?`,
+      [...values, limit, offset]
+    );
+    return { total: row.total, rows };
+  }
+
+  // Every row of a list query as a stream, see database.js
+  function stream({ where, values, order, fields }) {
+    return db.stream(`SELECT ${fields} FROM ${table} ${where} ${order}`, values);
+  }
+
+  // Inserts the record's columns; columns left undefined get their default
+  async function insert(record) {
+    const names = checkColumns(Object.keys(record).filter((column) => record[column] !== undefined));
+    return db.query(
+      `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+      names.map((column) => record[column])
+    );
+  }
+
+  // Sets every column in fields, undefined ones to NULL. Deleted rows are
+  // left alone unless includeDeleted is set.
+  async function update(id, fields, { includeDeleted = false } = {}) {
+    const names = checkColumns(Object.keys(fields));
+    if (names.length === 0) {
+      throw new Error(`No columns to update in ${table}`);
+    }
+    return db.query(
+      `UPDATE ${table} SET ${names.map((column) => `${column} = ?`).join(', ')} WHERE ${keyCondition}${liveCondition(includeDeleted)}`,
+      [...names.map((column) => (fields[column] === undefined ? null : fields[column])), ...keyValues(id)]
+    );
+  }
+
+  async function remove(id) {
+    return db.query(`DELETE FROM ${table} WHERE ${keyCondition}`, keyValues(id));
+  }
+
+  const repository = {
+    table, key, columns, allColumns,
+    find, exists, findAll, count, list, stream, insert, update, remove
+  };
+
+  if (softDelete) {
+    // Marks a live row deleted by the given user
+    repository.softDelete = (id, actor) => db.query(
+      `UPDATE ${table} SET DELETED_AT = NOW(), DELETED_BY = ? WHERE ${keyCondition} AND DELETED_AT IS NULL`,
+      [actor, ...keyValues(id)]
+    );
+    repository.restore = (id) => db.query(
+      `UPDATE ${table} SET DELETED_AT = NULL, DELETED_BY = NULL WHERE ${keyCondition}`, keyValues(id)
+    );
+    // Removes a deleted row for good
+    repository.purge = (id) => db.query(
+      `DELETE FROM ${table} WHERE ${keyCondition} AND DELETED_AT IS NOT NULL`, keyValues(id)
+    );
+  }
+
+  return repository;
+}
+
+module.exports = { createTable };
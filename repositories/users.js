@@ -0,0 +1,18 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('users');
+
+function createUserRepository(db) {
+  const users = createTable(db, definition);
+
+  // The user an API key belongs to, without the hash, or null
+  async function findByApiKeyHash(hash) {
+    const rows = await users.findAll({ API_KEY_HASH: hash }, { columns: ['USER_ID', 'USERNAME', 'ROLE', 'AGENT_CODE'] });
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  return { ...users, findByApiKeyHash };
+}
+
+module.exports = { createUserRepository, definition };
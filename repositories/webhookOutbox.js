@@ -0,0 +1,69 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('webhookOutbox');
+
+// NEXT_ATTEMPT_AT is computed by the database, the clock it is compared with
+function createWebhookOutboxRepository(db) {
+  const outbox = createTable(db, definition);
+
+  // Pending deliveries whose next attempt is due, oldest first
+  function due(limit) {
+    return db.query(
+      `SELECT ${outbox.allColumns.join(', ')} FROM webhook_outbox
+      WHERE STATUS = 'pending' AND NEXT_ATTEMPT_AT <= NOW() ORDER BY DELIVERY_ID LIMIT ?`,
+      [limit]
+    );
+  }
+
+  // Takes a due delivery for the given seconds, so that no other dispatcher
+  // sends it meanwhile. Resolves with whether this one got it.
+  async function claim(id, seconds) {
+    const { affectedRows } = await db.query(
+      `UPDATE webhook_outbox SET NEXT_ATTEMPT_AT = NOW() + INTERVAL ? SECOND
+      WHERE DELIVERY_ID = ? AND STATUS = 'pending' AND NEXT_ATTEMPT_AT <= NOW()`,
+      [seconds, id]
+    );
+    return affectedRows === 1;
+  }
+
+  function markDelivered(id, { attempts, status }) {
+    return db.query(
+      `UPDATE webhook_outbox SET STATUS = 'delivered', ATTEMPTS = ?, LAST_STATUS = ?, LAST_ERROR = NULL,
+      DELIVERED_AT = NOW() WHERE DELIVERY_ID = ?`,
+      [attempts, status, id]
+    );
+  }
+
+  // A failed attempt: tried again after delay seconds, or dead when delay is null
+  function markFailed(id, { attempts, status, error, delay }) {
+    return db.query(
+      `UPDATE webhook_outbox SET STATUS = ?, ATTEMPTS = ?, LAST_STATUS = ?, LAST_ERROR = ?,
+      NEXT_ATTEMPT_AT = NOW() + INTERVAL ? SECOND WHERE DELIVERY_ID = ?`,
+      [delay === null ? 'dead' : 'pending', attempts, status, error.slice(0, 255), delay || 0, id]
+    );
+  }
+
+  // Sends a delivered or dead delivery again from the first attempt, as soon
+  // as the dispatcher runs
+  function replay(id) {
+    return db.query(
+      `UPDATE webhook_outbox SET STATUS = 'pending', ATTEMPTS = 0, NEXT_ATTEMPT_AT = NOW()
+      WHERE DELIVERY_ID = ? AND STATUS <> 'pending'`,
+      [id]
+    );
+  }
+
+  // Replays every dead delivery, or those of one webhook
+  function replayDead(webhookId = null) {
+    return db.query(
+      `UPDATE webhook_outbox SET STATUS = 'pending', ATTEMPTS = 0, NEXT_ATTEMPT_AT = NOW()
+      WHERE STATUS = 'dead'${webhookId === null ? '' : ' AND WEBHOOK_ID = ?'}`,
+      webhookId === null ? [] : [webhookId]
+    );
+  }
+
+  return { ...outbox, due, claim, markDelivered, markFailed, replay, replayDead };
+}
+
+module.exports = { createWebhookOutboxRepository, definition };
@@ -0,0 +1,18 @@
+const { createTable } = require('./table');
+const { definitionOf } = require('../schema');
+
+const definition = definitionOf('webhooks');
+
+function createWebhookRepository(db) {
+  const webhooks = createTable(db, definition);
+
+  // The subscriptions to the given event, with their secret
+  async function subscribedTo(event) {
+    const rows = await webhooks.findAll({}, { order: ['WEBHOOK_ID'] });
+    return rows.filter((webhook) => webhook.EVENTS === '*' || webhook.EVENTS.split(',').includes(event));
+  }
+
+  return { ...webhooks, subscribedTo };
+}
+
+module.exports = { createWebhookRepository, definition };
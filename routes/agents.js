@@ -0,0 +1,365 @@
+const { param, query, validationResult } = require('express-validator'); // Validation
+const { listValidators, listHandler } = require('../list');
+const { showDeleted, activeOnly, softDeleteValidators, createSoftDelete } = require('../softDelete');
+const { patchValidators, createPatch } = require('../patch');
+const { problem, validationProblem } = require('../problem');
+
+// Agent routes: CRUD and soft delete
+module.exports = function agentRoutes(app, { repositories, auth, audit, validation, preconditions, cache }) {
+  const { softDeleteHandler, restoreHandler, purgeHandler } = createSoftDelete(repositories, preconditions);
+  const { patchHandler } = createPatch(repositories, audit, validation, preconditions);
+
+  /**
+   * @swagger
+   * /agent:
+   *   post:
+   *     summary: Add a new agent
+   *     description: Adds a new agent to the database.
+   *     tags:
+   *       - Agents
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Agent'
+   *     responses:
+   *       201:
+   *         description: Agent added successfully
+   *       400:
+   *         description: Validation errors
+   *       500:
+   *         description: Internal server error
+   */
+  app.post('/agent', [
+    auth.allow('admin'),
+    ...validation.bodyRules('agents')
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      req.log.debug({ body: req.body }, 'Received agent data');
+
+      const {
+        AGENT_CODE, AGENT_NAME, WORKING_AREA, COMMISSION, PHONE_NO, COUNTRY
+      } = req.body;
+
+      const result = await audit.track(repositories, req, 'agent', AGENT_CODE, (tx) => tx.agents.insert({
+        AGENT_CODE, AGENT_NAME, WORKING_AREA, COMMISSION, PHONE_NO, COUNTRY
+      }));
+
+      req.log.debug({ result }, 'Query result');
+
+      res.status(201).json({ message: 'Agent added successfully!', result });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+
+
+  /**
+   * @swagger
+   * /agent:
+   *   get:
+   *     summary: List agents
+   *     description: |
+   *       Returns a page of agents. Any column can be used as a filter, either as
+   *       COLUMN=value (repeat it to match any of several values), COLUMN[op]=value with op one of
+   *       eq, ne, gt, gte, lt, lte, like, or the shorthand COLUMN>=value, COLUMN<=value, COLUMN!=value,
+   *       e.g. WORKING_AREA=Bangalore&COMMISSION[gte]=0.13.
+   *     tags:
+   *       - Agents
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - $ref: '#/components/parameters/sort'
+   *       - $ref: '#/components/parameters/fields'
+   *       - $ref: '#/components/parameters/includeDeleted'
+   *     responses:
+   *       200:
+   *         description: A page of agents
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ListResponse'
+   *       400:
+   *         description: Invalid paging, filter, sort or field
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list agents
+  app.get('/agent', [
+    ...listValidators,
+    query('includeDeleted').isBoolean().optional()
+  ], listHandler(repositories.agents, 'AGENT_CODE', activeOnly));
+
+  /**
+   * @swagger
+   * /agent/{id}:
+   *   get:
+   *     summary: Get an agent by AGENT_CODE
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifNoneMatch'
+   *       - $ref: '#/components/parameters/includeDeleted'
+   *       - $ref: '#/components/parameters/cacheControl'
+   *     responses:
+   *       200:
+   *         description: Agent details
+   *         headers:
+   *           ETag:
+   *             description: Strong ETag of the record, for If-Match and If-None-Match
+   *             schema:
+   *               type: string
+   *           X-Cache:
+   *             $ref: '#/components/headers/X-Cache'
+   *       304:
+   *         description: Not modified, the ETag in If-None-Match is still current
+   *       404:
+   *         description: Agent not found
+   *       500:
+   *         description: Internal server error
+   */
+
+  // GET request to retrieve an agent by AGENT_CODE
+  app.get('/agent/:id', [
+    param('id').isString(),
+  ], async (req, res, next) => {
+    try {
+      // Deleted agents are cached too, and hidden here
+      const agent = await cache.read(req, res, 'agent', req.params.id,
+        () => repositories.agents.find(req.params.id, { includeDeleted: true }));
+      if (!agent || (agent.DELETED_AT && !showDeleted(req))) {
+        return problem(res, 404, 'Agent not found');
+      }
+
+      preconditions.sendRecord(res, agent);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+
+  /**
+   * @swagger
+   * /agent/{id}:
+   *   put:
+   *     summary: Replace an agent's entire data
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *     requestBody:
+   *       required: true
+   *       description: Every agent field except AGENT_CODE, which is taken from the path
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Agent'
+   *     responses:
+   *       200:
+   *         description: Agent replaced successfully
+   *       404:
+   *         description: Agent not found
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+
+  // PUT request to replace an agent's data by AGENT_CODE
+  app.put('/agent/:id', [
+    auth.allow('admin'),
+    param('id').isString(),
+    ...validation.bodyRules('agents', { except: ['AGENT_CODE'] })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const {
+        AGENT_NAME, WORKING_AREA, COMMISSION, PHONE_NO, COUNTRY
+      } = req.body;
+
+      const result = await preconditions.track(req, 'agent', req.params.id, (tx) => tx.agents.update(req.params.id, {
+        AGENT_NAME, WORKING_AREA, COMMISSION, PHONE_NO, COUNTRY
+      }));
+
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Agent not found');
+      }
+
+      res.json({ message: 'Agent updated successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /agent/{id}:
+   *   patch:
+   *     summary: Update some of an agent's fields
+   *     description: |
+   *       Only the fields the patch touches are written, AGENT_CODE can't be changed. Takes a JSON Merge Patch
+   *       (or plain JSON, read as one) or a JSON Patch, like PATCH /customer/{id}. Admins only.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/merge-patch+json:
+   *           schema:
+   *             $ref: '#/components/schemas/Agent'
+   *         application/json-patch+json:
+   *           schema:
+   *             $ref: '#/components/schemas/JsonPatch'
+   *     responses:
+   *       200:
+   *         description: The updated agent
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Agent'
+   *       400:
+   *         description: Malformed patch or invalid values
+   *       404:
+   *         description: Agent not found
+   *       409:
+   *         description: A test operation failed
+   *       415:
+   *         description: The body is not a merge patch or JSON Patch
+   *       422:
+   *         description: The patch touches a field that can't be patched
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+  // PATCH request to update some of an agent's fields by AGENT_CODE
+  app.patch('/agent/:id', [
+    auth.allow('admin'),
+    ...patchValidators
+  ], patchHandler('agent', { label: 'Agent' }));
+
+  /**
+   * @swagger
+   * /agent/{id}:
+   *   delete:
+   *     summary: Delete an agent
+   *     description: |
+   *       Marks the agent as deleted. Deleted agents are hidden from the other routes until they are restored.
+   *       An agent with open orders (not fully despatched, or in today's orders) is only deleted with force=true. Admins only.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *       - $ref: '#/components/parameters/force'
+   *     responses:
+   *       200:
+   *         description: Agent deleted successfully
+   *       404:
+   *         description: Agent not found
+   *       409:
+   *         description: The agent has open orders
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+  // DELETE request (Delete agent by AGENT_CODE)
+  app.delete('/agent/:id', softDeleteValidators, softDeleteHandler('agent'));
+
+  /**
+   * @swagger
+   * /agent/{id}/restore:
+   *   post:
+   *     summary: Restore a deleted agent
+   *     description: Admins only.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *     responses:
+   *       200:
+   *         description: Agent restored successfully
+   *       404:
+   *         description: Agent not found
+   *       409:
+   *         description: The agent is not deleted
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to restore a deleted agent
+  app.post('/agent/:id/restore', [
+    auth.allow('admin'),
+    ...softDeleteValidators
+  ], restoreHandler('agent'));
+
+  /**
+   * @swagger
+   * /agent/{id}/purge:
+   *   delete:
+   *     summary: Permanently remove a deleted agent
+   *     description: |
+   *       Only agents that have been deleted can be purged. An agent that orders still refer to
+   *       is only purged with force=true. Admins only.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *       - $ref: '#/components/parameters/force'
+   *     responses:
+   *       200:
+   *         description: Agent purged successfully
+   *       404:
+   *         description: Agent not found
+   *       409:
+   *         description: The agent is not deleted, or orders still refer to it
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+  // DELETE request to purge a deleted agent
+  app.delete('/agent/:id/purge', softDeleteValidators, purgeHandler('agent'));
+};
@@ -0,0 +1,118 @@
+const { param, query, validationResult } = require('express-validator'); // Validation
+const { DEFAULT_LIMIT, MAX_LIMIT, pageLinks } = require('../list');
+const { problem, validationProblem } = require('../problem');
+
+// Audit trail routes
+module.exports = function auditRoutes(app, { repositories, auth, audit }) {
+  /**
+   * @swagger
+   * /audit:
+   *   get:
+   *     summary: Browse the change history of a customer, agent or company
+   *     description: |
+   *       Lists the audit entries of one record, newest first. Every entry holds the old and new value
+   *       of each changed column, who made the change and the id of the request that made it. Admins only.
+   *     tags:
+   *       - Audit
+   *     parameters:
+   *       - in: query
+   *         name: entity
+   *         required: true
+   *         schema:
+   *           type: string
+   *           enum: [customer, agent, company]
+   *       - in: query
+   *         name: id
+   *         required: true
+   *         description: CUST_CODE, AGENT_CODE or COMPANY_ID of the record
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *     responses:
+   *       200:
+   *         description: Audit entries
+   *       400:
+   *         description: Validation errors
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to browse the audit trail of a record
+  app.get('/audit', [
+    auth.allow('admin'),
+    query('entity').isIn(Object.keys(audit.entities)),
+    query('id').isString().notEmpty(),
+    query('limit').optional().isInt({ min: 1, max: MAX_LIMIT }),
+    query('offset').optional().isInt({ min: 0 })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_LIMIT;
+    const offset = req.query.offset ? parseInt(req.query.offset, 10) : 0;
+
+    try {
+      const { total, data } = await audit.history(repositories, req.query.entity, req.query.id, { limit, offset });
+
+      res.json({ total, limit, offset, data, links: pageLinks(req, total, limit, offset) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /audit/{auditId}/revert:
+   *   post:
+   *     summary: Revert a record to an audit version
+   *     description: |
+   *       Puts the customer, agent or company back in the state it had right after the given audit entry,
+   *       recreating it if it was deleted since. The balances of a customer that still exists are left as the
+   *       ledger has them. The revert itself is recorded in the audit trail. Admins only.
+   *     tags:
+   *       - Audit
+   *     parameters:
+   *       - in: path
+   *         name: auditId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Record reverted
+   *       404:
+   *         description: Audit entry not found
+   *       409:
+   *         description: The entry records a delete, there is no version to go back to
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to revert a record to an audit version
+  app.post('/audit/:auditId/revert', [
+    auth.allow('admin'),
+    param('auditId').isInt({ min: 1 })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const entry = await audit.findEntry(repositories, req.params.auditId);
+      if (!entry) {
+        return problem(res, 404, 'Audit entry not found');
+      }
+      if (!entry.SNAPSHOT) {
+        return problem(res, 409, 'This entry records a delete, revert to an earlier entry instead');
+      }
+
+      await audit.revert(repositories, req, entry);
+
+      res.json({ message: 'Record reverted successfully!', entity: entry.ENTITY, id: entry.ENTITY_KEY, record: entry.SNAPSHOT });
+    } catch (err) {
+      next(err);
+    }
+  });
+};
@@ -0,0 +1,318 @@
+const { param, query, validationResult } = require('express-validator'); // Validation
+const { listValidators, listHandler } = require('../list');
+const { patchValidators, createPatch } = require('../patch');
+const { problem, validationProblem } = require('../problem');
+
+// Company routes: CRUD; the foods of a company are listed in routes/foods.js
+module.exports = function companyRoutes(app, { repositories, auth, audit, validation, preconditions, cache }) {
+  const { patchHandler } = createPatch(repositories, audit, validation, preconditions);
+
+  /**
+   * @swagger
+   * /company:
+   *   get:
+   *     summary: List companies
+   *     description: |
+   *       Returns a page of companies. Any column can be used as a filter, either as
+   *       COLUMN=value (repeat it to match any of several values), COLUMN[op]=value with op one of
+   *       eq, ne, gt, gte, lt, lte, like, or the shorthand COLUMN>=value, COLUMN<=value, COLUMN!=value,
+   *       e.g. COMPANY_CITY=London.
+   *     tags:
+   *       - Companies
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - $ref: '#/components/parameters/sort'
+   *       - $ref: '#/components/parameters/fields'
+   *     responses:
+   *       200:
+   *         description: A page of companies
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ListResponse'
+   *       400:
+   *         description: Invalid paging, filter, sort or field
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list companies
+  app.get('/company', listValidators, listHandler(repositories.companies, 'COMPANY_ID'));
+
+  /**
+   * @swagger
+   * /company:
+   *   post:
+   *     summary: Add a new company
+   *     description: Admins only.
+   *     tags:
+   *       - Companies
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Company'
+   *     responses:
+   *       201:
+   *         description: Company added successfully
+   *       400:
+   *         description: Validation errors
+   *       409:
+   *         description: COMPANY_ID is taken
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to add a new company
+  app.post('/company', [
+    auth.allow('admin'),
+    ...validation.bodyRules('companies')
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { COMPANY_ID, COMPANY_NAME, COMPANY_CITY } = req.body;
+
+      await audit.track(repositories, req, 'company', COMPANY_ID,
+        (tx) => tx.companies.insert({ COMPANY_ID, COMPANY_NAME, COMPANY_CITY }));
+
+      res.status(201).json({ message: 'Company added successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /company/{id}:
+   *   get:
+   *     summary: Get a company by COMPANY_ID
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifNoneMatch'
+   *       - $ref: '#/components/parameters/cacheControl'
+   *     responses:
+   *       200:
+   *         description: Company details
+   *         headers:
+   *           ETag:
+   *             description: Strong ETag of the record, for If-Match and If-None-Match
+   *             schema:
+   *               type: string
+   *           X-Cache:
+   *             $ref: '#/components/headers/X-Cache'
+   *       304:
+   *         description: Not modified, the ETag in If-None-Match is still current
+   *       404:
+   *         description: Company not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to retrieve a company by COMPANY_ID
+  app.get('/company/:id', [
+    param('id').isString(),
+  ], async (req, res, next) => {
+    try {
+      const company = await cache.read(req, res, 'company', req.params.id,
+        () => repositories.companies.find(req.params.id));
+      if (!company) {
+        return problem(res, 404, 'Company not found');
+      }
+
+      preconditions.sendRecord(res, company);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /company/{id}:
+   *   put:
+   *     summary: Replace a company's entire data
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *     requestBody:
+   *       required: true
+   *       description: COMPANY_NAME and COMPANY_CITY; COMPANY_ID is taken from the path
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Company'
+   *     responses:
+   *       200:
+   *         description: Company replaced successfully
+   *       404:
+   *         description: Company not found
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+  // PUT request to replace a company's data by COMPANY_ID
+  app.put('/company/:id', [
+    auth.allow('admin'),
+    param('id').isString(),
+    ...validation.bodyRules('companies', { except: ['COMPANY_ID'] })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { COMPANY_NAME, COMPANY_CITY } = req.body;
+
+      const result = await preconditions.track(req, 'company', req.params.id,
+        (tx) => tx.companies.update(req.params.id, { COMPANY_NAME, COMPANY_CITY }));
+
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Company not found');
+      }
+
+      res.json({ message: 'Company updated successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /company/{id}:
+   *   patch:
+   *     summary: Update some of a company's fields
+   *     description: |
+   *       Only the fields the patch touches are written, COMPANY_ID can't be changed. Takes a JSON Merge Patch
+   *       (or plain JSON, read as one) or a JSON Patch, like PATCH /customer/{id}. Admins only.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/merge-patch+json:
+   *           schema:
+   *             $ref: '#/components/schemas/Company'
+   *         application/json-patch+json:
+   *           schema:
+   *             $ref: '#/components/schemas/JsonPatch'
+   *     responses:
+   *       200:
+   *         description: The updated company
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Company'
+   *       400:
+   *         description: Malformed patch or invalid values
+   *       404:
+   *         description: Company not found
+   *       409:
+   *         description: A test operation failed
+   *       415:
+   *         description: The body is not a merge patch or JSON Patch
+   *       422:
+   *         description: The patch touches a field that can't be patched
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+  // PATCH request to update some of a company's fields by COMPANY_ID
+  app.patch('/company/:id', [
+    auth.allow('admin'),
+    ...patchValidators
+  ], patchHandler('company', { label: 'Company' }));
+
+  /**
+   * @swagger
+   * /company/{id}:
+   *   delete:
+   *     summary: Delete a company
+   *     description: |
+   *       A company that still has food items is only deleted with cascade=true, which deletes its food items
+   *       with it in one transaction. Admins only.
+   *     tags:
+   *       - Companies
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *       - in: query
+   *         name: cascade
+   *         description: Delete the company's food items too
+   *         schema:
+   *           type: boolean
+   *     responses:
+   *       200:
+   *         description: Company deleted successfully, with the number of food items deleted with it
+   *       404:
+   *         description: Company not found
+   *       409:
+   *         description: The company has food items
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+  // DELETE request to delete a company by COMPANY_ID
+  app.delete('/company/:id', [
+    auth.allow('admin'),
+    param('id').isString(),
+    query('cascade').isBoolean().optional()
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      if (!await repositories.companies.exists(req.params.id)) {
+        return problem(res, 404, 'Company not found');
+      }
+
+      const cascade = req.query.cascade === 'true';
+      const foods = await repositories.foods.count({ COMPANY_ID: req.params.id });
+      if (foods > 0 && !cascade) {
+        return problem(res, 409, `Company has ${foods} food items, use ?cascade=true to delete them with it`, { foods });
+      }
+
+      // foods refers to company, so a food item added in the meantime makes
+      // the delete fail rather than leaving it without its company
+      const deletedFoods = await preconditions.track(req, 'company', req.params.id, async (tx) => {
+        const { affectedRows } = cascade ? await tx.foods.removeByCompany(req.params.id) : { affectedRows: 0 };
+        await tx.companies.remove(req.params.id);
+        return affectedRows;
+      }, { action: 'delete' });
+
+      res.json({ message: 'Company deleted successfully!', deletedFoods });
+    } catch (err) {
+      next(err);
+    }
+  });
+};
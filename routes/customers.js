@@ -0,0 +1,815 @@
+const { body, param, query, validationResult } = require('express-validator'); // Validation
+const { parse: parseCsv } = require('csv-parse/sync');
+const { stringify: stringifyCsv } = require('csv-stringify');
+const { Transform } = require('stream');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const { customerScope } = require('../auth');
+const { parseListQuery, restrictList, listValidators, listHandler } = require('../list');
+const { showDeleted, activeOnly, softDeleteValidators, createSoftDelete } = require('../softDelete');
+const { patchValidators, createPatch } = require('../patch');
+const { toCents, fromCents } = require('../money');
+const { checkBalances } = require('../customerChecks');
+const { tables } = require('../schema');
+const { NotFoundError } = require('../repositories/errors');
+const { problem, validationProblem } = require('../problem');
+
+// Checks one row of a customer import with the rules of POST /customer.
+// Agents may only import their own customers. Returns the row's problems.
+async function validateCustomerRow(row, user, validation) {
+  if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+    return [{ path: '', msg: 'Row must be an object' }];
+  }
+
+  if (user.ROLE === 'agent') {
+    if (row.AGENT_CODE === undefined) {
+      row.AGENT_CODE = user.AGENT_CODE;
+    } else if (String(row.AGENT_CODE).trim() !== String(user.AGENT_CODE).trim()) {
+      return [{ path: 'AGENT_CODE', msg: 'Agents can only assign customers to themselves' }];
+    }
+  }
+
+  const problems = await validation.checkValues('customers', row);
+  return problems.length > 0 ? problems : checkBalances(row);
+}
+
+// The balances, which only ledger transactions change once the customer exists
+const balanceColumns = Object.keys(tables.customers.columns).filter((column) => tables.customers.columns[column].createOnly);
+
+// Serializes a stream of rows as a JSON array
+function jsonArrayStream() {
+  let first = true;
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      callback(null, `${first ? '[' : ','}\n${JSON.stringify(row)}`);
+      first = false;
+    },
+    flush(callback) {
+      callback(null, first ? '[]\n' : '\n]\n');
+    }
+  });
+}
+
+// Customer routes: CRUD, import and export, soft delete and the ledger
+module.exports = function customerRoutes(app, { repositories, auth, audit, validation, preconditions, cache }) {
+  const { softDeleteHandler, restoreHandler, purgeHandler } = createSoftDelete(repositories, preconditions);
+  const { patchHandler } = createPatch(repositories, audit, validation, preconditions);
+
+  // Validation rules for a new customer
+  const customerValidators = validation.bodyRules('customers');
+
+  /**
+   * @swagger
+   * /customer:
+   *   post:
+   *     summary: Add a new customer
+   *     description: |
+   *       Adds a new customer to the database. The balances must add up:
+   *       OUTSTANDING_AMT = OPENING_AMT + RECEIVE_AMT - PAYMENT_AMT.
+   *     tags:
+   *       - Customers
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Customer'
+   *     responses:
+   *       201:
+   *         description: Customer added successfully
+   *       400:
+   *         description: Validation errors
+   *       422:
+   *         description: The balances don't add up
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to add a new customer
+  app.post('/customer', [
+    auth.customerAccess,
+    ...customerValidators
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      req.log.debug({ body: req.body }, 'Received customer data');
+
+      const problems = checkBalances(req.body);
+      if (problems.length > 0) {
+        return problem(res, 422, "The balances don't add up, see errors", { errors: problems });
+      }
+
+      const {
+        CUST_CODE, CUST_NAME, CUST_CITY, WORKING_AREA, CUST_COUNTRY, GRADE, 
+        OPENING_AMT, RECEIVE_AMT, PAYMENT_AMT, OUTSTANDING_AMT, PHONE_NO, AGENT_CODE
+      } = req.body;
+
+      const result = await audit.track(repositories, req, 'customer', CUST_CODE, (tx) => tx.customers.insert({
+        CUST_CODE, CUST_NAME, CUST_CITY, WORKING_AREA, CUST_COUNTRY, GRADE, 
+        OPENING_AMT, RECEIVE_AMT, PAYMENT_AMT, OUTSTANDING_AMT, PHONE_NO, AGENT_CODE
+      }));
+
+      req.log.debug({ result }, 'Query result');
+
+      res.status(201).json({ message: 'Customer added successfully!', result });
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+
+  /**
+   * @swagger
+   * /customer/{id}:
+   *   patch:
+   *     summary: Update some of a customer's fields
+   *     description: |
+   *       Only the fields the patch touches are written. CUST_CODE can't be changed.
+   *       A JSON Merge Patch sets every field it has and clears the fields it sets to null;
+   *       plain application/json bodies are read as merge patches.
+   *       A JSON Patch applies its operations in order, and none of them if one fails.
+   *       The balances (OPENING_AMT, RECEIVE_AMT, PAYMENT_AMT and OUTSTANDING_AMT) can't be patched,
+   *       only ledger transactions change them.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/merge-patch+json:
+   *           schema:
+   *             $ref: '#/components/schemas/Customer'
+   *         application/json-patch+json:
+   *           schema:
+   *             $ref: '#/components/schemas/JsonPatch'
+   *     responses:
+   *       200:
+   *         description: The updated customer
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Customer'
+   *       400:
+   *         description: Malformed patch or invalid values
+   *       404:
+   *         description: Customer not found
+   *       409:
+   *         description: A test operation failed
+   *       415:
+   *         description: The body is not a merge patch or JSON Patch
+   *       422:
+   *         description: The patch touches a field that can't be patched
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+  // PATCH request (Update some of a customer's fields)
+  app.patch('/customer/:id', [
+    ...patchValidators,
+    auth.customerAccess
+  ], patchHandler('customer', {
+    label: 'Customer',
+    forbidden: (req, changes) => (req.user.ROLE === 'agent' && changes.AGENT_CODE !== undefined
+      && String(changes.AGENT_CODE).trim() !== String(req.user.AGENT_CODE).trim()
+      ? 'Agents can only assign customers to themselves'
+      : null)
+  }));
+
+
+  /**
+   * @swagger
+   * /customer/{id}:
+   *   put:
+   *     summary: Replace a customer's entire data
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *     requestBody:
+   *       required: true
+   *       description: |
+   *         Every customer field except CUST_CODE, which is taken from the path, and the balances
+   *         (OPENING_AMT, RECEIVE_AMT, PAYMENT_AMT and OUTSTANDING_AMT), which only ledger transactions change.
+   *         A body with balances is refused with 422, as PATCH refuses them.
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Customer'
+   *     responses:
+   *       200:
+   *         description: Customer replaced successfully
+   *       404:
+   *         description: Customer not found
+   *       422:
+   *         description: The body has balances, which can't be replaced
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+  // PUT request (Replace a customer's entire data)
+  app.put('/customer/:id', [
+    param('id').isString(),
+    auth.customerAccess,
+    ...validation.bodyRules('customers', { except: ['CUST_CODE'], update: true })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      req.log.debug({ body: req.body }, 'Received replace data');
+
+      const balance = balanceColumns.find((column) => req.body[column] !== undefined);
+      if (balance) {
+        return problem(res, 422, `${balance} is not a field that can be replaced`);
+      }
+
+      const {
+        CUST_NAME, CUST_CITY, WORKING_AREA, CUST_COUNTRY, GRADE, PHONE_NO, AGENT_CODE
+      } = req.body;
+
+      const result = await preconditions.track(req, 'customer', req.params.id, (tx) => tx.customers.update(req.params.id, {
+        CUST_NAME, CUST_CITY, WORKING_AREA, CUST_COUNTRY, GRADE, PHONE_NO, AGENT_CODE
+      }));
+
+      req.log.debug({ result }, 'Query result');
+
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Customer not found');
+      }
+
+      res.json({ message: 'Customer replaced successfully!', result });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /customer/import:
+   *   post:
+   *     summary: Import customers from CSV or JSON
+   *     description: |
+   *       Every row is checked with the same rules as POST /customer, and CUST_CODE must not exist yet.
+   *       If any row is invalid nothing is imported and the errors are reported per row (rows are numbered from 1,
+   *       not counting the CSV header). Otherwise all rows are added in one transaction.
+   *       With dryRun=true the rows are only checked.
+   *     tags:
+   *       - Customers
+   *     parameters:
+   *       - in: query
+   *         name: dryRun
+   *         schema:
+   *           type: boolean
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: array
+   *             items:
+   *               $ref: '#/components/schemas/Customer'
+   *         text/csv:
+   *           schema:
+   *             type: string
+   *             description: Header line with the column names (CUST_CODE, CUST_NAME, ...) followed by one customer per line
+   *     responses:
+   *       200:
+   *         description: Dry run report
+   *       201:
+   *         description: Customers imported
+   *       400:
+   *         description: Invalid body, or invalid rows (nothing was imported)
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to import customers in bulk
+  app.post('/customer/import', [
+    query('dryRun').isBoolean().optional()
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    let rows = req.body;
+    if (req.is('text/csv')) {
+      try {
+        // Empty CSV cells count as missing values, like absent JSON properties
+        rows = parseCsv(req.body, { columns: true, skip_empty_lines: true, trim: true })
+          .map((row) => Object.fromEntries(Object.entries(row).filter(([, value]) => value !== '')));
+      } catch (err) {
+        return problem(res, 400, `Invalid CSV: ${err.message}`);
+      }
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return problem(res, 400, 'Expected a CSV file or a JSON array with at least one customer');
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+
+    try {
+      const codes = rows.map((row) => row && row.CUST_CODE).filter((code) => typeof code === 'string');
+      const existing = codes.length === 0 ? [] : await repositories.customers.findAll(
+        { CUST_CODE: codes }, { includeDeleted: true, columns: ['CUST_CODE'] }
+      );
+      const taken = new Set(existing.map((customer) => customer.CUST_CODE.trim()));
+
+      const rowErrors = [];
+      for (const [index, row] of rows.entries()) {
+        const problems = await validateCustomerRow(row, req.user, validation);
+
+        if (problems.length === 0) {
+          const code = row.CUST_CODE.trim();
+          if (taken.has(code)) {
+            problems.push({ path: 'CUST_CODE', msg: 'Customer already exists or appears more than once', value: row.CUST_CODE });
+          }
+          taken.add(code);
+        }
+
+        if (problems.length > 0) {
+          rowErrors.push({ row: index + 1, CUST_CODE: row && row.CUST_CODE, errors: problems });
+        }
+      }
+
+      const report = { total: rows.length, valid: rows.length - rowErrors.length, errors: rowErrors };
+
+      if (dryRun) {
+        return res.json({ dryRun: true, ...report });
+      }
+      if (rowErrors.length > 0) {
+        return problem(res, 400, 'Import rejected, no customers were added', report);
+      }
+
+      await repositories.transaction(async (tx) => {
+        for (const row of rows) {
+          // Only the customer columns of a row are imported, anything else is ignored
+          const record = Object.fromEntries(tx.customers.columns.map((column) => [column, row[column]]));
+          await audit.track(tx, req, 'customer', row.CUST_CODE, () => tx.customers.insert(record));
+        }
+      });
+
+      res.status(201).json({ message: `${rows.length} customers imported successfully!`, imported: rows.length });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /customer/export:
+   *   get:
+   *     summary: Export customers as CSV or JSON
+   *     description: |
+   *       Streams every customer matching the filters. Filters, sort and fields work as on GET /customer;
+   *       limit and offset are ignored.
+   *     tags:
+   *       - Customers
+   *     parameters:
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [json, csv]
+   *           default: json
+   *       - $ref: '#/components/parameters/sort'
+   *       - $ref: '#/components/parameters/fields'
+   *       - $ref: '#/components/parameters/includeDeleted'
+   *     responses:
+   *       200:
+   *         description: The customers, as a download
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: array
+   *               items:
+   *                 type: object
+   *           text/csv:
+   *             schema:
+   *               type: string
+   *       400:
+   *         description: Invalid format, filter, sort or field
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to export customers
+  app.get('/customer/export', [
+    query('format').isIn(['json', 'csv']).optional(),
+    query('includeDeleted').isBoolean().optional(),
+    query('sort').optional().isString(),
+    query('fields').optional().isString()
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    const list = parseListQuery(req.query, repositories.customers.columns, 'CUST_CODE');
+    if (list.errors) {
+      return validationProblem(res, list.errors);
+    }
+
+    restrictList(list, customerScope(req));
+    restrictList(list, activeOnly(req));
+
+    const format = req.query.format || 'json';
+
+    try {
+      // Rows are written out as they arrive instead of being collected first
+      const rows = await repositories.customers.stream(list);
+      const serializer = format === 'csv' ? stringifyCsv({ header: true, columns: list.columns }) : jsonArrayStream();
+
+      // Waiting for the first row means a query that fails outright is still
+      // answered with a 500 instead of a download that breaks off
+      await once(rows, 'readable');
+
+      res.attachment(`customers.${format}`);
+      await pipeline(rows, serializer, res);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /customer:
+   *   get:
+   *     summary: List customers
+   *     description: |
+   *       Returns a page of customers. Any column can be used as a filter, either as
+   *       COLUMN=value (repeat it to match any of several values), COLUMN[op]=value with op one of
+   *       eq, ne, gt, gte, lt, lte, like, or the shorthand COLUMN>=value, COLUMN<=value, COLUMN!=value,
+   *       e.g. CUST_COUNTRY=India&GRADE>=2.
+   *     tags:
+   *       - Customers
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - $ref: '#/components/parameters/sort'
+   *       - $ref: '#/components/parameters/fields'
+   *       - $ref: '#/components/parameters/includeDeleted'
+   *     responses:
+   *       200:
+   *         description: A page of customers
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ListResponse'
+   *       400:
+   *         description: Invalid paging, filter, sort or field
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list customers
+  app.get('/customer', [
+    ...listValidators,
+    query('includeDeleted').isBoolean().optional()
+  ], listHandler(repositories.customers, 'CUST_CODE', customerScope, activeOnly));
+
+  /**
+   * @swagger
+   * /customer/{id}:
+   *   get:
+   *     summary: Get a customer by CUST_CODE
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifNoneMatch'
+   *       - $ref: '#/components/parameters/includeDeleted'
+   *       - $ref: '#/components/parameters/cacheControl'
+   *     responses:
+   *       200:
+   *         description: Customer details
+   *         headers:
+   *           ETag:
+   *             description: Strong ETag of the record, for If-Match and If-None-Match
+   *             schema:
+   *               type: string
+   *           X-Cache:
+   *             $ref: '#/components/headers/X-Cache'
+   *       304:
+   *         description: Not modified, the ETag in If-None-Match is still current
+   *       404:
+   *         description: Customer not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request (Get customer by CUST_CODE)
+  app.get('/customer/:id',
+    param('id').isString(),
+    auth.customerAccess,
+    async (req, res, next) => {
+      try {
+        // Deleted customers are cached too, and hidden here
+        const customer = await cache.read(req, res, 'customer', req.params.id,
+          () => repositories.customers.find(req.params.id, { includeDeleted: true }));
+        if (!customer || (customer.DELETED_AT && !showDeleted(req))) {
+          return problem(res, 404, 'Customer not found');
+        }
+
+        preconditions.sendRecord(res, customer);
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  /**
+   * @swagger
+   * /customer/{id}:
+   *   delete:
+   *     summary: Delete a customer
+   *     description: |
+   *       Marks the customer as deleted. Deleted customers are hidden from the other routes until they are restored.
+   *       A customer with open orders (not fully despatched, or in today's orders) is only deleted with force=true. Admins only.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *       - $ref: '#/components/parameters/force'
+   *     responses:
+   *       200:
+   *         description: Customer deleted successfully
+   *       404:
+   *         description: Customer not found
+   *       409:
+   *         description: The customer has open orders
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+  // DELETE request (Delete customer by CUST_CODE)
+  app.delete('/customer/:id', softDeleteValidators, softDeleteHandler('customer'));
+
+  /**
+   * @swagger
+   * /customer/{id}/restore:
+   *   post:
+   *     summary: Restore a deleted customer
+   *     description: Admins only.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *     responses:
+   *       200:
+   *         description: Customer restored successfully
+   *       404:
+   *         description: Customer not found
+   *       409:
+   *         description: The customer is not deleted
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to restore a deleted customer
+  app.post('/customer/:id/restore', [
+    auth.allow('admin'),
+    ...softDeleteValidators
+  ], restoreHandler('customer'));
+
+  /**
+   * @swagger
+   * /customer/{id}/purge:
+   *   delete:
+   *     summary: Permanently remove a deleted customer
+   *     description: |
+   *       Only customers that have been deleted can be purged. A customer that orders still refer to
+   *       is only purged with force=true. Admins only.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/ifMatch'
+   *       - $ref: '#/components/parameters/force'
+   *     responses:
+   *       200:
+   *         description: Customer purged successfully
+   *       404:
+   *         description: Customer not found
+   *       409:
+   *         description: The customer is not deleted, or orders still refer to it
+   *       412:
+   *         description: The record has changed since the ETag in If-Match was read
+   *       428:
+   *         description: If-Match is required
+   *       500:
+   *         description: Internal server error
+   */
+  // DELETE request to purge a deleted customer
+  app.delete('/customer/:id/purge', softDeleteValidators, purgeHandler('customer'));
+
+
+  /**
+   * @swagger
+   * /customer/{id}/transactions:
+   *   post:
+   *     summary: Post a receipt or payment to a customer's ledger
+   *     description: |
+   *       Records the transaction in the ledger, adds its amount to the customer's RECEIVE_AMT (receipts)
+   *       or PAYMENT_AMT (payments) and recomputes OUTSTANDING_AMT as OPENING_AMT + RECEIVE_AMT - PAYMENT_AMT,
+   *       all in one database transaction.
+   *     tags:
+   *       - Customers
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       description: |
+   *         TXN_TYPE, a positive TXN_AMOUNT, and optionally TXN_DATE (defaults to today) and TXN_DESCRIPTION.
+   *         CUST_CODE is taken from the path.
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/LedgerTransaction'
+   *     responses:
+   *       201:
+   *         description: Transaction posted, returns the transaction and the customer's new totals
+   *       400:
+   *         description: Validation errors
+   *       404:
+   *         description: Customer not found
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to post a receipt or payment for a customer
+  app.post('/customer/:id/transactions', [
+    param('id').isString(),
+    auth.customerAccess,
+    ...validation.bodyRules('ledger', {
+      only: ['TXN_TYPE', 'TXN_AMOUNT', 'TXN_DATE', 'TXN_DESCRIPTION'],
+      optional: ['TXN_DATE']
+    }),
+    body('TXN_AMOUNT').optional().custom((value) => parseFloat(value) > 0).withMessage('must be positive')
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { TXN_TYPE, TXN_AMOUNT, TXN_DESCRIPTION } = req.body;
+      const TXN_DATE = req.body.TXN_DATE || new Date().toISOString().slice(0, 10);
+
+      const posted = await repositories.transaction(async (tx) => {
+        // Lock the customer row so concurrent postings are applied one after the other
+        if (!await tx.customers.find(req.params.id, { columns: ['CUST_CODE'], forUpdate: true })) {
+          throw new NotFoundError('Customer not found');
+        }
+
+        const result = await tx.ledger.insert({
+          CUST_CODE: req.params.id, TXN_TYPE, TXN_AMOUNT, TXN_DATE, TXN_DESCRIPTION
+        });
+
+        await audit.track(tx, req, 'customer', req.params.id,
+          () => tx.customers.applyTransaction(req.params.id, TXN_TYPE, TXN_AMOUNT));
+
+        const totals = await tx.customers.find(req.params.id, {
+          columns: ['OPENING_AMT', 'RECEIVE_AMT', 'PAYMENT_AMT', 'OUTSTANDING_AMT']
+        });
+        return { txnId: result.insertId, totals };
+      });
+
+      res.status(201).json({
+        message: 'Transaction posted successfully!',
+        transaction: {
+          TXN_ID: String(posted.txnId),
+          CUST_CODE: req.params.id,
+          TXN_TYPE,
+          TXN_AMOUNT,
+          TXN_DATE,
+          TXN_DESCRIPTION: TXN_DESCRIPTION || null
+        },
+        customer: posted.totals
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /customer/{id}/statement:
+   *   get:
+   *     summary: Get a customer's statement with running balance
+   *     description: |
+   *       Lists the ledger transactions between from and to (inclusive). The opening balance is the outstanding
+   *       amount before the first listed transaction; every line carries the balance after it.
+   *     tags:
+   *       - Customers
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: from
+   *         schema:
+   *           type: string
+   *           format: date
+   *       - in: query
+   *         name: to
+   *         schema:
+   *           type: string
+   *           format: date
+   *     responses:
+   *       200:
+   *         description: Customer statement
+   *       400:
+   *         description: Validation errors
+   *       404:
+   *         description: Customer not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to build a customer's statement
+  app.get('/customer/:id/statement', [
+    param('id').isString(),
+    auth.customerAccess,
+    query('from').isDate().optional(),
+    query('to').isDate().optional()
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    const from = req.query.from || '1000-01-01';
+    const to = req.query.to || '9999-12-31';
+
+    try {
+      const customer = await repositories.customers.find(req.params.id, {
+        includeDeleted: true, columns: ['CUST_CODE', 'CUST_NAME', 'OUTSTANDING_AMT']
+      });
+      if (!customer) {
+        return problem(res, 404, 'Customer not found');
+      }
+
+      const net = await repositories.ledger.netTotals(req.params.id, from);
+      const transactions = await repositories.ledger.transactions(req.params.id, from, to);
+
+      // Balances that predate the ledger are carried in OUTSTANDING_AMT only
+      let balance = toCents(customer.OUTSTANDING_AMT) - toCents(net.total) + toCents(net.before);
+      const openingBalance = balance;
+
+      const lines = transactions.map((txn) => {
+        balance += txn.TXN_TYPE === 'RECEIPT' ? toCents(txn.TXN_AMOUNT) : -toCents(txn.TXN_AMOUNT);
+        return { ...txn, BALANCE: fromCents(balance) };
+      });
+
+      res.json({
+        CUST_CODE: customer.CUST_CODE,
+        CUST_NAME: customer.CUST_NAME,
+        from: req.query.from || null,
+        to: req.query.to || null,
+        openingBalance: fromCents(openingBalance),
+        closingBalance: fromCents(balance),
+        transactions: lines
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+};
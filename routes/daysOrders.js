@@ -0,0 +1,455 @@
+const { body, param, query, validationResult } = require('express-validator'); // Validation
+const { listValidators, listHandler } = require('../list');
+const { problem, validationProblem } = require('../problem');
+const { checkOrder } = require('../orderChecks');
+const { publishOrderChange } = require('../webhooks');
+const { toCents, fromCents } = require('../money');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Order numbers come back from the DECIMAL column as strings
+const orderNumber = (value) => Number(value);
+
+// Counts and totals of the given orders, overall and per agent and customer
+function summarize(orders) {
+  const empty = () => ({ orders: 0, ORD_AMOUNT: 0, ADVANCE_AMOUNT: 0 });
+  const add = (total, order) => {
+    total.orders += 1;
+    total.ORD_AMOUNT += toCents(order.ORD_AMOUNT);
+    total.ADVANCE_AMOUNT += toCents(order.ADVANCE_AMOUNT);
+  };
+  const format = (total) => ({
+    orders: total.orders, ORD_AMOUNT: fromCents(total.ORD_AMOUNT), ADVANCE_AMOUNT: fromCents(total.ADVANCE_AMOUNT)
+  });
+
+  // One entry per code, by code
+  const groupBy = (column) => {
+    const groups = new Map();
+    for (const order of orders) {
+      const code = order[column].trimEnd();
+      if (!groups.has(code)) {
+        groups.set(code, empty());
+      }
+      add(groups.get(code), order);
+    }
+    return [...groups.keys()].sort().map((code) => ({ [column]: code, ...format(groups.get(code)) }));
+  };
+
+  const totals = empty();
+  orders.forEach((order) => add(totals, order));
+
+  return { totals: format(totals), byAgent: groupBy('AGENT_CODE'), byCustomer: groupBy('CUST_CODE') };
+}
+
+// Today's order routes (daysorder) and the end of day close, which moves
+// them to orders
+module.exports = function daysOrderRoutes(app, { repositories, auth, validation }) {
+  /**
+   * @swagger
+   * /daysorder:
+   *   post:
+   *     summary: Add an order to today's orders
+   *     description: |
+   *       The customer and agent must exist, the advance cannot exceed the order amount and ORD_NUM can't be
+   *       taken in today's orders or in orders. ORD_DATE defaults to today. Admins only.
+   *     tags:
+   *       - DaysOrders
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/DaysOrder'
+   *     responses:
+   *       201:
+   *         description: Order added successfully
+   *       400:
+   *         description: Validation errors, unknown customer or agent, or advance above the order amount
+   *       409:
+   *         description: An order with this ORD_NUM already exists
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to add an order to today's orders
+  app.post('/daysorder', [
+    auth.allow('admin'),
+    ...validation.bodyRules('daysOrders', { optional: ['ORD_DATE'] }),
+    body('ORD_NUM').optional().isInt({ min: 1 }).withMessage('must be a positive whole number')
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const {
+        ORD_NUM, ORD_AMOUNT, ADVANCE_AMOUNT, CUST_CODE, AGENT_CODE, ORD_DESCRIPTION
+      } = req.body;
+      const ORD_DATE = req.body.ORD_DATE || today();
+
+      const problems = checkOrder(req.body);
+      if (problems.length > 0) {
+        return validationProblem(res, problems);
+      }
+
+      // The order is moved to orders at the end of the day, so its number
+      // can't be taken there either. One taken in daysorder is refused by its
+      // unique key, with a 409.
+      if (await repositories.orders.exists(ORD_NUM)) {
+        return problem(res, 409, 'Order already exists');
+      }
+
+      await repositories.daysOrders.insert({
+        ORD_NUM, ORD_AMOUNT, ADVANCE_AMOUNT, ORD_DATE, CUST_CODE, AGENT_CODE, ORD_DESCRIPTION
+      });
+
+      res.status(201).json({ message: 'Order added successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /daysorder:
+   *   get:
+   *     summary: List today's orders
+   *     description: |
+   *       Returns a page of today's orders. Any column can be used as a filter, either as
+   *       COLUMN=value (repeat it to match any of several values), COLUMN[op]=value with op one of
+   *       eq, ne, gt, gte, lt, lte, like, or the shorthand COLUMN>=value, COLUMN<=value, COLUMN!=value,
+   *       e.g. AGENT_CODE=A008.
+   *     tags:
+   *       - DaysOrders
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - $ref: '#/components/parameters/sort'
+   *       - $ref: '#/components/parameters/fields'
+   *     responses:
+   *       200:
+   *         description: A page of today's orders
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ListResponse'
+   *       400:
+   *         description: Invalid paging, filter, sort or field
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list today's orders
+  app.get('/daysorder', listValidators, listHandler(repositories.daysOrders, 'ORD_NUM'));
+
+  /**
+   * @swagger
+   * /daysorder/close:
+   *   post:
+   *     summary: Close the day, moving today's orders to orders
+   *     description: |
+   *       Checks every order in daysorder like POST /order does and moves the valid ones to orders in one
+   *       transaction. Orders whose ORD_NUM is already in orders or appears more than once in daysorder, and
+   *       orders that are invalid, are reported as conflicts and stay in daysorder to be fixed. Answers with the
+   *       conflicts and the counts and totals of the moved orders, overall and per agent and customer. With
+   *       dryRun=true nothing is moved. Admins only.
+   *     tags:
+   *       - DaysOrders
+   *     parameters:
+   *       - in: query
+   *         name: dryRun
+   *         required: false
+   *         description: Only report what closing the day would do
+   *         schema:
+   *           type: boolean
+   *     responses:
+   *       200:
+   *         description: The daily summary
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/DaySummary'
+   *       400:
+   *         description: Invalid dryRun
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to close the day
+  app.post('/daysorder/close', [
+    auth.allow('admin'),
+    query('dryRun').isBoolean().optional()
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+
+    try {
+      const summary = await repositories.transaction(async (tx) => {
+        // Locked so that no order is added or changed while it is moved
+        const rows = await tx.daysOrders.findAll({}, { order: ['ORD_NUM'], forUpdate: true });
+
+        const occurrences = new Map();
+        for (const row of rows) {
+          const number = orderNumber(row.ORD_NUM);
+          occurrences.set(number, (occurrences.get(number) || 0) + 1);
+        }
+        const existing = new Set((await tx.orders.findAll(
+          { ORD_NUM: [...occurrences.keys()] },
+          { columns: ['ORD_NUM'], forUpdate: true }
+        )).map((order) => orderNumber(order.ORD_NUM)));
+
+        const moved = [];
+        const conflicts = [];
+        for (const row of rows) {
+          const number = orderNumber(row.ORD_NUM);
+          if (occurrences.get(number) > 1) {
+            conflicts.push({ ORD_NUM: number, reason: 'duplicate', message: 'ORD_NUM appears more than once in daysorder' });
+            continue;
+          }
+          if (existing.has(number)) {
+            conflicts.push({ ORD_NUM: number, reason: 'exists', message: 'An order with this ORD_NUM already exists' });
+            continue;
+          }
+
+          const problems = [...await validation.checkValues('orders', row), ...checkOrder(row)];
+          if (problems.length > 0) {
+            conflicts.push({ ORD_NUM: number, reason: 'invalid', message: 'The order is invalid', errors: problems });
+            continue;
+          }
+
+          if (!dryRun) {
+            await tx.orders.insert(row);
+            await tx.daysOrders.remove(row.ORD_NUM);
+            await publishOrderChange(tx, req, null, row);
+          }
+          moved.push(row);
+        }
+
+        return { dryRun, moved: moved.map((row) => orderNumber(row.ORD_NUM)), conflicts, ...summarize(moved) };
+      });
+
+      res.json(summary);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /daysorder/{id}:
+   *   get:
+   *     summary: Get one of today's orders by ORD_NUM
+   *     tags:
+   *       - DaysOrders
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: number
+   *     responses:
+   *       200:
+   *         description: Order details
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/DaysOrder'
+   *       404:
+   *         description: Order not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to retrieve one of today's orders by ORD_NUM
+  app.get('/daysorder/:id', [
+    param('id').isInt(),
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const order = await repositories.daysOrders.find(req.params.id);
+      if (!order) {
+        return problem(res, 404, 'Order not found');
+      }
+
+      res.json(order);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /daysorder/{id}:
+   *   put:
+   *     summary: Replace the entire data of one of today's orders
+   *     description: Admins only.
+   *     tags:
+   *       - DaysOrders
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: number
+   *     requestBody:
+   *       required: true
+   *       description: Every order field except ORD_NUM, which is taken from the path
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/DaysOrder'
+   *     responses:
+   *       200:
+   *         description: Order replaced successfully
+   *       400:
+   *         description: Validation errors, unknown customer or agent, or advance above the order amount
+   *       404:
+   *         description: Order not found
+   *       500:
+   *         description: Internal server error
+   */
+  // PUT request to replace the data of one of today's orders by ORD_NUM
+  app.put('/daysorder/:id', [
+    auth.allow('admin'),
+    param('id').isInt(),
+    ...validation.bodyRules('daysOrders', { except: ['ORD_NUM'] })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const {
+        ORD_AMOUNT, ADVANCE_AMOUNT, ORD_DATE, CUST_CODE, AGENT_CODE, ORD_DESCRIPTION
+      } = req.body;
+
+      if (!await repositories.daysOrders.exists(req.params.id)) {
+        return problem(res, 404, 'Order not found');
+      }
+
+      const problems = checkOrder(req.body);
+      if (problems.length > 0) {
+        return validationProblem(res, problems);
+      }
+
+      await repositories.daysOrders.update(req.params.id, {
+        ORD_AMOUNT, ADVANCE_AMOUNT, ORD_DATE, CUST_CODE, AGENT_CODE, ORD_DESCRIPTION
+      });
+
+      res.json({ message: 'Order replaced successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /daysorder/{id}:
+   *   delete:
+   *     summary: Delete one of today's orders
+   *     tags:
+   *       - DaysOrders
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: number
+   *     responses:
+   *       200:
+   *         description: Order deleted successfully
+   *       404:
+   *         description: Order not found
+   *       500:
+   *         description: Internal server error
+   */
+  // DELETE request to delete one of today's orders by ORD_NUM
+  app.delete('/daysorder/:id', [
+    param('id').isInt(),
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const result = await repositories.daysOrders.remove(req.params.id);
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Order not found');
+      }
+
+      res.json({ message: 'Order deleted successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DayTotals:
+ *       type: object
+ *       properties:
+ *         orders:
+ *           type: integer
+ *         ORD_AMOUNT:
+ *           type: string
+ *           format: decimal
+ *         ADVANCE_AMOUNT:
+ *           type: string
+ *           format: decimal
+ *     DaySummary:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         moved:
+ *           type: array
+ *           description: The ORD_NUM of the orders moved to orders
+ *           items:
+ *             type: integer
+ *         conflicts:
+ *           type: array
+ *           description: The orders left in daysorder
+ *           items:
+ *             type: object
+ *             properties:
+ *               ORD_NUM:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *                 enum: [duplicate, exists, invalid]
+ *               message:
+ *                 type: string
+ *               errors:
+ *                 type: array
+ *                 description: Why an invalid order is invalid
+ *         totals:
+ *           $ref: '#/components/schemas/DayTotals'
+ *         byAgent:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   AGENT_CODE:
+ *                     type: string
+ *               - $ref: '#/components/schemas/DayTotals'
+ *         byCustomer:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   CUST_CODE:
+ *                     type: string
+ *               - $ref: '#/components/schemas/DayTotals'
+ */
@@ -0,0 +1,367 @@
+const { body, param, query, validationResult } = require('express-validator'); // Validation
+const { listValidators, listHandler } = require('../list');
+const { toCents, fromCents } = require('../money');
+const { problem, validationProblem } = require('../problem');
+
+// Checks that a despatch refers to an existing order and that, together with
+// the order's other despatches, it doesn't exceed the order amount. Returns
+// the problems found and the order. Run it in the transaction that writes
+// the despatch: the order is locked until then, so concurrent despatches and
+// changes of the order amount are checked one after the other.
+async function checkDespatch(repositories, despatch, desNum) {
+  const order = await repositories.orders.find(despatch.ORD_NUM, {
+    columns: ['ORD_NUM', 'ORD_DATE', 'ORD_AMOUNT', 'AGENT_CODE'], forUpdate: true
+  });
+  if (!order) {
+    return { problems: [`Order ${despatch.ORD_NUM} does not exist`] };
+  }
+
+  // desNum is the despatch being replaced, whose old amount doesn't count
+  const despatched = await repositories.despatches.despatchedTotal(despatch.ORD_NUM, desNum);
+
+  const remaining = toCents(order.ORD_AMOUNT) - toCents(despatched);
+  if (toCents(despatch.DES_AMOUNT) > remaining) {
+    return { problems: [`DES_AMOUNT exceeds the ${fromCents(remaining)} left to despatch on order ${despatch.ORD_NUM}`], order };
+  }
+
+  return { problems: [], order };
+}
+
+// Despatch routes and the despatch reports
+module.exports = function despatchRoutes(app, { repositories, auth, validation }) {
+  /**
+   * @swagger
+   * /despatch:
+   *   post:
+   *     summary: Add a new despatch
+   *     description: |
+   *       Records a despatch against an existing order. ORD_DATE, ORD_AMOUNT and AGENT_CODE are copied from the order.
+   *       The despatched amounts of an order cannot add up to more than the order amount.
+   *     tags:
+   *       - Despatches
+   *     requestBody:
+   *       required: true
+   *       description: DES_NUM, DES_DATE, DES_AMOUNT and ORD_NUM; the order fields are copied from the order
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Despatch'
+   *     responses:
+   *       201:
+   *         description: Despatch added successfully
+   *       400:
+   *         description: Validation errors, unknown order or amount above what is left to despatch
+   *       409:
+   *         description: A despatch with this DES_NUM already exists
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to add a new despatch
+  app.post('/despatch', [
+    auth.allow('admin'),
+    ...validation.bodyRules('despatches', { only: ['DES_NUM', 'DES_DATE', 'DES_AMOUNT', 'ORD_NUM'] }),
+    body('DES_AMOUNT').optional().custom((value) => parseFloat(value) > 0).withMessage('must be positive')
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { DES_NUM, DES_DATE, DES_AMOUNT, ORD_NUM } = req.body;
+
+      if (await repositories.despatches.exists(DES_NUM)) {
+        return problem(res, 409, 'Despatch already exists');
+      }
+
+      const problems = await repositories.transaction(async (tx) => {
+        const { problems, order } = await checkDespatch(tx, req.body);
+        if (problems.length === 0) {
+          await tx.despatches.insert({
+            DES_NUM, DES_DATE, DES_AMOUNT, ORD_NUM, ORD_DATE: order.ORD_DATE, ORD_AMOUNT: order.ORD_AMOUNT, AGENT_CODE: order.AGENT_CODE
+          });
+        }
+        return problems;
+      });
+      if (problems.length > 0) {
+        return validationProblem(res, problems);
+      }
+
+      res.status(201).json({ message: 'Despatch added successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /despatch:
+   *   get:
+   *     summary: List despatches
+   *     description: Returns a page of despatches. Filters work as on GET /customer, e.g. AGENT_CODE=A003&DES_AMOUNT>=1000.
+   *     tags:
+   *       - Despatches
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - $ref: '#/components/parameters/sort'
+   *       - $ref: '#/components/parameters/fields'
+   *     responses:
+   *       200:
+   *         description: A page of despatches
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ListResponse'
+   *       400:
+   *         description: Invalid paging, filter, sort or field
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list despatches
+  app.get('/despatch', listValidators, listHandler(repositories.despatches, 'DES_NUM'));
+
+  /**
+   * @swagger
+   * /despatch/{id}:
+   *   get:
+   *     summary: Get a despatch by DES_NUM
+   *     tags:
+   *       - Despatches
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Despatch details
+   *       404:
+   *         description: Despatch not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to retrieve a despatch by DES_NUM
+  app.get('/despatch/:id', [
+    param('id').isString(),
+  ], async (req, res, next) => {
+    try {
+      const despatch = await repositories.despatches.find(req.params.id);
+      if (!despatch) {
+        return problem(res, 404, 'Despatch not found');
+      }
+
+      res.json(despatch);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /despatch/{id}:
+   *   put:
+   *     summary: Replace a despatch's entire data
+   *     description: The order and amount are checked the same way as on create.
+   *     tags:
+   *       - Despatches
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       description: DES_DATE, DES_AMOUNT and ORD_NUM; DES_NUM is taken from the path
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Despatch'
+   *     responses:
+   *       200:
+   *         description: Despatch replaced successfully
+   *       400:
+   *         description: Validation errors, unknown order or amount above what is left to despatch
+   *       404:
+   *         description: Despatch not found
+   *       500:
+   *         description: Internal server error
+   */
+  // PUT request to replace a despatch's data by DES_NUM
+  app.put('/despatch/:id', [
+    auth.allow('admin'),
+    param('id').isString(),
+    ...validation.bodyRules('despatches', { only: ['DES_DATE', 'DES_AMOUNT', 'ORD_NUM'] }),
+    body('DES_AMOUNT').optional().custom((value) => parseFloat(value) > 0).withMessage('must be positive')
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { DES_DATE, DES_AMOUNT, ORD_NUM } = req.body;
+
+      if (!await repositories.despatches.exists(req.params.id)) {
+        return problem(res, 404, 'Despatch not found');
+      }
+
+      const problems = await repositories.transaction(async (tx) => {
+        const { problems, order } = await checkDespatch(tx, req.body, req.params.id);
+        if (problems.length === 0) {
+          await tx.despatches.update(req.params.id, {
+            DES_DATE, DES_AMOUNT, ORD_NUM, ORD_DATE: order.ORD_DATE, ORD_AMOUNT: order.ORD_AMOUNT, AGENT_CODE: order.AGENT_CODE
+          });
+        }
+        return problems;
+      });
+      if (problems.length > 0) {
+        return validationProblem(res, problems);
+      }
+
+      res.json({ message: 'Despatch replaced successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /despatch/{id}:
+   *   delete:
+   *     summary: Delete a despatch
+   *     tags:
+   *       - Despatches
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Despatch deleted successfully
+   *       404:
+   *         description: Despatch not found
+   *       500:
+   *         description: Internal server error
+   */
+  // DELETE request (Delete despatch by DES_NUM)
+  app.delete('/despatch/:id', [
+    param('id').isString(),
+  ], async (req, res, next) => {
+    try {
+      const result = await repositories.despatches.remove(req.params.id);
+
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Despatch not found');
+      }
+
+      res.json({ message: 'Despatch deleted successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /order/{ordNum}/despatches:
+   *   get:
+   *     summary: List the despatches of an order
+   *     description: Returns the order's despatches with the amount despatched so far and the amount left.
+   *     tags:
+   *       - Orders
+   *       - Despatches
+   *     parameters:
+   *       - in: path
+   *         name: ordNum
+   *         required: true
+   *         schema:
+   *           type: number
+   *     responses:
+   *       200:
+   *         description: Despatches of the order
+   *       404:
+   *         description: Order not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list the despatches of an order
+  app.get('/order/:ordNum/despatches', [
+    param('ordNum').isInt(),
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const order = await repositories.orders.find(req.params.ordNum, { columns: ['ORD_NUM', 'ORD_AMOUNT'] });
+      if (!order) {
+        return problem(res, 404, 'Order not found');
+      }
+
+      const despatches = await repositories.despatches.findAll(
+        { ORD_NUM: req.params.ordNum }, { order: ['DES_DATE', 'DES_NUM'] }
+      );
+      const despatched = despatches.reduce((sum, despatch) => sum + toCents(despatch.DES_AMOUNT), 0);
+
+      res.json({
+        ORD_NUM: order.ORD_NUM,
+        ORD_AMOUNT: order.ORD_AMOUNT,
+        DESPATCHED_AMOUNT: fromCents(despatched),
+        REMAINING_AMOUNT: fromCents(toCents(order.ORD_AMOUNT) - despatched),
+        data: despatches
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /reports/undespatched-orders:
+   *   get:
+   *     summary: Orders that are not fully despatched
+   *     description: Lists every order whose despatches add up to less than the order amount, oldest first.
+   *     tags:
+   *       - Reports
+   *     parameters:
+   *       - in: query
+   *         name: AGENT_CODE
+   *         schema:
+   *           type: string
+   *       - $ref: '#/components/parameters/reportFrom'
+   *       - $ref: '#/components/parameters/reportTo'
+   *     responses:
+   *       200:
+   *         description: Orders with the amount despatched and the amount left
+   *       400:
+   *         description: Validation errors
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list the orders that still have something to despatch
+  app.get('/reports/undespatched-orders', [
+    query('AGENT_CODE').isString().optional(),
+    query('from').isDate().optional(),
+    query('to').isDate().optional()
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const rows = await repositories.orders.undespatched({
+        agentCode: req.query.AGENT_CODE, from: req.query.from, to: req.query.to
+      });
+
+      res.json({ total: rows.length, data: rows });
+    } catch (err) {
+      next(err);
+    }
+  });
+};
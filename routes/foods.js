@@ -0,0 +1,258 @@
+const { param, validationResult } = require('express-validator'); // Validation
+const { listValidators, listHandler } = require('../list');
+const { problem, validationProblem } = require('../problem');
+
+// Food item routes: CRUD and the food items of a company
+module.exports = function foodRoutes(app, { repositories, auth, validation }) {
+  /**
+   * @swagger
+   * /food:
+   *   post:
+   *     summary: Add a new food item
+   *     description: COMPANY_ID, when given, must be an existing company. Admins only.
+   *     tags:
+   *       - Foods
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Food'
+   *     responses:
+   *       201:
+   *         description: Food item added successfully
+   *       400:
+   *         description: Validation errors
+   *       409:
+   *         description: ITEM_ID is taken
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to add a new food item
+  app.post('/food', [
+    auth.allow('admin'),
+    ...validation.bodyRules('foods')
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { ITEM_ID, ITEM_NAME, ITEM_UNIT, COMPANY_ID } = req.body;
+
+      await repositories.foods.insert({ ITEM_ID, ITEM_NAME, ITEM_UNIT, COMPANY_ID });
+
+      res.status(201).json({ message: 'Food item added successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /food:
+   *   get:
+   *     summary: List food items
+   *     description: |
+   *       Returns a page of food items. Any column can be used as a filter, either as
+   *       COLUMN=value (repeat it to match any of several values), COLUMN[op]=value with op one of
+   *       eq, ne, gt, gte, lt, lte, like, or the shorthand COLUMN>=value, COLUMN<=value, COLUMN!=value,
+   *       e.g. ITEM_NAME[like]=%25Rice%25.
+   *     tags:
+   *       - Foods
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - $ref: '#/components/parameters/sort'
+   *       - $ref: '#/components/parameters/fields'
+   *     responses:
+   *       200:
+   *         description: A page of food items
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ListResponse'
+   *       400:
+   *         description: Invalid paging, filter, sort or field
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list food items
+  app.get('/food', listValidators, listHandler(repositories.foods, 'ITEM_ID'));
+
+  /**
+   * @swagger
+   * /food/{id}:
+   *   get:
+   *     summary: Get a food item by ITEM_ID
+   *     tags:
+   *       - Foods
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Food item details
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Food'
+   *       404:
+   *         description: Food item not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to get a food item by ITEM_ID
+  app.get('/food/:id', [
+    param('id').isString(),
+  ], async (req, res, next) => {
+    try {
+      const food = await repositories.foods.find(req.params.id);
+      if (!food) {
+        return problem(res, 404, 'Food item not found');
+      }
+
+      res.json(food);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /food/{id}:
+   *   put:
+   *     summary: Replace a food item's entire data
+   *     description: Admins only.
+   *     tags:
+   *       - Foods
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       description: ITEM_NAME, ITEM_UNIT and COMPANY_ID; ITEM_ID is taken from the path
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Food'
+   *     responses:
+   *       200:
+   *         description: Food item replaced successfully
+   *       400:
+   *         description: Validation errors
+   *       404:
+   *         description: Food item not found
+   *       500:
+   *         description: Internal server error
+   */
+  // PUT request to replace a food item's data by ITEM_ID
+  app.put('/food/:id', [
+    auth.allow('admin'),
+    param('id').isString(),
+    ...validation.bodyRules('foods', { except: ['ITEM_ID'] })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { ITEM_NAME, ITEM_UNIT, COMPANY_ID } = req.body;
+
+      const result = await repositories.foods.update(req.params.id, { ITEM_NAME, ITEM_UNIT, COMPANY_ID });
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Food item not found');
+      }
+
+      res.json({ message: 'Food item updated successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /food/{id}:
+   *   delete:
+   *     summary: Delete a food item
+   *     description: Admins only.
+   *     tags:
+   *       - Foods
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Food item deleted successfully
+   *       404:
+   *         description: Food item not found
+   *       500:
+   *         description: Internal server error
+   */
+  // DELETE request to delete a food item by ITEM_ID
+  app.delete('/food/:id', [
+    param('id').isString(),
+  ], async (req, res, next) => {
+    try {
+      const result = await repositories.foods.remove(req.params.id);
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Food item not found');
+      }
+
+      res.json({ message: 'Food item deleted successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /company/{id}/foods:
+   *   get:
+   *     summary: List the food items of a company
+   *     tags:
+   *       - Companies
+   *       - Foods
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: The company and its food items, by ITEM_ID
+   *       404:
+   *         description: Company not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list the food items of a company
+  app.get('/company/:id/foods', [
+    param('id').isString(),
+  ], async (req, res, next) => {
+    try {
+      const company = await repositories.companies.find(req.params.id);
+      if (!company) {
+        return problem(res, 404, 'Company not found');
+      }
+
+      const foods = await repositories.foods.findAll({ COMPANY_ID: req.params.id }, { order: ['ITEM_ID'] });
+
+      res.json({ COMPANY_ID: company.COMPANY_ID, COMPANY_NAME: company.COMPANY_NAME, data: foods });
+    } catch (err) {
+      next(err);
+    }
+  });
+};
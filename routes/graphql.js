@@ -0,0 +1,108 @@
+const { STATUS_CODES } = require('http');
+const { parse, validate, execute, GraphQLError } = require('graphql');
+const { createGraphqlSchema } = require('../graphqlSchema');
+const { createLoaders } = require('../loaders');
+const { UNEXPECTED_ERROR, problem } = require('../problem');
+
+// The code of the errors thrown with a status, like those of
+// repositories/errors.js and preconditions.js: 412 is PRECONDITION_FAILED
+const codeOf = (status) => STATUS_CODES[status].toUpperCase().replace(/[^A-Z]+/g, '_');
+
+// Errors of the resolvers as the client sees them. Errors the client can act
+// on keep their message; anything else is logged and answered like a 500 of
+// the REST routes, with the request id.
+function formatError(req, error) {
+  const original = error.originalError;
+  if (!original || original instanceof GraphQLError) {
+    return error.toJSON();
+  }
+
+  const { locations, path } = error;
+  const status = original.status >= 400 && original.status < 600 ? original.status : 500;
+  if (status >= 500) {
+    req.log.error({ err: original, path }, 'GraphQL resolver failed');
+    return { message: UNEXPECTED_ERROR, locations, path, extensions: { code: 'INTERNAL_SERVER_ERROR', requestId: req.id } };
+  }
+  return { message: original.message, locations, path, extensions: { code: codeOf(status), status } };
+}
+
+// GraphQL route
+module.exports = function graphqlRoutes(app, { repositories, validation, audit, preconditions }) {
+  const schema = createGraphqlSchema({ repositories, validation, audit, preconditions });
+
+  /**
+   * @swagger
+   * /graphql:
+   *   post:
+   *     summary: Query and change customers, agents, companies, food items and orders with GraphQL
+   *     description: |
+   *       Types Customer, Agent, Company, Food and Order mirror the tables, with their relations
+   *       (customer.agent, customer.orders, agent.customers, agent.orders, company.foods, food.company,
+   *       order.customer, order.agent). Lists take limit (1-100, default 20) and offset, and the top-level
+   *       ones sort and filter too. The relations of every record in a response are read with one query
+   *       per relation. Mutations (createX and updateX) are checked with the rules of the REST routes and
+   *       answer errors with a code in their extensions: BAD_USER_INPUT with the invalid fields in errors,
+   *       FORBIDDEN, NOT_FOUND, CONFLICT and PRECONDITION_FAILED (when ifMatch isn't the record's etag).
+   *       Read-only users can only query; agents only see and write their own customers.
+   *     tags:
+   *       - GraphQL
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - query
+   *             properties:
+   *               query:
+   *                 type: string
+   *                 example: '{ customer(CUST_CODE: "C00013") { CUST_NAME agent { AGENT_NAME } orders { total } } }'
+   *               variables:
+   *                 type: object
+   *               operationName:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: The data, and the errors of the fields that failed
+   *       400:
+   *         description: The query can't be parsed or isn't valid for the schema
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to run a GraphQL query or mutation
+  app.post('/graphql', async (req, res, next) => {
+    const { query, variables, operationName } = req.body || {};
+    if (typeof query !== 'string') {
+      return problem(res, 400, 'The body must be JSON with the GraphQL query in query');
+    }
+    if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+      return problem(res, 400, 'variables must be an object');
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (err) {
+      return res.status(400).json({ errors: [err.toJSON()] });
+    }
+    const errors = validate(schema, document);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors: errors.map((error) => error.toJSON()) });
+    }
+
+    try {
+      const result = await execute({
+        schema,
+        document,
+        variableValues: variables,
+        operationName,
+        contextValue: { req, loaders: createLoaders(repositories) }
+      });
+
+      res.json(result.errors ? { ...result, errors: result.errors.map((error) => formatError(req, error)) } : result);
+    } catch (err) {
+      next(err);
+    }
+  });
+};
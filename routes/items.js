@@ -0,0 +1,150 @@
+const { param, query, validationResult } = require('express-validator'); // Validation
+const { listValidators, listHandler } = require('../list');
+const { problem, validationProblem } = require('../problem');
+
+// Names one lookup can ask for
+const MAX_LOOKUP_NAMES = 100;
+
+// Item names are padded and compared case-insensitively by the database
+const nameKey = (name) => String(name).trim().toUpperCase();
+
+// Item routes: the list of items (listofitem) and lookup by name
+module.exports = function itemRoutes(app, { repositories }) {
+  /**
+   * @swagger
+   * /item:
+   *   get:
+   *     summary: List items
+   *     description: |
+   *       Returns a page of items. Any column can be used as a filter, either as
+   *       COLUMN=value (repeat it to match any of several values), COLUMN[op]=value with op one of
+   *       eq, ne, gt, gte, lt, lte, like, or the shorthand COLUMN>=value, COLUMN<=value, COLUMN!=value,
+   *       e.g. CONAME=ABJ CONCERN.
+   *     tags:
+   *       - Items
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - $ref: '#/components/parameters/sort'
+   *       - $ref: '#/components/parameters/fields'
+   *     responses:
+   *       200:
+   *         description: A page of items
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ListResponse'
+   *       400:
+   *         description: Invalid paging, filter, sort or field
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list items
+  app.get('/item', listValidators, listHandler(repositories.items, 'ITEMCODE'));
+
+  /**
+   * @swagger
+   * /item/lookup:
+   *   get:
+   *     summary: Look up several items by name
+   *     description: |
+   *       Finds the items with any of the given names in one request. Names are compared ignoring case and
+   *       trailing spaces. The names no item has are listed in notFound.
+   *     tags:
+   *       - Items
+   *     parameters:
+   *       - in: query
+   *         name: name
+   *         required: true
+   *         description: An item name, repeat it for up to 100 names (e.g. name=HOT DOG&name=CHOCOLATE)
+   *         schema:
+   *           type: array
+   *           items:
+   *             type: string
+   *         style: form
+   *         explode: true
+   *     responses:
+   *       200:
+   *         description: The items found, by ITEMNAME, and the names not found
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 data:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/Item'
+   *                 notFound:
+   *                   type: array
+   *                   items:
+   *                     type: string
+   *       400:
+   *         description: Validation errors
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to look up items by name
+  app.get('/item/lookup', [
+    query('name').exists().withMessage('is required')
+      .customSanitizer((value) => [].concat(value))
+      .custom((names) => names.length <= MAX_LOOKUP_NAMES).withMessage(`can be given at most ${MAX_LOOKUP_NAMES} times`),
+    query('name.*').isString().trim().isLength({ min: 1, max: 25 }).withMessage('must be 1 to 25 characters')
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const names = [...new Set(req.query.name)];
+      const items = await repositories.items.findAll({ ITEMNAME: names }, { order: ['ITEMNAME', 'ITEMCODE'] });
+
+      const found = new Set(items.map((item) => nameKey(item.ITEMNAME)));
+      res.json({ data: items, notFound: names.filter((name) => !found.has(nameKey(name))) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /item/{code}:
+   *   get:
+   *     summary: Get an item by ITEMCODE
+   *     tags:
+   *       - Items
+   *     parameters:
+   *       - in: path
+   *         name: code
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Item details
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Item'
+   *       404:
+   *         description: Item not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to get an item by ITEMCODE
+  app.get('/item/:code', [
+    param('code').isString(),
+  ], async (req, res, next) => {
+    try {
+      const item = await repositories.items.find(req.params.code);
+      if (!item) {
+        return problem(res, 404, 'Item not found');
+      }
+
+      res.json(item);
+    } catch (err) {
+      next(err);
+    }
+  });
+};
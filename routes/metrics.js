@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { problem } = require('../problem');
+
+// Whether the token sent is the scrape token, compared in a time that doesn't
+// tell how much of it matched
+function sameToken(sent, token) {
+  const hash = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(sent), hash(token));
+}
+
+// Metrics route. app.js mounts it before authentication and the rate and
+// database limits, so that it can be scraped without an API key and while
+// the database is overloaded. With a metricsToken, scrapes must send it as a
+// bearer token.
+module.exports = function metricsRoutes(app, { metrics, metricsToken = null }) {
+  /**
+   * @swagger
+   * components:
+   *   securitySchemes:
+   *     scrapeToken:
+   *       type: http
+   *       scheme: bearer
+   *       description: The scrape token set with server.metricsToken (METRICS_TOKEN), not an API key
+   * /metrics:
+   *   get:
+   *     summary: Get the metrics of the server in Prometheus format
+   *     description: |
+   *       Requests answered and their latency by method, route and status, database statement durations and
+   *       errors, and the active, idle and waiting connections of the database pool. It takes no API key and
+   *       isn't rate limited. When the server has a scrape token (server.metricsToken or METRICS_TOKEN), it must
+   *       be sent as a bearer token, e.g. with the authorization credentials of the Prometheus scrape config;
+   *       without one the metrics are open to anyone who can reach the server.
+   *     tags:
+   *       - Metrics
+   *     security:
+   *       - scrapeToken: []
+   *     responses:
+   *       200:
+   *         description: The metrics
+   *         content:
+   *           text/plain:
+   *             schema:
+   *               type: string
+   *               example: |
+   *                 # HELP http_requests_total Requests answered, by method, route and status
+   *                 # TYPE http_requests_total counter
+   *                 http_requests_total{method="GET",route="/customer/:id",status="200"} 3
+   *       401:
+   *         description: The scrape token is missing or wrong
+   */
+  // GET request to read the metrics
+  app.get('/metrics', (req, res) => {
+    if (metricsToken) {
+      const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+      if (!match || !sameToken(match[1], metricsToken)) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return problem(res, 401, 'The scrape token is required');
+      }
+    }
+
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+  });
+};
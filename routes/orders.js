@@ -0,0 +1,309 @@
+const { body, param, validationResult } = require('express-validator'); // Validation
+const { problem, validationProblem } = require('../problem');
+const { checkOrder, checkDespatched, checkUndespatched } = require('../orderChecks');
+const { trackOrder } = require('../webhooks');
+
+// Order routes
+module.exports = function orderRoutes(app, { repositories, auth, validation }) {
+  /**
+   * @swagger
+   * /order:
+   *   post:
+   *     summary: Add a new order
+   *     description: Adds a new order. The customer and agent must exist and the advance cannot exceed the order amount.
+   *     tags:
+   *       - Orders
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Order'
+   *     responses:
+   *       201:
+   *         description: Order added successfully
+   *       400:
+   *         description: Validation errors, unknown customer or agent, or advance above the order amount
+   *       409:
+   *         description: An order with this ORD_NUM already exists
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to add a new order
+  app.post('/order', [
+    auth.allow('admin'),
+    ...validation.bodyRules('orders'),
+    body('ORD_NUM').optional().isInt({ min: 1 }).withMessage('must be a positive whole number')
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const {
+        ORD_NUM, ORD_AMOUNT, ADVANCE_AMOUNT, ORD_DATE, CUST_CODE, AGENT_CODE, ORD_DESCRIPTION
+      } = req.body;
+
+      const problems = checkOrder(req.body);
+      if (problems.length > 0) {
+        return validationProblem(res, problems);
+      }
+
+      // A taken ORD_NUM is refused by the unique key of orders, with a 409
+      const result = await trackOrder(repositories, req, ORD_NUM, (tx) => tx.orders.insert({
+        ORD_NUM, ORD_AMOUNT, ADVANCE_AMOUNT, ORD_DATE, CUST_CODE, AGENT_CODE, ORD_DESCRIPTION
+      }));
+
+      res.status(201).json({ message: 'Order added successfully!', result });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /order/{id}:
+   *   get:
+   *     summary: Get an order by ORD_NUM
+   *     tags:
+   *       - Orders
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: number
+   *     responses:
+   *       200:
+   *         description: Order details
+   *       404:
+   *         description: Order not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to retrieve an order by ORD_NUM
+  app.get('/order/:id', [
+    param('id').isInt(),
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const order = await repositories.orders.find(req.params.id);
+      if (!order) {
+        return problem(res, 404, 'Order not found');
+      }
+
+      res.json(order);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /order/{id}:
+   *   put:
+   *     summary: Replace an order's entire data
+   *     tags:
+   *       - Orders
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: number
+   *     requestBody:
+   *       required: true
+   *       description: Every order field except ORD_NUM, which is taken from the path
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Order'
+   *     responses:
+   *       200:
+   *         description: Order replaced successfully
+   *       400:
+   *         description: Validation errors, unknown customer or agent, advance above the order amount, or order amount below what was despatched
+   *       404:
+   *         description: Order not found
+   *       500:
+   *         description: Internal server error
+   */
+  // PUT request to replace an order's data by ORD_NUM
+  app.put('/order/:id', [
+    auth.allow('admin'),
+    param('id').isInt(),
+    ...validation.bodyRules('orders', { except: ['ORD_NUM'] })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const {
+        ORD_AMOUNT, ADVANCE_AMOUNT, ORD_DATE, CUST_CODE, AGENT_CODE, ORD_DESCRIPTION
+      } = req.body;
+
+      if (!await repositories.orders.exists(req.params.id)) {
+        return problem(res, 404, 'Order not found');
+      }
+
+      const problems = checkOrder(req.body);
+      if (problems.length > 0) {
+        return validationProblem(res, problems);
+      }
+
+      const despatchProblems = await trackOrder(repositories, req, req.params.id, async (tx) => {
+        const problems = await checkDespatched(tx, req.params.id, req.body);
+        if (problems.length === 0) {
+          await tx.orders.update(req.params.id, {
+            ORD_AMOUNT, ADVANCE_AMOUNT, ORD_DATE, CUST_CODE, AGENT_CODE, ORD_DESCRIPTION
+          });
+        }
+        return problems;
+      });
+      if (despatchProblems.length > 0) {
+        return validationProblem(res, despatchProblems);
+      }
+
+      res.json({ message: 'Order replaced successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /order/{id}:
+   *   patch:
+   *     summary: Update some of an order's fields
+   *     description: Only the fields present in the body are changed. The resulting order is checked the same way as on create.
+   *     tags:
+   *       - Orders
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: number
+   *     requestBody:
+   *       required: true
+   *       description: Any of the order fields except ORD_NUM
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Order'
+   *     responses:
+   *       200:
+   *         description: Order updated successfully
+   *       400:
+   *         description: Validation errors, unknown customer or agent, advance above the order amount, or order amount below what was despatched
+   *       404:
+   *         description: Order not found
+   *       500:
+   *         description: Internal server error
+   */
+  // PATCH request to update an order's data by ORD_NUM
+  app.patch('/order/:id', [
+    auth.allow('admin'),
+    param('id').isInt(),
+    ...validation.bodyRules('orders', { except: ['ORD_NUM'], partial: true })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    const columns = ['ORD_AMOUNT', 'ADVANCE_AMOUNT', 'ORD_DATE', 'CUST_CODE', 'AGENT_CODE', 'ORD_DESCRIPTION']
+      .filter((column) => req.body[column] !== undefined);
+
+    if (columns.length === 0) {
+      return problem(res, 400, 'No fields to update');
+    }
+
+    try {
+      const existing = await repositories.orders.find(req.params.id);
+      if (!existing) {
+        return problem(res, 404, 'Order not found');
+      }
+
+      const problems = checkOrder({ ...existing, ...req.body });
+      if (problems.length > 0) {
+        return validationProblem(res, problems);
+      }
+
+      const despatchProblems = await trackOrder(repositories, req, req.params.id, async (tx) => {
+        const problems = await checkDespatched(tx, req.params.id, req.body);
+        if (problems.length === 0) {
+          await tx.orders.update(req.params.id, Object.fromEntries(columns.map((column) => [column, req.body[column]])));
+        }
+        return problems;
+      });
+      if (despatchProblems.length > 0) {
+        return validationProblem(res, despatchProblems);
+      }
+
+      res.json({ message: 'Order updated successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /order/{id}:
+   *   delete:
+   *     summary: Delete an order
+   *     description: An order with despatches can't be deleted until they are.
+   *     tags:
+   *       - Orders
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: number
+   *     responses:
+   *       200:
+   *         description: Order deleted successfully
+   *       404:
+   *         description: Order not found
+   *       409:
+   *         description: The order has despatches
+   *       500:
+   *         description: Internal server error
+   */
+  // DELETE request (Delete order by ORD_NUM)
+  app.delete('/order/:id', [
+    param('id').isInt(),
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      let problems = [];
+      const result = await trackOrder(repositories, req, req.params.id, async (tx) => {
+        problems = await checkUndespatched(tx, req.params.id);
+        return problems.length > 0 ? null : tx.orders.remove(req.params.id);
+      });
+
+      if (problems.length > 0) {
+        return problem(res, 409, problems[0]);
+      }
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Order not found');
+      }
+
+      res.json({ message: 'Order deleted successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+};
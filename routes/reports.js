@@ -0,0 +1,161 @@
+const { param, query, validationResult } = require('express-validator'); // Validation
+const { orderSources, reportGroupings } = require('../repositories/agents');
+const { showDeleted } = require('../softDelete');
+const { problem, validationProblem } = require('../problem');
+
+// Validators shared by the performance reports
+const reportValidators = [
+  query('from').isDate().optional(),
+  query('to').isDate().optional(),
+  query('source').isIn(Object.keys(orderSources)).optional(),
+  query('includeDeleted').isBoolean().optional()
+];
+
+// Agent performance reports
+module.exports = function reportRoutes(app, { repositories }) {
+  /**
+   * @swagger
+   * components:
+   *   parameters:
+   *     reportFrom:
+   *       in: query
+   *       name: from
+   *       description: Only count orders on or after this date
+   *       schema:
+   *         type: string
+   *         format: date
+   *     reportTo:
+   *       in: query
+   *       name: to
+   *       description: Only count orders on or before this date
+   *       schema:
+   *         type: string
+   *         format: date
+   *     reportSource:
+   *       in: query
+   *       name: source
+   *       description: Read orders, today's orders (daysorder) or both
+   *       schema:
+   *         type: string
+   *         enum: [orders, daysorder, all]
+   *         default: orders
+   */
+
+  /**
+   * @swagger
+   * /agent/{id}/performance:
+   *   get:
+   *     summary: Get an agent's sales performance
+   *     description: |
+   *       Returns order count, order total, advances collected, commission earned (ORD_AMOUNT x COMMISSION)
+   *       and number of distinct customers for the agent. With groupBy=month the figures are also broken down by month.
+   *       Deleted agents are not found unless includeDeleted=true.
+   *     tags:
+   *       - Reports
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: groupBy
+   *         schema:
+   *           type: string
+   *           enum: [month]
+   *       - $ref: '#/components/parameters/reportFrom'
+   *       - $ref: '#/components/parameters/reportTo'
+   *       - $ref: '#/components/parameters/reportSource'
+   *       - $ref: '#/components/parameters/includeDeleted'
+   *     responses:
+   *       200:
+   *         description: Agent performance
+   *       400:
+   *         description: Validation errors
+   *       404:
+   *         description: Agent not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to compute an agent's sales performance
+  app.get('/agent/:id/performance', [
+    param('id').isString(),
+    query('groupBy').isIn(['month']).optional(),
+    ...reportValidators
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { from, to, source } = req.query;
+      const includeDeleted = showDeleted(req);
+      const [summary] = await repositories.agents.performance({ agentCode: req.params.id, from, to, source, includeDeleted });
+
+      if (!summary) {
+        return problem(res, 404, 'Agent not found');
+      }
+
+      if (req.query.groupBy === 'month') {
+        summary.months = await repositories.agents.performance({
+          agentCode: req.params.id, groupBy: 'month', from, to, source, includeDeleted
+        });
+      }
+
+      res.json(summary);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /reports/agents:
+   *   get:
+   *     summary: Sales performance report for all agents
+   *     description: |
+   *       Returns the same figures as /agent/{id}/performance for every agent (groupBy=agent, the default),
+   *       for every agent and month (groupBy=month) or for every WORKING_AREA (groupBy=area).
+   *       Deleted agents and their orders are left out unless includeDeleted=true.
+   *     tags:
+   *       - Reports
+   *     parameters:
+   *       - in: query
+   *         name: groupBy
+   *         schema:
+   *           type: string
+   *           enum: [agent, month, area]
+   *           default: agent
+   *       - $ref: '#/components/parameters/reportFrom'
+   *       - $ref: '#/components/parameters/reportTo'
+   *       - $ref: '#/components/parameters/reportSource'
+   *       - $ref: '#/components/parameters/includeDeleted'
+   *     responses:
+   *       200:
+   *         description: Report rows
+   *       400:
+   *         description: Validation errors
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to compute the sales performance of all agents
+  app.get('/reports/agents', [
+    query('groupBy').isIn(Object.keys(reportGroupings)).optional(),
+    ...reportValidators
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { groupBy, from, to, source } = req.query;
+      const rows = await repositories.agents.performance({ groupBy, from, to, source, includeDeleted: showDeleted(req) });
+
+      res.json({ groupBy: groupBy || 'agent', from: from || null, to: to || null, data: rows });
+    } catch (err) {
+      next(err);
+    }
+  });
+};
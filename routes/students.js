@@ -0,0 +1,719 @@
+const { param, query, validationResult } = require('express-validator'); // Validation
+const { listValidators, listHandler } = require('../list');
+const { problem, validationProblem } = require('../problem');
+
+// Students are identified by CLASS, SECTION and ROLLID, in paths as one key
+// like V-A-15. Classes can hold dashes themselves, so the key is split from
+// the right. Returns [CLASS, SECTION, ROLLID], or null for a malformed key.
+function studentKey(key) {
+  const match = /^(.{1,5})-([^-])-(\d{1,3})$/.exec(key);
+  return match ? [match[1], match[2], match[3]] : null;
+}
+
+const keyValidator = param('key').custom((key) => studentKey(key) !== null)
+  .withMessage('must be CLASS-SECTION-ROLLID, e.g. V-A-15');
+
+// Grades and semesters are padded in the database
+const trimmed = (value) => (value === null ? null : value.trimEnd());
+
+// How many reports have each grade, most common first
+function gradeDistribution(reports) {
+  const counts = new Map();
+  for (const report of reports) {
+    const grade = trimmed(report.GRADE);
+    counts.set(grade, (counts.get(grade) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .map(([GRADE, count]) => ({ GRADE, count }));
+}
+
+// Classes attended over the reports that record it
+function attendanceStats(reports) {
+  const attended = reports.filter((report) => report.CLASS_ATTENDED !== null).map((report) => Number(report.CLASS_ATTENDED));
+  if (attended.length === 0) {
+    return { reports: 0, total: 0, min: null, max: null, average: null };
+  }
+
+  const total = attended.reduce((sum, classes) => sum + classes, 0);
+  return {
+    reports: attended.length,
+    total,
+    min: Math.min(...attended),
+    max: Math.max(...attended),
+    average: Number((total / attended.length).toFixed(2))
+  };
+}
+
+// Student routes: students, their reports per semester, their transcript and
+// the summary of a class section
+module.exports = function studentRoutes(app, { repositories, auth, validation }) {
+  /**
+   * @swagger
+   * /student:
+   *   post:
+   *     summary: Add a new student
+   *     description: Admins only.
+   *     tags:
+   *       - Students
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Student'
+   *     responses:
+   *       201:
+   *         description: Student added successfully
+   *       400:
+   *         description: Validation errors
+   *       409:
+   *         description: The class section already has a student with this ROLLID
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to add a new student
+  app.post('/student', [
+    auth.allow('admin'),
+    ...validation.bodyRules('students')
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { NAME, TITLE, CLASS, SECTION, ROLLID } = req.body;
+
+      if (await repositories.students.exists([CLASS, SECTION, ROLLID])) {
+        return problem(res, 409, 'Student already exists');
+      }
+
+      await repositories.students.insert({ NAME, TITLE, CLASS, SECTION, ROLLID });
+
+      res.status(201).json({ message: 'Student added successfully!', key: `${CLASS}-${SECTION}-${ROLLID}` });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /student:
+   *   get:
+   *     summary: List students
+   *     description: |
+   *       Returns a page of students. Any column can be used as a filter, either as
+   *       COLUMN=value (repeat it to match any of several values), COLUMN[op]=value with op one of
+   *       eq, ne, gt, gte, lt, lte, like, or the shorthand COLUMN>=value, COLUMN<=value, COLUMN!=value,
+   *       e.g. CLASS=V&SECTION=A.
+   *     tags:
+   *       - Students
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - $ref: '#/components/parameters/sort'
+   *       - $ref: '#/components/parameters/fields'
+   *     responses:
+   *       200:
+   *         description: A page of students
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ListResponse'
+   *       400:
+   *         description: Invalid paging, filter, sort or field
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list students
+  app.get('/student', listValidators, listHandler(repositories.students, 'CLASS,SECTION,ROLLID'));
+
+  /**
+   * @swagger
+   * /student/{key}:
+   *   get:
+   *     summary: Get a student by CLASS, SECTION and ROLLID
+   *     tags:
+   *       - Students
+   *     parameters:
+   *       - $ref: '#/components/parameters/studentKey'
+   *     responses:
+   *       200:
+   *         description: Student details
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Student'
+   *       400:
+   *         description: Malformed key
+   *       404:
+   *         description: Student not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to get a student by key
+  app.get('/student/:key', [
+    keyValidator
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const student = await repositories.students.find(studentKey(req.params.key));
+      if (!student) {
+        return problem(res, 404, 'Student not found');
+      }
+
+      res.json(student);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /student/{key}:
+   *   put:
+   *     summary: Replace a student's name and title
+   *     description: The class, section and roll number are the student's key and can't be changed. Admins only.
+   *     tags:
+   *       - Students
+   *     parameters:
+   *       - $ref: '#/components/parameters/studentKey'
+   *     requestBody:
+   *       required: true
+   *       description: NAME and TITLE
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Student'
+   *     responses:
+   *       200:
+   *         description: Student replaced successfully
+   *       400:
+   *         description: Validation errors
+   *       404:
+   *         description: Student not found
+   *       500:
+   *         description: Internal server error
+   */
+  // PUT request to replace a student's data by key
+  app.put('/student/:key', [
+    auth.allow('admin'),
+    keyValidator,
+    ...validation.bodyRules('students', { only: ['NAME', 'TITLE'] })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { NAME, TITLE } = req.body;
+
+      const result = await repositories.students.update(studentKey(req.params.key), { NAME, TITLE });
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Student not found');
+      }
+
+      res.json({ message: 'Student updated successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /student/{key}:
+   *   delete:
+   *     summary: Delete a student
+   *     description: |
+   *       A student who has reports is only deleted with cascade=true, which deletes their reports with them
+   *       in one transaction. Admins only.
+   *     tags:
+   *       - Students
+   *     parameters:
+   *       - $ref: '#/components/parameters/studentKey'
+   *       - in: query
+   *         name: cascade
+   *         description: Delete the student's reports too
+   *         schema:
+   *           type: boolean
+   *     responses:
+   *       200:
+   *         description: Student deleted successfully, with the number of reports deleted with them
+   *       400:
+   *         description: Malformed key
+   *       404:
+   *         description: Student not found
+   *       409:
+   *         description: The student has reports
+   *       500:
+   *         description: Internal server error
+   */
+  // DELETE request to delete a student by key
+  app.delete('/student/:key', [
+    keyValidator,
+    query('cascade').isBoolean().optional()
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const key = studentKey(req.params.key);
+      const [CLASS, SECTION, ROLLID] = key;
+      if (!await repositories.students.exists(key)) {
+        return problem(res, 404, 'Student not found');
+      }
+
+      const cascade = req.query.cascade === 'true';
+      const reports = await repositories.studentReports.count({ CLASS, SECTION, ROLLID });
+      if (reports > 0 && !cascade) {
+        return problem(res, 409, `Student has ${reports} reports, use ?cascade=true to delete them with the student`, { reports });
+      }
+
+      // studentreport refers to student, so a report added in the meantime
+      // makes the delete fail rather than leaving it without its student
+      const deletedReports = await repositories.transaction(async (tx) => {
+        const { affectedRows } = cascade ? await tx.studentReports.removeByStudent(key) : { affectedRows: 0 };
+        await tx.students.remove(key);
+        return affectedRows;
+      });
+
+      res.json({ message: 'Student deleted successfully!', deletedReports });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /student/{key}/transcript:
+   *   get:
+   *     summary: Get a student's transcript
+   *     description: The student with their reports of every semester, by SEMISTER, and their attendance over all of them.
+   *     tags:
+   *       - Students
+   *     parameters:
+   *       - $ref: '#/components/parameters/studentKey'
+   *     responses:
+   *       200:
+   *         description: The transcript
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 student:
+   *                   $ref: '#/components/schemas/Student'
+   *                 reports:
+   *                   type: array
+   *                   items:
+   *                     $ref: '#/components/schemas/StudentReport'
+   *                 attendance:
+   *                   $ref: '#/components/schemas/AttendanceStats'
+   *       400:
+   *         description: Malformed key
+   *       404:
+   *         description: Student not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to get a student's transcript
+  app.get('/student/:key/transcript', [
+    keyValidator
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const key = studentKey(req.params.key);
+      const [CLASS, SECTION, ROLLID] = key;
+      const student = await repositories.students.find(key);
+      if (!student) {
+        return problem(res, 404, 'Student not found');
+      }
+
+      const reports = await repositories.studentReports.findAll({ CLASS, SECTION, ROLLID }, { order: ['SEMISTER'] });
+
+      res.json({ student, reports, attendance: attendanceStats(reports) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /student/{key}/report:
+   *   post:
+   *     summary: Add a student's report of a semester
+   *     description: A student has one report per semester. Admins only.
+   *     tags:
+   *       - Students
+   *     parameters:
+   *       - $ref: '#/components/parameters/studentKey'
+   *     requestBody:
+   *       required: true
+   *       description: GRADE, SEMISTER and CLASS_ATTENDED; the student is taken from the path
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/StudentReport'
+   *     responses:
+   *       201:
+   *         description: Report added successfully
+   *       400:
+   *         description: Validation errors
+   *       404:
+   *         description: Student not found
+   *       409:
+   *         description: The student already has a report of this semester
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to add a student's report
+  app.post('/student/:key/report', [
+    auth.allow('admin'),
+    keyValidator,
+    ...validation.bodyRules('studentReports', { only: ['GRADE', 'SEMISTER', 'CLASS_ATTENDED'] })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const key = studentKey(req.params.key);
+      const [CLASS, SECTION, ROLLID] = key;
+      const { GRADE, SEMISTER, CLASS_ATTENDED } = req.body;
+
+      if (!await repositories.students.exists(key)) {
+        return problem(res, 404, 'Student not found');
+      }
+      if (await repositories.studentReports.exists([...key, SEMISTER])) {
+        return problem(res, 409, 'Report already exists');
+      }
+
+      await repositories.studentReports.insert({ CLASS, SECTION, ROLLID, GRADE, SEMISTER, CLASS_ATTENDED });
+
+      res.status(201).json({ message: 'Report added successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /student/{key}/report/{semester}:
+   *   get:
+   *     summary: Get a student's report of a semester
+   *     tags:
+   *       - Students
+   *     parameters:
+   *       - $ref: '#/components/parameters/studentKey'
+   *       - $ref: '#/components/parameters/semester'
+   *     responses:
+   *       200:
+   *         description: Report details
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/StudentReport'
+   *       400:
+   *         description: Malformed key
+   *       404:
+   *         description: Report not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to get a student's report by semester
+  app.get('/student/:key/report/:semester', [
+    keyValidator,
+    param('semester').isString()
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const report = await repositories.studentReports.find([...studentKey(req.params.key), req.params.semester]);
+      if (!report) {
+        return problem(res, 404, 'Report not found');
+      }
+
+      res.json(report);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /student/{key}/report/{semester}:
+   *   put:
+   *     summary: Replace a student's report of a semester
+   *     description: Admins only.
+   *     tags:
+   *       - Students
+   *     parameters:
+   *       - $ref: '#/components/parameters/studentKey'
+   *       - $ref: '#/components/parameters/semester'
+   *     requestBody:
+   *       required: true
+   *       description: GRADE and CLASS_ATTENDED
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/StudentReport'
+   *     responses:
+   *       200:
+   *         description: Report replaced successfully
+   *       400:
+   *         description: Validation errors
+   *       404:
+   *         description: Report not found
+   *       500:
+   *         description: Internal server error
+   */
+  // PUT request to replace a student's report by semester
+  app.put('/student/:key/report/:semester', [
+    auth.allow('admin'),
+    keyValidator,
+    param('semester').isString(),
+    ...validation.bodyRules('studentReports', { only: ['GRADE', 'CLASS_ATTENDED'] })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { GRADE, CLASS_ATTENDED } = req.body;
+
+      const result = await repositories.studentReports.update(
+        [...studentKey(req.params.key), req.params.semester],
+        { GRADE, CLASS_ATTENDED }
+      );
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Report not found');
+      }
+
+      res.json({ message: 'Report updated successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /student/{key}/report/{semester}:
+   *   delete:
+   *     summary: Delete a student's report of a semester
+   *     description: Admins only.
+   *     tags:
+   *       - Students
+   *     parameters:
+   *       - $ref: '#/components/parameters/studentKey'
+   *       - $ref: '#/components/parameters/semester'
+   *     responses:
+   *       200:
+   *         description: Report deleted successfully
+   *       400:
+   *         description: Malformed key
+   *       404:
+   *         description: Report not found
+   *       500:
+   *         description: Internal server error
+   */
+  // DELETE request to delete a student's report by semester
+  app.delete('/student/:key/report/:semester', [
+    keyValidator,
+    param('semester').isString()
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const result = await repositories.studentReports.remove([...studentKey(req.params.key), req.params.semester]);
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Report not found');
+      }
+
+      res.json({ message: 'Report deleted successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /class/{class}/section/{section}/summary:
+   *   get:
+   *     summary: Get the grades and attendance of a class section
+   *     description: |
+   *       The number of students of the class section, how many of their reports have each grade (most common
+   *       first) and the classes attended, over all semesters and per semester.
+   *     tags:
+   *       - Students
+   *     parameters:
+   *       - in: path
+   *         name: class
+   *         required: true
+   *         schema:
+   *           type: string
+   *         example: V
+   *       - in: path
+   *         name: section
+   *         required: true
+   *         schema:
+   *           type: string
+   *         example: A
+   *       - in: query
+   *         name: semester
+   *         description: Only count the reports of this semester
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: The summary
+   *         content:
+   *           application/json:
+   *             schema:
+   *               type: object
+   *               properties:
+   *                 CLASS:
+   *                   type: string
+   *                 SECTION:
+   *                   type: string
+   *                 students:
+   *                   type: integer
+   *                 reports:
+   *                   type: integer
+   *                 grades:
+   *                   $ref: '#/components/schemas/GradeDistribution'
+   *                 attendance:
+   *                   $ref: '#/components/schemas/AttendanceStats'
+   *                 bySemester:
+   *                   type: array
+   *                   items:
+   *                     type: object
+   *                     properties:
+   *                       SEMISTER:
+   *                         type: string
+   *                       reports:
+   *                         type: integer
+   *                       grades:
+   *                         $ref: '#/components/schemas/GradeDistribution'
+   *                       attendance:
+   *                         $ref: '#/components/schemas/AttendanceStats'
+   *       404:
+   *         description: The class section has no students
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to summarize a class section
+  app.get('/class/:class/section/:section/summary', [
+    param('class').isLength({ min: 1, max: 5 }),
+    param('section').isLength({ min: 1, max: 1 }),
+    query('semester').optional().isString().isLength({ min: 1, max: 5 })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { class: CLASS, section: SECTION } = req.params;
+      const students = await repositories.students.count({ CLASS, SECTION });
+      if (students === 0) {
+        return problem(res, 404, 'Class section not found');
+      }
+
+      const conditions = req.query.semester ? { CLASS, SECTION, SEMISTER: req.query.semester } : { CLASS, SECTION };
+      const reports = await repositories.studentReports.findAll(conditions, { order: ['SEMISTER', 'ROLLID'] });
+
+      const semesters = new Map();
+      for (const report of reports) {
+        const semester = trimmed(report.SEMISTER);
+        semesters.set(semester, [...(semesters.get(semester) || []), report]);
+      }
+
+      res.json({
+        CLASS,
+        SECTION,
+        students,
+        reports: reports.length,
+        grades: gradeDistribution(reports),
+        attendance: attendanceStats(reports),
+        bySemester: [...semesters.entries()].map(([SEMISTER, semesterReports]) => ({
+          SEMISTER,
+          reports: semesterReports.length,
+          grades: gradeDistribution(semesterReports),
+          attendance: attendanceStats(semesterReports)
+        }))
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     studentKey:
+ *       in: path
+ *       name: key
+ *       required: true
+ *       description: The student's CLASS, SECTION and ROLLID joined by dashes
+ *       schema:
+ *         type: string
+ *       example: V-A-15
+ *     semester:
+ *       in: path
+ *       name: semester
+ *       required: true
+ *       description: The SEMISTER of the report
+ *       schema:
+ *         type: string
+ *       example: 1St
+ *   schemas:
+ *     GradeDistribution:
+ *       type: array
+ *       description: How many reports have each grade, most common first
+ *       items:
+ *         type: object
+ *         properties:
+ *           GRADE:
+ *             type: string
+ *           count:
+ *             type: integer
+ *     AttendanceStats:
+ *       type: object
+ *       description: The classes attended, over the reports that record it
+ *       properties:
+ *         reports:
+ *           type: integer
+ *         total:
+ *           type: integer
+ *         min:
+ *           type: integer
+ *           nullable: true
+ *         max:
+ *           type: integer
+ *           nullable: true
+ *         average:
+ *           type: number
+ *           nullable: true
+ */
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const { body, param, query, validationResult } = require('express-validator'); // Validation
+const { listValidators, listHandler } = require('../list');
+const { problem, validationProblem } = require('../problem');
+
+// Webhook routes: subscriptions, and the deliveries of the outbox, see webhooks.js
+module.exports = function webhookRoutes(app, { repositories, auth, validation }) {
+  // The secret of a webhook is only answered by the request that sets it
+  const withoutSecret = ({ SECRET, ...webhook }) => webhook;
+  const listedWebhooks = {
+    ...repositories.webhooks,
+    columns: repositories.webhooks.columns.filter((column) => column !== 'SECRET')
+  };
+
+  const secretRule = body('SECRET').optional().isString().isLength({ min: 16 })
+    .withMessage('must be at least 16 characters');
+
+  /**
+   * @swagger
+   * /webhook:
+   *   get:
+   *     summary: List webhooks
+   *     description: |
+   *       Returns a page of webhooks, without their secrets. Columns can be used as filters like in
+   *       GET /company. Admins only.
+   *     tags:
+   *       - Webhooks
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - $ref: '#/components/parameters/sort'
+   *       - $ref: '#/components/parameters/fields'
+   *     responses:
+   *       200:
+   *         description: A page of webhooks
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ListResponse'
+   *       400:
+   *         description: Invalid paging, filter, sort or field
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list webhooks
+  app.get('/webhook', auth.allow('admin'), listValidators, listHandler(listedWebhooks, 'WEBHOOK_ID'));
+
+  /**
+   * @swagger
+   * /webhook:
+   *   post:
+   *     summary: Subscribe a URL to events
+   *     description: |
+   *       Every event in EVENTS (or every event, with *) is then POSTed to URL as JSON:
+   *       { id, event, occurredAt, requestId, data }, where id is the same in the deliveries of one event to
+   *       every webhook and requestId is the X-Request-Id of the request that made the change. The events are
+   *       customer.created, customer.balance_changed, agent.commission_changed, order.created, order.updated
+   *       and order.deleted; data holds the record after the change and, for the changed events, the old and
+   *       new value of each changed column.
+   *
+   *       Every delivery has the headers X-Webhook-Event, X-Webhook-Delivery (the same when a delivery is
+   *       sent again), X-Webhook-Timestamp (Unix seconds) and X-Webhook-Signature: sha256= and the hex
+   *       HMAC-SHA256, keyed with SECRET, of the timestamp, a dot and the raw body. Receivers should check
+   *       the signature and the timestamp, and answer 2xx; other answers are retried with exponential
+   *       backoff, after which the delivery is dead until replayed.
+   *
+   *       The answer is the only one that holds SECRET, which is generated when left out. Admins only.
+   *     tags:
+   *       - Webhooks
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Webhook'
+   *     responses:
+   *       201:
+   *         description: The webhook, with its secret
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Webhook'
+   *       400:
+   *         description: Validation errors
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to add a webhook
+  app.post('/webhook', [
+    auth.allow('admin'),
+    ...validation.bodyRules('webhooks'),
+    secretRule
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { URL, EVENTS, SECRET = crypto.randomBytes(32).toString('hex') } = req.body;
+
+      const result = await repositories.webhooks.insert({ URL, EVENTS, SECRET, CREATED_BY: req.user.USERNAME });
+      const webhook = await repositories.webhooks.find(result.insertId);
+
+      res.status(201).json({ ...webhook, SECRET });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /webhook/deliveries:
+   *   get:
+   *     summary: List webhook deliveries
+   *     description: |
+   *       Returns a page of the deliveries of the outbox, newest first by default. STATUS=dead lists the
+   *       dead-letter deliveries, whose every attempt failed; LAST_STATUS and LAST_ERROR tell why. Columns
+   *       can be used as filters like in GET /company, e.g. WEBHOOK_ID=3. Admins only.
+   *     tags:
+   *       - Webhooks
+   *     parameters:
+   *       - $ref: '#/components/parameters/limit'
+   *       - $ref: '#/components/parameters/offset'
+   *       - $ref: '#/components/parameters/sort'
+   *       - $ref: '#/components/parameters/fields'
+   *     responses:
+   *       200:
+   *         description: A page of deliveries
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/ListResponse'
+   *       400:
+   *         description: Invalid paging, filter, sort or field
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to list webhook deliveries
+  app.get('/webhook/deliveries', auth.allow('admin'), listValidators,
+    listHandler(repositories.webhookOutbox, '-DELIVERY_ID'));
+
+  /**
+   * @swagger
+   * /webhook/deliveries/replay:
+   *   post:
+   *     summary: Replay the dead deliveries
+   *     description: |
+   *       Sends every dead delivery again from the first attempt, or those of one webhook. Admins only.
+   *     tags:
+   *       - Webhooks
+   *     parameters:
+   *       - in: query
+   *         name: WEBHOOK_ID
+   *         description: Only replay the deliveries of this webhook
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       202:
+   *         description: The number of deliveries replayed
+   *       400:
+   *         description: Validation errors
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to replay the dead deliveries
+  app.post('/webhook/deliveries/replay', [
+    auth.allow('admin'),
+    query('WEBHOOK_ID').optional().isInt({ min: 1 })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const webhookId = req.query.WEBHOOK_ID ? parseInt(req.query.WEBHOOK_ID, 10) : null;
+      const { affectedRows } = await repositories.webhookOutbox.replayDead(webhookId);
+
+      res.status(202).json({ message: 'Deliveries replayed', replayed: affectedRows });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /webhook/deliveries/{id}:
+   *   get:
+   *     summary: Get a webhook delivery by DELIVERY_ID
+   *     description: Admins only.
+   *     tags:
+   *       - Webhooks
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Delivery details
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/WebhookDelivery'
+   *       404:
+   *         description: Delivery not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to retrieve a webhook delivery by DELIVERY_ID
+  app.get('/webhook/deliveries/:id', [
+    auth.allow('admin'),
+    param('id').isInt({ min: 1 })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const delivery = await repositories.webhookOutbox.find(req.params.id);
+      if (!delivery) {
+        return problem(res, 404, 'Delivery not found');
+      }
+
+      res.json(delivery);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /webhook/deliveries/{id}/replay:
+   *   post:
+   *     summary: Replay a webhook delivery
+   *     description: |
+   *       Sends a dead or delivered delivery again from the first attempt, with the same payload and
+   *       X-Webhook-Delivery. Admins only.
+   *     tags:
+   *       - Webhooks
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       202:
+   *         description: Delivery replayed
+   *       404:
+   *         description: Delivery not found
+   *       409:
+   *         description: The delivery is still pending
+   *       500:
+   *         description: Internal server error
+   */
+  // POST request to replay a webhook delivery by DELIVERY_ID
+  app.post('/webhook/deliveries/:id/replay', [
+    auth.allow('admin'),
+    param('id').isInt({ min: 1 })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const delivery = await repositories.webhookOutbox.find(req.params.id, { columns: ['DELIVERY_ID', 'STATUS'] });
+      if (!delivery) {
+        return problem(res, 404, 'Delivery not found');
+      }
+      // A delivery the dispatcher takes in the meantime isn't replayed either
+      const { affectedRows } = delivery.STATUS === 'pending' ? { affectedRows: 0 } : await repositories.webhookOutbox.replay(req.params.id);
+      if (affectedRows === 0) {
+        return problem(res, 409, 'The delivery is still pending');
+      }
+
+      res.status(202).json({ message: 'Delivery replayed' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /webhook/{id}:
+   *   get:
+   *     summary: Get a webhook by WEBHOOK_ID
+   *     description: The secret isn't answered. Admins only.
+   *     tags:
+   *       - Webhooks
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Webhook details
+   *         content:
+   *           application/json:
+   *             schema:
+   *               $ref: '#/components/schemas/Webhook'
+   *       404:
+   *         description: Webhook not found
+   *       500:
+   *         description: Internal server error
+   */
+  // GET request to retrieve a webhook by WEBHOOK_ID
+  app.get('/webhook/:id', [
+    auth.allow('admin'),
+    param('id').isInt({ min: 1 })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const webhook = await repositories.webhooks.find(req.params.id);
+      if (!webhook) {
+        return problem(res, 404, 'Webhook not found');
+      }
+
+      res.json(withoutSecret(webhook));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /webhook/{id}:
+   *   put:
+   *     summary: Replace a webhook's URL and events
+   *     description: |
+   *       Sending SECRET rotates the secret, and deliveries sent from then on are signed with the new one;
+   *       leaving it out keeps the secret. Admins only.
+   *     tags:
+   *       - Webhooks
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             $ref: '#/components/schemas/Webhook'
+   *     responses:
+   *       200:
+   *         description: Webhook replaced successfully
+   *       400:
+   *         description: Validation errors
+   *       404:
+   *         description: Webhook not found
+   *       500:
+   *         description: Internal server error
+   */
+  // PUT request to replace a webhook by WEBHOOK_ID
+  app.put('/webhook/:id', [
+    auth.allow('admin'),
+    param('id').isInt({ min: 1 }),
+    ...validation.bodyRules('webhooks'),
+    secretRule
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const { URL, EVENTS, SECRET } = req.body;
+
+      const result = await repositories.webhooks.update(req.params.id, SECRET === undefined ? { URL, EVENTS } : { URL, EVENTS, SECRET });
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Webhook not found');
+      }
+
+      res.json({ message: 'Webhook updated successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * @swagger
+   * /webhook/{id}:
+   *   delete:
+   *     summary: Delete a webhook
+   *     description: Its deliveries, sent or not, are deleted with it. Admins only.
+   *     tags:
+   *       - Webhooks
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Webhook deleted successfully
+   *       404:
+   *         description: Webhook not found
+   *       500:
+   *         description: Internal server error
+   */
+  // DELETE request to delete a webhook by WEBHOOK_ID
+  app.delete('/webhook/:id', [
+    auth.allow('admin'),
+    param('id').isInt({ min: 1 })
+  ], async (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationProblem(res, errors.array());
+    }
+
+    try {
+      const result = await repositories.webhooks.remove(req.params.id);
+      if (result.affectedRows === 0) {
+        return problem(res, 404, 'Webhook not found');
+      }
+
+      res.json({ message: 'Webhook deleted successfully!' });
+    } catch (err) {
+      next(err);
+    }
+  });
+};
@@ -0,0 +1,280 @@
+// The tables the migrations create, described once for the repositories (which columns
+// exist), the request validation (see validation.js) and the Swagger docs.
+//
+// Every column has a type and these options:
+//   nullable    NULL is allowed, as with DEFAULT NULL (default false)
+//   hasDefault  the database fills the column in when it is left out
+//   generated   set by the database only (AUTO_INCREMENT, CURRENT_TIMESTAMP)
+//   createOnly  set when the row is created, and afterwards by the API only,
+//               like the balances of a customer that ledger postings change
+//   required    the API requires a value although the table allows NULL
+//   references  the repository of the row the value refers to (see repositories/index.js)
+//   format      a format a varchar must have, one of the formats of validation.js
+//   description shown in the docs
+
+const varchar = (length, options = {}) => ({ type: 'varchar', length, ...options });
+const char = (length, options = {}) => ({ type: 'char', length, ...options });
+const decimal = (precision, scale, options = {}) => ({ type: 'decimal', precision, scale, ...options });
+const int = (options = {}) => ({ type: 'int', ...options });
+const date = (options = {}) => ({ type: 'date', ...options });
+const datetime = (options = {}) => ({ type: 'datetime', ...options });
+const timestamp = (options = {}) => ({ type: 'timestamp', ...options });
+const text = (options = {}) => ({ type: 'text', ...options });
+const enumOf = (values, options = {}) => ({ type: 'enum', values, ...options });
+
+const nullable = { nullable: true };
+
+// Columns soft-deletable tables have on top of their own, set by DELETE and
+// cleared by restore only
+const softDeleteColumns = {
+  DELETED_AT: datetime({ nullable: true, generated: true }),
+  DELETED_BY: varchar(40, { nullable: true, generated: true, description: 'User who deleted the record' })
+};
+
+/**
+ * Tables by the name of their repository. Each has its name in the database,
+ * the column or columns that identify a row (key), whether it is soft deleted
+ * (which adds the softDeleteColumns), the name of its Swagger component schema
+ * (internal tables have none) and its columns.
+ */
+const tables = {
+  agents: {
+    table: 'agents',
+    key: 'AGENT_CODE',
+    softDelete: true,
+    component: 'Agent',
+    columns: {
+      AGENT_CODE: varchar(6, { hasDefault: true }),
+      AGENT_NAME: varchar(40, { nullable: true, required: true }),
+      WORKING_AREA: varchar(35, nullable),
+      COMMISSION: decimal(10, 2, { nullable: true, description: 'Share of the order amount the agent earns, e.g. 0.15' }),
+      PHONE_NO: varchar(15, { nullable: true, format: 'phone' }),
+      COUNTRY: varchar(25, nullable)
+    }
+  },
+
+  auditLog: {
+    table: 'audit_log',
+    key: 'AUDIT_ID',
+    columns: {
+      AUDIT_ID: int({ generated: true }),
+      ENTITY: varchar(20),
+      ENTITY_KEY: varchar(20),
+      ACTION: enumOf(['create', 'update', 'delete', 'restore', 'purge', 'revert']),
+      CHANGES: text(),
+      SNAPSHOT: text(nullable),
+      ACTOR: varchar(40, nullable),
+      REQUEST_ID: varchar(64, nullable),
+      CREATED_AT: timestamp({ generated: true })
+    }
+  },
+
+  companies: {
+    table: 'company',
+    key: 'COMPANY_ID',
+    component: 'Company',
+    columns: {
+      COMPANY_ID: varchar(6, { hasDefault: true }),
+      COMPANY_NAME: varchar(25, { nullable: true, required: true }),
+      COMPANY_CITY: varchar(25, nullable)
+    }
+  },
+
+  // customer has no primary key, CUST_CODE is unique by convention
+  customers: {
+    table: 'customer',
+    key: 'CUST_CODE',
+    softDelete: true,
+    component: 'Customer',
+    columns: {
+      CUST_CODE: varchar(6),
+      CUST_NAME: varchar(40),
+      CUST_CITY: varchar(35, nullable),
+      WORKING_AREA: varchar(35),
+      CUST_COUNTRY: varchar(20),
+      GRADE: decimal(10, 0, nullable),
+      OPENING_AMT: decimal(12, 2, { createOnly: true }),
+      RECEIVE_AMT: decimal(12, 2, { createOnly: true }),
+      PAYMENT_AMT: decimal(12, 2, { createOnly: true }),
+      OUTSTANDING_AMT: decimal(12, 2, { createOnly: true }),
+      PHONE_NO: varchar(17, { format: 'phone' }),
+      AGENT_CODE: varchar(6, { nullable: true, references: 'agents' })
+    }
+  },
+
+  // Today's orders, moved to orders at the end of the day
+  daysOrders: {
+    table: 'daysorder',
+    key: 'ORD_NUM',
+    component: 'DaysOrder',
+    columns: {
+      ORD_NUM: decimal(6, 0),
+      ORD_AMOUNT: decimal(12, 2),
+      ADVANCE_AMOUNT: decimal(12, 2),
+      ORD_DATE: date(),
+      CUST_CODE: varchar(6, { references: 'customers' }),
+      AGENT_CODE: varchar(6, { references: 'agents' }),
+      ORD_DESCRIPTION: varchar(60)
+    }
+  },
+
+  despatches: {
+    table: 'despatch',
+    key: 'DES_NUM',
+    component: 'Despatch',
+    columns: {
+      DES_NUM: varchar(6, { hasDefault: true }),
+      DES_DATE: date({ nullable: true, required: true }),
+      DES_AMOUNT: decimal(12, 2, { nullable: true, required: true }),
+      ORD_NUM: decimal(6, 0, { nullable: true, required: true, references: 'orders' }),
+      ORD_DATE: date({ nullable: true, description: 'Copied from the order' }),
+      ORD_AMOUNT: decimal(12, 2, { nullable: true, description: 'Copied from the order' }),
+      AGENT_CODE: varchar(6, { nullable: true, description: 'Copied from the order' })
+    }
+  },
+
+  foods: {
+    table: 'foods',
+    key: 'ITEM_ID',
+    component: 'Food',
+    columns: {
+      ITEM_ID: varchar(6, { hasDefault: true }),
+      ITEM_NAME: varchar(25, nullable),
+      ITEM_UNIT: varchar(5, nullable),
+      COMPANY_ID: varchar(6, { nullable: true, references: 'companies' })
+    }
+  },
+
+  // listofitem has no primary key, ITEMCODE is unique
+  items: {
+    table: 'listofitem',
+    key: 'ITEMCODE',
+    component: 'Item',
+    columns: {
+      ITEMCODE: varchar(6),
+      ITEMNAME: varchar(25),
+      BATCHCODE: varchar(35),
+      CONAME: varchar(35, nullable)
+    }
+  },
+
+  ledger: {
+    table: 'ledger',
+    key: 'TXN_ID',
+    component: 'LedgerTransaction',
+    columns: {
+      TXN_ID: int({ generated: true }),
+      CUST_CODE: varchar(6, { references: 'customers' }),
+      TXN_TYPE: enumOf(['RECEIPT', 'PAYMENT']),
+      TXN_AMOUNT: decimal(12, 2),
+      TXN_DATE: date(),
+      TXN_DESCRIPTION: varchar(60, nullable),
+      CREATED_AT: timestamp({ generated: true })
+    }
+  },
+
+  // orders has no primary key, ORD_NUM is unique by convention
+  orders: {
+    table: 'orders',
+    key: 'ORD_NUM',
+    component: 'Order',
+    columns: {
+      ORD_NUM: decimal(6, 0),
+      ORD_AMOUNT: decimal(12, 2),
+      ADVANCE_AMOUNT: decimal(12, 2),
+      ORD_DATE: date(),
+      CUST_CODE: varchar(6, { references: 'customers' }),
+      AGENT_CODE: varchar(6, { references: 'agents' }),
+      ORD_DESCRIPTION: varchar(60)
+    }
+  },
+
+  students: {
+    table: 'student',
+    key: ['CLASS', 'SECTION', 'ROLLID'],
+    component: 'Student',
+    columns: {
+      NAME: varchar(30),
+      TITLE: varchar(25),
+      CLASS: varchar(5),
+      SECTION: varchar(1),
+      ROLLID: decimal(3, 0)
+    }
+  },
+
+  // studentreport has no primary key, a student has one report per semester
+  studentReports: {
+    table: 'studentreport',
+    key: ['CLASS', 'SECTION', 'ROLLID', 'SEMISTER'],
+    component: 'StudentReport',
+    columns: {
+      CLASS: varchar(5),
+      SECTION: varchar(1),
+      ROLLID: decimal(3, 0),
+      GRADE: varchar(5),
+      SEMISTER: varchar(5, { nullable: true, required: true }),
+      CLASS_ATTENDED: decimal(25, 0, nullable)
+    }
+  },
+
+  users: {
+    table: 'users',
+    key: 'USER_ID',
+    columns: {
+      USER_ID: int({ generated: true }),
+      USERNAME: varchar(40),
+      API_KEY_HASH: char(64),
+      ROLE: enumOf(['readonly', 'agent', 'admin'], { hasDefault: true }),
+      AGENT_CODE: varchar(6, { nullable: true, references: 'agents' }),
+      CREATED_AT: timestamp({ generated: true })
+    }
+  },
+
+  webhooks: {
+    table: 'webhooks',
+    key: 'WEBHOOK_ID',
+    component: 'Webhook',
+    columns: {
+      WEBHOOK_ID: int({ generated: true }),
+      URL: varchar(500, { format: 'url', description: 'Where the events are POSTed to' }),
+      EVENTS: varchar(255, { format: 'events', description: 'Comma-separated events to send, or * for all of them' }),
+      // The API generates a secret when none is sent
+      SECRET: varchar(64, {
+        hasDefault: true,
+        description: 'Key of the HMAC signature of the deliveries, at least 16 characters. Generated when left out, ' +
+          'and only answered by the request that sets it'
+      }),
+      CREATED_BY: varchar(40, { nullable: true, generated: true }),
+      CREATED_AT: timestamp({ generated: true })
+    }
+  },
+
+  webhookOutbox: {
+    table: 'webhook_outbox',
+    key: 'DELIVERY_ID',
+    component: 'WebhookDelivery',
+    columns: {
+      DELIVERY_ID: int({ generated: true }),
+      WEBHOOK_ID: int({ references: 'webhooks' }),
+      EVENT_ID: char(36, { description: 'Id of the event, the same in the deliveries of one event to every webhook' }),
+      EVENT: varchar(40),
+      PAYLOAD: text({ description: 'The JSON body sent' }),
+      STATUS: enumOf(['pending', 'delivered', 'dead'], { hasDefault: true, description: 'dead once every attempt failed' }),
+      ATTEMPTS: int({ hasDefault: true }),
+      NEXT_ATTEMPT_AT: datetime({ hasDefault: true }),
+      LAST_STATUS: int({ nullable: true, description: 'HTTP status of the last attempt' }),
+      LAST_ERROR: varchar(255, nullable),
+      CREATED_AT: timestamp({ generated: true }),
+      DELIVERED_AT: datetime(nullable)
+    }
+  }
+};
+
+// The { table, key, columns, softDelete } definition a repository is created
+// from (see repositories/table.js), for the table of the given repository
+function definitionOf(name) {
+  const { table, key, columns, softDelete = false } = tables[name];
+  return { table, key, columns: Object.keys(columns), softDelete };
+}
+
+module.exports = { tables, softDeleteColumns, definitionOf };
@@ -0,0 +1,22 @@
+// Creates an API key for a new user and prints the SQL that adds the user.
+//
+// Usage: npm run create-user -- <username> <readonly|agent|admin> [AGENT_CODE]
+const { ROLES, hashApiKey, generateApiKey } = require('../auth');
+
+const [username, role, agentCode] = process.argv.slice(2);
+
+if (!username || !ROLES.includes(role) || (role === 'agent' && !agentCode)) {
+  console.error(`Usage: npm run create-user -- <username> <${ROLES.join('|')}> [AGENT_CODE]`);
+  console.error('AGENT_CODE is required for agents.');
+  process.exit(1);
+}
+
+const apiKey = generateApiKey();
+const quote = (value) => (value ? `'${String(value).replace(/'/g, "''")}'` : 'NULL');
+
+console.log(`API key for ${username} (shown only once): ${apiKey}`);
+console.log('Add the user with:');
+console.log(
+  `INSERT INTO users (USERNAME, API_KEY_HASH, ROLE, AGENT_CODE) VALUES ` +
+  `(${quote(username)}, '${hashApiKey(apiKey)}', '${role}', ${quote(role === 'agent' ? agentCode : null)});`
+);
@@ -0,0 +1,94 @@
+// Migrates the configured database (see config.js) with the files of migrations/.
+//
+// Usage: npm run migrate -- <command>
+//   status                      list the migrations and whether each is applied
+//   up [--to VERSION] [--seed]  apply the pending migrations, then load seeds/ with --seed
+//   down [--steps N | --to VERSION]
+//                               revert the last N migrations (1 by default), or those after VERSION
+//   seed                        load seeds/ into the empty tables of a migrated database
+const { loadConfig, ConfigError } = require('../config');
+const { createPool } = require('../db');
+const { createMigrator, MigrationError } = require('../migrations');
+const { DatabaseError } = require('../repositories/errors');
+
+const USAGE = 'Usage: npm run migrate -- <status | up [--to VERSION] [--seed] | down [--steps N | --to VERSION] | seed>';
+
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 1) {
+    if (rest[i] === '--seed') {
+      options.seed = true;
+    } else if ((rest[i] === '--to' || rest[i] === '--steps') && /^\d+$/.test(rest[i + 1] || '')) {
+      options[rest[i].slice(2)] = rest[i + 1];
+      i += 1;
+    } else {
+      return null;
+    }
+  }
+
+  const allowed = { status: [], up: ['to', 'seed'], down: ['to', 'steps'], seed: [] }[command];
+  if (!allowed || Object.keys(options).some((option) => !allowed.includes(option)) || (options.to && options.steps)) {
+    return null;
+  }
+  if (options.steps) {
+    options.steps = Number(options.steps);
+  }
+  return { command, options };
+}
+
+const formatList = (migrations) => migrations.map(({ version, name }) => `${version}_${name}`).join(', ');
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  let config;
+  try {
+    config = loadConfig();
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    return 1;
+  }
+
+  const pool = createPool(config.db);
+  const migrator = createMigrator(pool, { log: (message) => console.log(message) });
+  const { command, options } = args;
+
+  try {
+    if (command === 'status') {
+      for (const migration of await migrator.status()) {
+        const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+        const warning = (migration.changed && ' (changed since applied)') || (migration.missing && ' (file missing)') || '';
+        console.log(`${migration.version}_${migration.name}  ${state}${warning}`);
+      }
+    } else if (command === 'up') {
+      const applied = await migrator.up({ to: options.to });
+      console.log(applied.length > 0 ? `Applied ${formatList(applied)}` : 'No pending migrations');
+      if (options.seed) {
+        console.log(`Loaded ${(await migrator.seed()).join(', ')}`);
+      }
+    } else if (command === 'down') {
+      const reverted = await migrator.down({ steps: options.steps, to: options.to });
+      console.log(reverted.length > 0 ? `Reverted ${formatList(reverted)}` : 'No migrations to revert');
+    } else {
+      console.log(`Loaded ${(await migrator.seed()).join(', ')}`);
+    }
+    return 0;
+  } catch (err) {
+    if (!(err instanceof MigrationError) && !(err instanceof DatabaseError)) throw err;
+    console.error(err.sqlMessage || err.message);
+    return 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main().then((code) => { process.exitCode = code; }, (err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -1,36 +1,9 @@
--- phpMyAdmin SQL Dump
--- version 3.3.9
--- http://www.phpmyadmin.net
---
--- Host: localhost
--- Generation Time: Feb 08, 2014 at 06:53 AM
--- Server version: 5.1.36
--- PHP Version: 5.3.0
-
-SET SQL_MODE="NO_AUTO_VALUE_ON_ZERO";
-
---
--- Database: `sample`
---
-
--- --------------------------------------------------------
+-- The data of the original db.sql dump. Load it into a database the
+-- migrations have built with `npm run migrate -- seed`, which refuses to when
+-- any of these tables already has rows. Referenced tables come first.
 
 --
--- Table structure for table `agents`
---
-
-CREATE TABLE IF NOT EXISTS `agents` (
-  `AGENT_CODE` varchar(6) NOT NULL DEFAULT '',
-  `AGENT_NAME` varchar(40) DEFAULT NULL,
-  `WORKING_AREA` varchar(35) DEFAULT NULL,
-  `COMMISSION` decimal(10,2) DEFAULT NULL,
-  `PHONE_NO` varchar(15) DEFAULT NULL,
-  `COUNTRY` varchar(25) DEFAULT NULL,
-  PRIMARY KEY (`AGENT_CODE`)
-) ENGINE=MyISAM DEFAULT CHARSET=latin1;
-
---
--- Dumping data for table `agents`
+-- Data for table `agents`
 --
 
 INSERT INTO `agents` (`AGENT_CODE`, `AGENT_NAME`, `WORKING_AREA`, `COMMISSION`, `PHONE_NO`, `COUNTRY`) VALUES
@@ -47,21 +20,8 @@ INSERT INTO `agents` (`AGENT_CODE`, `AGENT_NAME`, `WORKING_AREA`, `COMMISSION`,
 ('A004  ', 'Ivan                                    ', 'Torento                            ', '0.15', '008-22544166   ', '\r'),
 ('A009  ', 'Benjamin                                ', 'Hampshair                          ', '0.11', '008-22536178   ', '\r');
 
--- --------------------------------------------------------
-
---
--- Table structure for table `company`
---
-
-CREATE TABLE IF NOT EXISTS `company` (
-  `COMPANY_ID` varchar(6) NOT NULL DEFAULT '',
-  `COMPANY_NAME` varchar(25) DEFAULT NULL,
-  `COMPANY_CITY` varchar(25) DEFAULT NULL,
-  PRIMARY KEY (`COMPANY_ID`)
-) ENGINE=MyISAM DEFAULT CHARSET=latin1;
-
 --
--- Dumping data for table `company`
+-- Data for table `company`
 --
 
 INSERT INTO `company` (`COMPANY_ID`, `COMPANY_NAME`, `COMPANY_CITY`) VALUES
@@ -71,31 +31,8 @@ INSERT INTO `company` (`COMPANY_ID`, `COMPANY_NAME`, `COMPANY_CITY`) VALUES
 ('17', 'Foodies.', 'London\r'),
 ('19', 'sip-n-Bite.', 'New York\r');
 
--- --------------------------------------------------------
-
---
--- Table structure for table `customer`
---
-
-CREATE TABLE IF NOT EXISTS `customer` (
-  `CUST_CODE` varchar(6) NOT NULL,
-  `CUST_NAME` varchar(40) NOT NULL,
-  `CUST_CITY` varchar(35) DEFAULT NULL,
-  `WORKING_AREA` varchar(35) NOT NULL,
-  `CUST_COUNTRY` varchar(20) NOT NULL,
-  `GRADE` decimal(10,0) DEFAULT NULL,
-  `OPENING_AMT` decimal(12,2) NOT NULL,
-  `RECEIVE_AMT` decimal(12,2) NOT NULL,
-  `PAYMENT_AMT` decimal(12,2) NOT NULL,
-  `OUTSTANDING_AMT` decimal(12,2) NOT NULL,
-  `PHONE_NO` varchar(17) NOT NULL,
-  `AGENT_CODE` varchar(6) DEFAULT NULL,
-  KEY `CUSTCITY` (`CUST_CITY`),
-  KEY `CUSTCITY_COUNTRY` (`CUST_CITY`,`CUST_COUNTRY`)
-) ENGINE=MyISAM DEFAULT CHARSET=latin1;
-
 --
--- Dumping data for table `customer`
+-- Data for table `customer`
 --
 
 INSERT INTO `customer` (`CUST_CODE`, `CUST_NAME`, `CUST_CITY`, `WORKING_AREA`, `CUST_COUNTRY`, `GRADE`, `OPENING_AMT`, `RECEIVE_AMT`, `PAYMENT_AMT`, `OUTSTANDING_AMT`, `PHONE_NO`, `AGENT_CODE`) VALUES
@@ -125,24 +62,8 @@ INSERT INTO `customer` (`CUST_CODE`, `CUST_NAME`, `CUST_CITY`, `WORKING_AREA`, `
 ('C00016', 'Venkatpati', 'Bangalore                          ', 'Bangalore', 'India', '2', '8000.00', '11000.00', '7000.00', '12000.00', 'JRTVFDD', 'A007  '),
 ('C00011', 'Sundariya', 'Chennai                            ', 'Chennai', 'India', '3', '7000.00', '11000.00', '7000.00', '11000.00', 'PPHGRTS', 'A010  ');
 
--- --------------------------------------------------------
-
 --
--- Table structure for table `daysorder`
---
-
-CREATE TABLE IF NOT EXISTS `daysorder` (
-  `ORD_NUM` decimal(6,0) NOT NULL,
-  `ORD_AMOUNT` decimal(12,2) NOT NULL,
-  `ADVANCE_AMOUNT` decimal(12,2) NOT NULL,
-  `ORD_DATE` date NOT NULL,
-  `CUST_CODE` varchar(6) NOT NULL,
-  `AGENT_CODE` varchar(6) NOT NULL,
-  `ORD_DESCRIPTION` varchar(60) NOT NULL
-) ENGINE=MyISAM DEFAULT CHARSET=latin1;
-
---
--- Dumping data for table `daysorder`
+-- Data for table `daysorder`
 --
 
 INSERT INTO `daysorder` (`ORD_NUM`, `ORD_AMOUNT`, `ADVANCE_AMOUNT`, `ORD_DATE`, `CUST_CODE`, `AGENT_CODE`, `ORD_DESCRIPTION`) VALUES
@@ -154,71 +75,21 @@ INSERT INTO `daysorder` (`ORD_NUM`, `ORD_AMOUNT`, `ADVANCE_AMOUNT`, `ORD_DATE`,
 ('200128', '3500.00', '1500.00', '2008-07-20', 'C00009', 'A002', 'SOD\r'),
 ('200132', '4000.00', '1500.00', '2008-08-15', 'C00013', 'A013', 'SOD\r');
 
--- --------------------------------------------------------
-
---
--- Table structure for table `despatch`
---
-
-CREATE TABLE IF NOT EXISTS `despatch` (
-  `DES_NUM` varchar(6) NOT NULL DEFAULT '',
-  `DES_DATE` date DEFAULT NULL,
-  `DES_AMOUNT` decimal(12,2) DEFAULT NULL,
-  `ORD_NUM` decimal(6,0) DEFAULT NULL,
-  `ORD_DATE` date DEFAULT NULL,
-  `ORD_AMOUNT` decimal(12,2) DEFAULT NULL,
-  `AGENT_CODE` varchar(6) DEFAULT NULL,
-  PRIMARY KEY (`DES_NUM`)
-) ENGINE=MyISAM DEFAULT CHARSET=latin1;
-
 --
--- Dumping data for table `despatch`
---
-
-
--- --------------------------------------------------------
-
---
--- Table structure for table `foods`
---
-
-CREATE TABLE IF NOT EXISTS `foods` (
-  `ITEM_ID` varchar(6) NOT NULL DEFAULT '',
-  `ITEM_NAME` varchar(25) DEFAULT NULL,
-  `ITEM_UNIT` varchar(5) DEFAULT NULL,
-  `COMPANY_ID` varchar(6) DEFAULT NULL,
-  PRIMARY KEY (`ITEM_ID`)
-) ENGINE=MyISAM DEFAULT CHARSET=latin1;
-
---
--- Dumping data for table `foods`
+-- Data for table `foods`
 --
 
 INSERT INTO `foods` (`ITEM_ID`, `ITEM_NAME`, `ITEM_UNIT`, `COMPANY_ID`) VALUES
-('1', 'Chex Mix', 'Pcs', '16\r'),
-('6', 'Cheez-It', 'Pcs', '15\r'),
-('2', 'BN Biscuit', 'Pcs', '15\r'),
-('3', 'Mighty Munch', 'Pcs', '17\r'),
-('4', 'Pot Rice', 'Pcs', '15\r'),
-('5', 'Jaffa Cakes', 'Pcs', '18\r'),
-('7', 'Salt n Shake', 'Pcs', '\r');
-
--- --------------------------------------------------------
+('1', 'Chex Mix', 'Pcs', '16'),
+('6', 'Cheez-It', 'Pcs', '15'),
+('2', 'BN Biscuit', 'Pcs', '15'),
+('3', 'Mighty Munch', 'Pcs', '17'),
+('4', 'Pot Rice', 'Pcs', '15'),
+('5', 'Jaffa Cakes', 'Pcs', '18'),
+('7', 'Salt n Shake', 'Pcs', NULL);
 
 --
--- Table structure for table `listofitem`
---
-
-CREATE TABLE IF NOT EXISTS `listofitem` (
-  `ITEMCODE` varchar(6) NOT NULL,
-  `ITEMNAME` varchar(25) NOT NULL,
-  `BATCHCODE` varchar(35) NOT NULL,
-  `CONAME` varchar(35) DEFAULT NULL,
-  UNIQUE KEY `ITEMCODE` (`ITEMCODE`)
-) ENGINE=MyISAM DEFAULT CHARSET=latin1;
-
---
--- Dumping data for table `listofitem`
+-- Data for table `listofitem`
 --
 
 INSERT INTO `listofitem` (`ITEMCODE`, `ITEMNAME`, `BATCHCODE`, `CONAME`) VALUES
@@ -226,24 +97,8 @@ INSERT INTO `listofitem` (`ITEMCODE`, `ITEMNAME`, `BATCHCODE`, `CONAME`) VALUES
 ('I003  ', 'HOT DOG                  ', 'DM/2007-08/WB1                     ', 'ABJ ENTERPRISE                     '),
 ('I002  ', 'CONDENSED MILK           ', 'DM/2007-08/WBM%2                   ', 'ABJ CONCERN                        ');
 
--- --------------------------------------------------------
-
 --
--- Table structure for table `orders`
---
-
-CREATE TABLE IF NOT EXISTS `orders` (
-  `ORD_NUM` decimal(6,0) NOT NULL,
-  `ORD_AMOUNT` decimal(12,2) NOT NULL,
-  `ADVANCE_AMOUNT` decimal(12,2) NOT NULL,
-  `ORD_DATE` date NOT NULL,
-  `CUST_CODE` varchar(6) NOT NULL,
-  `AGENT_CODE` varchar(6) NOT NULL,
-  `ORD_DESCRIPTION` varchar(60) NOT NULL
-) ENGINE=MyISAM DEFAULT CHARSET=latin1;
-
---
--- Dumping data for table `orders`
+-- Data for table `orders`
 --
 
 INSERT INTO `orders` (`ORD_NUM`, `ORD_AMOUNT`, `ADVANCE_AMOUNT`, `ORD_DATE`, `CUST_CODE`, `AGENT_CODE`, `ORD_DESCRIPTION`) VALUES
@@ -284,23 +139,8 @@ INSERT INTO `orders` (`ORD_NUM`, `ORD_AMOUNT`, `ADVANCE_AMOUNT`, `ORD_DATE`, `CU
 ('200133', '1200.00', '400.00', '2008-06-29', 'C00009', 'A002  ', 'SOD\r'),
 ('200132', '4000.00', '2000.00', '2008-08-15', 'C00013', 'A013  ', 'SOD\r');
 
--- --------------------------------------------------------
-
---
--- Table structure for table `student`
---
-
-CREATE TABLE IF NOT EXISTS `student` (
-  `NAME` varchar(30) NOT NULL,
-  `TITLE` varchar(25) NOT NULL,
-  `CLASS` varchar(5) NOT NULL,
-  `SECTION` varchar(1) NOT NULL,
-  `ROLLID` decimal(3,0) NOT NULL,
-  PRIMARY KEY (`CLASS`,`SECTION`,`ROLLID`)
-) ENGINE=MyISAM DEFAULT CHARSET=latin1;
-
 --
--- Dumping data for table `student`
+-- Data for table `student`
 --
 
 INSERT INTO `student` (`NAME`, `TITLE`, `CLASS`, `SECTION`, `ROLLID`) VALUES
@@ -308,24 +148,8 @@ INSERT INTO `student` (`NAME`, `TITLE`, `CLASS`, `SECTION`, `ROLLID`) VALUES
 ('Robert                        ', 'Paul                     ', 'VI   ', 'A', '2'),
 ('Danny                         ', 'Moris                    ', 'V    ', 'B', '15');
 
--- --------------------------------------------------------
-
---
--- Table structure for table `studentreport`
---
-
-CREATE TABLE IF NOT EXISTS `studentreport` (
-  `CLASS` varchar(5) NOT NULL,
-  `SECTION` varchar(1) NOT NULL,
-  `ROLLID` decimal(3,0) NOT NULL,
-  `GRADE` varchar(5) NOT NULL,
-  `SEMISTER` varchar(5) DEFAULT NULL,
-  `CLASS_ATTENDED` decimal(25,0) DEFAULT NULL,
-  KEY `FK_CSR` (`CLASS`,`SECTION`,`ROLLID`)
-) ENGINE=MyISAM DEFAULT CHARSET=latin1;
-
 --
--- Dumping data for table `studentreport`
+-- Data for table `studentreport`
 --
 
 INSERT INTO `studentreport` (`CLASS`, `SECTION`, `ROLLID`, `GRADE`, `SEMISTER`, `CLASS_ATTENDED`) VALUES
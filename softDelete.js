@@ -0,0 +1,164 @@
+const { param, query, validationResult } = require('express-validator'); // Validation
+const { problem, validationProblem } = require('./problem');
+
+// Customers and agents are soft deleted: DELETE only stamps DELETED_AT and
+// DELETED_BY, and the record stays restorable until an admin purges it
+const softDeletable = {
+  customer: { repository: 'customers', label: 'Customer' },
+  agent: { repository: 'agents', label: 'Agent' }
+};
+
+// Deleted records are hidden unless the request asks for ?includeDeleted=true
+const showDeleted = (req) => req.query.includeDeleted === 'true';
+
+function activeOnly(req) {
+  return showDeleted(req) ? null : { where: 'DELETED_AT IS NULL', values: [] };
+}
+
+// Counts the orders of a customer or agent (key is CUST_CODE or AGENT_CODE).
+// With openOnly, only orders that aren't fully despatched yet count; today's
+// orders in daysorder always do.
+async function countOrders(repositories, key, code, openOnly) {
+  const orders = openOnly
+    ? await repositories.orders.countUndespatched(key, code)
+    : await repositories.orders.count({ [key]: code });
+  return orders + await repositories.daysOrders.count({ [key]: code });
+}
+
+// Validators shared by the delete, restore and purge routes
+const softDeleteValidators = [
+  param('id').isString(),
+  query('force').isBoolean().optional()
+];
+
+/**
+ * Creates the DELETE, restore and purge handlers of the soft-deletable
+ * entities, which work through the given repositories. Changes are made
+ * through the given preconditions (see preconditions.js), which honor
+ * If-Match and record every change in the audit trail.
+ */
+function createSoftDelete(repositories, preconditions) {
+  // Creates the DELETE handler of a soft-deletable entity. Records with open
+  // orders are only deleted with ?force=true.
+  function softDeleteHandler(entity) {
+    const { repository: name, label } = softDeletable[entity];
+    const repository = repositories[name];
+
+    return async (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return validationProblem(res, errors.array());
+      }
+
+      try {
+        if (!await repository.exists(req.params.id)) {
+          return problem(res, 404, `${label} not found`);
+        }
+
+        if (req.query.force !== 'true') {
+          const openOrders = await countOrders(repositories, repository.key, req.params.id, true);
+          if (openOrders > 0) {
+            return problem(res, 409, `${label} has ${openOrders} open orders, use ?force=true to delete anyway`, { openOrders });
+          }
+        }
+
+        await preconditions.track(req, entity, req.params.id,
+          (tx) => tx[name].softDelete(req.params.id, req.user.USERNAME), { action: 'delete' });
+
+        res.json({ message: `${label} deleted successfully!` });
+      } catch (err) {
+        next(err);
+      }
+    };
+  }
+
+  // Creates the restore handler of a soft-deletable entity
+  function restoreHandler(entity) {
+    const { repository: name, label } = softDeletable[entity];
+    const repository = repositories[name];
+
+    return async (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return validationProblem(res, errors.array());
+      }
+
+      try {
+        const record = await repository.find(req.params.id, { includeDeleted: true, columns: ['DELETED_AT'] });
+        if (!record) {
+          return problem(res, 404, `${label} not found`);
+        }
+        if (record.DELETED_AT === null) {
+          return problem(res, 409, `${label} is not deleted`);
+        }
+
+        await preconditions.track(req, entity, req.params.id,
+          (tx) => tx[name].restore(req.params.id), { action: 'restore' });
+
+        res.json({ message: `${label} restored successfully!` });
+      } catch (err) {
+        next(err);
+      }
+    };
+  }
+
+  // Creates the purge handler of a soft-deletable entity. Only deleted records
+  // can be purged, and records that orders still refer to only with ?force=true.
+  function purgeHandler(entity) {
+    const { repository: name, label } = softDeletable[entity];
+    const repository = repositories[name];
+
+    return async (req, res, next) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return validationProblem(res, errors.array());
+      }
+
+      try {
+        const record = await repository.find(req.params.id, { includeDeleted: true, columns: ['DELETED_AT'] });
+        if (!record) {
+          return problem(res, 404, `${label} not found`);
+        }
+        if (record.DELETED_AT === null) {
+          return problem(res, 409, `${label} must be deleted before it can be purged`);
+        }
+
+        if (req.query.force !== 'true') {
+          const orders = await countOrders(repositories, repository.key, req.params.id, false);
+          if (orders > 0) {
+            return problem(res, 409, `${orders} orders still refer to this ${label.toLowerCase()}, use ?force=true to purge anyway`, { orders });
+          }
+        }
+
+        await preconditions.track(req, entity, req.params.id,
+          (tx) => tx[name].purge(req.params.id), { action: 'purge' });
+
+        res.json({ message: `${label} purged successfully!` });
+      } catch (err) {
+        next(err);
+      }
+    };
+  }
+
+  return { softDeleteHandler, restoreHandler, purgeHandler };
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     includeDeleted:
+ *       in: query
+ *       name: includeDeleted
+ *       description: Also return deleted records
+ *       schema:
+ *         type: boolean
+ *     force:
+ *       in: query
+ *       name: force
+ *       description: Go ahead even though orders still refer to the record
+ *       schema:
+ *         type: boolean
+ */
+
+module.exports = { showDeleted, activeOnly, softDeleteValidators, createSoftDelete };
@@ -0,0 +1,393 @@
+const { createTestApp, dbError, driverError } = require('./helpers');
+
+const alex = {
+  AGENT_CODE: 'A003  ', AGENT_NAME: 'Alex', WORKING_AREA: 'London', COMMISSION: '0.13',
+  PHONE_NO: '075-12458969', COUNTRY: '', DELETED_AT: null, DELETED_BY: null
+};
+
+const newAgent = {
+  AGENT_CODE: 'A099', AGENT_NAME: 'Lestrade', WORKING_AREA: 'London', COMMISSION: '0.10',
+  PHONE_NO: '020-7230 1212', COUNTRY: 'UK'
+};
+
+const { AGENT_CODE, ...replacement } = newAgent;
+
+let db;
+let as;
+
+beforeEach(() => {
+  ({ db, as } = createTestApp());
+});
+
+afterEach(() => {
+  expect(db.openConnections()).toBe(0);
+});
+
+describe('POST /agent', () => {
+  test('adds the agent', async () => {
+    const res = await as('admin').post('/agent').send(newAgent);
+    expect(res.status).toBe(201);
+    expect(db.queriesMatching('INSERT INTO agents')[0].values).toEqual(Object.values(newAgent));
+  });
+
+  test('rejects missing and invalid fields', async () => {
+    const res = await as('admin').post('/agent').send({ ...newAgent, AGENT_NAME: '', COMMISSION: 'some' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.path)).toEqual(['AGENT_NAME', 'COMMISSION']);
+  });
+
+  test('only admins can add agents', async () => {
+    const res = await as('agent').post('/agent').send(newAgent);
+    expect(res.status).toBe(403);
+  });
+
+  test('answers 409 when the agent code is taken', async () => {
+    db.on('INSERT INTO agents', driverError('ER_DUP_ENTRY', 1062, "Duplicate entry 'A099' for key 'PRIMARY'"));
+    const res = await as('admin').post('/agent').send(newAgent);
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ status: 409, detail: 'A record with this key already exists' });
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('INSERT INTO agents', dbError());
+    const res = await as('admin').post('/agent').send(newAgent);
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('GET /agent', () => {
+  test('lists a page of active agents', async () => {
+    db.on('SELECT COUNT(*) AS total FROM agents', [{ total: 1n }]);
+    db.on(/^SELECT AGENT_CODE, .* FROM agents/, [alex]);
+    const res = await as('readonly').get('/agent?WORKING_AREA=London');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 1, data: [alex], links: { next: null, prev: null } });
+    expect(db.queriesMatching('SELECT COUNT(*)')[0].sql).toMatch(/WORKING_AREA = \? AND DELETED_AT IS NULL/);
+  });
+
+  test('lists deleted agents on request', async () => {
+    db.on('SELECT COUNT(*) AS total FROM agents', [{ total: 0n }]);
+    const res = await as('admin').get('/agent?includeDeleted=true');
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('SELECT COUNT(*)')[0].sql).not.toMatch(/DELETED_AT/);
+  });
+
+  test('rejects sorting on unknown columns', async () => {
+    const res = await as('admin').get('/agent?sort=-SALARY');
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(['Cannot sort on SALARY']);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('FROM agents', dbError());
+    const res = await as('admin').get('/agent');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('GET /agent/:id', () => {
+  test('returns the agent', async () => {
+    db.on(/^SELECT AGENT_CODE, .* FROM agents WHERE AGENT_CODE = \?/, [alex]);
+    const res = await as('readonly').get('/agent/A003');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(alex);
+  });
+
+  test('answers 404 for unknown agents', async () => {
+    const res = await as('admin').get('/agent/A999');
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on(/^SELECT AGENT_CODE, .* FROM agents/, dbError());
+    const res = await as('admin').get('/agent/A003');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('PUT /agent/:id', () => {
+  test('replaces the agent', async () => {
+    const res = await as('admin').put('/agent/A003').send(replacement);
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('UPDATE agents')[0].values).toEqual([...Object.values(replacement), 'A003']);
+  });
+
+  test('requires AGENT_NAME', async () => {
+    const res = await as('admin').put('/agent/A003').send({ WORKING_AREA: 'London' });
+    expect(res.status).toBe(400);
+  });
+
+  test('only admins can replace agents', async () => {
+    const res = await as('agent').put('/agent/A003').send(replacement);
+    expect(res.status).toBe(403);
+  });
+
+  test('answers 404 for unknown agents', async () => {
+    db.on('UPDATE agents', { affectedRows: 0 });
+    const res = await as('admin').put('/agent/A999').send(replacement);
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('UPDATE agents', dbError());
+    const res = await as('admin').put('/agent/A003').send(replacement);
+    expect(res.status).toBe(500);
+  });
+
+  test('of two writes with the same ETag, the second waits for the lock and answers 412', async () => {
+    let agent = alex;
+    db.on(/^SELECT AGENT_CODE, .* FROM agents WHERE AGENT_CODE = \?/, () => [agent]);
+    // The first write is made once the other one has asked for the lock, so
+    // that without the lock both would find the agent unchanged
+    let secondLockAsked;
+    const bothLocksAsked = new Promise((resolve) => {
+      secondLockAsked = resolve;
+    });
+    db.on('UPDATE agents', async ([AGENT_NAME, WORKING_AREA]) => {
+      await bothLocksAsked;
+      agent = { ...agent, AGENT_NAME, WORKING_AREA };
+      return { affectedRows: 1 };
+    });
+
+    // The row lock of InnoDB: FOR UPDATE waits until the transaction holding
+    // the lock ends
+    let lock = null;
+    let unlock = () => {};
+    let lockRequests = 0;
+    db.on(/FROM agents WHERE AGENT_CODE = \? .*FOR UPDATE$/, async () => {
+      lockRequests += 1;
+      if (lockRequests === 2) {
+        secondLockAsked();
+      }
+      while (lock) {
+        await lock;
+      }
+      lock = new Promise((resolve) => {
+        unlock = () => {
+          lock = null;
+          resolve();
+        };
+      });
+      return [agent];
+    });
+    db.on(/^(COMMIT|ROLLBACK)$/, () => {
+      unlock();
+      return {};
+    });
+
+    const { etag } = (await as('admin').get('/agent/A003')).headers;
+    const responses = await Promise.all(['Bangalore', 'Chennai'].map((WORKING_AREA) => (
+      as('admin').put('/agent/A003').set('If-Match', etag).send({ ...replacement, WORKING_AREA }).then((res) => res)
+    )));
+
+    expect(responses.map((res) => res.status).sort()).toEqual([200, 412]);
+    expect(db.queriesMatching('UPDATE agents')).toHaveLength(1);
+  });
+});
+
+describe('PATCH /agent/:id', () => {
+  beforeEach(() => {
+    db.on(/^SELECT AGENT_CODE, .* FROM agents WHERE AGENT_CODE = \?/, [alex]);
+  });
+
+  test('writes only the patched fields', async () => {
+    const res = await as('admin').patch('/agent/A003').set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ COMMISSION: '0.15' }));
+    expect(res.status).toBe(200);
+    expect(res.body.AGENT_CODE).toBe('A003  ');
+    const [update] = db.queriesMatching('UPDATE agents');
+    expect(update.sql).toMatch(/SET COMMISSION = \? WHERE/);
+    expect(update.values).toEqual(['0.15', 'A003']);
+  });
+
+  test('takes JSON Patches', async () => {
+    const res = await as('admin').patch('/agent/A003').set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([{ op: 'test', path: '/AGENT_NAME', value: 'Alex' }, { op: 'remove', path: '/COUNTRY' }]));
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('UPDATE agents')[0].values).toEqual([null, 'A003']);
+  });
+
+  test('requires AGENT_NAME to stay set', async () => {
+    const res = await as('admin').patch('/agent/A003').send({ AGENT_NAME: null });
+    expect(res.status).toBe(400);
+  });
+
+  test('only admins can patch agents', async () => {
+    const res = await as('agent').patch('/agent/A003').send({ COMMISSION: '0.15' });
+    expect(res.status).toBe(403);
+  });
+
+  test('answers 404 for unknown agents', async () => {
+    db.on(/^SELECT AGENT_CODE, .* FROM agents WHERE AGENT_CODE = \?/, []);
+    const res = await as('admin').patch('/agent/A999').send({ COMMISSION: '0.15' });
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('DELETE /agent/:id', () => {
+  beforeEach(() => {
+    db.on('SELECT AGENT_CODE FROM agents WHERE AGENT_CODE = ? AND DELETED_AT IS NULL', [{ AGENT_CODE: 'A003  ' }]);
+    db.on('SELECT COUNT(*) AS total', [{ total: 0n }]);
+  });
+
+  test('soft deletes the agent', async () => {
+    const res = await as('admin').delete('/agent/A003');
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('UPDATE agents SET DELETED_AT = NOW()')).toHaveLength(1);
+  });
+
+  test('refuses agents with open orders unless forced', async () => {
+    db.on('FROM orders o', [{ total: 3n }]);
+    const res = await as('admin').delete('/agent/A003');
+    expect(res.status).toBe(409);
+    expect(db.queriesMatching('UPDATE agents')).toHaveLength(0);
+  });
+
+  test('only admins can delete', async () => {
+    const res = await as('readonly').delete('/agent/A003');
+    expect(res.status).toBe(403);
+  });
+
+  test('answers 404 for unknown agents', async () => {
+    db.on('SELECT AGENT_CODE FROM agents', []);
+    const res = await as('admin').delete('/agent/A999');
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('SELECT AGENT_CODE FROM agents', dbError());
+    const res = await as('admin').delete('/agent/A003');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('POST /agent/:id/restore', () => {
+  test('restores a deleted agent', async () => {
+    db.on('SELECT DELETED_AT FROM agents', [{ DELETED_AT: '2024-01-01 10:00:00' }]);
+    const res = await as('admin').post('/agent/A003/restore');
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('UPDATE agents SET DELETED_AT = NULL')).toHaveLength(1);
+  });
+
+  test('refuses agents that are not deleted', async () => {
+    db.on('SELECT DELETED_AT FROM agents', [{ DELETED_AT: null }]);
+    const res = await as('admin').post('/agent/A003/restore');
+    expect(res.status).toBe(409);
+  });
+
+  test('answers 404 for unknown agents', async () => {
+    const res = await as('admin').post('/agent/A999/restore');
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('SELECT DELETED_AT FROM agents', dbError());
+    const res = await as('admin').post('/agent/A003/restore');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('DELETE /agent/:id/purge', () => {
+  beforeEach(() => {
+    db.on('SELECT DELETED_AT FROM agents', [{ DELETED_AT: '2024-01-01 10:00:00' }]);
+    db.on('SELECT COUNT(*) AS total', [{ total: 0n }]);
+  });
+
+  test('purges a deleted agent', async () => {
+    const res = await as('admin').delete('/agent/A003/purge');
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('DELETE FROM agents')).toHaveLength(1);
+  });
+
+  test('refuses agents that orders refer to unless forced', async () => {
+    db.on('FROM orders WHERE', [{ total: 1n }]);
+    let res = await as('admin').delete('/agent/A003/purge');
+    expect(res.status).toBe(409);
+    expect(res.body.orders).toBe(1);
+
+    res = await as('admin').delete('/agent/A003/purge?force=true');
+    expect(res.status).toBe(200);
+  });
+
+  test('answers 404 for unknown agents', async () => {
+    db.on('SELECT DELETED_AT FROM agents', []);
+    const res = await as('admin').delete('/agent/A999/purge');
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('DELETE FROM agents', dbError());
+    const res = await as('admin').delete('/agent/A003/purge');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('GET /agent/:id/performance', () => {
+  const summary = {
+    AGENT_CODE: 'A003  ', AGENT_NAME: 'Alex', WORKING_AREA: 'London', COMMISSION: '0.13',
+    ORDER_COUNT: 2n, ORDER_TOTAL: '3500.00', ADVANCE_TOTAL: '700.00', COMMISSION_EARNED: '455.00', CUSTOMER_COUNT: 1n
+  };
+
+  test('returns the figures of the agent', async () => {
+    db.on('FROM agents a', [summary]);
+    const res = await as('readonly').get('/agent/A003/performance?from=2008-01-01');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ORDER_COUNT: 2, CUSTOMER_COUNT: 1, COMMISSION_EARNED: '455.00' });
+    expect(db.queriesMatching('FROM agents a')[0].values).toEqual(['2008-01-01', '9999-12-31', 'A003']);
+  });
+
+  test('adds the monthly breakdown', async () => {
+    db.on('FROM agents a', [summary]);
+    db.on('AS MONTH', [{ ...summary, MONTH: '2008-07' }]);
+    const res = await as('admin').get('/agent/A003/performance?groupBy=month');
+    expect(res.status).toBe(200);
+    expect(res.body.months).toHaveLength(1);
+    expect(res.body.months[0].MONTH).toBe('2008-07');
+  });
+
+  test('rejects invalid groupings and sources', async () => {
+    let res = await as('admin').get('/agent/A003/performance?groupBy=year');
+    expect(res.status).toBe(400);
+
+    res = await as('admin').get('/agent/A003/performance?source=archive');
+    expect(res.status).toBe(400);
+  });
+
+  test('answers 404 for unknown agents', async () => {
+    const res = await as('admin').get('/agent/A999/performance');
+    expect(res.status).toBe(404);
+  });
+
+  test('leaves deleted agents out unless includeDeleted=true', async () => {
+    db.on('FROM agents a', [summary]);
+    await as('admin').get('/agent/A003/performance');
+    await as('admin').get('/agent/A003/performance?includeDeleted=true');
+
+    const [active, all] = db.queriesMatching('FROM agents a');
+    expect(active.sql).toMatch(/WHERE a\.DELETED_AT IS NULL AND a\.AGENT_CODE = \?/);
+    expect(all.sql).not.toMatch(/DELETED_AT/);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('FROM agents a', dbError());
+    const res = await as('admin').get('/agent/A003/performance');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('GET /reports/agents', () => {
+  test('reports every agent that is not deleted', async () => {
+    db.on('FROM agents a', []);
+    const res = await as('readonly').get('/reports/agents?groupBy=area');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ groupBy: 'area', from: null, to: null, data: [] });
+    expect(db.queriesMatching('FROM agents a')[0].sql).toMatch(/WHERE a\.DELETED_AT IS NULL GROUP BY a\.WORKING_AREA/);
+  });
+
+  test('includes deleted agents with includeDeleted=true', async () => {
+    db.on('FROM agents a', []);
+    const res = await as('readonly').get('/reports/agents?includeDeleted=true');
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('FROM agents a')[0].sql).not.toMatch(/DELETED_AT/);
+  });
+});
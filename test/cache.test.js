@@ -0,0 +1,134 @@
+const { createCache, createMemoryStore } = require('../cache');
+const { createTestApp, createMemoryLogger } = require('./helpers');
+
+const orderAll = { COMPANY_ID: '18', COMPANY_NAME: 'Order All', COMPANY_CITY: 'Boston' };
+
+const holmes = {
+  CUST_CODE: 'C00013', CUST_NAME: 'Holmes', CUST_CITY: 'London', WORKING_AREA: 'London', CUST_COUNTRY: 'UK',
+  GRADE: '2', OPENING_AMT: '6000.00', RECEIVE_AMT: '5000.00', PAYMENT_AMT: '7000.00', OUTSTANDING_AMT: '4000.00',
+  PHONE_NO: 'BBBBBBB', AGENT_CODE: 'A003  ', DELETED_AT: null, DELETED_BY: null
+};
+
+describe('createMemoryStore', () => {
+  test('evicts the least recently used value when full', async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set('a', '1', 60);
+    await store.set('b', '2', 60);
+    await store.get('a');
+    await store.set('c', '3', 60);
+
+    expect(await store.get('a')).toBe('1');
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('c')).toBe('3');
+    expect(store.size()).toBe(2);
+  });
+
+  test('forgets values once their TTL has passed', async () => {
+    let now = 0;
+    const store = createMemoryStore({ now: () => now });
+    await store.set('a', '1', 30);
+    now = 29999;
+    expect(await store.get('a')).toBe('1');
+    now = 30000;
+    expect(await store.get('a')).toBeUndefined();
+    expect(store.size()).toBe(0);
+  });
+});
+
+describe('reading through the cache', () => {
+  let db;
+  let as;
+
+  beforeEach(() => {
+    ({ db, as } = createTestApp());
+  });
+
+  const companyReads = () => db.queriesMatching(/^SELECT COMPANY_ID, .* FROM company WHERE COMPANY_ID = \?/);
+
+  test('answers repeated reads from the cache', async () => {
+    db.on(/^SELECT COMPANY_ID, .* FROM company WHERE COMPANY_ID = \?/, [orderAll]);
+
+    const first = await as('readonly').get('/company/18');
+    const second = await as('readonly').get('/company/18');
+
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body).toEqual(orderAll);
+    expect(second.headers.etag).toBe(first.headers.etag);
+    expect(companyReads()).toHaveLength(1);
+  });
+
+  test('drops the record when it is written', async () => {
+    let company = orderAll;
+    db.on(/FROM company WHERE COMPANY_ID = \?/, () => [company]);
+    db.on('UPDATE company', () => {
+      company = { ...orderAll, COMPANY_CITY: 'London' };
+      return { affectedRows: 1 };
+    });
+
+    await as('readonly').get('/company/18');
+    expect((await as('admin').put('/company/18').send({ COMPANY_NAME: 'Order All', COMPANY_CITY: 'London' })).status).toBe(200);
+    const res = await as('readonly').get('/company/18');
+
+    expect(res.headers['x-cache']).toBe('MISS');
+    expect(res.body.COMPANY_CITY).toBe('London');
+  });
+
+  test('drops customers changed by other routes, like ledger postings', async () => {
+    db.on(/FROM customer WHERE CUST_CODE = \?/, [holmes]);
+    await as('admin').get('/customer/C00013');
+
+    const posted = await as('admin').post('/customer/c00013/transactions').send({ TXN_TYPE: 'RECEIPT', TXN_AMOUNT: '100.00' });
+    expect(posted.status).toBe(201);
+
+    expect((await as('admin').get('/customer/C00013')).headers['x-cache']).toBe('MISS');
+  });
+
+  test('reads the database when the request asks with Cache-Control', async () => {
+    db.on(/^SELECT COMPANY_ID, .* FROM company WHERE COMPANY_ID = \?/, [orderAll]);
+    await as('readonly').get('/company/18');
+    db.on(/^SELECT COMPANY_ID, .* FROM company WHERE COMPANY_ID = \?/, [{ ...orderAll, COMPANY_CITY: 'London' }]);
+
+    const bypassed = await as('readonly').get('/company/18').set('Cache-Control', 'no-cache');
+    expect(bypassed.headers['x-cache']).toBe('BYPASS');
+    expect(bypassed.body.COMPANY_CITY).toBe('London');
+
+    const cached = await as('readonly').get('/company/18');
+    expect(cached.headers['x-cache']).toBe('HIT');
+    expect(cached.body.COMPANY_CITY).toBe('London');
+  });
+
+  test('does not cache records that do not exist', async () => {
+    expect((await as('readonly').get('/company/99')).status).toBe(404);
+    db.on(/^SELECT COMPANY_ID, .* FROM company WHERE COMPANY_ID = \?/, [{ ...orderAll, COMPANY_ID: '99' }]);
+    expect((await as('readonly').get('/company/99')).status).toBe(200);
+  });
+
+  test('still checks that agents read only their own customers', async () => {
+    db.on(/FROM customer WHERE CUST_CODE = \?/, [{ ...holmes, AGENT_CODE: 'A008  ' }]);
+    await as('admin').get('/customer/C00013');
+    expect((await as('agent').get('/customer/C00013')).status).toBe(403);
+  });
+
+  test('keeps entities with a TTL of 0 out of the cache', async () => {
+    ({ db, as } = createTestApp({ cache: createCache({ ttls: { company: 0 } }) }));
+    db.on(/^SELECT COMPANY_ID, .* FROM company WHERE COMPANY_ID = \?/, [orderAll]);
+
+    await as('readonly').get('/company/18');
+    const res = await as('readonly').get('/company/18');
+    expect(res.headers['x-cache']).toBeUndefined();
+    expect(companyReads()).toHaveLength(2);
+  });
+
+  test('falls back to the database when the store fails', async () => {
+    const { logger, entries } = createMemoryLogger('warn');
+    const failing = () => Promise.reject(new Error('Connection refused'));
+    ({ db, as } = createTestApp({ logger, cache: createCache({ store: { get: failing, set: failing, delete: failing } }) }));
+    db.on(/^SELECT COMPANY_ID, .* FROM company WHERE COMPANY_ID = \?/, [orderAll]);
+
+    const res = await as('readonly').get('/company/18');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(orderAll);
+    expect(entries.map((entry) => entry.msg)).toEqual(['Cache read failed', 'Cache write failed']);
+  });
+});
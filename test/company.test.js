@@ -0,0 +1,221 @@
+const { createTestApp, dbError, driverError } = require('./helpers');
+
+const orderAll = { COMPANY_ID: '18', COMPANY_NAME: 'Order All', COMPANY_CITY: 'Boston' };
+
+let db;
+let as;
+
+beforeEach(() => {
+  ({ db, as } = createTestApp());
+});
+
+afterEach(() => {
+  expect(db.openConnections()).toBe(0);
+});
+
+describe('GET /company', () => {
+  test('lists a page of companies', async () => {
+    db.on('SELECT COUNT(*) AS total FROM company', [{ total: 3n }]);
+    db.on(/^SELECT COMPANY_NAME FROM company/, [{ COMPANY_NAME: 'Order All' }]);
+    const res = await as('readonly').get('/company?fields=COMPANY_NAME&sort=-COMPANY_NAME&limit=1&offset=1');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 3, limit: 1, offset: 1, data: [{ COMPANY_NAME: 'Order All' }] });
+    expect(res.body.links.prev).toMatch(/offset=0/);
+    expect(res.body.links.next).toMatch(/offset=2/);
+    expect(db.queriesMatching('LIMIT ? OFFSET ?')[0].sql).toMatch(/ORDER BY COMPANY_NAME DESC/);
+  });
+
+  test('filters with operators', async () => {
+    db.on('SELECT COUNT(*) AS total FROM company', [{ total: 0n }]);
+    const res = await as('admin').get('/company?COMPANY_CITY[like]=Lon%25&COMPANY_ID=15&COMPANY_ID=16');
+    expect(res.status).toBe(200);
+    const [count] = db.queriesMatching('SELECT COUNT(*)');
+    expect(count.sql).toMatch(/COMPANY_CITY LIKE \? AND COMPANY_ID IN \(\?, \?\)/);
+    expect(count.values).toEqual(['Lon%', '15', '16']);
+  });
+
+  test('rejects unknown fields and operators', async () => {
+    let res = await as('admin').get('/company?fields=COMPANY_NAME,REVENUE');
+    expect(res.status).toBe(400);
+
+    res = await as('admin').get('/company?COMPANY_ID[between]=1');
+    expect(res.status).toBe(400);
+  });
+
+  test('rejects negative offsets', async () => {
+    const res = await as('admin').get('/company?offset=-1');
+    expect(res.status).toBe(400);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('FROM company', dbError());
+    const res = await as('admin').get('/company');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('GET /company/:id', () => {
+  test('returns the company', async () => {
+    db.on(/^SELECT COMPANY_ID, .* FROM company WHERE COMPANY_ID = \?/, [orderAll]);
+    const res = await as('readonly').get('/company/18');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(orderAll);
+  });
+
+  test('answers 404 for unknown companies', async () => {
+    const res = await as('admin').get('/company/99');
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on(/^SELECT COMPANY_ID, .* FROM company/, dbError());
+    const res = await as('admin').get('/company/18');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('PUT /company/:id', () => {
+  test('replaces the company', async () => {
+    const res = await as('admin').put('/company/18').send({ COMPANY_NAME: 'Order Everything', COMPANY_CITY: 'Boston' });
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('UPDATE company')[0].values).toEqual(['Order Everything', 'Boston', '18']);
+  });
+
+  test('records the change in the audit trail', async () => {
+    let version = orderAll;
+    db.on('FROM company WHERE COMPANY_ID = ?', () => [version]);
+    db.on('UPDATE company', () => {
+      version = { ...orderAll, COMPANY_NAME: 'Order Everything' };
+      return { affectedRows: 1 };
+    });
+
+    const res = await as('admin').put('/company/18').send({ COMPANY_NAME: 'Order Everything', COMPANY_CITY: 'Boston' });
+    expect(res.status).toBe(200);
+    const [entry] = db.queriesMatching('INSERT INTO audit_log');
+    expect(entry.values.slice(0, 3)).toEqual(['company', '18', 'update']);
+    expect(JSON.parse(entry.values[3])).toEqual({ COMPANY_NAME: { old: 'Order All', new: 'Order Everything' } });
+  });
+
+  test('requires COMPANY_NAME', async () => {
+    const res = await as('admin').put('/company/18').send({ COMPANY_CITY: 'Boston' });
+    expect(res.status).toBe(400);
+  });
+
+  test('only admins can replace companies', async () => {
+    const res = await as('agent').put('/company/18').send({ COMPANY_NAME: 'Order Everything' });
+    expect(res.status).toBe(403);
+  });
+
+  test('answers 404 for unknown companies', async () => {
+    db.on('UPDATE company', { affectedRows: 0 });
+    const res = await as('admin').put('/company/99').send({ COMPANY_NAME: 'Nobody' });
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('UPDATE company', dbError());
+    const res = await as('admin').put('/company/18').send({ COMPANY_NAME: 'Order Everything' });
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('PATCH /company/:id', () => {
+  test('writes only the patched fields and records the change', async () => {
+    let version = orderAll;
+    db.on('FROM company WHERE COMPANY_ID = ?', () => [version]);
+    db.on('UPDATE company', () => {
+      version = { ...orderAll, COMPANY_CITY: 'Chicago' };
+      return { affectedRows: 1 };
+    });
+
+    const res = await as('admin').patch('/company/18').set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ COMPANY_CITY: 'Chicago' }));
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ ...orderAll, COMPANY_CITY: 'Chicago' });
+    expect(db.queriesMatching('UPDATE company')[0].values).toEqual(['Chicago', '18']);
+    const [entry] = db.queriesMatching('INSERT INTO audit_log');
+    expect(JSON.parse(entry.values[3])).toEqual({ COMPANY_CITY: { old: 'Boston', new: 'Chicago' } });
+  });
+
+  test('cannot change COMPANY_ID', async () => {
+    db.on('FROM company WHERE COMPANY_ID = ?', [orderAll]);
+    const res = await as('admin').patch('/company/18').set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([{ op: 'replace', path: '/COMPANY_ID', value: '19' }]));
+    expect(res.status).toBe(422);
+  });
+
+  test('answers 404 for unknown companies', async () => {
+    const res = await as('admin').patch('/company/99').send({ COMPANY_CITY: 'Chicago' });
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /company', () => {
+  test('adds the company', async () => {
+    const res = await as('admin').post('/company').send({ COMPANY_ID: '20', COMPANY_NAME: 'Crumbs', COMPANY_CITY: 'Leeds' });
+    expect(res.status).toBe(201);
+    expect(db.queriesMatching('INSERT INTO company')[0].values).toEqual(['20', 'Crumbs', 'Leeds']);
+  });
+
+  test('requires COMPANY_ID and COMPANY_NAME', async () => {
+    const res = await as('admin').post('/company').send({ COMPANY_CITY: 'Leeds' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.path)).toEqual(['COMPANY_ID', 'COMPANY_NAME']);
+  });
+
+  test('only admins can add companies', async () => {
+    const res = await as('agent').post('/company').send({ COMPANY_ID: '20', COMPANY_NAME: 'Crumbs' });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('DELETE /company/:id', () => {
+  beforeEach(() => {
+    db.on('SELECT COMPANY_ID FROM company WHERE COMPANY_ID = ?', [{ COMPANY_ID: '18' }]);
+  });
+
+  test('deletes a company without food items', async () => {
+    db.on('SELECT COUNT(*) AS total FROM foods', [{ total: 0 }]);
+    const res = await as('admin').delete('/company/18');
+    expect(res.status).toBe(200);
+    expect(res.body.deletedFoods).toBe(0);
+    expect(db.queriesMatching('DELETE FROM company')[0].values).toEqual(['18']);
+    expect(db.queriesMatching('DELETE FROM foods')).toHaveLength(0);
+  });
+
+  test('refuses to delete a company with food items', async () => {
+    db.on('SELECT COUNT(*) AS total FROM foods', [{ total: 2 }]);
+    const res = await as('admin').delete('/company/18');
+    expect(res.status).toBe(409);
+    expect(res.body.foods).toBe(2);
+    expect(db.queriesMatching('DELETE FROM')).toHaveLength(0);
+  });
+
+  test('deletes the food items with the company in one transaction with cascade=true', async () => {
+    db.on('SELECT COUNT(*) AS total FROM foods', [{ total: 2 }]);
+    db.on('DELETE FROM foods', { affectedRows: 2 });
+    const res = await as('admin').delete('/company/18?cascade=true');
+    expect(res.status).toBe(200);
+    expect(res.body.deletedFoods).toBe(2);
+    const statements = db.queries.map(({ sql }) => sql);
+    const begin = statements.indexOf('BEGIN');
+    expect(statements.findIndex((sql) => sql.startsWith('DELETE FROM foods WHERE COMPANY_ID = ?'))).toBeGreaterThan(begin);
+    expect(statements.findIndex((sql) => sql.startsWith('DELETE FROM company'))).toBeGreaterThan(begin);
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+  });
+
+  test('rolls back when the company can no longer be deleted', async () => {
+    db.on('SELECT COUNT(*) AS total FROM foods', [{ total: 0 }]);
+    db.on('DELETE FROM company', driverError('ER_ROW_IS_REFERENCED_2', 1451,
+      'Cannot delete or update a parent row: a foreign key constraint fails'));
+    const res = await as('admin').delete('/company/18');
+    expect(res.status).toBe(422);
+    expect(db.queriesMatching('ROLLBACK')).toHaveLength(1);
+  });
+
+  test('answers 404 for unknown companies', async () => {
+    db.on('SELECT COMPANY_ID FROM company WHERE COMPANY_ID = ?', []);
+    const res = await as('admin').delete('/company/99');
+    expect(res.status).toBe(404);
+  });
+});
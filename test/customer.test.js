@@ -0,0 +1,741 @@
+const { createTestApp, dbError, driverError } = require('./helpers');
+
+const holmes = {
+  CUST_CODE: 'C00013', CUST_NAME: 'Holmes', CUST_CITY: 'London', WORKING_AREA: 'London', CUST_COUNTRY: 'UK',
+  GRADE: '2', OPENING_AMT: '6000.00', RECEIVE_AMT: '5000.00', PAYMENT_AMT: '7000.00', OUTSTANDING_AMT: '4000.00',
+  PHONE_NO: 'BBBBBBB', AGENT_CODE: 'A003  ', DELETED_AT: null, DELETED_BY: null
+};
+
+const newCustomer = {
+  CUST_CODE: 'C00099', CUST_NAME: 'Watson', CUST_CITY: 'London', WORKING_AREA: 'London', CUST_COUNTRY: 'UK',
+  GRADE: '1', OPENING_AMT: '100.00', RECEIVE_AMT: '0.00', PAYMENT_AMT: '0.00', OUTSTANDING_AMT: '100.00',
+  PHONE_NO: '020-7946 0000', AGENT_CODE: 'A003'
+};
+
+// The body of a PUT: CUST_CODE is in the path and the balances can't be replaced
+const {
+  CUST_CODE, OPENING_AMT, RECEIVE_AMT, PAYMENT_AMT, OUTSTANDING_AMT, ...replacement
+} = newCustomer;
+
+let db;
+let as;
+
+beforeEach(() => {
+  ({ db, as } = createTestApp());
+  // The agents the customers refer to
+  db.on(/^SELECT AGENT_CODE FROM agents WHERE AGENT_CODE = \?/, ([code]) => (['A003', 'A008'].includes(code.trim()) ? [{ AGENT_CODE: code }] : []));
+});
+
+afterEach(() => {
+  expect(db.openConnections()).toBe(0);
+});
+
+describe('authentication', () => {
+  test('rejects requests without an API key', async () => {
+    const res = await as().get('/customer');
+    expect(res.status).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+  });
+
+  test('rejects unknown API keys', async () => {
+    const res = await as().get('/customer').set('Authorization', 'Bearer nope');
+    expect(res.status).toBe(401);
+  });
+
+  test('read-only users cannot write', async () => {
+    const res = await as('readonly').post('/customer').send(newCustomer);
+    expect(res.status).toBe(403);
+    expect(db.queriesMatching('INSERT INTO customer')).toHaveLength(0);
+  });
+
+  test('echoes the request id', async () => {
+    const res = await as('admin').get('/customer/C00013').set('X-Request-Id', 'abc-123');
+    expect(res.headers['x-request-id']).toBe('abc-123');
+  });
+});
+
+describe('POST /customer', () => {
+  test('adds the customer', async () => {
+    const res = await as('admin').post('/customer').send(newCustomer);
+    expect(res.status).toBe(201);
+    const [insert] = db.queriesMatching('INSERT INTO customer');
+    expect(insert.values).toEqual(Object.values(newCustomer));
+  });
+
+  test('rejects missing and invalid fields', async () => {
+    const res = await as('admin').post('/customer').send({ ...newCustomer, CUST_NAME: '', OPENING_AMT: 'lots' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.path)).toEqual(expect.arrayContaining(['CUST_NAME', 'OPENING_AMT']));
+    expect(db.queriesMatching('INSERT INTO customer')).toHaveLength(0);
+  });
+
+  test('refuses balances that do not add up with 422', async () => {
+    const res = await as('admin').post('/customer').send({ ...newCustomer, RECEIVE_AMT: '50.00' });
+    expect(res.status).toBe(422);
+    expect(res.body.errors).toEqual([
+      { path: 'OUTSTANDING_AMT', msg: 'must be OPENING_AMT + RECEIVE_AMT - PAYMENT_AMT, 150.00', value: '100.00' }
+    ]);
+    expect(db.queriesMatching('INSERT INTO customer')).toHaveLength(0);
+  });
+
+  test('checks values against the columns of the customer table', async () => {
+    const res = await as('admin').post('/customer').send({
+      ...newCustomer, CUST_NAME: 'W'.repeat(41), GRADE: '1.5', OPENING_AMT: '1234567890123.00', PHONE_NO: 'Baker Street'
+    });
+    expect(res.status).toBe(400);
+    const messages = Object.fromEntries(res.body.errors.map((error) => [error.path, error.msg]));
+    expect(messages).toEqual({
+      CUST_NAME: 'must be at most 40 characters',
+      GRADE: 'must be a whole number of at most 10 digits',
+      OPENING_AMT: 'must be a number with at most 10 digits before the decimal point and 2 after it',
+      PHONE_NO: expect.stringMatching(/^must be a phone number/)
+    });
+  });
+
+  test('rejects unknown agents', async () => {
+    const res = await as('admin').post('/customer').send({ ...newCustomer, AGENT_CODE: 'A099' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([expect.objectContaining({ path: 'AGENT_CODE', msg: 'Agent A099 does not exist' })]);
+    expect(db.queriesMatching('INSERT INTO customer')).toHaveLength(0);
+  });
+
+  test('fills in the AGENT_CODE of an agent', async () => {
+    const { AGENT_CODE, ...customer } = newCustomer;
+    const res = await as('agent').post('/customer').send(customer);
+    expect(res.status).toBe(201);
+    expect(db.queriesMatching('INSERT INTO customer')[0].values[11]).toBe('A003  ');
+  });
+
+  test('agents cannot add customers for other agents', async () => {
+    const res = await as('agent').post('/customer').send({ ...newCustomer, AGENT_CODE: 'A008' });
+    expect(res.status).toBe(403);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('INSERT INTO customer', dbError());
+    const res = await as('admin').post('/customer').send(newCustomer);
+    expect(res.status).toBe(500);
+    expect(res.body.detail).not.toMatch(/Connection lost/);
+  });
+
+  test('answers 409 when the customer code is taken', async () => {
+    db.on('INSERT INTO customer', driverError('ER_DUP_ENTRY', 1062, "Duplicate entry 'C00099' for key 'CUST_CODE'"));
+    const res = await as('admin').post('/customer').send(newCustomer);
+    expect(res.status).toBe(409);
+    expect(res.body.detail).toBe('A record with this key already exists');
+  });
+
+  test('answers 400 when a value does not fit its column', async () => {
+    db.on('INSERT INTO customer', driverError('ER_DATA_TOO_LONG', 1406, "Data too long for column 'CUST_NAME' at row 1"));
+    const res = await as('admin').post('/customer').send(newCustomer);
+    expect(res.status).toBe(400);
+    expect(res.body.detail).toBe('A value does not fit its field: too long, out of range, of the wrong type or missing');
+  });
+
+  test('answers 503 when no connection can be had', async () => {
+    db.on('INSERT INTO customer', driverError('ER_GET_CONNECTION_TIMEOUT', 45028, 'retrieve connection from pool timeout'));
+    const res = await as('admin').post('/customer').send(newCustomer);
+    expect(res.status).toBe(503);
+  });
+});
+
+describe('PATCH /customer/:id', () => {
+  const mergePatch = (res, patch) => res.set('Content-Type', 'application/merge-patch+json').send(JSON.stringify(patch));
+  const jsonPatch = (res, operations) => res.set('Content-Type', 'application/json-patch+json').send(JSON.stringify(operations));
+
+  beforeEach(() => {
+    // The customer as it is before and after the UPDATE
+    let current = holmes;
+    db.on(/^SELECT CUST_CODE, .* FROM customer WHERE CUST_CODE = \?/, () => [current]);
+    db.on('UPDATE customer', (values, sql) => {
+      const columns = sql.match(/SET (.*) WHERE/)[1].split(', ').map((assignment) => assignment.split(' = ')[0]);
+      current = { ...current, ...Object.fromEntries(columns.map((column, i) => [column, values[i]])) };
+      return { affectedRows: 1 };
+    });
+  });
+
+  test('writes only the fields of a merge patch and answers the updated customer', async () => {
+    const res = await mergePatch(as('admin').patch('/customer/C00013'), { CUST_CITY: 'Leeds', GRADE: 3 });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ CUST_CODE: 'C00013', CUST_CITY: 'Leeds', GRADE: 3, OPENING_AMT: '6000.00' });
+    const [update] = db.queriesMatching('UPDATE customer');
+    expect(update.sql).toMatch(/SET CUST_CITY = \?, GRADE = \? WHERE/);
+    expect(update.values).toEqual(['Leeds', 3, 'C00013']);
+  });
+
+  test('reads plain JSON as a merge patch', async () => {
+    const res = await as('admin').patch('/customer/C00013').send({ CUST_CITY: 'Leeds' });
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('UPDATE customer')[0].values).toEqual(['Leeds', 'C00013']);
+  });
+
+  test('clears nullable fields set to null and rejects null for the others', async () => {
+    const cleared = await mergePatch(as('admin').patch('/customer/C00013'), { CUST_CITY: null });
+    expect(cleared.status).toBe(200);
+    expect(cleared.body.CUST_CITY).toBeNull();
+
+    const res = await mergePatch(as('admin').patch('/customer/C00013'), { CUST_NAME: null });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([expect.objectContaining({ path: 'CUST_NAME', msg: 'cannot be null' })]);
+  });
+
+  test('applies JSON Patch operations in order', async () => {
+    const res = await jsonPatch(as('admin').patch('/customer/C00013'), [
+      { op: 'test', path: '/GRADE', value: 2 },
+      { op: 'replace', path: '/CUST_NAME', value: 'Sherlock Holmes' },
+      { op: 'copy', from: '/WORKING_AREA', path: '/CUST_CITY' },
+      { op: 'remove', path: '/GRADE' }
+    ]);
+    expect(res.status).toBe(200);
+    const [update] = db.queriesMatching('UPDATE customer');
+    expect(update.sql).toMatch(/SET CUST_NAME = \?, CUST_CITY = \?, GRADE = \? WHERE/);
+    expect(update.values).toEqual(['Sherlock Holmes', 'London', null, 'C00013']);
+  });
+
+  test('changes nothing when a test operation fails', async () => {
+    const res = await jsonPatch(as('admin').patch('/customer/C00013'), [
+      { op: 'replace', path: '/CUST_CITY', value: 'Leeds' },
+      { op: 'test', path: '/GRADE', value: '5' }
+    ]);
+    expect(res.status).toBe(409);
+    expect(db.queriesMatching('UPDATE customer')).toHaveLength(0);
+  });
+
+  test('tests and patches the customer as it is locked in the transaction of the update', async () => {
+    // Another request changed the grade before this one got the lock
+    db.on(/^SELECT CUST_CODE, .* FROM customer WHERE CUST_CODE = \? AND DELETED_AT IS NULL FOR UPDATE$/, [{ ...holmes, GRADE: 3 }]);
+    const res = await jsonPatch(as('admin').patch('/customer/C00013'), [
+      { op: 'test', path: '/GRADE', value: 2 },
+      { op: 'replace', path: '/CUST_CITY', value: 'Leeds' }
+    ]);
+    expect(res.status).toBe(409);
+    expect(res.body.detail).toBe('Operation 0 failed: GRADE is not 2');
+    expect(db.queriesMatching('UPDATE customer')).toHaveLength(0);
+    expect(db.queriesMatching(/^ROLLBACK/)).toHaveLength(1);
+  });
+
+  test('rejects malformed patches', async () => {
+    const res = await jsonPatch(as('admin').patch('/customer/C00013'), [{ op: 'rename', path: '/CUST_CITY' }]);
+    expect(res.status).toBe(400);
+    expect(res.body.detail).toBe('Operation 0 has an unknown op "rename"');
+  });
+
+  test('cannot change the balances, which only the ledger changes', async () => {
+    let res = await mergePatch(as('admin').patch('/customer/C00013'), { OUTSTANDING_AMT: '0.00' });
+    expect(res.status).toBe(422);
+    expect(res.body.detail).toBe('OUTSTANDING_AMT is not a field that can be patched');
+
+    res = await jsonPatch(as('admin').patch('/customer/C00013'), [{ op: 'replace', path: '/RECEIVE_AMT', value: '9000.00' }]);
+    expect(res.status).toBe(422);
+    expect(db.queriesMatching('UPDATE customer')).toHaveLength(0);
+  });
+
+  test('cannot change CUST_CODE', async () => {
+    const res = await mergePatch(as('admin').patch('/customer/C00013'), { CUST_CODE: 'C00014' });
+    expect(res.status).toBe(422);
+    expect(db.queriesMatching('UPDATE customer')).toHaveLength(0);
+  });
+
+  test('rejects invalid values', async () => {
+    const res = await as('admin').patch('/customer/C00013').send({ GRADE: 'high' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.path)).toEqual(['GRADE']);
+  });
+
+  test('answers 415 for other media types', async () => {
+    const res = await as('admin').patch('/customer/C00013').set('Content-Type', 'text/plain').send('CUST_CITY=Leeds');
+    expect(res.status).toBe(415);
+  });
+
+  test('answers 404 for unknown customers', async () => {
+    db.on(/^SELECT CUST_CODE, .* FROM customer WHERE CUST_CODE = \?/, []);
+    const res = await as('admin').patch('/customer/C99999').send({ CUST_CITY: 'Leeds' });
+    expect(res.status).toBe(404);
+  });
+
+  test('agents cannot update customers of other agents', async () => {
+    db.on('SELECT AGENT_CODE FROM customer', [{ AGENT_CODE: 'A008  ' }]);
+    const res = await as('agent').patch('/customer/C00001').send({ CUST_CITY: 'Leeds' });
+    expect(res.status).toBe(403);
+  });
+
+  test('agents cannot hand their customers to other agents', async () => {
+    db.on('SELECT AGENT_CODE FROM customer', [{ AGENT_CODE: 'A003  ' }]);
+    const res = await jsonPatch(as('agent').patch('/customer/C00013'), [{ op: 'replace', path: '/AGENT_CODE', value: 'A008' }]);
+    expect(res.status).toBe(403);
+    expect(db.queriesMatching('UPDATE customer')).toHaveLength(0);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('UPDATE customer', dbError());
+    const res = await as('admin').patch('/customer/C00013').send({ CUST_CITY: 'Leeds' });
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('PUT /customer/:id', () => {
+  test('replaces the customer but its balances, which only the ledger changes', async () => {
+    const res = await as('admin').put('/customer/C00013').send(replacement);
+    expect(res.status).toBe(200);
+    const [update] = db.queriesMatching('UPDATE customer');
+    expect(update.sql).toMatch(/SET CUST_NAME = \?, CUST_CITY = \?, WORKING_AREA = \?, CUST_COUNTRY = \?, GRADE = \?, PHONE_NO = \?, AGENT_CODE = \? WHERE/);
+    expect(update.values).toEqual(['Watson', 'London', 'London', 'UK', '1', '020-7946 0000', 'A003', 'C00013']);
+  });
+
+  test('refuses balances with 422, as PATCH does', async () => {
+    const res = await as('admin').put('/customer/C00013').send({ ...replacement, OUTSTANDING_AMT: '0.00' });
+    expect(res.status).toBe(422);
+    expect(res.body.detail).toBe('OUTSTANDING_AMT is not a field that can be replaced');
+    expect(db.queriesMatching('UPDATE customer')).toHaveLength(0);
+  });
+
+  test('requires every mandatory field', async () => {
+    const { PHONE_NO, ...incomplete } = replacement;
+    const res = await as('admin').put('/customer/C00013').send(incomplete);
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].path).toBe('PHONE_NO');
+  });
+
+  test('answers 404 for unknown customers', async () => {
+    db.on('UPDATE customer', { affectedRows: 0 });
+    const res = await as('admin').put('/customer/C99999').send(replacement);
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('UPDATE customer', dbError());
+    const res = await as('admin').put('/customer/C00013').send(replacement);
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('conditional requests', () => {
+  const stale = '"not-the-current-etag"';
+
+  beforeEach(() => {
+    db.on(/^SELECT CUST_CODE, .* FROM customer WHERE CUST_CODE = \?/, [holmes]);
+    db.on(/^SELECT CUST_CODE FROM customer WHERE CUST_CODE = \?/, [{ CUST_CODE: 'C00013' }]);
+  });
+
+  const currentEtag = async () => (await as('admin').get('/customer/C00013')).headers.etag;
+
+  test('GET answers with a strong ETag and 304 while it is current', async () => {
+    const etag = await currentEtag();
+    expect(etag).toMatch(/^"[\w-]+"$/);
+
+    const res = await as('admin').get('/customer/C00013').set('If-None-Match', etag);
+    expect(res.status).toBe(304);
+    expect(res.text).toBe('');
+  });
+
+  test('the ETag changes with the record', async () => {
+    const etag = await currentEtag();
+    db.on(/^SELECT CUST_CODE, .* FROM customer WHERE CUST_CODE = \?/, [{ ...holmes, OUTSTANDING_AMT: '3000.00' }]);
+    // Changed behind the API's back, so the cache doesn't know
+    const res = await as('admin').get('/customer/C00013').set('If-None-Match', etag).set('Cache-Control', 'no-cache');
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).not.toBe(etag);
+  });
+
+  test('PUT with the current ETag locks, compares and writes in one transaction', async () => {
+    const etag = await currentEtag();
+    const res = await as('admin').put('/customer/C00013').set('If-Match', etag).send(replacement);
+    expect(res.status).toBe(200);
+    const statements = db.queries.map(({ sql }) => sql);
+    const begin = statements.indexOf('BEGIN');
+    const lock = statements.findIndex((sql) => sql.endsWith('FOR UPDATE'));
+    const update = statements.findIndex((sql) => sql.startsWith('UPDATE customer'));
+    expect(begin).toBeGreaterThan(-1);
+    expect(lock).toBeGreaterThan(begin);
+    expect(update).toBeGreaterThan(lock);
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+  });
+
+  test('PUT with a stale ETag answers 412 and changes nothing', async () => {
+    const res = await as('admin').put('/customer/C00013').set('If-Match', stale).send(replacement);
+    expect(res.status).toBe(412);
+    expect(db.queriesMatching('UPDATE customer')).toHaveLength(0);
+    expect(db.queriesMatching('ROLLBACK')).toHaveLength(1);
+  });
+
+  test('weak ETags never match If-Match', async () => {
+    const etag = await currentEtag();
+    const res = await as('admin').put('/customer/C00013').set('If-Match', `W/${etag}`).send(replacement);
+    expect(res.status).toBe(412);
+  });
+
+  test('If-Match: * matches any version', async () => {
+    const res = await as('admin').put('/customer/C00013').set('If-Match', '*').send(replacement);
+    expect(res.status).toBe(200);
+  });
+
+  test('PATCH and DELETE honor If-Match too', async () => {
+    const patch = await as('admin').patch('/customer/C00013').set('If-Match', stale).send({ CUST_CITY: 'Leeds' });
+    expect(patch.status).toBe(412);
+    const del = await as('admin').delete('/customer/C00013?force=true').set('If-Match', stale);
+    expect(del.status).toBe(412);
+    expect(db.queriesMatching(/^UPDATE customer/)).toHaveLength(0);
+  });
+
+  test('writes without If-Match are refused with 428 in strict mode', async () => {
+    ({ db, as } = createTestApp({ requireIfMatch: true }));
+    db.on(/^SELECT CUST_CODE, .* FROM customer WHERE CUST_CODE = \?/, [holmes]);
+    db.on(/^SELECT AGENT_CODE FROM agents WHERE AGENT_CODE = \?/, [{ AGENT_CODE: 'A003  ' }]);
+    const res = await as('admin').put('/customer/C00013').send(replacement);
+    expect(res.status).toBe(428);
+
+    const etag = await currentEtag();
+    const retry = await as('admin').put('/customer/C00013').set('If-Match', etag).send(replacement);
+    expect(retry.status).toBe(200);
+  });
+});
+
+describe('POST /customer/import', () => {
+  test('imports a JSON array in one transaction', async () => {
+    const res = await as('admin').post('/customer/import').send([newCustomer, { ...newCustomer, CUST_CODE: 'C00098' }]);
+    expect(res.status).toBe(201);
+    expect(res.body.imported).toBe(2);
+    expect(db.queriesMatching('INSERT INTO customer')).toHaveLength(2);
+    expect(db.queriesMatching('COMMIT')).toHaveLength(1);
+  });
+
+  test('imports CSV', async () => {
+    const csv = `${Object.keys(newCustomer).join(',')}\n${Object.values(newCustomer).join(',')}\n`;
+    const res = await as('admin').post('/customer/import').set('Content-Type', 'text/csv').send(csv);
+    expect(res.status).toBe(201);
+    expect(db.queriesMatching('INSERT INTO customer')[0].values[0]).toBe('C00099');
+  });
+
+  test('only checks the rows on a dry run', async () => {
+    const res = await as('admin').post('/customer/import?dryRun=true').send([newCustomer]);
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('INSERT INTO customer')).toHaveLength(0);
+  });
+
+  test('reports invalid, duplicate and existing rows and imports nothing', async () => {
+    db.on('SELECT CUST_CODE FROM customer WHERE CUST_CODE IN', [{ CUST_CODE: 'C00013' }]);
+    const res = await as('admin').post('/customer/import').send([
+      { ...newCustomer, CUST_NAME: '' },
+      newCustomer,
+      { ...newCustomer, CUST_CODE: 'C00013' }
+    ]);
+    expect(res.status).toBe(400);
+    expect(db.queriesMatching('INSERT INTO customer')).toHaveLength(0);
+  });
+
+  test('reports rows whose balances do not add up', async () => {
+    const res = await as('admin').post('/customer/import').send([newCustomer, { ...newCustomer, CUST_CODE: 'C00098', PAYMENT_AMT: '30.00' }]);
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ row: 2, CUST_CODE: 'C00098', errors: [expect.objectContaining({ path: 'OUTSTANDING_AMT' })] }]);
+    expect(db.queriesMatching('INSERT INTO customer')).toHaveLength(0);
+  });
+
+  test('rejects an empty body', async () => {
+    const res = await as('admin').post('/customer/import').send([]);
+    expect(res.status).toBe(400);
+  });
+
+  test('rolls back and answers 500 when the database fails', async () => {
+    db.on('INSERT INTO customer', dbError());
+    const res = await as('admin').post('/customer/import').send([newCustomer]);
+    expect(res.status).toBe(500);
+    expect(db.queriesMatching('ROLLBACK')).toHaveLength(1);
+  });
+});
+
+describe('GET /customer/export', () => {
+  test('exports JSON', async () => {
+    db.on(/^SELECT .* FROM customer/, [holmes]);
+    const res = await as('admin').get('/customer/export?fields=CUST_CODE,CUST_NAME');
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.text)).toEqual([holmes]);
+  });
+
+  test('exports CSV with a header line', async () => {
+    db.on(/^SELECT .* FROM customer/, [{ CUST_CODE: 'C00013', CUST_NAME: 'Holmes' }]);
+    const res = await as('admin').get('/customer/export?format=csv&fields=CUST_CODE,CUST_NAME');
+    expect(res.status).toBe(200);
+    expect(res.text).toBe('CUST_CODE,CUST_NAME\nC00013,Holmes\n');
+  });
+
+  test('rejects unknown formats', async () => {
+    const res = await as('admin').get('/customer/export?format=xml');
+    expect(res.status).toBe(400);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on(/^SELECT .* FROM customer/, dbError());
+    const res = await as('admin').get('/customer/export');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('GET /customer', () => {
+  test('lists a page of customers', async () => {
+    db.on('SELECT COUNT(*) AS total FROM customer', [{ total: 25n }]);
+    db.on(/^SELECT CUST_CODE, .* FROM customer/, [holmes]);
+    const res = await as('admin').get('/customer?CUST_COUNTRY=UK&limit=1');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 25, limit: 1, offset: 0, data: [holmes] });
+    expect(res.body.links.next).toBe('/customer?CUST_COUNTRY=UK&limit=1&offset=1');
+  });
+
+  test('only lists the customers of an agent', async () => {
+    db.on('SELECT COUNT(*) AS total FROM customer', [{ total: 0n }]);
+    const res = await as('agent').get('/customer');
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('SELECT COUNT(*)')[0].values).toEqual(['A003  ']);
+  });
+
+  test('rejects filters on unknown columns', async () => {
+    const res = await as('admin').get('/customer?PASSWORD=x');
+    expect(res.status).toBe(400);
+  });
+
+  test('rejects limits over the maximum', async () => {
+    const res = await as('admin').get('/customer?limit=1000');
+    expect(res.status).toBe(400);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('FROM customer', dbError());
+    const res = await as('admin').get('/customer');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('GET /customer/:id', () => {
+  test('returns the customer', async () => {
+    db.on(/^SELECT CUST_CODE, .* FROM customer WHERE CUST_CODE = \?/, [holmes]);
+    const res = await as('readonly').get('/customer/C00013');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(holmes);
+  });
+
+  test('answers 404 for unknown customers', async () => {
+    const res = await as('admin').get('/customer/C99999');
+    expect(res.status).toBe(404);
+  });
+
+  test('hides deleted customers', async () => {
+    db.on(/^SELECT CUST_CODE, .* FROM customer WHERE CUST_CODE = \?/, [{ ...holmes, DELETED_AT: '2026-10-01 12:00:00', DELETED_BY: 'admin' }]);
+    expect((await as('admin').get('/customer/C00013')).status).toBe(404);
+    expect((await as('admin').get('/customer/C00013?includeDeleted=true')).status).toBe(200);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on(/^SELECT CUST_CODE, .* FROM customer/, dbError());
+    const res = await as('admin').get('/customer/C00013');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('DELETE /customer/:id', () => {
+  beforeEach(() => {
+    db.on('SELECT CUST_CODE FROM customer WHERE CUST_CODE = ? AND DELETED_AT IS NULL', [{ CUST_CODE: 'C00013' }]);
+    db.on('SELECT COUNT(*) AS total', [{ total: 0n }]);
+  });
+
+  test('soft deletes the customer', async () => {
+    const res = await as('admin').delete('/customer/C00013');
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('UPDATE customer SET DELETED_AT = NOW()')[0].values).toEqual(['admin', 'C00013']);
+  });
+
+  test('refuses customers with open orders unless forced', async () => {
+    db.on('FROM orders o', [{ total: 2n }]);
+    let res = await as('admin').delete('/customer/C00013');
+    expect(res.status).toBe(409);
+    expect(res.body.openOrders).toBe(2);
+
+    res = await as('admin').delete('/customer/C00013?force=true');
+    expect(res.status).toBe(200);
+  });
+
+  test('only admins can delete', async () => {
+    const res = await as('agent').delete('/customer/C00013');
+    expect(res.status).toBe(403);
+  });
+
+  test('answers 404 for unknown customers', async () => {
+    db.on('SELECT CUST_CODE FROM customer', []);
+    const res = await as('admin').delete('/customer/C99999');
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('UPDATE customer', dbError());
+    const res = await as('admin').delete('/customer/C00013');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('POST /customer/:id/restore', () => {
+  test('restores a deleted customer', async () => {
+    db.on('SELECT DELETED_AT FROM customer', [{ DELETED_AT: '2024-01-01 10:00:00' }]);
+    const res = await as('admin').post('/customer/C00013/restore');
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('SET DELETED_AT = NULL')).toHaveLength(1);
+  });
+
+  test('refuses customers that are not deleted', async () => {
+    db.on('SELECT DELETED_AT FROM customer', [{ DELETED_AT: null }]);
+    const res = await as('admin').post('/customer/C00013/restore');
+    expect(res.status).toBe(409);
+  });
+
+  test('only admins can restore', async () => {
+    const res = await as('agent').post('/customer/C00013/restore');
+    expect(res.status).toBe(403);
+  });
+
+  test('answers 404 for unknown customers', async () => {
+    const res = await as('admin').post('/customer/C99999/restore');
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('SELECT DELETED_AT FROM customer', dbError());
+    const res = await as('admin').post('/customer/C00013/restore');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('DELETE /customer/:id/purge', () => {
+  beforeEach(() => {
+    db.on('SELECT DELETED_AT FROM customer', [{ DELETED_AT: '2024-01-01 10:00:00' }]);
+    db.on('SELECT COUNT(*) AS total', [{ total: 0n }]);
+  });
+
+  test('purges a deleted customer', async () => {
+    const res = await as('admin').delete('/customer/C00013/purge');
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('DELETE FROM customer')).toHaveLength(1);
+  });
+
+  test('refuses customers that are not deleted', async () => {
+    db.on('SELECT DELETED_AT FROM customer', [{ DELETED_AT: null }]);
+    const res = await as('admin').delete('/customer/C00013/purge');
+    expect(res.status).toBe(409);
+  });
+
+  test('refuses customers that orders refer to unless forced', async () => {
+    db.on('FROM daysorder', [{ total: 1n }]);
+    let res = await as('admin').delete('/customer/C00013/purge');
+    expect(res.status).toBe(409);
+
+    res = await as('admin').delete('/customer/C00013/purge?force=true');
+    expect(res.status).toBe(200);
+  });
+
+  test('rejects an invalid force flag', async () => {
+    const res = await as('admin').delete('/customer/C00013/purge?force=maybe');
+    expect(res.status).toBe(400);
+  });
+
+  test('answers 404 for unknown customers', async () => {
+    db.on('SELECT DELETED_AT FROM customer', []);
+    const res = await as('admin').delete('/customer/C99999/purge');
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('DELETE FROM customer', dbError());
+    const res = await as('admin').delete('/customer/C00013/purge');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('POST /customer/:id/transactions', () => {
+  const receipt = { TXN_TYPE: 'RECEIPT', TXN_AMOUNT: '250.00', TXN_DATE: '2024-03-01' };
+
+  beforeEach(() => {
+    db.on('FOR UPDATE', [{ CUST_CODE: 'C00013' }]);
+    db.on('INSERT INTO ledger', { affectedRows: 1, insertId: 7n });
+    db.on('SELECT OPENING_AMT, RECEIVE_AMT', [{
+      OPENING_AMT: '6000.00', RECEIVE_AMT: '5250.00', PAYMENT_AMT: '7000.00', OUTSTANDING_AMT: '4250.00'
+    }]);
+  });
+
+  test('posts the transaction and updates the totals', async () => {
+    const res = await as('admin').post('/customer/C00013/transactions').send(receipt);
+    expect(res.status).toBe(201);
+    expect(res.body.transaction).toMatchObject({ TXN_ID: '7', TXN_TYPE: 'RECEIPT', TXN_AMOUNT: '250.00' });
+    expect(res.body.customer.OUTSTANDING_AMT).toBe('4250.00');
+    expect(db.queriesMatching('RECEIVE_AMT = RECEIVE_AMT + ?')).toHaveLength(1);
+    expect(db.queriesMatching('COMMIT')).toHaveLength(1);
+  });
+
+  test('rejects amounts that are not positive', async () => {
+    const res = await as('admin').post('/customer/C00013/transactions').send({ ...receipt, TXN_AMOUNT: '-5' });
+    expect(res.status).toBe(400);
+  });
+
+  test('rejects unknown transaction types', async () => {
+    const res = await as('admin').post('/customer/C00013/transactions').send({ ...receipt, TXN_TYPE: 'REFUND' });
+    expect(res.status).toBe(400);
+  });
+
+  test('answers 404 for unknown customers', async () => {
+    db.on('FOR UPDATE', []);
+    const res = await as('admin').post('/customer/C99999/transactions').send(receipt);
+    expect(res.status).toBe(404);
+    expect(db.queriesMatching('ROLLBACK')).toHaveLength(1);
+  });
+
+  test('rolls back and answers 500 when the database fails', async () => {
+    db.on('INSERT INTO ledger', dbError());
+    const res = await as('admin').post('/customer/C00013/transactions').send(receipt);
+    expect(res.status).toBe(500);
+    expect(db.queriesMatching('ROLLBACK')).toHaveLength(1);
+  });
+});
+
+describe('GET /customer/:id/statement', () => {
+  test('returns the transactions with a running balance', async () => {
+    db.on('SELECT CUST_CODE, CUST_NAME, OUTSTANDING_AMT', [{ CUST_CODE: 'C00013', CUST_NAME: 'Holmes', OUTSTANDING_AMT: '4150.00' }]);
+    db.on('AS before_period', [{ total: '150.00', before_period: '0' }]);
+    db.on('SELECT TXN_ID', [
+      { TXN_ID: 1, TXN_DATE: '2024-03-01', TXN_TYPE: 'RECEIPT', TXN_AMOUNT: '250.00', TXN_DESCRIPTION: null },
+      { TXN_ID: 2, TXN_DATE: '2024-03-02', TXN_TYPE: 'PAYMENT', TXN_AMOUNT: '100.00', TXN_DESCRIPTION: null }
+    ]);
+
+    const res = await as('admin').get('/customer/C00013/statement');
+    expect(res.status).toBe(200);
+    expect(res.body.openingBalance).toBe('4000.00');
+    expect(res.body.transactions.map((txn) => txn.BALANCE)).toEqual(['4250.00', '4150.00']);
+    expect(res.body.closingBalance).toBe('4150.00');
+  });
+
+  test('rejects invalid dates', async () => {
+    const res = await as('admin').get('/customer/C00013/statement?from=yesterday');
+    expect(res.status).toBe(400);
+  });
+
+  test('answers 404 for unknown customers', async () => {
+    const res = await as('admin').get('/customer/C99999/statement');
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('FROM customer', dbError());
+    const res = await as('admin').get('/customer/C00013/statement');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('POST /audit/:auditId/revert', () => {
+  test('leaves the balances of the customer as the ledger has them', async () => {
+    db.on(/FROM audit_log WHERE AUDIT_ID = \?/, [{
+      AUDIT_ID: 7, ENTITY: 'customer', ENTITY_KEY: 'C00013', ACTION: 'update', CHANGES: '{}',
+      SNAPSHOT: JSON.stringify({ ...holmes, CUST_CITY: 'Leeds', OUTSTANDING_AMT: '0.00' })
+    }]);
+    db.on(/FROM customer WHERE CUST_CODE = \?/, [holmes]);
+
+    const res = await as('admin').post('/audit/7/revert');
+    expect(res.status).toBe(200);
+    const [update] = db.queriesMatching('UPDATE customer');
+    expect(update.sql).not.toMatch(/_AMT/);
+    expect(update.values).toContain('Leeds');
+  });
+});
@@ -0,0 +1,125 @@
+const { createTestApp, driverError } = require('./helpers');
+
+const order = {
+  ORD_NUM: 200150,
+  ORD_AMOUNT: '2500.00',
+  ADVANCE_AMOUNT: '500.00',
+  ORD_DATE: '2008-09-01',
+  CUST_CODE: 'C00001',
+  AGENT_CODE: 'A008',
+  ORD_DESCRIPTION: 'SOD'
+};
+
+// A row of daysorder as the database returns it
+const row = (fields) => ({ ...order, ORD_NUM: String(order.ORD_NUM), ...fields });
+
+let db;
+let as;
+
+beforeEach(() => {
+  ({ db, as } = createTestApp());
+  // The customers and agents orders refer to
+  db.on('SELECT CUST_CODE FROM customer WHERE CUST_CODE = ?', ([code]) => (code === 'C00099' ? [] : [{ CUST_CODE: code }]));
+  db.on('SELECT AGENT_CODE FROM agents WHERE AGENT_CODE = ?', ([code]) => [{ AGENT_CODE: code }]);
+});
+
+afterEach(() => {
+  expect(db.openConnections()).toBe(0);
+});
+
+describe('POST /daysorder', () => {
+  test('adds the order, dated today unless ORD_DATE is given', async () => {
+    const { ORD_DATE, ...undated } = order;
+    const res = await as('admin').post('/daysorder').send(undated);
+    expect(res.status).toBe(201);
+    const [insert] = db.queriesMatching('INSERT INTO daysorder');
+    expect(insert.values[3]).toBe(new Date().toISOString().slice(0, 10));
+  });
+
+  test('answers 409 when ORD_NUM is already in orders', async () => {
+    db.on('SELECT ORD_NUM FROM orders WHERE ORD_NUM = ?', [{ ORD_NUM: '200150' }]);
+    const res = await as('admin').post('/daysorder').send(order);
+    expect(res.status).toBe(409);
+    expect(db.queriesMatching('INSERT INTO daysorder')).toHaveLength(0);
+  });
+
+  test('answers 409 when the unique key of daysorder refuses ORD_NUM', async () => {
+    db.on('INSERT INTO daysorder', driverError('ER_DUP_ENTRY', 1062, "Duplicate entry '200150' for key 'ORD_NUM'"));
+    const res = await as('admin').post('/daysorder').send(order);
+    expect(res.status).toBe(409);
+  });
+
+  test('rejects an advance above the order amount', async () => {
+    const res = await as('admin').post('/daysorder').send({ ...order, ADVANCE_AMOUNT: '3000.00' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(['ADVANCE_AMOUNT cannot be greater than ORD_AMOUNT']);
+  });
+});
+
+describe('POST /daysorder/close', () => {
+  beforeEach(() => {
+    db.on(/^SELECT ORD_NUM, .* FROM daysorder/, [
+      row({ ORD_NUM: '200150', AGENT_CODE: 'A008', CUST_CODE: 'C00001' }),
+      row({ ORD_NUM: '200151', AGENT_CODE: 'A008', CUST_CODE: 'C00002', ORD_AMOUNT: '1000.10', ADVANCE_AMOUNT: '100.20' }),
+      row({ ORD_NUM: '200152', AGENT_CODE: 'A010', CUST_CODE: 'C00001' }),
+      row({ ORD_NUM: '200107' }),
+      row({ ORD_NUM: '200160' }),
+      row({ ORD_NUM: '200160' }),
+      row({ ORD_NUM: '200170', CUST_CODE: 'C00099' })
+    ]);
+    db.on('SELECT ORD_NUM FROM orders WHERE ORD_NUM IN', [{ ORD_NUM: '200107' }]);
+  });
+
+  test('moves the valid orders in one transaction and reports the conflicts', async () => {
+    const res = await as('admin').post('/daysorder/close');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      dryRun: false,
+      moved: [200150, 200151, 200152],
+      totals: { orders: 3, ORD_AMOUNT: '6000.10', ADVANCE_AMOUNT: '1100.20' },
+      byAgent: [
+        { AGENT_CODE: 'A008', orders: 2, ORD_AMOUNT: '3500.10', ADVANCE_AMOUNT: '600.20' },
+        { AGENT_CODE: 'A010', orders: 1, ORD_AMOUNT: '2500.00', ADVANCE_AMOUNT: '500.00' }
+      ],
+      byCustomer: [
+        { CUST_CODE: 'C00001', orders: 2, ORD_AMOUNT: '5000.00', ADVANCE_AMOUNT: '1000.00' },
+        { CUST_CODE: 'C00002', orders: 1, ORD_AMOUNT: '1000.10', ADVANCE_AMOUNT: '100.20' }
+      ]
+    });
+    expect(res.body.conflicts.map(({ ORD_NUM, reason }) => [ORD_NUM, reason])).toEqual([
+      [200107, 'exists'],
+      [200160, 'duplicate'],
+      [200160, 'duplicate'],
+      [200170, 'invalid']
+    ]);
+    expect(res.body.conflicts[3].errors).toEqual([{ path: 'CUST_CODE', msg: 'Customer C00099 does not exist', value: 'C00099' }]);
+
+    expect(db.queriesMatching('INSERT INTO orders').map(({ values }) => values[0])).toEqual(['200150', '200151', '200152']);
+    expect(db.queriesMatching('DELETE FROM daysorder').map(({ values }) => values)).toEqual([['200150'], ['200151'], ['200152']]);
+    const sequence = db.queries.map(({ sql }) => sql);
+    const read = sequence.findIndex((sql) => /^SELECT ORD_NUM, .* FROM daysorder .* FOR UPDATE$/.test(sql));
+    expect(sequence.indexOf('BEGIN')).toBeLessThan(read);
+    expect(sequence.lastIndexOf('COMMIT')).toBeGreaterThan(sequence.lastIndexOf('DELETE FROM daysorder WHERE ORD_NUM = ?'));
+  });
+
+  test('moves nothing on a dry run', async () => {
+    const res = await as('admin').post('/daysorder/close?dryRun=true');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: true, moved: [200150, 200151, 200152] });
+    expect(db.queriesMatching('INSERT INTO orders')).toHaveLength(0);
+    expect(db.queriesMatching('DELETE FROM daysorder')).toHaveLength(0);
+  });
+
+  test('rolls back every move when one fails', async () => {
+    db.on('INSERT INTO orders', (values) => (values[0] === '200152' ? new Error('Lock wait timeout exceeded') : { affectedRows: 1 }));
+    const res = await as('admin').post('/daysorder/close');
+    expect(res.status).toBe(500);
+    expect(db.queriesMatching('ROLLBACK')).toHaveLength(1);
+    expect(db.queriesMatching('COMMIT')).toHaveLength(0);
+  });
+
+  test('only admins can close the day', async () => {
+    const res = await as('agent').post('/daysorder/close');
+    expect(res.status).toBe(403);
+  });
+});
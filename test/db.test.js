@@ -0,0 +1,56 @@
+const mysql = require('mysql2/promise');
+const { createPool } = require('../db');
+
+const config = { driver: 'mysql2', host: 'localhost', user: 'root', database: 'test' };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('mysql2 pool', () => {
+  test('counts the requests waiting for a connection and the connections handed out', async () => {
+    const release = jest.fn();
+    let connect;
+    jest.spyOn(mysql, 'createPool').mockReturnValue({
+      getConnection: () => new Promise((resolve) => {
+        connect = () => resolve({ release });
+      }),
+      pool: { _freeConnections: [] }
+    });
+    const pool = createPool(config);
+
+    const pending = pool.getConnection();
+    expect(pool.taskQueueSize()).toBe(1);
+    expect(pool.activeConnections()).toBe(0);
+
+    connect();
+    const conn = await pending;
+    expect(pool.taskQueueSize()).toBe(0);
+    expect(pool.activeConnections()).toBe(1);
+
+    conn.release();
+    conn.release();
+    expect(pool.activeConnections()).toBe(0);
+    expect(release).toHaveBeenCalledTimes(2);
+  });
+
+  test('stops waiting when no connection can be had', async () => {
+    jest.spyOn(mysql, 'createPool').mockReturnValue({
+      getConnection: () => Promise.reject(new Error('connect ECONNREFUSED')),
+      pool: { _freeConnections: [] }
+    });
+    const pool = createPool(config);
+
+    await expect(pool.getConnection()).rejects.toThrow('ECONNREFUSED');
+    expect(pool.taskQueueSize()).toBe(0);
+    expect(pool.activeConnections()).toBe(0);
+  });
+
+  // The idle connections are read from the private queue of mysql2, which
+  // an upgrade may rename
+  test('reports the idle connections of the driver', async () => {
+    const pool = createPool(config);
+    expect(pool.idleConnections()).toBe(0);
+    await pool.end();
+  });
+});
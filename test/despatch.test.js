@@ -0,0 +1,185 @@
+const { createTestApp } = require('./helpers');
+
+const order = {
+  ORD_NUM: '200100', ORD_AMOUNT: '1000.00', ADVANCE_AMOUNT: '600.00', ORD_DATE: '2008-08-01',
+  CUST_CODE: 'C00013', AGENT_CODE: 'A003', ORD_DESCRIPTION: 'SOD'
+};
+
+const despatch = { DES_NUM: 'D001', DES_DATE: '2008-08-05', DES_AMOUNT: '600.00', ORD_NUM: '200100' };
+
+let db;
+let as;
+
+beforeEach(() => {
+  ({ db, as } = createTestApp());
+  db.on(/FROM orders WHERE ORD_NUM = \?/, [order]);
+});
+
+afterEach(() => {
+  expect(db.openConnections()).toBe(0);
+});
+
+const despatchedTotal = (total) => db.on(/^SELECT COALESCE\(SUM\(DES_AMOUNT\), 0\) AS total FROM despatch/, [{ total }]);
+
+// The row lock of InnoDB on the order: FOR UPDATE waits until the
+// transaction holding the lock ends
+function lockOrders() {
+  let lock = null;
+  let unlock = () => {};
+  db.on(/FROM orders WHERE ORD_NUM = \? FOR UPDATE$/, async () => {
+    while (lock) {
+      await lock;
+    }
+    lock = new Promise((resolve) => {
+      unlock = () => {
+        lock = null;
+        resolve();
+      };
+    });
+    return [order];
+  });
+  db.on(/^(COMMIT|ROLLBACK)$/, () => {
+    unlock();
+    return {};
+  });
+}
+
+const position = (prefix) => db.queries.findIndex(({ sql }) => sql.startsWith(prefix));
+
+describe('POST /despatch', () => {
+  test('adds the despatch with the fields of its order, checked with the order locked', async () => {
+    despatchedTotal('300.00');
+
+    const res = await as('admin').post('/despatch').send(despatch);
+    expect(res.status).toBe(201);
+
+    const [insert] = db.queriesMatching('INSERT INTO despatch');
+    expect(insert.values).toEqual(expect.arrayContaining(['D001', '600.00', '200100', '2008-08-01', '1000.00', 'A003']));
+    expect(position('BEGIN')).toBeLessThan(position('SELECT ORD_NUM, ORD_DATE, ORD_AMOUNT, AGENT_CODE FROM orders'));
+    expect(db.queriesMatching(/FROM orders WHERE ORD_NUM = \? FOR UPDATE$/)).toHaveLength(1);
+    expect(position('SELECT COALESCE(SUM(DES_AMOUNT), 0)')).toBeLessThan(position('INSERT INTO despatch'));
+    expect(position('INSERT INTO despatch')).toBeLessThan(position('COMMIT'));
+  });
+
+  test('refuses amounts above what is left to despatch on the order', async () => {
+    despatchedTotal('700.00');
+
+    const res = await as('admin').post('/despatch').send(despatch);
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(['DES_AMOUNT exceeds the 300.00 left to despatch on order 200100']);
+    expect(db.queriesMatching('INSERT INTO despatch')).toHaveLength(0);
+  });
+
+  test('of two despatches that each fit, but not together, the second waits for the lock and is refused', async () => {
+    let despatched = 0;
+    db.on(/^SELECT COALESCE\(SUM\(DES_AMOUNT\), 0\) AS total FROM despatch/, () => [{ total: despatched.toFixed(2) }]);
+    // The first despatch is written once the other one has asked for the
+    // order, so that without the lock both would see nothing despatched yet
+    db.on('INSERT INTO despatch', async (values) => {
+      while (db.queriesMatching('SELECT ORD_NUM, ORD_DATE, ORD_AMOUNT, AGENT_CODE FROM orders').length < 2) {
+        await new Promise(setImmediate);
+      }
+      despatched += parseFloat(values[2]);
+      return { affectedRows: 1 };
+    });
+    lockOrders();
+
+    const responses = await Promise.all(['D001', 'D002'].map((DES_NUM) => (
+      as('admin').post('/despatch').send({ ...despatch, DES_NUM }).then((res) => res)
+    )));
+
+    expect(responses.map((res) => res.status).sort()).toEqual([201, 400]);
+    expect(db.queriesMatching('INSERT INTO despatch')).toHaveLength(1);
+  });
+});
+
+describe('PUT /despatch/:id', () => {
+  test('checks the new amount without the old one, in the transaction of the update', async () => {
+    db.on(/^SELECT DES_NUM FROM despatch WHERE DES_NUM = \?/, [{ DES_NUM: 'D001' }]);
+    despatchedTotal('300.00');
+
+    const res = await as('admin').put('/despatch/D001').send({ ...despatch, DES_NUM: undefined, DES_AMOUNT: '700.00' });
+    expect(res.status).toBe(200);
+
+    const [total] = db.queriesMatching('SELECT COALESCE(SUM(DES_AMOUNT), 0)');
+    expect(total.values).toEqual(['200100', 'D001']);
+    expect(db.queriesMatching(/FROM orders WHERE ORD_NUM = \? FOR UPDATE$/)).toHaveLength(1);
+    expect(position('BEGIN')).toBeLessThan(position('UPDATE despatch'));
+    expect(position('UPDATE despatch')).toBeLessThan(position('COMMIT'));
+  });
+
+  test('refuses amounts above what is left to despatch on the order', async () => {
+    db.on(/^SELECT DES_NUM FROM despatch WHERE DES_NUM = \?/, [{ DES_NUM: 'D001' }]);
+    despatchedTotal('300.00');
+
+    const res = await as('admin').put('/despatch/D001').send({ ...despatch, DES_NUM: undefined, DES_AMOUNT: '800.00' });
+    expect(res.status).toBe(400);
+    expect(db.queriesMatching('UPDATE despatch')).toHaveLength(0);
+  });
+});
+
+describe('PUT /order/:id', () => {
+  const replacement = { ...order, ORD_NUM: undefined, ADVANCE_AMOUNT: '100.00' };
+
+  beforeEach(() => {
+    db.on(/FROM customer WHERE CUST_CODE = \?/, [{ CUST_CODE: 'C00013' }]);
+    db.on(/FROM agents WHERE AGENT_CODE = \?/, [{ AGENT_CODE: 'A003' }]);
+  });
+
+  test('refuses order amounts below what was despatched, checked with the order locked', async () => {
+    despatchedTotal('600.00');
+
+    const res = await as('admin').put('/order/200100').send({ ...replacement, ORD_AMOUNT: '500.00' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(['ORD_AMOUNT cannot be less than the 600.00 already despatched']);
+    expect(position(`SELECT ${Object.keys(order).join(', ')} FROM orders WHERE ORD_NUM = ? FOR UPDATE`))
+      .toBeLessThan(position('SELECT COALESCE(SUM(DES_AMOUNT), 0)'));
+    expect(db.queriesMatching('UPDATE orders')).toHaveLength(0);
+  });
+
+  test('accepts order amounts down to what was despatched', async () => {
+    despatchedTotal('600.00');
+
+    const res = await as('admin').put('/order/200100').send({ ...replacement, ORD_AMOUNT: '600.00' });
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('UPDATE orders')).toHaveLength(1);
+  });
+});
+
+describe('PATCH /order/:id', () => {
+  test('refuses order amounts below what was despatched', async () => {
+    despatchedTotal('600.00');
+
+    const res = await as('admin').patch('/order/200100').send({ ORD_AMOUNT: '550.00', ADVANCE_AMOUNT: '0.00' });
+    expect(res.status).toBe(400);
+    expect(db.queriesMatching('UPDATE orders')).toHaveLength(0);
+  });
+
+  test('leaves the despatches alone when the amount does not change', async () => {
+    const res = await as('admin').patch('/order/200100').send({ ORD_DESCRIPTION: 'Rush' });
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('FROM despatch')).toHaveLength(0);
+  });
+});
+
+describe('DELETE /order/:id', () => {
+  test('refuses orders with despatches, checked with the order locked', async () => {
+    despatchedTotal('600.00');
+
+    const res = await as('admin').delete('/order/200100');
+    expect(res.status).toBe(409);
+    expect(res.body.detail).toBe('Order has 600.00 despatched, its despatches must be deleted first');
+    expect(position(`SELECT ${Object.keys(order).join(', ')} FROM orders WHERE ORD_NUM = ? FOR UPDATE`))
+      .toBeLessThan(position('SELECT COALESCE(SUM(DES_AMOUNT), 0)'));
+    expect(db.queriesMatching('DELETE FROM orders')).toHaveLength(0);
+  });
+
+  test('deletes orders with nothing despatched', async () => {
+    despatchedTotal('0.00');
+
+    const res = await as('admin').delete('/order/200100');
+    expect(res.status).toBe(200);
+    expect(position('SELECT COALESCE(SUM(DES_AMOUNT), 0)')).toBeLessThan(position('DELETE FROM orders'));
+    expect(position('DELETE FROM orders')).toBeLessThan(position('COMMIT'));
+  });
+});
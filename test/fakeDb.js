@@ -0,0 +1,111 @@
+const { Readable } = require('stream');
+const { hashApiKey } = require('../auth');
+
+// API keys of the users every fake database knows
+const apiKeys = {
+  admin: 'admin-key',
+  agent: 'agent-key',
+  readonly: 'readonly-key'
+};
+
+const users = [
+  { USER_ID: 1, USERNAME: 'admin', ROLE: 'admin', AGENT_CODE: null, API_KEY: apiKeys.admin },
+  { USER_ID: 2, USERNAME: 'agent', ROLE: 'agent', AGENT_CODE: 'A003  ', API_KEY: apiKeys.agent },
+  { USER_ID: 3, USERNAME: 'reader', ROLE: 'readonly', AGENT_CODE: null, API_KEY: apiKeys.readonly }
+];
+
+/**
+ * Creates an in-process stand-in for the pool of db.js. Queries are answered
+ * by the responses registered with on(pattern, response), the most recent
+ * matching one first. pattern is a RegExp or a string the whitespace-collapsed
+ * SQL must contain. response is the result itself (rows or an OkPacket), an
+ * Error to throw, or a function (values, sql) returning either or a promise
+ * of either.
+ *
+ * Unmatched SELECTs return no rows and unmatched writes affect one row.
+ * Users are looked up by the API keys in apiKeys. Every query is kept in
+ * queries as { sql, values }.
+ */
+function createFakeDb() {
+  const responses = [];
+  const queries = [];
+  let open = 0;
+
+  function on(pattern, response) {
+    responses.unshift({ pattern, response });
+  }
+
+  function respond(sql, values = []) {
+    const normalized = sql.replace(/\s+/g, ' ').trim();
+    queries.push({ sql: normalized, values });
+
+    const match = responses.find(({ pattern }) => (
+      pattern instanceof RegExp ? pattern.test(normalized) : normalized.includes(pattern)
+    ));
+    let result;
+    if (match) {
+      result = typeof match.response === 'function' ? match.response(values, normalized) : match.response;
+    } else {
+      result = /^SELECT/i.test(normalized) ? [] : { affectedRows: 1, insertId: 0, warningStatus: 0 };
+    }
+
+    // A function can answer later, like a query waiting for a lock
+    return typeof result.then === 'function' ? result.then(settle) : settle(result);
+  }
+
+  function settle(result) {
+    if (result instanceof Error) {
+      throw result;
+    }
+    // Copies, so a handler changing a row doesn't change the response
+    return Array.isArray(result) ? result.map((row) => ({ ...row })) : { ...result };
+  }
+
+  on('FROM users WHERE API_KEY_HASH = ?', ([hash]) => users
+    .filter((user) => hashApiKey(user.API_KEY) === hash)
+    .map(({ API_KEY, ...user }) => user));
+
+  const pool = {
+    async getConnection() {
+      open += 1;
+      let released = false;
+      return {
+        query: async (sql, values) => respond(sql, values),
+        queryStream: (sql, values) => {
+          try {
+            return Readable.from(respond(sql, values));
+          } catch (err) {
+            return new Readable({ read() { this.destroy(err); } });
+          }
+        },
+        beginTransaction: async () => respond('BEGIN'),
+        commit: async () => respond('COMMIT'),
+        rollback: async () => respond('ROLLBACK'),
+        release: () => {
+          if (!released) {
+            released = true;
+            open -= 1;
+          }
+        }
+      };
+    },
+    activeConnections: () => open,
+    idleConnections: () => 0,
+    taskQueueSize: () => 0,
+    end: async () => {}
+  };
+
+  return {
+    pool,
+    on,
+    queries,
+    // Connections taken from the pool and not released yet
+    openConnections: () => open,
+    // Queries whose SQL contains text or matches the RegExp
+    queriesMatching: (pattern) => queries.filter(({ sql }) => (
+      pattern instanceof RegExp ? pattern.test(sql) : sql.includes(pattern)
+    ))
+  };
+}
+
+module.exports = { createFakeDb, apiKeys };
@@ -0,0 +1,112 @@
+const { createTestApp, dbError } = require('./helpers');
+
+const potRice = { ITEM_ID: '4', ITEM_NAME: 'Pot Rice', ITEM_UNIT: 'Pcs', COMPANY_ID: '15' };
+
+let db;
+let as;
+
+beforeEach(() => {
+  ({ db, as } = createTestApp());
+  // The companies the food items belong to
+  db.on('SELECT COMPANY_ID FROM company WHERE COMPANY_ID = ?', ([id]) => (['15', '18'].includes(id) ? [{ COMPANY_ID: id }] : []));
+});
+
+afterEach(() => {
+  expect(db.openConnections()).toBe(0);
+});
+
+describe('POST /food', () => {
+  test('adds the food item', async () => {
+    const res = await as('admin').post('/food').send(potRice);
+    expect(res.status).toBe(201);
+    expect(db.queriesMatching('INSERT INTO foods')[0].values).toEqual(['4', 'Pot Rice', 'Pcs', '15']);
+  });
+
+  test('rejects unknown companies and overlong units', async () => {
+    const res = await as('admin').post('/food').send({ ...potRice, ITEM_UNIT: 'Pieces', COMPANY_ID: '99' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(({ path, msg }) => [path, msg])).toEqual([
+      ['ITEM_UNIT', 'must be at most 5 characters'],
+      ['COMPANY_ID', 'Company 99 does not exist']
+    ]);
+  });
+
+  test('only admins can add food items', async () => {
+    const res = await as('agent').post('/food').send(potRice);
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /food', () => {
+  test('lists food items', async () => {
+    db.on('SELECT COUNT(*) AS total FROM foods', [{ total: 1 }]);
+    db.on(/^SELECT ITEM_ID, .* FROM foods/, [potRice]);
+    const res = await as('readonly').get('/food?COMPANY_ID=15');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 1, data: [potRice] });
+  });
+});
+
+describe('GET /food/:id', () => {
+  test('answers the food item', async () => {
+    db.on(/^SELECT ITEM_ID, .* FROM foods WHERE ITEM_ID = \?/, [potRice]);
+    const res = await as('readonly').get('/food/4');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(potRice);
+  });
+
+  test('answers 404 for unknown food items', async () => {
+    const res = await as('readonly').get('/food/99');
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /food/:id', () => {
+  test('replaces the food item', async () => {
+    const res = await as('admin').put('/food/4').send({ ITEM_NAME: 'Pot Noodle', ITEM_UNIT: 'Pcs', COMPANY_ID: '18' });
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('UPDATE foods')[0].values).toEqual(['Pot Noodle', 'Pcs', '18', '4']);
+  });
+
+  test('answers 404 for unknown food items', async () => {
+    db.on('UPDATE foods', { affectedRows: 0 });
+    const res = await as('admin').put('/food/99').send({ ITEM_NAME: 'Pot Noodle' });
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('DELETE /food/:id', () => {
+  test('deletes the food item', async () => {
+    const res = await as('admin').delete('/food/4');
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('DELETE FROM foods')[0].values).toEqual(['4']);
+  });
+
+  test('answers 404 for unknown food items', async () => {
+    db.on('DELETE FROM foods', { affectedRows: 0 });
+    const res = await as('admin').delete('/food/99');
+    expect(res.status).toBe(404);
+  });
+
+  test('answers 500 when the database fails', async () => {
+    db.on('DELETE FROM foods', dbError());
+    const res = await as('admin').delete('/food/4');
+    expect(res.status).toBe(500);
+  });
+});
+
+describe('GET /company/:id/foods', () => {
+  test('lists the food items of the company', async () => {
+    db.on(/^SELECT COMPANY_ID, .* FROM company WHERE COMPANY_ID = \?/, [{ COMPANY_ID: '15', COMPANY_NAME: 'Jack Hill Ltd', COMPANY_CITY: 'London' }]);
+    db.on(/^SELECT ITEM_ID, .* FROM foods WHERE COMPANY_ID = \?/, [potRice]);
+    const res = await as('readonly').get('/company/15/foods');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ COMPANY_ID: '15', COMPANY_NAME: 'Jack Hill Ltd', data: [potRice] });
+    expect(db.queriesMatching('FROM foods WHERE COMPANY_ID = ?')[0].sql).toMatch(/ORDER BY ITEM_ID ASC/);
+  });
+
+  test('answers 404 for unknown companies', async () => {
+    const res = await as('readonly').get('/company/99/foods');
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,156 @@
+const { createTestApp } = require('./helpers');
+const { etagOf } = require('../preconditions');
+
+const customer = (code, agent) => ({
+  CUST_CODE: code, CUST_NAME: `Customer ${code}`, CUST_CITY: 'London', WORKING_AREA: 'London', CUST_COUNTRY: 'UK',
+  GRADE: '2', OPENING_AMT: '6000.00', RECEIVE_AMT: '5000.00', PAYMENT_AMT: '7000.00', OUTSTANDING_AMT: '4000.00',
+  PHONE_NO: 'BBBBBBB', AGENT_CODE: agent, DELETED_AT: null, DELETED_BY: null
+});
+
+const agent = (code) => ({
+  AGENT_CODE: code, AGENT_NAME: `Agent ${code.trim()}`, WORKING_AREA: 'London', COMMISSION: '0.15',
+  PHONE_NO: '077-25814763', COUNTRY: '', DELETED_AT: null, DELETED_BY: null
+});
+
+const orderAll = { COMPANY_ID: '18', COMPANY_NAME: 'Order All', COMPANY_CITY: 'Boston' };
+
+let db;
+let as;
+
+beforeEach(() => {
+  ({ db, as } = createTestApp());
+});
+
+afterEach(() => {
+  expect(db.openConnections()).toBe(0);
+});
+
+const graphql = (role, query, variables) => as(role).post('/graphql').send({ query, variables });
+
+describe('queries', () => {
+  test('resolve the relations of every record with one query per relation', async () => {
+    db.on('SELECT COUNT(*) AS total FROM customer', [{ total: 3 }]);
+    db.on(/^SELECT CUST_CODE, .* FROM customer WHERE DELETED_AT IS NULL ORDER BY CUST_CODE ASC LIMIT/, [
+      customer('C00001', 'A003  '), customer('C00002', 'A008  '), customer('C00003', 'A003  ')
+    ]);
+    db.on(/FROM agents WHERE AGENT_CODE IN/, [agent('A003  '), agent('A008  ')]);
+    db.on(/FROM orders WHERE CUST_CODE IN/, [
+      { ORD_NUM: '200100', CUST_CODE: 'C00001', AGENT_CODE: 'A003  ', ORD_AMOUNT: '1000.00' },
+      { ORD_NUM: '200101', CUST_CODE: 'C00001', AGENT_CODE: 'A003  ', ORD_AMOUNT: '3000.00' }
+    ]);
+
+    const res = await graphql('readonly', `{
+      customers(limit: 3) { total data { CUST_CODE agent { AGENT_NAME } orders(limit: 1) { total data { ORD_NUM ORD_AMOUNT } } } }
+    }`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.errors).toBeUndefined();
+    expect(res.body.data.customers.total).toBe(3);
+    expect(res.body.data.customers.data[0]).toEqual({
+      CUST_CODE: 'C00001',
+      agent: { AGENT_NAME: 'Agent A003' },
+      orders: { total: 2, data: [{ ORD_NUM: 200100, ORD_AMOUNT: '1000.00' }] }
+    });
+    expect(res.body.data.customers.data[1].orders).toEqual({ total: 0, data: [] });
+
+    const agentQueries = db.queriesMatching('FROM agents WHERE AGENT_CODE IN');
+    expect(agentQueries).toHaveLength(1);
+    expect(agentQueries[0].values).toEqual(['A003', 'A008']);
+    expect(db.queriesMatching('FROM orders')).toHaveLength(1);
+  });
+
+  test('show agents only their own customers', async () => {
+    db.on(/FROM customer WHERE CUST_CODE IN/, [customer('C00002', 'A008  ')]);
+    const res = await graphql('agent', '{ customer(CUST_CODE: "C00002") { CUST_NAME } }');
+    expect(res.body).toEqual({ data: { customer: null } });
+  });
+
+  test('answer 400 for queries the schema rejects', async () => {
+    const res = await graphql('readonly', '{ customer(CUST_CODE: "C00002") { PASSWORD } }');
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].message).toMatch(/Cannot query field "PASSWORD"/);
+  });
+});
+
+describe('mutations', () => {
+  test('check the input with the rules of the REST routes', async () => {
+    db.on(/^SELECT COMPANY_ID FROM company WHERE COMPANY_ID = \?/, []);
+    const res = await graphql('admin', `mutation {
+      createFood(input: { ITEM_ID: "4", ITEM_NAME: "Pot Rice", ITEM_UNIT: "Pieces", COMPANY_ID: "99" }) { ITEM_ID }
+    }`);
+    expect(res.status).toBe(200);
+    expect(res.body.errors[0].extensions).toEqual({
+      code: 'BAD_USER_INPUT',
+      errors: [
+        { path: 'ITEM_UNIT', msg: 'must be at most 5 characters', value: 'Pieces' },
+        { path: 'COMPANY_ID', msg: 'Company 99 does not exist', value: '99' }
+      ]
+    });
+    expect(db.queriesMatching('INSERT INTO foods')).toHaveLength(0);
+  });
+
+  test('write audited records through the audit trail', async () => {
+    let company = null;
+    db.on(/^SELECT COMPANY_ID, .* FROM company WHERE COMPANY_ID = \?/, () => (company ? [company] : []));
+    db.on('INSERT INTO company', (values) => {
+      company = { COMPANY_ID: values[0], COMPANY_NAME: values[1], COMPANY_CITY: values[2] };
+      return { affectedRows: 1 };
+    });
+    const res = await graphql('admin', `mutation Create($input: CompanyInput!) {
+      createCompany(input: $input) { COMPANY_ID etag }
+    }`, { input: orderAll });
+    expect(res.body.data.createCompany).toEqual({ COMPANY_ID: '18', etag: etagOf(orderAll) });
+    expect(db.queriesMatching('INSERT INTO audit_log')).toHaveLength(1);
+  });
+
+  test('update only when ifMatch is the etag of the record', async () => {
+    db.on(/^SELECT COMPANY_ID, .* FROM company WHERE COMPANY_ID = \?/, [orderAll]);
+    const res = await graphql('admin', `mutation {
+      updateCompany(COMPANY_ID: "18", input: { COMPANY_CITY: "London" }, ifMatch: "\\"stale\\"") { COMPANY_CITY }
+    }`);
+    expect(res.body.errors[0].extensions).toEqual({ code: 'PRECONDITION_FAILED', status: 412 });
+    expect(db.queriesMatching('UPDATE company')).toHaveLength(0);
+  });
+
+  test('refuse new customers whose balances do not add up', async () => {
+    const res = await graphql('admin', `mutation Create($input: CustomerInput!) {
+      createCustomer(input: $input) { CUST_CODE }
+    }`, {
+      input: {
+        CUST_CODE: 'C00099', CUST_NAME: 'Watson', WORKING_AREA: 'London', CUST_COUNTRY: 'UK', PHONE_NO: '020-7946 0000',
+        OPENING_AMT: '100.00', RECEIVE_AMT: '0.00', PAYMENT_AMT: '0.00', OUTSTANDING_AMT: '0.00'
+      }
+    });
+    expect(res.body.errors[0].extensions).toEqual({
+      code: 'BAD_USER_INPUT',
+      errors: [{ path: 'OUTSTANDING_AMT', msg: 'must be OPENING_AMT + RECEIVE_AMT - PAYMENT_AMT, 100.00', value: '0.00' }]
+    });
+    expect(db.queriesMatching('INSERT INTO customer')).toHaveLength(0);
+  });
+
+  test('cannot change the balances of a customer', async () => {
+    const res = await graphql('admin', 'mutation { updateCustomer(CUST_CODE: "C00001", input: { OUTSTANDING_AMT: "0.00" }) { CUST_CODE } }');
+    expect(res.body.errors[0].message).toMatch(/OUTSTANDING_AMT/);
+    expect(db.queriesMatching('UPDATE customer')).toHaveLength(0);
+  });
+
+  test('refuse order amounts below what was despatched', async () => {
+    db.on(/FROM orders WHERE ORD_NUM = \?/, [{
+      ORD_NUM: '200100', ORD_AMOUNT: '1000.00', ADVANCE_AMOUNT: '100.00', ORD_DATE: '2008-08-01',
+      CUST_CODE: 'C00013', AGENT_CODE: 'A003', ORD_DESCRIPTION: 'SOD'
+    }]);
+    db.on(/^SELECT COALESCE\(SUM\(DES_AMOUNT\), 0\) AS total FROM despatch/, [{ total: '600.00' }]);
+    const res = await graphql('admin', 'mutation { updateOrder(ORD_NUM: 200100, input: { ORD_AMOUNT: "500.00" }) { ORD_AMOUNT } }');
+    expect(res.body.errors[0].extensions).toEqual({
+      code: 'BAD_USER_INPUT',
+      errors: ['ORD_AMOUNT cannot be less than the 600.00 already despatched']
+    });
+    expect(db.queriesMatching('UPDATE orders')).toHaveLength(0);
+    expect(db.queriesMatching(/^ROLLBACK/)).toHaveLength(1);
+  });
+
+  test('are refused to read-only users', async () => {
+    const res = await graphql('readonly', 'mutation { updateCompany(COMPANY_ID: "18", input: { COMPANY_CITY: "London" }) { COMPANY_CITY } }');
+    expect(res.body.errors[0].extensions.code).toBe('FORBIDDEN');
+  });
+});
@@ -0,0 +1,48 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const { createFakeDb, apiKeys } = require('./fakeDb');
+const { createLogger } = require('../logger');
+
+/**
+ * Creates the app on a fresh fake database, with the given options of
+ * createApp(). as(role) returns a supertest client that authenticates as the
+ * admin, agent or readonly user, or sends no API key at all when role is
+ * left out. Nothing is logged unless the options have a logger.
+ */
+function createTestApp(options = {}) {
+  const db = createFakeDb();
+  const app = createApp({ logger: createLogger({ level: 'silent' }), ...options, pool: db.pool });
+
+  function as(role) {
+    const client = request(app);
+    const authenticate = (test) => (role ? test.set('Authorization', `Bearer ${apiKeys[role]}`) : test);
+    return {
+      get: (url) => authenticate(client.get(url)),
+      post: (url) => authenticate(client.post(url)),
+      put: (url) => authenticate(client.put(url)),
+      patch: (url) => authenticate(client.patch(url)),
+      delete: (url) => authenticate(client.delete(url))
+    };
+  }
+
+  return { db, app, as };
+}
+
+// Error the fake database throws for the DB error tests
+const dbError = () => new Error('Connection lost: The server closed the connection.');
+
+// Error shaped like the ones the drivers throw for a failed statement
+function driverError(code, errno, sqlMessage) {
+  return Object.assign(new Error(`(conn:1, no: ${errno}, SQLState: 23000) ${sqlMessage}\nsql: ...`), {
+    code, errno, sqlState: '23000', sqlMessage
+  });
+}
+
+// A logger that keeps its entries, parsed, in entries
+function createMemoryLogger(level = 'debug') {
+  const entries = [];
+  const logger = createLogger({ level, stream: { write: (line) => entries.push(JSON.parse(line)) } });
+  return { logger, entries };
+}
+
+module.exports = { createTestApp, createMemoryLogger, dbError, driverError };
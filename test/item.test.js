@@ -0,0 +1,51 @@
+const { createTestApp } = require('./helpers');
+
+const hotDog = { ITEMCODE: 'I003  ', ITEMNAME: 'HOT DOG                  ', BATCHCODE: 'DM/2007-08/WB1', CONAME: 'ABJ ENTERPRISE' };
+
+let db;
+let as;
+
+beforeEach(() => {
+  ({ db, as } = createTestApp());
+});
+
+afterEach(() => {
+  expect(db.openConnections()).toBe(0);
+});
+
+describe('GET /item/lookup', () => {
+  test('finds the items of several names in one query', async () => {
+    db.on(/^SELECT ITEMCODE, .* FROM listofitem WHERE ITEMNAME IN/, [hotDog]);
+    const res = await as('readonly').get('/item/lookup?name=hot dog&name=Pizza&name=hot dog');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ data: [hotDog], notFound: ['Pizza'] });
+    const [lookup] = db.queriesMatching('FROM listofitem');
+    expect(lookup.values).toEqual(['hot dog', 'Pizza']);
+  });
+
+  test('requires a name', async () => {
+    const res = await as('readonly').get('/item/lookup');
+    expect(res.status).toBe(400);
+    expect(db.queriesMatching('FROM listofitem')).toHaveLength(0);
+  });
+
+  test('limits the number of names', async () => {
+    const names = Array.from({ length: 101 }, (_, i) => `name=ITEM${i}`).join('&');
+    const res = await as('readonly').get(`/item/lookup?${names}`);
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /item/:code', () => {
+  test('answers the item', async () => {
+    db.on(/^SELECT ITEMCODE, .* FROM listofitem WHERE ITEMCODE = \?/, [hotDog]);
+    const res = await as('readonly').get('/item/I003');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(hotDog);
+  });
+
+  test('answers 404 for unknown items', async () => {
+    const res = await as('readonly').get('/item/I999');
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,159 @@
+const { createRateLimiter } = require('../limits');
+const request = require('supertest');
+const { createTestApp } = require('./helpers');
+
+const company = { COMPANY_ID: '18', COMPANY_NAME: 'Order All', COMPANY_CITY: 'Boston' };
+
+describe('rate limits', () => {
+  let now;
+  let db;
+  let app;
+  let as;
+
+  beforeEach(() => {
+    now = 0;
+    const rateLimiter = createRateLimiter({ read: { capacity: 2, perMinute: 60 }, write: { capacity: 1, perMinute: 6 }, now: () => now });
+    ({ db, app, as } = createTestApp({ rateLimiter }));
+    db.on(/^SELECT COUNT\(\*\) AS total FROM company/, [{ total: 0 }]);
+  });
+
+  test('answers 429 with Retry-After once the bucket of the client is empty', async () => {
+    const first = await as('readonly').get('/company');
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-reset']).toBe('1');
+    expect(first.headers['ratelimit-policy']).toBe('2;w=2');
+
+    await as('readonly').get('/company');
+    const limited = await as('readonly').get('/company');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(limited.headers['retry-after']).toBe('1');
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+    expect(db.queriesMatching(/^SELECT COUNT\(\*\) AS total FROM company/)).toHaveLength(2);
+  });
+
+  test('refills the bucket over time', async () => {
+    await as('readonly').get('/company');
+    await as('readonly').get('/company');
+    now = 500;
+    expect((await as('readonly').get('/company')).status).toBe(429);
+    now = 1000;
+    expect((await as('readonly').get('/company')).status).toBe(200);
+  });
+
+  test('limits reads and writes separately', async () => {
+    db.on(/FROM company WHERE COMPANY_ID = \?/, [company]);
+    const write = () => as('admin').put('/company/18').send({ COMPANY_NAME: 'Order All', COMPANY_CITY: 'London' });
+
+    expect((await write()).status).toBe(200);
+    const limited = await write();
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('10');
+    expect((await as('admin').get('/company/18')).status).toBe(200);
+  });
+
+  test('gives every API key its own bucket', async () => {
+    await as('readonly').get('/company');
+    await as('readonly').get('/company');
+
+    expect((await as('readonly').get('/company')).status).toBe(429);
+    expect((await as('admin').get('/company')).status).toBe(200);
+  });
+
+  test('counts requests that fail authentication against their address, before looking keys up', async () => {
+    expect((await as().get('/company')).status).toBe(401);
+    expect((await as().get('/company')).status).toBe(401);
+    expect((await as().get('/company')).status).toBe(429);
+    expect(db.queriesMatching('FROM users')).toHaveLength(0);
+  });
+
+  test('throttles made-up keys rather than giving each a bucket', async () => {
+    const statuses = [];
+    for (let i = 0; i < 6; i += 1) {
+      statuses.push((await request(app).get('/company').set('Authorization', `Bearer made-up-${i}`)).status);
+    }
+
+    expect(statuses).toEqual([401, 401, 429, 429, 429, 429]);
+    expect(db.queriesMatching('FROM users')).toHaveLength(2);
+  });
+
+  test('does not count authenticated requests against their address', async () => {
+    await as('readonly').get('/company');
+    await as('readonly').get('/company');
+    await as('admin').get('/company');
+
+    expect((await as().get('/company')).status).toBe(401);
+    expect((await as().get('/company')).status).toBe(401);
+  });
+
+  test('does not charge the address for authenticated requests in flight, as behind NAT or a proxy', async () => {
+    // The requests are answered once all three are in, or one was refused
+    let release;
+    const released = new Promise((resolve) => {
+      release = resolve;
+    });
+    db.on(/^SELECT COUNT\(\*\) AS total FROM company/, async () => {
+      if (db.queriesMatching(/^SELECT COUNT\(\*\) AS total FROM company/).length === 3) {
+        release();
+      }
+      await released;
+      return [{ total: 0 }];
+    });
+
+    const statuses = await Promise.all(['readonly', 'agent', 'admin'].map((role) => (
+      as(role).get('/company').then((res) => {
+        if (res.status === 429) {
+          release();
+        }
+        return res.status;
+      })
+    )));
+
+    expect(statuses).toEqual([200, 200, 200]);
+  });
+
+  test('forgets the least recently used clients beyond maxClients', () => {
+    const rateLimiter = createRateLimiter({ maxClients: 2 });
+    const res = { set: () => {} };
+    for (const USER_ID of [1, 2, 3]) {
+      rateLimiter.limit({ method: 'GET', user: { USER_ID } }, res, () => {});
+    }
+    expect(rateLimiter.size()).toBe(2);
+  });
+});
+
+describe('body size limits', () => {
+  test('answers 413 for bodies over the limit of the route', async () => {
+    const { db, as } = createTestApp({ bodyLimits: { default: '1kb' } });
+
+    const res = await as('admin').post('/company').send({ COMPANY_ID: '99', COMPANY_NAME: 'x'.repeat(2000), COMPANY_CITY: 'London' });
+    expect(res.status).toBe(413);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(db.queriesMatching('INSERT INTO company')).toHaveLength(0);
+  });
+
+  test('lets the customer import take larger bodies', async () => {
+    const { as } = createTestApp({ bodyLimits: { default: '1kb', import: '10kb' } });
+
+    const csv = `CUST_CODE,CUST_NAME\n${'C00099,Watson\n'.repeat(200)}`;
+    expect((await as('admin').post('/customer/import').type('text/csv').send(csv)).status).not.toBe(413);
+    expect((await as('admin').post('/customer/import').type('text/csv').send(csv.repeat(5))).status).toBe(413);
+  });
+});
+
+describe('database queue limit', () => {
+  test('answers 503 while too many requests wait for a connection', async () => {
+    const { db, as } = createTestApp({ maxQueue: 3 });
+    db.pool.taskQueueSize = () => 4;
+
+    const res = await as('readonly').get('/company/18');
+    expect(res.status).toBe(503);
+    expect(res.headers['retry-after']).toBe('1');
+    expect(db.queries).toEqual([]);
+
+    db.pool.taskQueueSize = () => 3;
+    expect((await as('readonly').get('/company/18')).status).toBe(404);
+  });
+});
@@ -0,0 +1,74 @@
+const { createLogger } = require('../logger');
+const { createTestApp, createMemoryLogger } = require('./helpers');
+
+// A logger writing to lines
+function loggerTo(lines, options) {
+  return createLogger({ ...options, stream: { write: (line) => lines.push(JSON.parse(line)) } });
+}
+
+describe('createLogger', () => {
+  test('writes the entries of its level and above as JSON lines', () => {
+    const lines = [];
+    const log = loggerTo(lines, { level: 'warn' });
+    log.info('not written');
+    log.warn({ status: 409 }, 'Request refused');
+    expect(lines).toEqual([{ time: expect.any(String), level: 'warn', msg: 'Request refused', status: 409 }]);
+  });
+
+  test('adds the bindings of child loggers', () => {
+    const lines = [];
+    loggerTo(lines).child({ requestId: 'req-1' }).info('Request answered');
+    expect(lines[0]).toMatchObject({ requestId: 'req-1', msg: 'Request answered' });
+  });
+
+  test('redacts sensitive fields at any depth', () => {
+    const lines = [];
+    loggerTo(lines, { redact: ['CUST_NAME'] }).info({
+      body: { CUST_CODE: 'C00013', CUST_NAME: 'Holmes', PHONE_NO: 'BBBBSBB', outstanding_amt: '6000.00' },
+      headers: { Authorization: 'Bearer admin-key' }
+    }, 'Received customer data');
+    expect(lines[0].body).toEqual({
+      CUST_CODE: 'C00013', CUST_NAME: '[REDACTED]', PHONE_NO: '[REDACTED]', outstanding_amt: '[REDACTED]'
+    });
+    expect(lines[0].headers.Authorization).toBe('[REDACTED]');
+  });
+
+  test('redacts the secrets of webhooks', () => {
+    const lines = [];
+    loggerTo(lines).info({
+      body: { URL: 'https://example.com/hooks', EVENTS: '*', SECRET: 'whsec-1' },
+      webhook: { secret: 'whsec-2' }
+    }, 'Received webhook data');
+    expect(lines[0].body).toEqual({ URL: 'https://example.com/hooks', EVENTS: '*', SECRET: '[REDACTED]' });
+    expect(lines[0].webhook.secret).toBe('[REDACTED]');
+  });
+
+  test('logs errors with their message and stack', () => {
+    const lines = [];
+    loggerTo(lines).error({ err: Object.assign(new Error('Connection lost'), { code: 'ECONNRESET' }) }, 'Request failed');
+    expect(lines[0].err).toMatchObject({ name: 'Error', message: 'Connection lost', code: 'ECONNRESET', stack: expect.any(String) });
+  });
+
+  test('rejects unknown levels', () => {
+    expect(() => createLogger({ level: 'verbose' })).toThrow(/Unknown log level verbose/);
+  });
+});
+
+describe('request logging', () => {
+  test('logs every request with its route and status, without customer data', async () => {
+    const { logger, entries } = createMemoryLogger();
+    const { db, as } = createTestApp({ logger });
+    db.on('SELECT AGENT_CODE FROM agents', [{ AGENT_CODE: 'A003  ' }]);
+    await as('admin').post('/customer').set('X-Request-Id', 'req-7').send({
+      CUST_CODE: 'C00099', CUST_NAME: 'Holmes', CUST_CITY: 'London', WORKING_AREA: 'London', CUST_COUNTRY: 'UK',
+      GRADE: 2, OPENING_AMT: '6000.00', RECEIVE_AMT: '5000.00', PAYMENT_AMT: '7000.00', OUTSTANDING_AMT: '4000.00',
+      PHONE_NO: '020-7946 0000', AGENT_CODE: 'A003'
+    });
+
+    expect(entries.find(({ msg }) => msg === 'Request answered')).toMatchObject({
+      requestId: 'req-7', method: 'POST', path: '/customer', route: '/customer', status: 201
+    });
+    expect(entries.find(({ msg }) => msg === 'Received customer data').body.PHONE_NO).toBe('[REDACTED]');
+    expect(JSON.stringify(entries)).not.toMatch(/020-7946|6000\.00/);
+  });
+});
@@ -0,0 +1,78 @@
+const { createMetrics } = require('../metrics');
+const { createRateLimiter } = require('../limits');
+const { createTestApp } = require('./helpers');
+
+describe('createMetrics', () => {
+  test('renders counters, histograms and gauges in the Prometheus text format', () => {
+    const metrics = createMetrics();
+    metrics.counter('jobs_total', 'Jobs done', ['queue']).inc({ queue: 'say "hi"' }, 2);
+    metrics.histogram('job_seconds', 'Job duration', [], [0.1, 1]).observe({}, 0.5);
+    metrics.gauge('workers', 'Workers busy', () => [{ value: 3 }]);
+
+    expect(metrics.render()).toBe([
+      '# HELP jobs_total Jobs done',
+      '# TYPE jobs_total counter',
+      'jobs_total{queue="say \\"hi\\""} 2',
+      '# HELP job_seconds Job duration',
+      '# TYPE job_seconds histogram',
+      'job_seconds_bucket{le="0.1"} 0',
+      'job_seconds_bucket{le="1"} 1',
+      'job_seconds_bucket{le="+Inf"} 1',
+      'job_seconds_sum 0.5',
+      'job_seconds_count 1',
+      '# HELP workers Workers busy',
+      '# TYPE workers gauge',
+      'workers 3',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('GET /metrics', () => {
+  test('exposes requests by route and status, query durations and the pool', async () => {
+    const { as } = createTestApp();
+    await as('readonly').get('/customer/C00013');
+    await as('readonly').get('/customer/C00014');
+
+    const res = await as('readonly').get('/metrics');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(res.text).toContain('http_requests_total{method="GET",route="/customer/:id",status="404"} 2');
+    expect(res.text).toContain('http_request_duration_seconds_count{method="GET",route="/customer/:id",status="404"} 2');
+    expect(res.text).toMatch(/^db_query_duration_seconds_count\{statement="SELECT"\} \d+$/m);
+    expect(res.text).toContain('db_pool_connections{state="active"} 0');
+    expect(res.text).toContain('db_pool_connections{state="idle"} 0');
+    expect(res.text).toContain('db_pool_waiting_requests 0');
+  });
+
+  test('takes no API key and is neither rate limited nor turned away while the database is overloaded', async () => {
+    const rateLimiter = createRateLimiter({ read: { capacity: 1, perMinute: 1 } });
+    const { db, as } = createTestApp({ rateLimiter, maxQueue: 3 });
+    db.pool.taskQueueSize = () => 4;
+
+    const statuses = [];
+    for (let i = 0; i < 3; i += 1) {
+      statuses.push((await as().get('/metrics')).status);
+    }
+    expect(statuses).toEqual([200, 200, 200]);
+    expect(db.queries).toHaveLength(0);
+  });
+
+  test('requires the scrape token when the server has one', async () => {
+    const { as } = createTestApp({ metricsToken: 'scrape-secret' });
+
+    let res = await as().get('/metrics');
+    expect(res.status).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+
+    res = await as().get('/metrics').set('Authorization', 'Bearer wrong');
+    expect(res.status).toBe(401);
+
+    res = await as('readonly').get('/metrics');
+    expect(res.status).toBe(401);
+
+    res = await as().get('/metrics').set('Authorization', 'Bearer scrape-secret');
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('db_pool_waiting_requests 0');
+  });
+});
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMigrator, readMigrations, splitStatements, MigrationError } = require('../migrations');
+const { tables, softDeleteColumns } = require('../schema');
+const { createFakeDb } = require('./fakeDb');
+
+// A directory with the given files, removed after the test
+const directories = [];
+function directoryWith(files) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  directories.push(directory);
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(directory, name), content);
+  }
+  return directory;
+}
+
+afterEach(() => {
+  directories.splice(0).forEach((directory) => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+// A fake database whose schema_migrations table holds the rows in applied
+const databaseWith = (applied = []) => {
+  const db = createFakeDb();
+  db.on(/^SELECT GET_LOCK/, [{ locked: 1 }]);
+  db.on('FROM schema_migrations', () => applied.map((row) => ({ ...row })));
+  db.on('INSERT INTO schema_migrations', ([VERSION, NAME, CHECKSUM]) => {
+    applied.push({ VERSION, NAME, CHECKSUM, APPLIED_AT: '2026-10-19 09:00:00' });
+    return { affectedRows: 1 };
+  });
+  db.on('DELETE FROM schema_migrations', ([version]) => {
+    applied.splice(applied.findIndex((row) => row.VERSION === version), 1);
+    return { affectedRows: 1 };
+  });
+  return db;
+};
+
+const migrationFiles = {
+  '0001_baseline.up.sql': 'CREATE TABLE a (ID int);\nCREATE TABLE b (ID int);\n',
+  '0001_baseline.down.sql': 'DROP TABLE b;\nDROP TABLE a;\n',
+  '0002_add_name.up.sql': '-- Names\nALTER TABLE a ADD NAME varchar(10);\n',
+  '0002_add_name.down.sql': 'ALTER TABLE a DROP NAME;\n',
+  '0010_index.up.sql': 'CREATE INDEX NAME ON a (NAME);\n'
+};
+
+const statementsRun = (db) => db.queries
+  .map(({ sql }) => sql)
+  .filter((sql) => !/GET_LOCK|RELEASE_LOCK|schema_migrations/.test(sql));
+
+describe('splitStatements', () => {
+  test('splits on the semicolons outside strings, names and comments', () => {
+    expect(splitStatements(`
+      -- A comment; not a statement
+      SET SQL_MODE="NO_AUTO_VALUE_ON_ZERO";
+      /* Block; comment */
+      INSERT INTO \`a;b\` (X) VALUES ('it''s; \\'quoted\\'', 'line\\r');
+      # Last one
+      DELETE FROM a
+    `)).toEqual([
+      'SET SQL_MODE="NO_AUTO_VALUE_ON_ZERO"',
+      "INSERT INTO `a;b` (X) VALUES ('it''s; \\'quoted\\'', 'line\\r')",
+      'DELETE FROM a'
+    ]);
+  });
+
+  test('rejects unterminated strings', () => {
+    expect(() => splitStatements("INSERT INTO a VALUES ('open);")).toThrow(MigrationError);
+  });
+});
+
+describe('readMigrations', () => {
+  test('orders migrations by the number of their version', () => {
+    const migrations = readMigrations(directoryWith(migrationFiles));
+    expect(migrations.map(({ version, name }) => `${version}_${name}`)).toEqual(['0001_baseline', '0002_add_name', '0010_index']);
+    expect(migrations[2].down).toBeNull();
+    expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('rejects files that are not named like migrations', () => {
+    expect(() => readMigrations(directoryWith({ 'add_name.sql': '' }))).toThrow(/add_name.sql isn't named/);
+    expect(() => readMigrations(directoryWith({ '0001_a.down.sql': '' }))).toThrow(/0001_a has no up file/);
+    expect(() => readMigrations(directoryWith({ '0001_a.up.sql': '', '0001_b.up.sql': '' })))
+      .toThrow(/Version 0001 is used by more than one migration/);
+  });
+
+  test('the migrations create every table of the schema and can be reverted', () => {
+    const migrations = readMigrations(path.join(__dirname, '..', 'migrations'));
+    const tablesOf = (sql, pattern) => splitStatements(sql)
+      .map((statement) => pattern.exec(statement))
+      .filter(Boolean)
+      .map((match) => match[1]);
+    const created = migrations.flatMap(({ up }) => tablesOf(up, /^CREATE TABLE IF NOT EXISTS `(\w+)`/));
+
+    expect(migrations[0].version).toBe('0001');
+    for (const { table } of Object.values(tables)) {
+      expect(created).toContain(table);
+    }
+    for (const { up, down } of migrations) {
+      expect(tablesOf(down, /^DROP TABLE IF EXISTS `(\w+)`$/).sort()).toEqual(tablesOf(up, /^CREATE TABLE IF NOT EXISTS `(\w+)`/).sort());
+      expect(splitStatements(up).filter((statement) => /^INSERT/i.test(statement))).toEqual([]);
+    }
+  });
+
+  test('the migrations create or add every column of the schema', () => {
+    const columns = {};
+    const names = (sql, pattern) => [...sql.matchAll(pattern)].map((match) => match[1]);
+    for (const { up } of readMigrations(path.join(__dirname, '..', 'migrations'))) {
+      for (const statement of splitStatements(up)) {
+        const created = /^CREATE TABLE IF NOT EXISTS `(\w+)`/.exec(statement);
+        const altered = /^ALTER TABLE `(\w+)`/.exec(statement);
+        if (created) {
+          columns[created[1]] = names(statement, /^\s+`(\w+)`/gm);
+        } else if (altered) {
+          columns[altered[1]].push(...names(statement, /ADD COLUMN `(\w+)`/g));
+        }
+      }
+    }
+
+    for (const { table, columns: described, softDelete } of Object.values(tables)) {
+      const expected = Object.keys({ ...described, ...(softDelete ? softDeleteColumns : {}) });
+      expect([table, columns[table].sort()]).toEqual([table, expected.sort()]);
+    }
+  });
+
+  test('the tables written in transactions end up on InnoDB', () => {
+    const engines = {};
+    for (const { up } of readMigrations(path.join(__dirname, '..', 'migrations'))) {
+      for (const statement of splitStatements(up)) {
+        const match = /^(?:CREATE TABLE IF NOT EXISTS|ALTER TABLE) `(\w+)`[^]*ENGINE=(\w+)/.exec(statement);
+        if (match) {
+          engines[match[1]] = match[2];
+        }
+      }
+    }
+
+    // listofitem stays on MyISAM: the API only reads it (GET /item), so it is
+    // never written in a transaction nor locked
+    const transactional = Object.values(tables).map(({ table }) => table).filter((table) => table !== 'listofitem');
+    for (const table of transactional) {
+      expect([table, engines[table]]).toEqual([table, 'InnoDB']);
+    }
+  });
+
+  test('the baseline is the schema of the db.sql dump, which only later migrations change', () => {
+    const [baseline] = readMigrations(path.join(__dirname, '..', 'migrations'));
+    const created = splitStatements(baseline.up).filter((statement) => /^CREATE TABLE/.test(statement));
+
+    expect(created).toHaveLength(10);
+    for (const statement of created) {
+      expect(statement).toMatch(/\) ENGINE=MyISAM DEFAULT CHARSET=latin1$/);
+      expect(statement).not.toMatch(/DELETED_AT|FOREIGN KEY|UNIQUE KEY `(ORD_NUM|SEMISTER)`/);
+    }
+  });
+
+  test('the sample seeds fill tables of the baseline', () => {
+    const [baseline] = readMigrations(path.join(__dirname, '..', 'migrations'));
+    const seeded = splitStatements(fs.readFileSync(path.join(__dirname, '..', 'seeds', 'sample.sql'), 'utf8'))
+      .map((statement) => /^INSERT INTO `(\w+)`/.exec(statement)[1]);
+
+    expect(seeded).toEqual(expect.arrayContaining(['agents', 'company', 'customer', 'foods', 'orders']));
+    for (const table of seeded) {
+      expect(baseline.up).toContain(`CREATE TABLE IF NOT EXISTS \`${table}\``);
+    }
+    expect(seeded.indexOf('company')).toBeLessThan(seeded.indexOf('foods'));
+    expect(seeded.indexOf('student')).toBeLessThan(seeded.indexOf('studentreport'));
+  });
+});
+
+describe('createMigrator', () => {
+  test('reports which migrations are applied', async () => {
+    const [baseline] = readMigrations(directoryWith(migrationFiles));
+    const db = databaseWith([
+      { VERSION: '0001', NAME: 'baseline', CHECKSUM: baseline.checksum, APPLIED_AT: '2026-10-01 12:00:00' },
+      { VERSION: '0003', NAME: 'removed', CHECKSUM: 'x', APPLIED_AT: '2026-10-02 12:00:00' }
+    ]);
+    const migrator = createMigrator(db.pool, { directory: directoryWith(migrationFiles) });
+
+    expect(await migrator.status()).toEqual([
+      { version: '0001', name: 'baseline', applied: true, appliedAt: '2026-10-01 12:00:00', changed: false, missing: false },
+      { version: '0002', name: 'add_name', applied: false, appliedAt: null, changed: false, missing: false },
+      { version: '0003', name: 'removed', applied: true, appliedAt: '2026-10-02 12:00:00', changed: false, missing: true },
+      { version: '0010', name: 'index', applied: false, appliedAt: null, changed: false, missing: false }
+    ]);
+    expect(db.queriesMatching(/^CREATE TABLE IF NOT EXISTS schema_migrations/)).toHaveLength(1);
+    expect(db.queriesMatching(/^SELECT RELEASE_LOCK/)).toHaveLength(1);
+    expect(db.openConnections()).toBe(0);
+  });
+
+  test('applies the pending migrations in order and records them', async () => {
+    const applied = [];
+    const db = databaseWith(applied);
+    const log = jest.fn();
+    const migrator = createMigrator(db.pool, { directory: directoryWith(migrationFiles), log });
+
+    expect(await migrator.up({ to: '2' })).toEqual([{ version: '0001', name: 'baseline' }, { version: '0002', name: 'add_name' }]);
+    expect(statementsRun(db)).toEqual(['CREATE TABLE a (ID int)', 'CREATE TABLE b (ID int)', 'ALTER TABLE a ADD NAME varchar(10)']);
+    expect(applied.map((row) => row.VERSION)).toEqual(['0001', '0002']);
+    expect(log).toHaveBeenCalledWith('Applying 0001_baseline');
+
+    expect(await migrator.up()).toEqual([{ version: '0010', name: 'index' }]);
+    expect(await migrator.up()).toEqual([]);
+  });
+
+  test('stops at the failed statement, leaving the migration unrecorded', async () => {
+    const applied = [];
+    const db = databaseWith(applied);
+    db.on('CREATE TABLE b', Object.assign(new Error("Table 'b' already exists"), { code: 'ER_TABLE_EXISTS_ERROR', errno: 1050 }));
+    const migrator = createMigrator(db.pool, { directory: directoryWith(migrationFiles) });
+
+    await expect(migrator.up()).rejects.toThrow("Migration 0001_baseline failed at statement 2 of 2: Table 'b' already exists");
+    expect(applied).toEqual([]);
+    expect(db.queriesMatching(/^SELECT RELEASE_LOCK/)).toHaveLength(1);
+    expect(db.openConnections()).toBe(0);
+  });
+
+  test('reverts the last migrations applied', async () => {
+    const directory = directoryWith(migrationFiles);
+    const applied = [];
+    const db = databaseWith(applied);
+    const migrator = createMigrator(db.pool, { directory });
+    await migrator.up({ to: '2' });
+    db.queries.length = 0;
+
+    expect(await migrator.down()).toEqual([{ version: '0002', name: 'add_name' }]);
+    expect(statementsRun(db)).toEqual(['ALTER TABLE a DROP NAME']);
+    expect(applied.map((row) => row.VERSION)).toEqual(['0001']);
+
+    await migrator.up();
+    await expect(migrator.down({ to: '0' })).rejects.toThrow("Migration 0010_index has no down file and can't be reverted");
+  });
+
+  test('refuses to migrate when an applied migration changed', async () => {
+    const db = databaseWith([{ VERSION: '0001', NAME: 'baseline', CHECKSUM: 'old', APPLIED_AT: '2026-10-01 12:00:00' }]);
+    const migrator = createMigrator(db.pool, { directory: directoryWith(migrationFiles) });
+
+    await expect(migrator.up()).rejects.toThrow("Applied migrations don't match their files: 0001_baseline (changed since applied)");
+    expect(statementsRun(db)).toEqual([]);
+  });
+
+  test('refuses to migrate while another runner holds the lock', async () => {
+    const db = databaseWith();
+    db.on(/^SELECT GET_LOCK/, [{ locked: 0 }]);
+    const migrator = createMigrator(db.pool, { directory: directoryWith(migrationFiles) });
+
+    await expect(migrator.up()).rejects.toThrow(/Another migration is running/);
+    expect(db.queriesMatching('schema_migrations')).toEqual([]);
+    expect(db.openConnections()).toBe(0);
+  });
+
+  describe('seed', () => {
+    const seeds = {
+      '01_company.sql': "INSERT INTO `company` (`COMPANY_ID`) VALUES ('18');",
+      '02_foods.sql': "INSERT INTO foods (ITEM_ID, COMPANY_ID) VALUES ('1', '18');"
+    };
+
+    const migrated = (db) => createMigrator(db.pool, {
+      directory: directoryWith({ '0001_baseline.up.sql': 'CREATE TABLE company (COMPANY_ID varchar(6))' }),
+      seedsDirectory: directoryWith(seeds)
+    });
+
+    test('loads the seeds into empty tables in one transaction', async () => {
+      const db = databaseWith();
+      db.on(/^SELECT COUNT\(\*\) AS total FROM/, [{ total: 0 }]);
+      const migrator = migrated(db);
+      await migrator.up();
+      db.queries.length = 0;
+
+      expect(await migrator.seed()).toEqual(['01_company.sql', '02_foods.sql']);
+      expect(statementsRun(db)).toEqual([
+        'SELECT COUNT(*) AS total FROM `company`',
+        'SELECT COUNT(*) AS total FROM `foods`',
+        'START TRANSACTION',
+        seeds['01_company.sql'].slice(0, -1),
+        seeds['02_foods.sql'].slice(0, -1),
+        'COMMIT'
+      ]);
+    });
+
+    test('refuses tables that already have rows', async () => {
+      const db = databaseWith();
+      db.on(/^SELECT COUNT\(\*\) AS total FROM/, [{ total: 0 }]);
+      db.on('SELECT COUNT(*) AS total FROM `foods`', [{ total: 3 }]);
+      const migrator = migrated(db);
+      await migrator.up();
+
+      await expect(migrator.seed()).rejects.toThrow('Seeds are only loaded into empty tables; foods already have rows');
+      expect(db.queriesMatching('INSERT INTO `company`')).toEqual([]);
+    });
+
+    test('refuses a database with pending migrations', async () => {
+      await expect(migrated(databaseWith()).seed()).rejects.toThrow('Apply the pending migrations before seeding: 0001_baseline');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { createTestApp, createMemoryLogger, dbError, driverError } = require('./helpers');
+
+let db;
+let as;
+
+beforeEach(() => {
+  ({ db, as } = createTestApp());
+});
+
+afterEach(() => {
+  expect(db.openConnections()).toBe(0);
+  jest.restoreAllMocks();
+});
+
+describe('error responses', () => {
+  test('are problem details carrying the request id', async () => {
+    const res = await as('admin').get('/customer/C99999').set('X-Request-Id', 'req-42');
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toEqual({
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: 'Customer not found',
+      instance: '/customer/C99999',
+      requestId: 'req-42'
+    });
+  });
+
+  test('list the invalid fields of a validation problem', async () => {
+    const res = await as('admin').post('/agent').send({ AGENT_CODE: 'A099' });
+    expect(res.status).toBe(400);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body.errors.map((error) => error.path)).toContain('AGENT_NAME');
+  });
+
+  test('answer authentication failures', async () => {
+    const res = await as().get('/customer');
+    expect(res.status).toBe(401);
+    expect(res.body).toMatchObject({ status: 401, detail: 'Authentication required' });
+  });
+
+  test('answer unknown routes', async () => {
+    const res = await as('admin').get('/nowhere');
+    expect(res.status).toBe(404);
+    expect(res.body).toMatchObject({ status: 404, detail: 'No route for GET /nowhere' });
+  });
+
+  test('answer malformed JSON bodies', async () => {
+    const res = await as('admin').post('/agent').set('Content-Type', 'application/json').send('{"AGENT_CODE":');
+    expect(res.status).toBe(400);
+    expect(res.body.status).toBe(400);
+  });
+});
+
+describe('database errors', () => {
+  test('map foreign key violations to 422', async () => {
+    db.on('INSERT INTO orders', driverError('ER_NO_REFERENCED_ROW_2', 1452,
+      'Cannot add or update a child row: a foreign key constraint fails'));
+    db.on('SELECT CUST_CODE FROM customer', [{ CUST_CODE: 'C00013' }]);
+    db.on('SELECT AGENT_CODE FROM agents', [{ AGENT_CODE: 'A003  ' }]);
+    const res = await as('admin').post('/order').send({
+      ORD_NUM: 200200, ORD_AMOUNT: '1000.00', ADVANCE_AMOUNT: '100.00', ORD_DATE: '2024-03-01',
+      CUST_CODE: 'C00013', AGENT_CODE: 'A003', ORD_DESCRIPTION: 'SOD'
+    });
+    expect(res.status).toBe(422);
+    expect(res.body.detail).not.toMatch(/constraint/);
+  });
+
+  test('map a taken order number, refused by the unique key of orders, to 409', async () => {
+    db.on('INSERT INTO orders', driverError('ER_DUP_ENTRY', 1062, "Duplicate entry '200200' for key 'ORD_NUM'"));
+    db.on('SELECT CUST_CODE FROM customer', [{ CUST_CODE: 'C00013' }]);
+    db.on('SELECT AGENT_CODE FROM agents', [{ AGENT_CODE: 'A003  ' }]);
+    const res = await as('admin').post('/order').send({
+      ORD_NUM: 200200, ORD_AMOUNT: '1000.00', ADVANCE_AMOUNT: '100.00', ORD_DATE: '2024-03-01',
+      CUST_CODE: 'C00013', AGENT_CODE: 'A003', ORD_DESCRIPTION: 'SOD'
+    });
+    expect(res.status).toBe(409);
+    expect(db.queriesMatching(/^ROLLBACK/)).toHaveLength(1);
+  });
+
+  test('log the message of the driver, which names keys and columns, but not show it to the client', async () => {
+    const { logger, entries } = createMemoryLogger();
+    ({ db, as } = createTestApp({ logger }));
+    db.on('INSERT INTO agents', driverError('ER_DUP_ENTRY', 1062, "Duplicate entry 'A099' for key 'PRIMARY'"));
+    const res = await as('admin').post('/agent').send({ AGENT_CODE: 'A099', AGENT_NAME: 'Lestrade' });
+    expect(res.status).toBe(409);
+    expect(res.body.detail).toBe('A record with this key already exists');
+    expect(entries.find(({ msg }) => msg === 'Request refused')).toMatchObject({
+      status: 409,
+      sqlMessage: "Duplicate entry 'A099' for key 'PRIMARY'"
+    });
+  });
+
+  test('are logged with the request id and not shown to the client', async () => {
+    const { logger, entries } = createMemoryLogger();
+    ({ db, as } = createTestApp({ logger }));
+    db.on('INSERT INTO agents', dbError());
+    const res = await as('admin').post('/agent').set('X-Request-Id', 'req-500')
+      .send({ AGENT_CODE: 'A099', AGENT_NAME: 'Lestrade' });
+    expect(res.status).toBe(500);
+    expect(res.body.requestId).toBe('req-500');
+    expect(res.body.detail).not.toMatch(/Connection lost/);
+    expect(entries.find(({ level }) => level === 'error')).toMatchObject({
+      requestId: 'req-500',
+      msg: 'Request failed',
+      err: { message: expect.stringMatching(/Connection lost/) }
+    });
+  });
+});
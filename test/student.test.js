@@ -0,0 +1,159 @@
+const { createTestApp } = require('./helpers');
+
+const deepak = { NAME: 'Deepak', TITLE: 'Saxana', CLASS: 'V', SECTION: 'A', ROLLID: '15' };
+
+// Reports as the database returns them, padded
+const reports = [
+  { CLASS: 'V    ', SECTION: 'A', ROLLID: '15', GRADE: 'A++  ', SEMISTER: '1St  ', CLASS_ATTENDED: '75' },
+  { CLASS: 'V    ', SECTION: 'A', ROLLID: '16', GRADE: 'AA   ', SEMISTER: '1St  ', CLASS_ATTENDED: '90' },
+  { CLASS: 'V    ', SECTION: 'A', ROLLID: '15', GRADE: 'AA   ', SEMISTER: '2Nd  ', CLASS_ATTENDED: '85' },
+  { CLASS: 'V    ', SECTION: 'A', ROLLID: '16', GRADE: 'AA   ', SEMISTER: '2Nd  ', CLASS_ATTENDED: null }
+];
+
+let db;
+let as;
+
+beforeEach(() => {
+  ({ db, as } = createTestApp());
+});
+
+afterEach(() => {
+  expect(db.openConnections()).toBe(0);
+});
+
+describe('POST /student', () => {
+  test('adds the student', async () => {
+    const res = await as('admin').post('/student').send(deepak);
+    expect(res.status).toBe(201);
+    expect(res.body.key).toBe('V-A-15');
+    expect(db.queriesMatching('INSERT INTO student')[0].values).toEqual(['Deepak', 'Saxana', 'V', 'A', '15']);
+  });
+
+  test('answers 409 when the roll number is taken', async () => {
+    db.on('SELECT CLASS, SECTION, ROLLID FROM student WHERE CLASS = ? AND SECTION = ? AND ROLLID = ?', [deepak]);
+    const res = await as('admin').post('/student').send(deepak);
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('GET /student/:key', () => {
+  test('finds the student by CLASS-SECTION-ROLLID', async () => {
+    db.on(/^SELECT NAME, .* FROM student WHERE CLASS = \?/, [deepak]);
+    const res = await as('readonly').get('/student/V-A-15');
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('FROM student WHERE')[0].values).toEqual(['V', 'A', '15']);
+  });
+
+  test('rejects malformed keys', async () => {
+    const res = await as('readonly').get('/student/V-15');
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('must be CLASS-SECTION-ROLLID, e.g. V-A-15');
+  });
+});
+
+describe('DELETE /student/:key', () => {
+  beforeEach(() => {
+    db.on('SELECT CLASS, SECTION, ROLLID FROM student', [deepak]);
+    db.on('SELECT COUNT(*) AS total FROM studentreport', [{ total: 2 }]);
+  });
+
+  test('answers 409 while the student has reports', async () => {
+    const res = await as('admin').delete('/student/V-A-15');
+    expect(res.status).toBe(409);
+    expect(res.body.reports).toBe(2);
+    expect(db.queriesMatching('DELETE FROM')).toHaveLength(0);
+  });
+
+  test('deletes the reports with the student in one transaction on cascade', async () => {
+    db.on('DELETE FROM studentreport', { affectedRows: 2 });
+    const res = await as('admin').delete('/student/V-A-15?cascade=true');
+    expect(res.status).toBe(200);
+    expect(res.body.deletedReports).toBe(2);
+    expect(db.queries.map(({ sql }) => sql).filter((sql) => /^(BEGIN|COMMIT|DELETE)/.test(sql))).toEqual([
+      'BEGIN',
+      'DELETE FROM studentreport WHERE CLASS = ? AND SECTION = ? AND ROLLID = ?',
+      'DELETE FROM student WHERE CLASS = ? AND SECTION = ? AND ROLLID = ?',
+      'COMMIT'
+    ]);
+  });
+});
+
+describe('student reports', () => {
+  test('adds a report of a semester', async () => {
+    db.on('SELECT CLASS, SECTION, ROLLID FROM student', [deepak]);
+    const res = await as('admin').post('/student/V-A-15/report').send({ GRADE: 'A+', SEMISTER: '3Rd', CLASS_ATTENDED: 80 });
+    expect(res.status).toBe(201);
+    expect(db.queriesMatching('INSERT INTO studentreport')[0].values).toEqual(['V', 'A', '15', 'A+', '3Rd', 80]);
+  });
+
+  test('requires the semester', async () => {
+    db.on('SELECT CLASS, SECTION, ROLLID FROM student', [deepak]);
+    const res = await as('admin').post('/student/V-A-15/report').send({ GRADE: 'A+' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(({ path }) => path)).toEqual(['SEMISTER']);
+  });
+
+  test('answers 404 for reports of unknown students', async () => {
+    const res = await as('admin').post('/student/V-A-99/report').send({ GRADE: 'A+', SEMISTER: '1St' });
+    expect(res.status).toBe(404);
+  });
+
+  test('replaces the report of a semester', async () => {
+    const res = await as('admin').put('/student/V-A-15/report/1St').send({ GRADE: 'A', CLASS_ATTENDED: 60 });
+    expect(res.status).toBe(200);
+    expect(db.queriesMatching('UPDATE studentreport')[0].values).toEqual(['A', 60, 'V', 'A', '15', '1St']);
+  });
+});
+
+describe('GET /student/:key/transcript', () => {
+  test('answers the reports of every semester with the attendance', async () => {
+    db.on(/^SELECT NAME, .* FROM student WHERE/, [deepak]);
+    db.on(/FROM studentreport WHERE CLASS = \? AND SECTION = \? AND ROLLID = \? ORDER BY SEMISTER/, [reports[0], reports[2]]);
+    const res = await as('readonly').get('/student/V-A-15/transcript');
+    expect(res.status).toBe(200);
+    expect(res.body.reports).toHaveLength(2);
+    expect(res.body.attendance).toEqual({ reports: 2, total: 160, min: 75, max: 85, average: 80 });
+  });
+
+  test('answers 404 for unknown students', async () => {
+    const res = await as('readonly').get('/student/V-A-99/transcript');
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /class/:class/section/:section/summary', () => {
+  test('answers the grades and attendance, overall and per semester', async () => {
+    db.on('SELECT COUNT(*) AS total FROM student WHERE CLASS = ? AND SECTION = ?', [{ total: 2 }]);
+    db.on(/FROM studentreport WHERE CLASS = \? AND SECTION = \?/, reports);
+    const res = await as('readonly').get('/class/V/section/A/summary');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      CLASS: 'V',
+      SECTION: 'A',
+      students: 2,
+      reports: 4,
+      grades: [{ GRADE: 'AA', count: 3 }, { GRADE: 'A++', count: 1 }],
+      attendance: { reports: 3, total: 250, min: 75, max: 90, average: 83.33 },
+      bySemester: [
+        {
+          SEMISTER: '1St',
+          reports: 2,
+          grades: [{ GRADE: 'A++', count: 1 }, { GRADE: 'AA', count: 1 }],
+          attendance: { reports: 2, total: 165, min: 75, max: 90, average: 82.5 }
+        },
+        {
+          SEMISTER: '2Nd',
+          reports: 2,
+          grades: [{ GRADE: 'AA', count: 2 }],
+          attendance: { reports: 1, total: 85, min: 85, max: 85, average: 85 }
+        }
+      ]
+    });
+  });
+
+  test('answers 404 for class sections without students', async () => {
+    db.on('SELECT COUNT(*) AS total FROM student', [{ total: 0 }]);
+    const res = await as('readonly').get('/class/IX/section/Z/summary');
+    expect(res.status).toBe(404);
+  });
+});
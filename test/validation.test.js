@@ -0,0 +1,20 @@
+const { swaggerSchemas } = require('../validation');
+
+describe('swaggerSchemas', () => {
+  const schemas = swaggerSchemas();
+
+  test('documents the tables with a component', () => {
+    expect(Object.keys(schemas)).toEqual(expect.arrayContaining(['Agent', 'Company', 'Customer', 'Order', 'Despatch']));
+    expect(schemas).not.toHaveProperty('users');
+  });
+
+  test('carry the limits the validation applies', () => {
+    const { properties, required } = schemas.Customer;
+    expect(required).toEqual(expect.arrayContaining(['CUST_CODE', 'CUST_NAME', 'OPENING_AMT']));
+    expect(required).not.toContain('AGENT_CODE');
+    expect(properties.CUST_NAME).toEqual({ type: 'string', maxLength: 40 });
+    expect(properties.OPENING_AMT).toMatchObject({ type: 'string', format: 'decimal', pattern: '^-?\\d{1,10}(\\.\\d{1,2})?$' });
+    expect(properties.AGENT_CODE).toMatchObject({ nullable: true, description: 'Must be the key of an existing Agent.' });
+    expect(properties.DELETED_AT).toMatchObject({ readOnly: true });
+  });
+});
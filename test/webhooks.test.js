@@ -0,0 +1,359 @@
+const http = require('http');
+const { createTestApp, createMemoryLogger, dbError } = require('./helpers');
+const { createFakeDb } = require('./fakeDb');
+const { createRepositories } = require('../repositories');
+const { createDispatcher, signatureOf } = require('../webhooks');
+
+const hook = {
+  WEBHOOK_ID: 1, URL: 'https://example.com/hooks', EVENTS: '*', SECRET: 'a-secret-of-16-chars',
+  CREATED_BY: 'admin', CREATED_AT: '2026-10-19 09:00:00'
+};
+
+const newCustomer = {
+  CUST_CODE: 'C00099', CUST_NAME: 'Watson', CUST_CITY: 'London', WORKING_AREA: 'London', CUST_COUNTRY: 'UK',
+  GRADE: '1', OPENING_AMT: '1000.00', RECEIVE_AMT: '0.00', PAYMENT_AMT: '0.00', OUTSTANDING_AMT: '1000.00',
+  PHONE_NO: '020-7946 0000', AGENT_CODE: 'A003'
+};
+
+const alex = {
+  AGENT_CODE: 'A003  ', AGENT_NAME: 'Alex', WORKING_AREA: 'London', COMMISSION: '0.13',
+  PHONE_NO: '075-12458969', COUNTRY: '', DELETED_AT: null, DELETED_BY: null
+};
+
+const order = {
+  ORD_NUM: '200100', ORD_AMOUNT: '1000.00', ADVANCE_AMOUNT: '600.00', ORD_DATE: '2008-08-01',
+  CUST_CODE: 'C00013', AGENT_CODE: 'A003', ORD_DESCRIPTION: 'SOD'
+};
+
+const delivery = {
+  DELIVERY_ID: 7, WEBHOOK_ID: 1, EVENT_ID: '6f1c4a3e-8f2b-4c55-9a8e-2d4b7f0e1a11', EVENT: 'customer.created',
+  PAYLOAD: '{"id":"6f1c4a3e-8f2b-4c55-9a8e-2d4b7f0e1a11","event":"customer.created","data":{}}',
+  STATUS: 'pending', ATTEMPTS: 0, NEXT_ATTEMPT_AT: '2026-10-19 09:00:00', LAST_STATUS: null, LAST_ERROR: null,
+  CREATED_AT: '2026-10-19 09:00:00', DELIVERED_AT: null
+};
+
+let db;
+let as;
+
+beforeEach(() => {
+  ({ db, as } = createTestApp());
+});
+
+afterEach(() => {
+  expect(db.openConnections()).toBe(0);
+});
+
+// The deliveries written to the outbox, as { WEBHOOK_ID, EVENT, payload }
+const outbox = () => db.queriesMatching('INSERT INTO webhook_outbox')
+  .map(({ values: [WEBHOOK_ID, , EVENT, PAYLOAD] }) => ({ WEBHOOK_ID, EVENT, payload: JSON.parse(PAYLOAD) }));
+
+describe('publishing events', () => {
+  beforeEach(() => {
+    db.on(/FROM webhooks ORDER BY WEBHOOK_ID/, [hook, { ...hook, WEBHOOK_ID: 2, EVENTS: 'order.created,order.deleted' }]);
+    db.on(/^SELECT AGENT_CODE FROM agents WHERE AGENT_CODE = \?/, [{ AGENT_CODE: 'A003  ' }]);
+  });
+
+  test('writes customer.created to the outbox of the subscribed webhooks, in the transaction of the insert', async () => {
+    let customer = null;
+    db.on(/FROM customer WHERE CUST_CODE = \?/, () => (customer ? [customer] : []));
+    db.on('INSERT INTO customer', () => {
+      customer = { ...newCustomer, DELETED_AT: null, DELETED_BY: null };
+      return { affectedRows: 1 };
+    });
+
+    const res = await as('admin').post('/customer').send(newCustomer).set('X-Request-Id', 'req-1');
+    expect(res.status).toBe(201);
+
+    const [delivery, ...others] = outbox();
+    expect(others).toEqual([]);
+    expect(delivery).toEqual({
+      WEBHOOK_ID: 1,
+      EVENT: 'customer.created',
+      payload: {
+        id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+        event: 'customer.created',
+        occurredAt: expect.any(String),
+        requestId: 'req-1',
+        data: { customer: expect.objectContaining({ CUST_CODE: 'C00099', CUST_NAME: 'Watson' }) }
+      }
+    });
+
+    const sql = db.queries.map((query) => query.sql);
+    const position = (prefix) => sql.findIndex((statement) => statement.startsWith(prefix));
+    expect(position('BEGIN')).toBeLessThan(position('INSERT INTO customer'));
+    expect(position('INSERT INTO customer')).toBeLessThan(position('INSERT INTO webhook_outbox'));
+    expect(position('INSERT INTO webhook_outbox')).toBeLessThan(position('COMMIT'));
+  });
+
+  test('rolls the change back when the event cannot be written', async () => {
+    db.on(/FROM customer WHERE CUST_CODE = \?/, () => (db.queriesMatching('INSERT INTO customer').length ? [newCustomer] : []));
+    db.on('INSERT INTO webhook_outbox', dbError());
+
+    const res = await as('admin').post('/customer').send(newCustomer);
+    expect(res.status).toBe(500);
+    expect(db.queriesMatching(/^ROLLBACK/)).toHaveLength(1);
+    expect(db.queriesMatching(/^COMMIT/)).toHaveLength(0);
+  });
+
+  test('writes customer.balance_changed for ledger postings', async () => {
+    let customer = { ...newCustomer, AGENT_CODE: 'A003  ', DELETED_AT: null, DELETED_BY: null };
+    db.on(/FROM customer WHERE CUST_CODE = \?/, () => [customer]);
+    db.on('UPDATE customer', () => {
+      customer = { ...customer, RECEIVE_AMT: '100.00', OUTSTANDING_AMT: '900.00' };
+      return { affectedRows: 1 };
+    });
+
+    const res = await as('admin').post('/customer/C00099/transactions').send({ TXN_TYPE: 'RECEIPT', TXN_AMOUNT: '100.00' });
+    expect(res.status).toBe(201);
+
+    expect(outbox().map(({ EVENT, payload }) => [EVENT, payload.data.changes])).toEqual([
+      ['customer.balance_changed', {
+        RECEIVE_AMT: { old: '0.00', new: '100.00' },
+        OUTSTANDING_AMT: { old: '1000.00', new: '900.00' }
+      }]
+    ]);
+  });
+
+  test('writes agent.commission_changed only when the commission changes', async () => {
+    let agent = alex;
+    db.on(/FROM agents WHERE AGENT_CODE = \?/, () => [agent]);
+    db.on('UPDATE agents', (values) => {
+      agent = { ...agent, WORKING_AREA: values[1], COMMISSION: values[2] };
+      return { affectedRows: 1 };
+    });
+    const replacement = { AGENT_NAME: 'Alex', WORKING_AREA: 'London', COMMISSION: '0.13', PHONE_NO: '075-12458969', COUNTRY: '' };
+
+    await as('admin').put('/agent/A003').send({ ...replacement, WORKING_AREA: 'Bangalore' });
+    expect(outbox()).toEqual([]);
+
+    expect((await as('admin').put('/agent/A003').send({ ...replacement, COMMISSION: '0.15' })).status).toBe(200);
+    expect(outbox().map(({ EVENT, payload }) => [EVENT, payload.data.changes])).toEqual([
+      ['agent.commission_changed', { COMMISSION: { old: '0.13', new: '0.15' } }]
+    ]);
+  });
+
+  test('rolls a commission change back with its event', async () => {
+    let agent = alex;
+    db.on(/FROM agents WHERE AGENT_CODE = \?/, () => [agent]);
+    db.on('UPDATE agents', (values) => {
+      agent = { ...agent, COMMISSION: values[2] };
+      return { affectedRows: 1 };
+    });
+    db.on('INSERT INTO webhook_outbox', dbError());
+
+    const res = await as('admin').put('/agent/A003')
+      .send({ AGENT_NAME: 'Alex', WORKING_AREA: 'London', COMMISSION: '0.15', PHONE_NO: '075-12458969', COUNTRY: '' });
+    expect(res.status).toBe(500);
+
+    const sql = db.queries.map((query) => query.sql);
+    const position = (prefix) => sql.findIndex((statement) => statement.startsWith(prefix));
+    expect(position('BEGIN')).toBeLessThan(position('UPDATE agents'));
+    expect(position('UPDATE agents')).toBeLessThan(position('INSERT INTO webhook_outbox'));
+    expect(position('INSERT INTO webhook_outbox')).toBeLessThan(position('ROLLBACK'));
+    expect(db.queriesMatching(/^COMMIT/)).toHaveLength(0);
+  });
+
+  test('writes order.deleted for the order routes', async () => {
+    let row = order;
+    db.on(/FROM orders WHERE ORD_NUM = \?/, () => (row ? [row] : []));
+    db.on(/^SELECT COALESCE\(SUM\(DES_AMOUNT\), 0\) AS total FROM despatch/, [{ total: '0.00' }]);
+    db.on('DELETE FROM orders', () => {
+      row = null;
+      return { affectedRows: 1 };
+    });
+
+    expect((await as('admin').delete('/order/200100')).status).toBe(200);
+
+    expect(outbox()).toEqual([
+      { WEBHOOK_ID: 1, EVENT: 'order.deleted', payload: expect.objectContaining({ data: { order } }) },
+      { WEBHOOK_ID: 2, EVENT: 'order.deleted', payload: expect.objectContaining({ data: { order } }) }
+    ]);
+    const [first, second] = outbox();
+    expect(first.payload.id).toBe(second.payload.id);
+  });
+
+  test('writes nothing when no webhook is subscribed', async () => {
+    db.on(/FROM webhooks ORDER BY WEBHOOK_ID/, [{ ...hook, EVENTS: 'order.created' }]);
+    db.on(/FROM customer WHERE CUST_CODE = \?/, () => (db.queriesMatching('INSERT INTO customer').length ? [newCustomer] : []));
+
+    expect((await as('admin').post('/customer').send(newCustomer)).status).toBe(201);
+    expect(outbox()).toEqual([]);
+  });
+});
+
+describe('POST /webhook', () => {
+  beforeEach(() => {
+    db.on('INSERT INTO webhooks', { affectedRows: 1, insertId: 1 });
+    db.on(/FROM webhooks WHERE WEBHOOK_ID = \?/, () => [{ ...hook, SECRET: db.queriesMatching('INSERT INTO webhooks')[0].values[2] }]);
+  });
+
+  test('adds the webhook with a generated secret', async () => {
+    const res = await as('admin').post('/webhook').send({ URL: hook.URL, EVENTS: 'customer.created,order.created' });
+    expect(res.status).toBe(201);
+    expect(res.body.SECRET).toMatch(/^[0-9a-f]{64}$/);
+    expect(db.queriesMatching('INSERT INTO webhooks')[0].values)
+      .toEqual([hook.URL, 'customer.created,order.created', res.body.SECRET, 'admin']);
+  });
+
+  test('keeps the secret it is sent', async () => {
+    const res = await as('admin').post('/webhook').send({ URL: hook.URL, EVENTS: '*', SECRET: hook.SECRET });
+    expect(res.status).toBe(201);
+    expect(res.body.SECRET).toBe(hook.SECRET);
+  });
+
+  test('rejects invalid URLs, unknown events and short secrets', async () => {
+    const res = await as('admin').post('/webhook').send({ URL: 'ftp://example.com', EVENTS: 'customer.created,customer.deleted', SECRET: 'short' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.path).sort()).toEqual(['EVENTS', 'SECRET', 'URL']);
+    expect(db.queriesMatching('INSERT INTO webhooks')).toHaveLength(0);
+  });
+
+  test('only admins can add webhooks', async () => {
+    expect((await as('agent').post('/webhook').send({ URL: hook.URL, EVENTS: '*' })).status).toBe(403);
+  });
+});
+
+describe('reading and changing webhooks', () => {
+  test('never answers the secret', async () => {
+    db.on(/FROM webhooks/, [hook]);
+    db.on(/^SELECT COUNT\(\*\) AS total FROM webhooks/, [{ total: 1 }]);
+
+    const one = await as('admin').get('/webhook/1');
+    expect(one.status).toBe(200);
+    expect(one.body).not.toHaveProperty('SECRET');
+
+    expect((await as('admin').get('/webhook')).status).toBe(200);
+    expect(db.queriesMatching(/^SELECT WEBHOOK_ID, .* FROM webhooks WHERE/)[0].sql).toBeDefined();
+    expect(db.queriesMatching(/^SELECT .* FROM webhooks ORDER BY/)[0].sql).not.toContain('SECRET');
+    expect((await as('admin').get('/webhook?fields=SECRET')).status).toBe(400);
+  });
+
+  test('keeps the secret unless PUT rotates it', async () => {
+    expect((await as('admin').put('/webhook/1').send({ URL: hook.URL, EVENTS: 'order.updated' })).status).toBe(200);
+    expect((await as('admin').put('/webhook/1').send({ URL: hook.URL, EVENTS: '*', SECRET: 'b-secret-of-16-chars' })).status).toBe(200);
+
+    const [kept, rotated] = db.queriesMatching('UPDATE webhooks');
+    expect(kept.sql).not.toContain('SECRET');
+    expect(rotated.values).toEqual([hook.URL, '*', 'b-secret-of-16-chars', '1']);
+  });
+
+  test('answers 404 for unknown webhooks', async () => {
+    db.on('UPDATE webhooks', { affectedRows: 0 });
+    db.on('DELETE FROM webhooks', { affectedRows: 0 });
+
+    expect((await as('admin').get('/webhook/9')).status).toBe(404);
+    expect((await as('admin').put('/webhook/9').send({ URL: hook.URL, EVENTS: '*' })).status).toBe(404);
+    expect((await as('admin').delete('/webhook/9')).status).toBe(404);
+  });
+});
+
+describe('deliveries', () => {
+  test('lists the dead-letter deliveries', async () => {
+    db.on(/FROM webhook_outbox WHERE STATUS = \?/, [{ ...delivery, STATUS: 'dead', ATTEMPTS: 8 }]);
+    db.on(/^SELECT COUNT\(\*\) AS total FROM webhook_outbox/, [{ total: 1 }]);
+
+    const res = await as('admin').get('/webhook/deliveries?STATUS=dead');
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((row) => row.DELIVERY_ID)).toEqual([7]);
+    expect(db.queriesMatching(/ORDER BY DELIVERY_ID DESC/)[0].values).toEqual(['dead', 20, 0]);
+  });
+
+  test('replays a dead delivery, but not a pending one', async () => {
+    db.on(/FROM webhook_outbox WHERE DELIVERY_ID = \?/, [{ DELIVERY_ID: 7, STATUS: 'dead' }]);
+    expect((await as('admin').post('/webhook/deliveries/7/replay')).status).toBe(202);
+    expect(db.queriesMatching(/^UPDATE webhook_outbox SET STATUS = 'pending', ATTEMPTS = 0/)[0].values).toEqual(['7']);
+
+    db.on(/FROM webhook_outbox WHERE DELIVERY_ID = \?/, [{ DELIVERY_ID: 7, STATUS: 'pending' }]);
+    expect((await as('admin').post('/webhook/deliveries/7/replay')).status).toBe(409);
+    expect(db.queriesMatching(/^UPDATE webhook_outbox/)).toHaveLength(1);
+
+    expect((await as('admin').post('/webhook/deliveries/8/replay').send()).status).toBe(409);
+  });
+
+  test('replays every dead delivery of a webhook', async () => {
+    db.on(/^UPDATE webhook_outbox SET STATUS = 'pending'/, { affectedRows: 3 });
+
+    const res = await as('admin').post('/webhook/deliveries/replay?WEBHOOK_ID=1');
+    expect(res.status).toBe(202);
+    expect(res.body.replayed).toBe(3);
+    expect(db.queriesMatching(/WHERE STATUS = 'dead' AND WEBHOOK_ID = \?/)[0].values).toEqual([1]);
+  });
+
+  test('answers 404 for unknown deliveries', async () => {
+    expect((await as('admin').get('/webhook/deliveries/9')).status).toBe(404);
+  });
+});
+
+describe('createDispatcher', () => {
+  let outboxDb;
+  let repositories;
+
+  beforeEach(() => {
+    outboxDb = createFakeDb();
+    outboxDb.on(/FROM webhooks WHERE WEBHOOK_ID = \?/, [hook]);
+    outboxDb.on(/FROM webhook_outbox WHERE STATUS = 'pending' AND NEXT_ATTEMPT_AT <= NOW\(\)/, [delivery]);
+    repositories = createRepositories(outboxDb.pool);
+  });
+
+  const updates = (pattern) => outboxDb.queriesMatching(pattern).map(({ values }) => values);
+
+  test('POSTs the payload with the signature headers', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.end('ok');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    outboxDb.on(/FROM webhooks WHERE WEBHOOK_ID = \?/, [{ ...hook, URL: `http://127.0.0.1:${server.address().port}/hooks` }]);
+
+    try {
+      expect(await createDispatcher(repositories).deliverDue()).toEqual({ delivered: 1, retrying: 0, dead: 0 });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    const [{ headers, body }] = received;
+    expect(body).toBe(delivery.PAYLOAD);
+    expect(headers['x-webhook-event']).toBe('customer.created');
+    expect(headers['x-webhook-delivery']).toBe('7');
+    expect(headers['x-webhook-signature']).toBe(signatureOf(hook.SECRET, headers['x-webhook-timestamp'], body));
+    expect(updates(/^UPDATE webhook_outbox SET STATUS = 'delivered'/)).toEqual([[1, 200, 7]]);
+  });
+
+  test('retries failed deliveries with exponential backoff until they are dead', async () => {
+    const fetch = jest.fn().mockResolvedValue(new Response('busy', { status: 503 }));
+    const dispatcher = createDispatcher(repositories, { fetch, maxAttempts: 3, retryDelay: 10 });
+
+    for (const ATTEMPTS of [0, 1, 2]) {
+      outboxDb.on(/FROM webhook_outbox WHERE STATUS = 'pending'/, [{ ...delivery, ATTEMPTS }]);
+      await dispatcher.deliverDue();
+    }
+
+    expect(updates(/^UPDATE webhook_outbox SET STATUS = \?/)).toEqual([
+      ['pending', 1, 503, 'Answered 503', 10, 7],
+      ['pending', 2, 503, 'Answered 503', 20, 7],
+      ['dead', 3, 503, 'Answered 503', 0, 7]
+    ]);
+  });
+
+  test('records network errors and counts the outcomes', async () => {
+    const fetch = jest.fn().mockRejectedValue(Object.assign(new TypeError('fetch failed'), { cause: new Error('connect ECONNREFUSED') }));
+    const { logger, entries } = createMemoryLogger('warn');
+
+    expect(await createDispatcher(repositories, { fetch, logger }).deliverDue()).toEqual({ delivered: 0, retrying: 1, dead: 0 });
+    expect(updates(/^UPDATE webhook_outbox SET STATUS = \?/)).toEqual([['pending', 1, null, 'connect ECONNREFUSED', 30, 7]]);
+    expect(entries).toEqual([expect.objectContaining({ msg: 'Webhook delivery failed', deliveryId: 7, retryIn: 30 })]);
+  });
+
+  test('leaves deliveries another dispatcher claimed', async () => {
+    outboxDb.on(/^UPDATE webhook_outbox SET NEXT_ATTEMPT_AT/, { affectedRows: 0 });
+    const fetch = jest.fn();
+
+    expect(await createDispatcher(repositories, { fetch }).deliverDue()).toEqual({ delivered: 0, retrying: 0, dead: 0 });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,238 @@
+const { body, validationResult } = require('express-validator'); // Validation
+const { tables, softDeleteColumns } = require('./schema');
+const { EVENTS } = require('./webhooks');
+
+// One event of EVENTS, as a regular expression
+const eventPattern = `(${EVENTS.map((event) => event.replace('.', '\\.')).join('|')})`;
+
+// Formats a varchar column can require, see schema.js
+const formats = {
+  phone: {
+    pattern: /^\+?[\d ()-]*\d[\d ()-]*$/,
+    message: 'must be a phone number: digits, spaces, dashes and brackets, optionally starting with +'
+  },
+  url: {
+    pattern: /^https?:\/\/[^\s/?#]+[^\s]*$/,
+    message: 'must be an http or https URL'
+  },
+  events: {
+    pattern: new RegExp(`^(\\*|${eventPattern}(,${eventPattern})*)$`),
+    message: `must be * or a comma-separated list of ${EVENTS.join(', ')}`
+  }
+};
+
+// A DECIMAL(precision, scale) value: at most precision - scale digits before
+// the decimal point and scale after it
+function decimalPattern({ precision, scale }) {
+  return new RegExp(`^-?\\d{1,${precision - scale}}${scale > 0 ? `(\\.\\d{1,${scale}})?` : ''}$`);
+}
+
+function decimalMessage({ precision, scale }) {
+  return scale === 0
+    ? `must be a whole number of at most ${precision} digits`
+    : `must be a number with at most ${precision - scale} digits before the decimal point and ${scale} after it`;
+}
+
+// Whether a column has to be sent when a row is created: NOT NULL columns
+// the database has no default for, the key and the columns the API requires.
+// Strings in these columns can't be empty either.
+function requiredOnCreate(table, column, spec) {
+  if (spec.generated) {
+    return false;
+  }
+  return spec.required || (!spec.nullable && (!spec.hasDefault || [].concat(table.key).includes(column)));
+}
+
+// The columns of a request body, see bodyRules()
+function selectColumns(name, { only, except = [], update = false }) {
+  return Object.entries(tables[name].columns)
+    .filter(([column, spec]) => !spec.generated && !(update && spec.createOnly)
+      && (!only || only.includes(column)) && !except.includes(column));
+}
+
+/**
+ * Creates the request validation built from the table definitions of
+ * schema.js. References to other tables are checked through the given
+ * repositories; rows that are soft deleted don't count.
+ */
+function createValidation(repositories) {
+  // The validation chain of one column in the request body
+  function columnRule(name, column, spec, { required, nonEmpty }) {
+    const acceptsNull = spec.nullable && !spec.required;
+    let chain = body(column);
+
+    if (required) {
+      chain = chain.exists({ values: 'null' }).withMessage('is required').bail();
+    } else {
+      chain = chain.optional({ values: acceptsNull ? 'null' : 'undefined' });
+      if (!acceptsNull) {
+        chain = chain.custom((value) => value !== null).withMessage('cannot be null').bail();
+      }
+    }
+
+    switch (spec.type) {
+      case 'varchar':
+      case 'char':
+      case 'text':
+        chain = chain.isString().withMessage('must be a string').bail();
+        if (nonEmpty) {
+          chain = chain.notEmpty().withMessage('is required').bail();
+        }
+        if (spec.length) {
+          chain = chain.isLength({ max: spec.length }).withMessage(`must be at most ${spec.length} characters`).bail();
+        }
+        if (spec.format) {
+          chain = chain.matches(formats[spec.format].pattern).withMessage(formats[spec.format].message).bail();
+        }
+        break;
+      case 'decimal': {
+        const pattern = decimalPattern(spec);
+        chain = chain.custom((value) => ['string', 'number'].includes(typeof value) && pattern.test(String(value)))
+          .withMessage(decimalMessage(spec)).bail();
+        break;
+      }
+      case 'int':
+        chain = chain.isInt().withMessage('must be a whole number').bail();
+        break;
+      case 'date':
+        chain = chain.isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('must be a date (YYYY-MM-DD)').bail();
+        break;
+      case 'datetime':
+      case 'timestamp':
+        chain = chain.isISO8601().withMessage('must be a date and time').bail();
+        break;
+      case 'enum':
+        chain = chain.isIn(spec.values).withMessage(`must be one of ${spec.values.join(', ')}`).bail();
+        break;
+      default:
+        throw new Error(`Unknown type ${spec.type} of ${name}.${column}`);
+    }
+
+    if (spec.references) {
+      const referenced = tables[spec.references];
+      chain = chain.custom(async (value) => {
+        if (!await repositories[spec.references].exists(value)) {
+          throw new Error(`${referenced.component || referenced.table} ${value} does not exist`);
+        }
+      });
+    }
+
+    return chain;
+  }
+
+  /**
+   * The validators of a request body holding a row of the table of the given
+   * repository (see schema.js), built from the column definitions: type,
+   * length, precision and scale, format, nullability and references.
+   *
+   * Options:
+   *   only      validate just these columns
+   *   except    leave these columns out, e.g. the key when it is in the path
+   *   update    leave the createOnly columns out, as for PUT
+   *   partial   every column may be left out, as for PATCH
+   *   optional  columns the API fills in when they are left out
+   */
+  function bodyRules(name, { only, except, update, partial = false, optional = [] } = {}) {
+    const table = tables[name];
+
+    return selectColumns(name, { only, except, update }).map(([column, spec]) => {
+      const requiredColumn = requiredOnCreate(table, column, spec);
+      return columnRule(name, column, spec, {
+        required: requiredColumn && !partial && !optional.includes(column),
+        nonEmpty: requiredColumn
+      });
+    });
+  }
+
+  // Checks values that don't come straight from the request body, like a
+  // patched record, with the rules of bodyRules(). Resolves with the first
+  // error of each invalid column.
+  async function checkValues(name, values, options) {
+    const valuesReq = { body: values };
+    for (const rule of bodyRules(name, options)) {
+      await rule.run(valuesReq);
+    }
+    return validationResult(valuesReq).array({ onlyFirstError: true }).map(({ path, msg, value }) => ({ path, msg, value }));
+  }
+
+  return { bodyRules, checkValues };
+}
+
+// The Swagger property of one column, with the same limits as columnRule()
+function swaggerProperty(spec) {
+  const property = {};
+  const description = spec.description ? [spec.description] : [];
+
+  switch (spec.type) {
+    case 'varchar':
+    case 'char':
+      Object.assign(property, { type: 'string', maxLength: spec.length });
+      if (spec.format) {
+        property.pattern = formats[spec.format].pattern.source;
+      }
+      break;
+    case 'decimal':
+      Object.assign(property, { type: 'string', format: 'decimal', pattern: decimalPattern(spec).source });
+      description.push(`DECIMAL(${spec.precision},${spec.scale}), sent as a string or a number.`);
+      break;
+    case 'int':
+      property.type = 'integer';
+      break;
+    case 'date':
+      Object.assign(property, { type: 'string', format: 'date' });
+      break;
+    case 'datetime':
+    case 'timestamp':
+      Object.assign(property, { type: 'string', example: '2024-01-31 17:45:00' });
+      break;
+    case 'enum':
+      Object.assign(property, { type: 'string', enum: spec.values });
+      break;
+    default:
+      property.type = 'string';
+  }
+
+  if (spec.references) {
+    description.push(`Must be the key of an existing ${tables[spec.references].component || spec.references}.`);
+  }
+  if (spec.nullable) {
+    property.nullable = true;
+  }
+  if (spec.generated) {
+    property.readOnly = true;
+  }
+  if (spec.createOnly) {
+    description.push('Can only be set when the record is created.');
+  }
+  if (description.length > 0) {
+    property.description = description.join(' ');
+  }
+  return property;
+}
+
+/**
+ * The Swagger component schemas of the tables, generated from schema.js so
+ * the docs always show the limits the validation applies. required lists
+ * the columns needed to create a row.
+ */
+function swaggerSchemas() {
+  const schemas = {};
+  for (const table of Object.values(tables)) {
+    if (!table.component) {
+      continue;
+    }
+
+    const columns = { ...table.columns, ...(table.softDelete ? softDeleteColumns : {}) };
+    schemas[table.component] = {
+      type: 'object',
+      required: Object.entries(columns).filter(([column, spec]) => requiredOnCreate(table, column, spec)).map(([column]) => column),
+      properties: Object.fromEntries(Object.entries(columns).map(([column, spec]) => [column, swaggerProperty(spec)]))
+    };
+    if (schemas[table.component].required.length === 0) {
+      delete schemas[table.component].required;
+    }
+  }
+  return schemas;
+}
+
+module.exports = { createValidation, swaggerSchemas };
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const { diff } = require('./audit');
+const { createLogger } = require('./logger');
+
+// Events webhooks can subscribe to
+const EVENTS = [
+  'customer.created',
+  'customer.balance_changed',
+  'agent.commission_changed',
+  'order.created',
+  'order.updated',
+  'order.deleted'
+];
+
+const BALANCE_COLUMNS = ['OPENING_AMT', 'RECEIVE_AMT', 'PAYMENT_AMT', 'OUTSTANDING_AMT'];
+
+// A delivery is attempted DEFAULT_MAX_ATTEMPTS times before it is dead. The
+// first retry waits DEFAULT_RETRY_DELAY seconds and each one after that twice
+// as long as the one before, up to MAX_RETRY_DELAY.
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_RETRY_DELAY = 30;
+const MAX_RETRY_DELAY = 6 * 60 * 60;
+
+/**
+ * The X-Webhook-Signature of a delivery: sha256= and the hex HMAC-SHA256,
+ * keyed with the secret of the webhook, of the X-Webhook-Timestamp, a dot
+ * and the body. Receivers compute it the same way to check a delivery.
+ */
+function signatureOf(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+const pick = (changes, columns) => Object.fromEntries(Object.entries(changes).filter(([column]) => columns.includes(column)));
+
+// The events of a change recorded by the audit trail (see audit.js), as
+// [{ event, data }]
+function eventsOfChange({ entity, before, after, changes }) {
+  const events = [];
+  if (entity === 'customer' && !before && after) {
+    events.push({ event: 'customer.created', data: { customer: after } });
+  }
+  if (entity === 'customer' && before && after) {
+    const balance = pick(changes, BALANCE_COLUMNS);
+    if (Object.keys(balance).length > 0) {
+      events.push({ event: 'customer.balance_changed', data: { customer: after, changes: balance } });
+    }
+  }
+  if (entity === 'agent' && before && after && changes.COMMISSION) {
+    events.push({ event: 'agent.commission_changed', data: { agent: after, changes: pick(changes, ['COMMISSION']) } });
+  }
+  return events;
+}
+
+/**
+ * Writes a delivery of the event to the outbox for every webhook subscribed
+ * to it, through the given repositories: those of the transaction of the
+ * change, so that the event is sent if and only if the change is committed.
+ * The body of every delivery is { id, event, occurredAt, requestId, data }.
+ */
+async function publish(repositories, req, event, data) {
+  const webhooks = await repositories.webhooks.subscribedTo(event);
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  const id = crypto.randomUUID();
+  const PAYLOAD = JSON.stringify({ id, event, occurredAt: new Date().toISOString(), requestId: req.id, data });
+  for (const webhook of webhooks) {
+    await repositories.webhookOutbox.insert({ WEBHOOK_ID: webhook.WEBHOOK_ID, EVENT_ID: id, EVENT: event, PAYLOAD });
+  }
+}
+
+// Publishes the events of a change recorded by the audit trail, as its onRecord
+async function publishChange(repositories, req, change) {
+  for (const { event, data } of eventsOfChange(change)) {
+    await publish(repositories, req, event, data);
+  }
+}
+
+// Publishes order.created, order.updated or order.deleted for an order as it
+// was before and after a change
+async function publishOrderChange(repositories, req, before, after) {
+  if (!before && after) {
+    await publish(repositories, req, 'order.created', { order: after });
+  } else if (before && !after) {
+    await publish(repositories, req, 'order.deleted', { order: before });
+  } else if (before && after) {
+    const changes = diff(before, after, Object.keys(after));
+    if (Object.keys(changes).length > 0) {
+      await publish(repositories, req, 'order.updated', { order: after, changes });
+    }
+  }
+}
+
+/**
+ * Like audit.track() for orders, which have no audit trail: runs
+ * write(repositories), which changes the order with the given ORD_NUM, in a
+ * transaction that also publishes the change. Resolves with the result of
+ * write().
+ */
+function trackOrder(repositories, req, ordNum, write) {
+  return repositories.transaction(async (tx) => {
+    const before = await tx.orders.find(ordNum, { forUpdate: true });
+    const result = await write(tx);
+    await publishOrderChange(tx, req, before, await tx.orders.find(ordNum));
+    return result;
+  });
+}
+
+/**
+ * Creates the dispatcher that sends the deliveries of the outbox. Each one
+ * is POSTed to the URL of its webhook with the signature headers; any 2xx
+ * answer delivers it. Failed attempts are retried with exponential backoff
+ * (retryDelay seconds, then twice as long each time) until maxAttempts have
+ * failed, when the delivery is dead: it stays in the dead-letter list until
+ * replayed. Deliveries are claimed before they are sent, so several servers
+ * can dispatch from the same outbox, and receivers should expect a delivery
+ * more than once all the same, with the same X-Webhook-Delivery.
+ */
+function createDispatcher(repositories, {
+  fetch = globalThis.fetch,
+  logger = createLogger({ level: 'silent' }),
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryDelay = DEFAULT_RETRY_DELAY,
+  timeout = 10000,
+  batchSize = 20
+} = {}) {
+  let timer = null;
+  let stopped = true;
+
+  // Resolves with { status } of the answer, and error unless it is a 2xx
+  async function send(webhook, delivery) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+      const res = await fetch(webhook.URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': delivery.EVENT,
+          'X-Webhook-Delivery': String(delivery.DELIVERY_ID),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signatureOf(webhook.SECRET, timestamp, delivery.PAYLOAD)
+        },
+        body: delivery.PAYLOAD,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeout)
+      });
+      await res.arrayBuffer().catch(() => {});
+      return res.ok ? { status: res.status } : { status: res.status, error: `Answered ${res.status}` };
+    } catch (err) {
+      // fetch rejects with "fetch failed" and the reason as its cause
+      return { status: null, error: (err.cause && err.cause.message) || err.message };
+    }
+  }
+
+  // The seconds to wait after the given number of failed attempts, or null
+  // when the delivery is dead
+  function delayAfter(attempts) {
+    return attempts >= maxAttempts ? null : Math.min(retryDelay * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  }
+
+  // Makes one attempt of a due delivery. Resolves with delivered, retrying or
+  // dead, or null when another dispatcher has it or its webhook is gone.
+  async function deliver(delivery) {
+    const { webhookOutbox, webhooks } = repositories;
+    if (!await webhookOutbox.claim(delivery.DELIVERY_ID, Math.ceil(timeout / 1000) + 60)) {
+      return null;
+    }
+    const webhook = await webhooks.find(delivery.WEBHOOK_ID);
+    if (!webhook) {
+      return null;
+    }
+
+    const attempts = delivery.ATTEMPTS + 1;
+    const { status, error } = await send(webhook, delivery);
+    const context = { deliveryId: delivery.DELIVERY_ID, webhookId: webhook.WEBHOOK_ID, event: delivery.EVENT, attempts, status };
+    if (!error) {
+      await webhookOutbox.markDelivered(delivery.DELIVERY_ID, { attempts, status });
+      logger.info(context, 'Webhook delivered');
+      return 'delivered';
+    }
+
+    const delay = delayAfter(attempts);
+    await webhookOutbox.markFailed(delivery.DELIVERY_ID, { attempts, status, error, delay });
+    logger.warn({ ...context, error, retryIn: delay }, delay === null ? 'Webhook delivery dead' : 'Webhook delivery failed');
+    return delay === null ? 'dead' : 'retrying';
+  }
+
+  /**
+   * Sends the deliveries that are due, one at a time. Resolves with the
+   * number that were { delivered, retrying, dead }.
+   */
+  async function deliverDue() {
+    const counts = { delivered: 0, retrying: 0, dead: 0 };
+    for (const delivery of await repositories.webhookOutbox.due(batchSize)) {
+      const outcome = await deliver(delivery);
+      if (outcome) {
+        counts[outcome] += 1;
+      }
+    }
+    return counts;
+  }
+
+  // Runs deliverDue() every interval milliseconds until stop(), the next run
+  // waiting for the one before to end
+  function start(interval) {
+    stopped = false;
+    const run = async () => {
+      try {
+        await deliverDue();
+      } catch (err) {
+        logger.error({ err }, 'Webhook dispatch failed');
+      }
+      if (!stopped) {
+        timer = setTimeout(run, interval);
+        timer.unref();
+      }
+    };
+    timer = setTimeout(run, interval);
+    timer.unref();
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+  }
+
+  return { deliverDue, start, stop };
+}
+
+module.exports = {
+  EVENTS,
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_RETRY_DELAY,
+  signatureOf,
+  publish,
+  publishChange,
+  publishOrderChange,
+  trackOrder,
+  createDispatcher
+};